@@ -0,0 +1,344 @@
+'use strict';
+
+/**
+ * Complexity Calibration Module for the jade-dev-assist orchestrator.
+ *
+ * Mines the `history` entries that executor.js and status-updater.js
+ * append on every status transition. For each completed task, the time
+ * spent in_progress (summed over all attempts, so retries count) is one
+ * sample for its complexity bucket, both ecosystem-wide and per project.
+ * Attempts, retries and failures are counted alongside.
+ *
+ * The measured medians are used two ways:
+ * - calibratedMultipliers() turns them into effort-to-value multipliers
+ *   for the scorer, replacing the fixed COMPLEXITY_MULTIPLIERS for every
+ *   bucket with enough samples.
+ * - suggestComplexity() proposes a corrected complexity for pending tasks
+ *   whose project runs consistently slower or faster than the ecosystem,
+ *   or that have already spent longer in progress than their bucket takes.
+ */
+
+const { COMPLEXITY_LEVELS } = require('./task-schema');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Samples a bucket needs before its median is trusted.
+ */
+const DEFAULT_MIN_SAMPLES = 3;
+
+/**
+ * Bounds for calibrated multipliers. The effort factor is
+ * impact * multiplier, so the upper bound keeps it within 0-100.
+ */
+const MIN_MULTIPLIER = 0.05;
+const MAX_MULTIPLIER = 1;
+
+// ── History Mining ───────────────────────────────────────────────────
+
+/**
+ * Summarise one task's history.
+ *
+ * Entries are read in timestamp order. Each entry with `to_status:
+ * "in_progress"` opens an attempt, which the next transition closes.
+ * An attempt still open at the end runs until `now`.
+ *
+ * @param {Object} task - Task with an optional `history` array.
+ * @param {Object} [options]
+ * @param {Date|number} [options.now] - Reference time (default: now).
+ * @returns {{ attempts: number, retries: number, failures: number,
+ *   completed: boolean, spentMs: number }}
+ */
+function summarizeHistory(task, options) {
+  const opts = options || {};
+  const now = opts.now != null ? Number(opts.now) : Date.now();
+  const entries = (Array.isArray(task.history) ? task.history : [])
+    .map((entry) => ({ ...entry, time: Date.parse(entry.timestamp) }))
+    .filter((entry) => !Number.isNaN(entry.time))
+    .sort((a, b) => a.time - b.time);
+
+  const summary = {
+    attempts: 0,
+    retries: 0,
+    failures: 0,
+    completed: false,
+    spentMs: 0,
+  };
+  let openSince = null;
+
+  for (const entry of entries) {
+    if (openSince !== null) {
+      summary.spentMs += entry.time - openSince;
+      openSince = null;
+    }
+    if (entry.to_status === 'in_progress') {
+      summary.attempts++;
+      openSince = entry.time;
+    } else if (entry.to_status === 'failed') {
+      summary.failures++;
+    } else if (entry.to_status === 'completed') {
+      summary.completed = true;
+    }
+  }
+  if (openSince !== null) {
+    summary.spentMs += Math.max(0, now - openSince);
+  }
+
+  summary.retries = Math.max(0, summary.attempts - 1);
+  summary.completed = summary.completed && task.status === 'completed';
+  return summary;
+}
+
+/**
+ * Median of a non-empty list of numbers.
+ *
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Aggregate summaries into per-complexity buckets.
+ *
+ * @param {Array<{ complexity: string, summary: Object }>} runs
+ * @returns {Object<string, { samples: number, medianHours: number|null,
+ *   attempts: number, retries: number, failures: number }>}
+ */
+function buildBuckets(runs) {
+  const buckets = {};
+  for (const level of COMPLEXITY_LEVELS) {
+    const inBucket = runs.filter((run) => run.complexity === level);
+    const durations = inBucket
+      .filter((run) => run.summary.completed && run.summary.spentMs > 0)
+      .map((run) => run.summary.spentMs / HOUR_MS);
+    buckets[level] = {
+      samples: durations.length,
+      medianHours: durations.length > 0 ? median(durations) : null,
+      attempts: inBucket.reduce((sum, run) => sum + run.summary.attempts, 0),
+      retries: inBucket.reduce((sum, run) => sum + run.summary.retries, 0),
+      failures: inBucket.reduce((sum, run) => sum + run.summary.failures, 0),
+    };
+  }
+  return buckets;
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Measure how long each complexity bucket takes, overall and per project.
+ *
+ * @param {Object[]} tasks - Tasks from scanTasks(), including completed ones.
+ * @param {Object} [options]
+ * @param {number} [options.minSamples=3] - Samples a bucket needs to be used.
+ * @param {Date|number} [options.now] - Reference time for open attempts.
+ * @returns {{
+ *   minSamples: number,
+ *   global: Object<string, Object>,
+ *   projects: Object<string, Object<string, Object>>
+ * }}
+ *   Bucket entries: { samples, medianHours, attempts, retries, failures }.
+ *
+ * @example
+ * const calibration = calibrate(scanTasks().tasks);
+ * calibration.global.M.medianHours; // => 5.5
+ */
+function calibrate(tasks, options) {
+  const opts = options || {};
+  const runs = tasks.map((task) => ({
+    project: task._projectName,
+    complexity: task.complexity || 'S',
+    summary: summarizeHistory(task, opts),
+  }));
+
+  const projects = {};
+  const projectNames = [...new Set(runs.map((run) => run.project))].filter(
+    Boolean
+  );
+  for (const name of projectNames) {
+    projects[name] = buildBuckets(runs.filter((run) => run.project === name));
+  }
+
+  return {
+    minSamples: opts.minSamples || DEFAULT_MIN_SAMPLES,
+    global: buildBuckets(runs),
+    projects,
+  };
+}
+
+/**
+ * Median hours per bucket for a project, falling back to the global
+ * bucket where the project has too few samples. Untrusted buckets are
+ * left out.
+ *
+ * @param {Object} calibration - Result of calibrate().
+ * @param {string} [project]
+ * @returns {Object<string, { hours: number, samples: number, scope: string }>}
+ */
+function measuredEffort(calibration, project) {
+  const own = (project && calibration.projects[project]) || {};
+  const effort = {};
+  for (const level of COMPLEXITY_LEVELS) {
+    const local = own[level];
+    const global = calibration.global[level];
+    if (local && local.samples >= calibration.minSamples) {
+      effort[level] = { hours: local.medianHours, samples: local.samples, scope: 'project' };
+    } else if (global && global.samples >= calibration.minSamples) {
+      effort[level] = { hours: global.medianHours, samples: global.samples, scope: 'global' };
+    }
+  }
+  return effort;
+}
+
+/**
+ * Effort-to-value multipliers derived from measured effort.
+ *
+ * The base multipliers (from the scoring profile) fix the scale: each
+ * calibrated bucket implies how many hours a multiplier of 1.0 is worth
+ * (hours * base multiplier), and the average of those is the unit. A
+ * calibrated bucket's multiplier is then unit / its median hours, so
+ * buckets keep their base value when they take exactly as long as the
+ * base tables assume. Buckets without enough samples keep their base
+ * multiplier. With a single calibrated bucket there is nothing to
+ * compare against and the base multipliers are returned unchanged.
+ *
+ * @param {Object} calibration - Result of calibrate().
+ * @param {Object} baseMultipliers - Complexity to multiplier map.
+ * @param {string} [project] - Use this project's buckets where trusted.
+ * @returns {{ multipliers: Object<string, number>,
+ *   measured: Object<string, { hours: number, samples: number, scope: string }> }}
+ */
+function calibratedMultipliers(calibration, baseMultipliers, project) {
+  const measured = measuredEffort(calibration, project);
+  const levels = Object.keys(measured).filter(
+    (level) => measured[level].hours > 0 && baseMultipliers[level] > 0
+  );
+  const multipliers = { ...baseMultipliers };
+  if (levels.length < 2) {
+    return { multipliers, measured: {} };
+  }
+
+  const unit =
+    levels.reduce(
+      (sum, level) => sum + measured[level].hours * baseMultipliers[level],
+      0
+    ) / levels.length;
+  const used = {};
+  for (const level of levels) {
+    multipliers[level] = Math.min(
+      MAX_MULTIPLIER,
+      Math.max(MIN_MULTIPLIER, unit / measured[level].hours)
+    );
+    used[level] = measured[level];
+  }
+  return { multipliers, measured: used };
+}
+
+/**
+ * The complexity level whose global median is closest to `hours`
+ * (compared on a log scale, since levels roughly double).
+ *
+ * @param {number} hours
+ * @param {Object} calibration
+ * @returns {string|null}
+ */
+function closestLevel(hours, calibration) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const level of COMPLEXITY_LEVELS) {
+    const bucket = calibration.global[level];
+    if (!bucket || bucket.samples < calibration.minSamples || !(bucket.medianHours > 0)) {
+      continue;
+    }
+    const distance = Math.abs(Math.log(hours / bucket.medianHours));
+    if (distance < bestDistance) {
+      best = level;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Suggest corrected complexities for tasks that are not finished.
+ *
+ * Two signals, checked in order:
+ * - overrun: the task has already spent longer in progress than the
+ *   global median of its own bucket; suggests the level closest to the
+ *   time spent so far (at least one level up).
+ * - project drift: the project's own median for the task's bucket is
+ *   closest to a different global bucket (e.g. this project's M tasks
+ *   take as long as L tasks elsewhere).
+ *
+ * @param {Object[]} tasks - Tasks from scanTasks().
+ * @param {Object} calibration - Result of calibrate() over the same tasks.
+ * @param {Object} [options]
+ * @param {Date|number} [options.now] - Reference time for open attempts.
+ * @returns {Array<{ taskId: string, project: string, current: string,
+ *   suggested: string, reason: string }>}
+ */
+function suggestComplexity(tasks, calibration, options) {
+  const suggestions = [];
+
+  for (const task of tasks) {
+    if (task.status === 'completed' || task.status === 'failed') {
+      continue;
+    }
+    const current = task.complexity || 'S';
+    const own = calibration.global[current];
+    const summary = summarizeHistory(task, options);
+    const spentHours = summary.spentMs / HOUR_MS;
+
+    if (
+      own &&
+      own.samples >= calibration.minSamples &&
+      spentHours > own.medianHours
+    ) {
+      const levelIndex = COMPLEXITY_LEVELS.indexOf(current);
+      const closest = closestLevel(spentHours, calibration);
+      const suggested =
+        closest && COMPLEXITY_LEVELS.indexOf(closest) > levelIndex
+          ? closest
+          : COMPLEXITY_LEVELS[Math.min(levelIndex + 1, COMPLEXITY_LEVELS.length - 1)];
+      if (suggested !== current) {
+        suggestions.push({
+          taskId: task.id,
+          project: task._projectName,
+          current,
+          suggested,
+          reason: `overrun: ${spentHours.toFixed(1)}h in progress, ${current} tasks take ${own.medianHours.toFixed(1)}h`,
+        });
+        continue;
+      }
+    }
+
+    const local = (calibration.projects[task._projectName] || {})[current];
+    if (local && local.samples >= calibration.minSamples) {
+      const closest = closestLevel(local.medianHours, calibration);
+      if (closest && closest !== current) {
+        suggestions.push({
+          taskId: task.id,
+          project: task._projectName,
+          current,
+          suggested: closest,
+          reason: `project drift: ${task._projectName} ${current} tasks take ${local.medianHours.toFixed(1)}h, like ${closest} tasks elsewhere`,
+        });
+      }
+    }
+  }
+
+  return suggestions;
+}
+
+module.exports = {
+  calibrate,
+  calibratedMultipliers,
+  suggestComplexity,
+  summarizeHistory,
+  DEFAULT_MIN_SAMPLES,
+};
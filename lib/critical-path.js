@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Critical Path Module for the jade-dev-assist orchestrator.
+ *
+ * Schedules the scanned task graph using the critical path method:
+ * each task's complexity maps to an effort estimate, a forward pass over
+ * blocked_by/unlocks edges yields earliest start and finish, and a
+ * backward pass yields latest start and slack. Edges are followed across
+ * projects, so a milestone waiting on another project's task includes
+ * that task's chain in its critical path.
+ *
+ * A task belongs to the milestone named in its tasks file's `milestone`
+ * block unless its own `milestone` field names a different one.
+ *
+ * Completed tasks take no time. Tasks in dependency cycles, and anything
+ * downstream of them, cannot be scheduled and are reported separately.
+ */
+
+const {
+  buildDependencyGraph,
+  findCycles,
+} = require('./dependency-graph');
+
+// ── Constants ────────────────────────────────────────────────────────
+
+/**
+ * Default effort estimate per complexity, in working days.
+ */
+const DEFAULT_EFFORT_ESTIMATES = {
+  S: 1,
+  M: 2,
+  L: 4,
+  XL: 8,
+};
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Remaining effort for a task.
+ *
+ * @param {Object} task
+ * @param {Object} effort - Complexity to effort map.
+ * @returns {number}
+ */
+function taskDuration(task, effort) {
+  if (task.status === 'completed') {
+    return 0;
+  }
+  const estimate = effort[task.complexity || 'M'];
+  return estimate !== undefined ? estimate : effort.M;
+}
+
+/**
+ * Key identifying the milestone a task belongs to, or null.
+ *
+ * @param {Object} task - Task from scanTasks().
+ * @returns {string|null} "<project>::<milestone name>"
+ */
+function milestoneKey(task) {
+  const block = task._milestone;
+  if (!block || !block.name) {
+    return null;
+  }
+  if (task.milestone && task.milestone !== block.name) {
+    return null;
+  }
+  return `${task._projectName}::${block.name}`;
+}
+
+/**
+ * Order schedulable tasks so every blocker precedes its dependents.
+ *
+ * @param {Object} graph - From buildDependencyGraph().
+ * @param {Set<string>} excluded - IDs that must not be scheduled.
+ * @returns {string[]} Topologically ordered IDs.
+ */
+function topologicalOrder(graph, excluded) {
+  const remaining = new Map();
+  for (const [id, blockers] of graph.blockers) {
+    if (!excluded.has(id)) {
+      remaining.set(id, blockers.size);
+    }
+  }
+
+  const queue = [...remaining.keys()].filter((id) => remaining.get(id) === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    for (const next of graph.dependents.get(id)) {
+      if (remaining.has(next)) {
+        remaining.set(next, remaining.get(next) - 1);
+        if (remaining.get(next) === 0) {
+          queue.push(next);
+        }
+      }
+    }
+  }
+  return order;
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Compute earliest start, slack and per-milestone critical paths.
+ *
+ * @param {Object[]} tasks - All tasks from scanTasks(), including completed
+ *   ones so that finished blockers resolve.
+ * @param {Object} [options]
+ * @param {Object} [options.effort] - Overrides for DEFAULT_EFFORT_ESTIMATES,
+ *   e.g. { XL: 10 }.
+ * @returns {{
+ *   tasks: Object<string, { duration: number, earliestStart: number, earliestFinish: number,
+ *     latestStart: number, latestFinish: number, slack: number, critical: boolean,
+ *     externalBlockers: string[] }>,
+ *   milestones: Array<{ project: string, name: string, targetDate: string|null,
+ *     finish: number, criticalPath: string[], taskCount: number, unschedulable: number }>,
+ *   unschedulable: string[],
+ *   horizon: number,
+ *   effort: Object
+ * }}
+ *   Times are offsets from now in effort units (days by default).
+ *   `externalBlockers` lists blocked_by IDs that are not in the scan, such
+ *   as tasks in unregistered projects; they are assumed complete.
+ */
+function analyzeCriticalPath(tasks, options) {
+  const opts = options || {};
+  const effort = { ...DEFAULT_EFFORT_ESTIMATES, ...(opts.effort || {}) };
+  const graph = buildDependencyGraph(tasks);
+
+  // Cycle members and everything downstream of them cannot be scheduled
+  const excluded = new Set();
+  const pending = findCycles(graph).flat();
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (!excluded.has(id)) {
+      excluded.add(id);
+      pending.push(...graph.dependents.get(id));
+    }
+  }
+
+  const order = topologicalOrder(graph, excluded);
+  const schedule = {};
+
+  // Forward pass: earliest start is the latest finish among blockers
+  for (const id of order) {
+    const task = graph.byId.get(id);
+    let earliestStart = 0;
+    for (const blockerId of graph.blockers.get(id)) {
+      earliestStart = Math.max(earliestStart, schedule[blockerId].earliestFinish);
+    }
+    const duration = taskDuration(task, effort);
+    schedule[id] = {
+      duration,
+      earliestStart,
+      earliestFinish: earliestStart + duration,
+      externalBlockers: (task.blocked_by || []).filter(
+        (blockerId) => !graph.byId.has(blockerId)
+      ),
+    };
+  }
+
+  // Milestone finish: the latest earliest-finish among its members
+  const milestoneFinish = new Map();
+  let horizon = 0;
+  for (const id of order) {
+    const finish = schedule[id].earliestFinish;
+    horizon = Math.max(horizon, finish);
+    const key = milestoneKey(graph.byId.get(id));
+    if (key !== null) {
+      milestoneFinish.set(key, Math.max(milestoneFinish.get(key) || 0, finish));
+    }
+  }
+
+  // Backward pass: finish before any dependent must start, and no later
+  // than the task's own milestone completes
+  for (const id of [...order].reverse()) {
+    const key = milestoneKey(graph.byId.get(id));
+    let latestFinish = key !== null ? milestoneFinish.get(key) : horizon;
+    for (const dependentId of graph.dependents.get(id)) {
+      if (schedule[dependentId]) {
+        latestFinish = Math.min(latestFinish, schedule[dependentId].latestStart);
+      }
+    }
+    const entry = schedule[id];
+    entry.latestFinish = latestFinish;
+    entry.latestStart = latestFinish - entry.duration;
+    entry.slack = entry.latestStart - entry.earliestStart;
+    entry.critical = entry.slack === 0 && entry.duration > 0;
+  }
+
+  // Walk back from each milestone's last-finishing member
+  const milestones = [];
+  const seen = new Set();
+  for (const task of tasks) {
+    const key = milestoneKey(task);
+    if (key === null || seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    const members = tasks.filter((t) => milestoneKey(t) === key);
+    const scheduled = members.filter((t) => schedule[t.id]);
+    const finish = milestoneFinish.get(key) || 0;
+
+    const criticalPath = [];
+    let current = scheduled.find(
+      (t) => schedule[t.id].earliestFinish === finish
+    );
+    while (current) {
+      // Completed tasks on the chain take no time and are not listed
+      if (schedule[current.id].duration > 0) {
+        criticalPath.unshift(current.id);
+      }
+      const start = schedule[current.id].earliestStart;
+      if (start === 0) {
+        break;
+      }
+      current = [...graph.blockers.get(current.id)]
+        .map((blockerId) => graph.byId.get(blockerId))
+        .find((blocker) => schedule[blocker.id].earliestFinish === start);
+    }
+
+    milestones.push({
+      project: task._projectName,
+      name: task._milestone.name,
+      targetDate: task._milestone.target_date || null,
+      finish,
+      criticalPath,
+      taskCount: members.length,
+      unschedulable: members.length - scheduled.length,
+    });
+  }
+
+  return {
+    tasks: schedule,
+    milestones,
+    unschedulable: [...excluded].sort(),
+    horizon,
+    effort,
+  };
+}
+
+/**
+ * Criticality of a task on a 0-100 scale for use as a scoring factor.
+ *
+ * Tasks with no slack score 100; slack equal to the whole schedule
+ * horizon scores 0. Unschedulable or unknown tasks score 0.
+ *
+ * @param {string} taskId
+ * @param {Object} analysis - Result of analyzeCriticalPath().
+ * @returns {number}
+ */
+function computeCriticality(taskId, analysis) {
+  const entry = analysis.tasks[taskId];
+  if (!entry || analysis.horizon === 0) {
+    return 0;
+  }
+  return Math.max(0, 100 * (1 - entry.slack / analysis.horizon));
+}
+
+module.exports = {
+  analyzeCriticalPath,
+  computeCriticality,
+  DEFAULT_EFFORT_ESTIMATES,
+  // Exposed for testing
+  milestoneKey,
+  taskDuration,
+};
@@ -0,0 +1,998 @@
+'use strict';
+
+/**
+ * Dashboard Module for the jade-dev-assist orchestrator.
+ *
+ * A live, keyboard-driven terminal dashboard built on the scanner, scorer,
+ * milestone tracker and table renderer. Four panes:
+ *
+ * - Queue: pending and blocked tasks, ranked by scoreTasks()
+ * - In Progress: tasks being worked on, with how long they have run
+ * - Milestones: per-project progress and the nearest deadline
+ * - History: the most recent status changes across all projects
+ *
+ * The pieces are kept separate so they can be tested without a terminal:
+ * loadDashboardData() gathers everything to show, handleKey() is a pure
+ * reducer from (state, key) to a new state plus an optional action, and
+ * renderDashboard() turns data and state into a screen of text.
+ * runDashboard() wires them to stdin/stdout, reloads when task files
+ * change (via task-watcher) and applies status changes through
+ * status-updater.
+ *
+ * Keys:
+ *   Tab / Shift+Tab   switch pane          j / k, arrows   move selection
+ *   /                 filter the queue     s               cycle queue sort
+ *   Enter             task detail          r               reload
+ *   q, Ctrl+C         quit
+ * In the task detail view, p / i / c / f / b set the status to pending,
+ * in_progress, completed, failed or blocked; Esc goes back.
+ */
+
+const { loadRegistry, scanTasks } = require('./scanner');
+const { ScanCache } = require('./scan-cache');
+const { scoreTasks } = require('./scorer');
+const {
+  getAllMilestonesProgress,
+  getDeadlineSummary,
+} = require('./milestone-tracker');
+const { updateTaskStatus } = require('./status-updater');
+const { watchTasks } = require('./task-watcher');
+const {
+  BOX,
+  STATUS_COLORS,
+  colorize,
+  displayWidth,
+  fitColumns,
+  horizontalRule,
+  dataRow,
+  padRight,
+  supportsColor,
+  truncate,
+  wrap,
+} = require('./table-renderer');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('dashboard');
+
+/**
+ * Panes in Tab order.
+ */
+const PANES = ['queue', 'inProgress', 'milestones', 'history'];
+
+const PANE_TITLES = {
+  queue: 'Queue',
+  inProgress: 'In Progress',
+  milestones: 'Milestones',
+  history: 'History',
+};
+
+const COMPLEXITY_ORDER = ['S', 'M', 'L', 'XL'];
+
+/**
+ * Queue sort orders, in the order `s` cycles through them.
+ */
+const SORTS = {
+  score: (a, b) => b._score - a._score,
+  project: (a, b) =>
+    a._projectName.localeCompare(b._projectName) || b._score - a._score,
+  complexity: (a, b) =>
+    COMPLEXITY_ORDER.indexOf(a.complexity) -
+      COMPLEXITY_ORDER.indexOf(b.complexity) || b._score - a._score,
+  updated: (a, b) =>
+    String(b.updated_at || '').localeCompare(String(a.updated_at || '')) ||
+    b._score - a._score,
+};
+
+/**
+ * Keys that set a task's status from the detail view.
+ */
+const STATUS_KEYS = {
+  p: 'pending',
+  i: 'in_progress',
+  c: 'completed',
+  f: 'failed',
+  b: 'blocked',
+};
+
+/**
+ * Recent history entries kept for the History pane.
+ */
+const HISTORY_LIMIT = 50;
+
+const DEFAULT_REFRESH_MS = 2500;
+
+// ── Data ─────────────────────────────────────────────────────────────
+
+/**
+ * Gather everything the dashboard shows.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Path to the registry JSON file.
+ * @param {Object} [options.registry]     - Pre-loaded registry object.
+ * @param {ScanCache} [options.cache]     - Reused between reloads so only
+ *   changed task files are parsed again.
+ * @param {Date|number} [options.now]     - Reference time (default: now).
+ * @returns {{
+ *   registry: Object,
+ *   tasks: Object[],
+ *   queue: Object[],
+ *   inProgress: Array<{ task: Object, since: string|null }>,
+ *   milestones: Array<{ projectName: string, total: number, completed: number,
+ *     inProgress: number, pending: number, percentage: number,
+ *     deadline: Object|null }>,
+ *   history: Array<{ taskId: string, project: string, timestamp: string,
+ *     from: string|null, to: string, summary: string|null }>,
+ *   errors: Object[],
+ *   loadedAt: number
+ * }}
+ */
+function loadDashboardData(options) {
+  const opts = options || {};
+  const registry = opts.registry || loadRegistry(opts.registryPath);
+  const cache = opts.cache || new ScanCache({ persist: false });
+  const now = opts.now != null ? Number(opts.now) : Date.now();
+
+  // One scan per refresh; the milestone views reuse its tasks.
+  const { tasks, errors } = scanTasks({ registry, cache });
+  const queue = scoreTasks(tasks.slice()).filter(
+    (t) => t.status === 'pending' || t.status === 'blocked'
+  );
+
+  const inProgress = tasks
+    .filter((t) => t.status === 'in_progress')
+    .map((task) => {
+      const started = (task.history || [])
+        .filter((entry) => entry.to_status === 'in_progress')
+        .pop();
+      return { task, since: started ? started.timestamp : null };
+    });
+
+  const deadlines = new Map();
+  for (const entry of getDeadlineSummary({ registry, tasks, now })) {
+    if (!deadlines.has(entry.project)) {
+      deadlines.set(entry.project, entry);
+    }
+  }
+  const milestones = getAllMilestonesProgress({ registry, tasks }).map(
+    (progress) => ({
+      ...progress,
+      deadline: deadlines.get(progress.projectName) || null,
+    })
+  );
+
+  const history = [];
+  for (const task of tasks) {
+    for (const entry of task.history || []) {
+      history.push({
+        taskId: task.id,
+        project: task._projectName,
+        timestamp: entry.timestamp,
+        from: entry.from_status != null ? entry.from_status : null,
+        to: entry.to_status,
+        summary: entry.agent_summary || null,
+      });
+    }
+  }
+  history.sort((a, b) =>
+    String(b.timestamp).localeCompare(String(a.timestamp))
+  );
+
+  return {
+    registry,
+    tasks,
+    queue,
+    inProgress,
+    milestones,
+    history: history.slice(0, HISTORY_LIMIT),
+    errors,
+    loadedAt: now,
+  };
+}
+
+// ── State ────────────────────────────────────────────────────────────
+
+/**
+ * Initial dashboard state.
+ *
+ * @returns {{ view: string, focus: string, selected: Object<string, number>,
+ *   sort: string, filter: string, filterInput: string|null,
+ *   detailTaskId: string|null, message: string|null }}
+ */
+function createDashboardState() {
+  return {
+    view: 'panes',
+    focus: 'queue',
+    selected: { queue: 0, inProgress: 0, milestones: 0, history: 0 },
+    sort: 'score',
+    filter: '',
+    filterInput: null,
+    detailTaskId: null,
+    message: null,
+  };
+}
+
+/**
+ * Queue tasks matching the filter, in the selected sort order.
+ *
+ * The filter is a case-insensitive substring match on task ID, title,
+ * project and labels.
+ *
+ * @param {Object} data - Result of loadDashboardData().
+ * @param {Object} state
+ * @returns {Object[]}
+ */
+function visibleQueue(data, state) {
+  const needle = state.filter.toLowerCase();
+  const matches = (task) =>
+    !needle ||
+    [task.id, task.title, task._projectName, ...(task.labels || [])]
+      .filter(Boolean)
+      .some((text) => String(text).toLowerCase().includes(needle));
+  return data.queue.filter(matches).sort(SORTS[state.sort]);
+}
+
+/**
+ * Items listed in a pane.
+ *
+ * @param {Object} data
+ * @param {Object} state
+ * @param {string} pane
+ * @returns {Object[]}
+ */
+function paneItems(data, state, pane) {
+  switch (pane) {
+    case 'queue':
+      return visibleQueue(data, state);
+    case 'inProgress':
+      return data.inProgress;
+    case 'milestones':
+      return data.milestones;
+    default:
+      return data.history;
+  }
+}
+
+/**
+ * Task ID behind the selected item of the focused pane, if any.
+ */
+function selectedTaskId(data, state) {
+  const item = paneItems(data, state, state.focus)[state.selected[state.focus]];
+  if (!item) {
+    return null;
+  }
+  if (state.focus === 'queue') {
+    return item.id;
+  }
+  if (state.focus === 'inProgress') {
+    return item.task.id;
+  }
+  return item.taskId || null;
+}
+
+/**
+ * Clamp every pane's selection to its item count.
+ */
+function clampSelection(data, state) {
+  const selected = {};
+  for (const pane of PANES) {
+    const count = paneItems(data, state, pane).length;
+    selected[pane] = Math.max(0, Math.min(state.selected[pane], count - 1));
+  }
+  return { ...state, selected };
+}
+
+/**
+ * Apply one key press to the dashboard state.
+ *
+ * Pure: returns the next state and, for keys with side effects, an
+ * action for the caller to carry out:
+ *   { type: 'quit' }
+ *   { type: 'reload' }
+ *   { type: 'set-status', taskId, status }
+ *
+ * @param {Object} state - Current state from createDashboardState().
+ * @param {string} key - Key name from parseKeys().
+ * @param {Object} data - Result of loadDashboardData().
+ * @returns {{ state: Object, action: Object|null }}
+ */
+function handleKey(state, key, data) {
+  const next = { ...state, message: null };
+
+  if (key === 'ctrl-c') {
+    return { state: next, action: { type: 'quit' } };
+  }
+
+  // Typing a filter
+  if (state.filterInput !== null) {
+    if (key === 'enter') {
+      const applied = {
+        ...next,
+        filter: state.filterInput.trim(),
+        filterInput: null,
+        selected: { ...state.selected, queue: 0 },
+        focus: 'queue',
+      };
+      return { state: applied, action: null };
+    }
+    if (key === 'escape') {
+      return { state: { ...next, filterInput: null }, action: null };
+    }
+    if (key === 'backspace') {
+      return {
+        state: {
+          ...next,
+          filterInput: Array.from(state.filterInput).slice(0, -1).join(''),
+        },
+        action: null,
+      };
+    }
+    if (Array.from(key).length === 1) {
+      return {
+        state: { ...next, filterInput: state.filterInput + key },
+        action: null,
+      };
+    }
+    return { state: next, action: null };
+  }
+
+  // Task detail
+  if (state.view === 'detail') {
+    if (key === 'escape' || key === 'backspace') {
+      return {
+        state: { ...next, view: 'panes', detailTaskId: null },
+        action: null,
+      };
+    }
+    if (key === 'q') {
+      return { state: next, action: { type: 'quit' } };
+    }
+    const status = STATUS_KEYS[key];
+    if (status) {
+      const task = data.tasks.find((t) => t.id === state.detailTaskId);
+      if (!task) {
+        return {
+          state: { ...next, message: 'Task no longer exists' },
+          action: null,
+        };
+      }
+      if (task.status === status) {
+        return {
+          state: { ...next, message: `Already ${status}` },
+          action: null,
+        };
+      }
+      return {
+        state: next,
+        action: { type: 'set-status', taskId: task.id, status },
+      };
+    }
+    return { state: next, action: null };
+  }
+
+  // Panes
+  const focusIndex = PANES.indexOf(state.focus);
+  const count = paneItems(data, state, state.focus).length;
+  const move = (delta) => {
+    const index = Math.max(
+      0,
+      Math.min(count - 1, state.selected[state.focus] + delta)
+    );
+    return {
+      ...next,
+      selected: { ...state.selected, [state.focus]: Math.max(0, index) },
+    };
+  };
+
+  switch (key) {
+    case 'q':
+      return { state: next, action: { type: 'quit' } };
+    case 'r':
+      return { state: next, action: { type: 'reload' } };
+    case 'tab':
+      return {
+        state: { ...next, focus: PANES[(focusIndex + 1) % PANES.length] },
+        action: null,
+      };
+    case 'shift-tab':
+      return {
+        state: {
+          ...next,
+          focus: PANES[(focusIndex + PANES.length - 1) % PANES.length],
+        },
+        action: null,
+      };
+    case 'down':
+    case 'j':
+      return { state: move(1), action: null };
+    case 'up':
+    case 'k':
+      return { state: move(-1), action: null };
+    case '/':
+      return { state: { ...next, filterInput: state.filter }, action: null };
+    case 's': {
+      const sorts = Object.keys(SORTS);
+      const sort = sorts[(sorts.indexOf(state.sort) + 1) % sorts.length];
+      return {
+        state: { ...next, sort, selected: { ...state.selected, queue: 0 } },
+        action: null,
+      };
+    }
+    case 'enter': {
+      if (state.focus === 'milestones') {
+        // Narrow the queue to the selected milestone's project
+        const milestone = data.milestones[state.selected.milestones];
+        if (!milestone) {
+          return { state: next, action: null };
+        }
+        return {
+          state: {
+            ...next,
+            filter: milestone.projectName,
+            focus: 'queue',
+            selected: { ...state.selected, queue: 0 },
+          },
+          action: null,
+        };
+      }
+      const taskId = selectedTaskId(data, state);
+      if (!taskId) {
+        return { state: next, action: null };
+      }
+      return {
+        state: { ...next, view: 'detail', detailTaskId: taskId },
+        action: null,
+      };
+    }
+    default:
+      return { state: next, action: null };
+  }
+}
+
+/**
+ * Split a chunk read from a raw-mode TTY into key names.
+ *
+ * Printable characters are returned as themselves; special keys as
+ * 'up', 'down', 'left', 'right', 'tab', 'shift-tab', 'enter', 'escape',
+ * 'backspace' and 'ctrl-c'.
+ *
+ * @param {string} chunk
+ * @returns {string[]}
+ */
+function parseKeys(chunk) {
+  const sequences = {
+    '\u001b[A': 'up',
+    '\u001b[B': 'down',
+    '\u001b[C': 'right',
+    '\u001b[D': 'left',
+    '\u001b[Z': 'shift-tab',
+    '\u001bOA': 'up',
+    '\u001bOB': 'down',
+  };
+  const singles = {
+    '\t': 'tab',
+    '\r': 'enter',
+    '\n': 'enter',
+    '\u001b': 'escape',
+    '\u007f': 'backspace',
+    '\b': 'backspace',
+    '\u0003': 'ctrl-c',
+  };
+
+  const keys = [];
+  const chars = Array.from(chunk);
+  for (let i = 0; i < chars.length; i++) {
+    const three = chars.slice(i, i + 3).join('');
+    if (sequences[three]) {
+      keys.push(sequences[three]);
+      i += 2;
+    } else if (singles[chars[i]]) {
+      keys.push(singles[chars[i]]);
+    } else if (chars[i] >= ' ') {
+      keys.push(chars[i]);
+    }
+  }
+  return keys;
+}
+
+// ── Rendering ────────────────────────────────────────────────────────
+
+/**
+ * Short relative duration, e.g. "45m", "3h", "2d".
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatAge(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  if (minutes < 48 * 60) {
+    return `${Math.floor(minutes / 60)}h`;
+  }
+  return `${Math.floor(minutes / (24 * 60))}d`;
+}
+
+/**
+ * The window of `items` to show in `rows` lines, keeping `selected`
+ * visible.
+ *
+ * @returns {{ start: number, items: Object[] }}
+ */
+function scrollWindow(items, selected, rows) {
+  const start = Math.max(0, Math.min(selected - rows + 1, items.length - rows));
+  const from = Math.max(0, Math.min(start, selected));
+  return { start: from, items: items.slice(from, from + rows) };
+}
+
+/**
+ * Pane heading, marked and bold when focused.
+ */
+function paneHeading(pane, count, focused, paint) {
+  const marker = focused ? '\u25b6' : ' ';
+  const text = `${marker} ${PANE_TITLES[pane]} (${count})`;
+  return focused ? paint(text, 'bold') : text;
+}
+
+/**
+ * Queue pane: a ranked table sized to the screen width.
+ */
+function renderQueue(data, state, layout, paint) {
+  const items = visibleQueue(data, state);
+  const focused = state.focus === 'queue' && state.view === 'panes';
+  const lines = [
+    paneHeading('queue', items.length, state.focus === 'queue', paint),
+  ];
+
+  const widths = fitColumns([5, 18, 42, 7, 6, 13], {
+    width: layout.width,
+    flexible: [1, 2],
+    wanted: [5, 18, layout.width, 7, 6, 13],
+  });
+  const aligns = ['right', 'left', 'left', 'right', 'left', 'left'];
+  lines.push(horizontalRule(BOX.topLeft, BOX.topTee, BOX.topRight, widths));
+  lines.push(
+    dataRow(
+      [' #', 'Project', 'Task', 'Score', 'Size', 'Status'],
+      widths,
+      aligns
+    )
+  );
+  lines.push(horizontalRule(BOX.leftTee, BOX.cross, BOX.rightTee, widths));
+
+  const { start, items: shown } = scrollWindow(
+    items,
+    state.selected.queue,
+    layout.rows
+  );
+  shown.forEach((task, i) => {
+    const index = start + i;
+    const isSelected = focused && index === state.selected.queue;
+    const rank = `${isSelected ? '\u203a' : ' '}${index + 1}`;
+    const emphasis = isSelected && paint.enabled ? 'bold' : null;
+    lines.push(
+      dataRow(
+        [
+          rank,
+          task._projectName || '',
+          task.title || task.id,
+          task._score.toFixed(1),
+          task.complexity || '',
+          task.status,
+        ],
+        widths,
+        aligns,
+        {
+          colors: [
+            emphasis,
+            emphasis,
+            emphasis,
+            null,
+            null,
+            paint.enabled ? STATUS_COLORS[task.status] : null,
+          ],
+        }
+      )
+    );
+  });
+  if (items.length === 0) {
+    lines.push(
+      dataRow(
+        [
+          '',
+          '',
+          state.filter ? '(no matching tasks)' : '(no tasks)',
+          '',
+          '',
+          '',
+        ],
+        widths,
+        aligns
+      )
+    );
+  }
+  lines.push(
+    horizontalRule(BOX.bottomLeft, BOX.bottomTee, BOX.bottomRight, widths)
+  );
+  return lines;
+}
+
+/**
+ * A pane rendered as a plain list, one line per item.
+ */
+function renderList(pane, items, state, layout, paint, format, emptyText) {
+  const focused = state.focus === pane && state.view === 'panes';
+  const lines = [paneHeading(pane, items.length, state.focus === pane, paint)];
+  if (items.length === 0) {
+    lines.push(`    ${emptyText}`);
+    return lines;
+  }
+  const { start, items: shown } = scrollWindow(
+    items,
+    state.selected[pane],
+    layout.rows
+  );
+  shown.forEach((item, i) => {
+    const isSelected = focused && start + i === state.selected[pane];
+    const text = truncate(format(item), layout.width - 4);
+    lines.push(
+      `  ${isSelected ? '\u203a' : ' '} ${isSelected ? paint(text, 'bold') : text}`
+    );
+  });
+  return lines;
+}
+
+/**
+ * Progress bar for the milestones pane.
+ */
+function progressBar(percentage, width) {
+  const filled = Math.round((percentage / 100) * width);
+  return '\u2588'.repeat(filled) + '\u2591'.repeat(width - filled);
+}
+
+/**
+ * Task detail view.
+ */
+function renderDetail(data, state, layout, paint) {
+  const task = data.tasks.find((t) => t.id === state.detailTaskId);
+  if (!task) {
+    return ['  Task no longer exists. Press Esc to go back.'];
+  }
+  const ranked = data.queue.find((t) => t.id === task.id);
+  const field = (name, value) => `  ${padRight(name, 12)} ${value}`;
+  const list = (values) =>
+    values && values.length > 0 ? values.join(', ') : '-';
+
+  const lines = [
+    paint(`  ${task.title || task.id}`, 'bold'),
+    '',
+    field('ID', task.id),
+    field('Project', task._projectName || '-'),
+    field('Status', paint(task.status, STATUS_COLORS[task.status])),
+    field('Score', ranked ? ranked._score.toFixed(1) : '-'),
+    field('Complexity', task.complexity || '-'),
+    field('Milestone', task.milestone || '-'),
+    field('Labels', list(task.labels)),
+    field('Blocked by', list(task.blocked_by)),
+    field('Unlocks', list(task.unlocks)),
+  ];
+  if (task.description) {
+    lines.push('', '  Description');
+    for (const line of wrap(task.description, layout.width - 4)) {
+      lines.push(`    ${line}`);
+    }
+  }
+  const criteria = task.acceptance_criteria || [];
+  if (criteria.length > 0) {
+    lines.push('', '  Acceptance criteria');
+    for (const criterion of criteria) {
+      lines.push(`    - ${truncate(String(criterion), layout.width - 6)}`);
+    }
+  }
+  const history = (task.history || []).slice(-8).reverse();
+  if (history.length > 0) {
+    lines.push('', '  History');
+    for (const entry of history) {
+      const summary = entry.agent_summary ? `  ${entry.agent_summary}` : '';
+      lines.push(
+        truncate(
+          `    ${entry.timestamp}  ${entry.from_status || '-'} \u2192 ${entry.to_status}${summary}`,
+          layout.width
+        )
+      );
+    }
+  }
+  return lines;
+}
+
+/**
+ * Render the whole screen.
+ *
+ * @param {Object} data - Result of loadDashboardData().
+ * @param {Object} state - Dashboard state.
+ * @param {Object} [options]
+ * @param {number} [options.width=100]  - Screen columns.
+ * @param {number} [options.height=40]  - Screen rows.
+ * @param {boolean} [options.color=false] - Use ANSI colors.
+ * @param {Date|number} [options.now]   - Reference time for durations.
+ * @returns {string} The screen, at most `height` lines.
+ */
+function renderDashboard(data, state, options) {
+  const opts = options || {};
+  const width = opts.width || 100;
+  const height = opts.height || 40;
+  const now = opts.now != null ? Number(opts.now) : Date.now();
+  const paint = (text, style) => (opts.color ? colorize(text, style) : text);
+  paint.enabled = Boolean(opts.color);
+
+  const time = new Date(now).toTimeString().slice(0, 8);
+  const filterText = state.filter ? `  \u00b7  filter: ${state.filter}` : '';
+  const header = paint(
+    truncate(
+      `  jade-dev-assist dashboard  \u00b7  ${data.tasks.length} tasks  \u00b7  sort: ${state.sort}${filterText}  \u00b7  ${time}`,
+      width
+    ),
+    'bold'
+  );
+
+  let footer;
+  if (state.filterInput !== null) {
+    footer = `  / ${state.filterInput}\u2588   Enter apply \u00b7 Esc cancel`;
+  } else if (state.view === 'detail') {
+    footer =
+      '  p pending \u00b7 i in_progress \u00b7 c completed \u00b7 f failed \u00b7 b blocked \u00b7 Esc back \u00b7 q quit';
+  } else {
+    footer =
+      '  Tab pane \u00b7 j/k move \u00b7 / filter \u00b7 s sort \u00b7 Enter detail \u00b7 r reload \u00b7 q quit';
+  }
+  const status =
+    state.message ||
+    (data.errors.length > 0 ? `${data.errors.length} scan error(s)` : '');
+
+  let body;
+  if (state.view === 'detail') {
+    body = renderDetail(data, state, { width }, paint);
+  } else {
+    // Fixed chrome: header, blank, status, footer; each pane has a
+    // heading, the queue also 4 border lines, plus a blank between panes
+    const available = Math.max(8, height - 4 - 4 - 4 - 3);
+    const listRows = Math.max(1, Math.floor(available / 6));
+    const queueRows = Math.max(1, available - 3 * listRows);
+
+    const inProgress = renderList(
+      'inProgress',
+      data.inProgress,
+      state,
+      { width, rows: listRows },
+      paint,
+      ({ task, since }) =>
+        `${task._projectName}: ${task.title || task.id}` +
+        (since ? `  (${formatAge(now - Date.parse(since))})` : ''),
+      'No tasks in progress'
+    );
+    const milestones = renderList(
+      'milestones',
+      data.milestones,
+      state,
+      { width, rows: listRows },
+      paint,
+      (m) => {
+        const deadline = m.deadline
+          ? m.deadline.overdue
+            ? `  ${m.deadline.name} OVERDUE`
+            : `  ${m.deadline.name} in ${Math.ceil(m.deadline.daysLeft)}d${m.deadline.atRisk ? ' (at risk)' : ''}`
+          : '';
+        return `${padRight(m.projectName, 18)} ${progressBar(m.percentage, 10)} ${String(m.percentage).padStart(3)}%  ${m.completed}/${m.total}${deadline}`;
+      },
+      'No projects'
+    );
+    const history = renderList(
+      'history',
+      data.history,
+      state,
+      { width, rows: listRows },
+      paint,
+      (h) =>
+        `${formatAge(now - Date.parse(h.timestamp)).padStart(4)} ago  ${h.taskId}  ${h.from || '-'} \u2192 ${h.to}` +
+        (h.summary ? `  ${h.summary}` : ''),
+      'No status changes yet'
+    );
+
+    body = [
+      ...renderQueue(data, state, { width, rows: queueRows }, paint),
+      '',
+      ...inProgress,
+      '',
+      ...milestones,
+      '',
+      ...history,
+    ];
+  }
+
+  const lines = [header, '', ...body];
+  const room = Math.max(0, height - lines.length - 2);
+  for (let i = 0; i < room; i++) {
+    lines.push('');
+  }
+  lines.push(
+    paint(truncate(status, width), 'yellow'),
+    paint(truncate(footer, width), 'dim')
+  );
+  return lines
+    .slice(0, height)
+    .map((line) => (displayWidth(line) > width ? truncate(line, width) : line))
+    .join('\n');
+}
+
+// ── Interactive Runner ───────────────────────────────────────────────
+
+/**
+ * Run the dashboard on a terminal until the user quits.
+ *
+ * Takes over the screen (alternate buffer, hidden cursor), reads keys in
+ * raw mode, reloads when task files change and redraws every
+ * `refreshMs` so durations stay current. Status changes from the detail
+ * view are written with status-updater.updateTaskStatus(). The terminal
+ * is restored on quit, process exit, an uncaught exception, SIGTERM and
+ * SIGHUP.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Path to the registry JSON file.
+ * @param {number} [options.refreshMs=2500] - Redraw interval.
+ * @param {Object} [options.input]  - Readable TTY (default: process.stdin).
+ * @param {Object} [options.output] - Writable TTY (default: process.stdout).
+ * @returns {Promise<void>} Resolves when the dashboard exits.
+ */
+function runDashboard(options) {
+  const opts = options || {};
+  const input = opts.input || process.stdin;
+  const output = opts.output || process.stdout;
+  const refreshMs = opts.refreshMs || DEFAULT_REFRESH_MS;
+  const cache = new ScanCache({ persist: false });
+
+  const load = () =>
+    loadDashboardData({
+      registry: loadRegistry(opts.registryPath),
+      cache,
+    });
+
+  let data = load();
+  let state = clampSelection(data, createDashboardState());
+
+  const draw = () => {
+    output.write(
+      '\u001b[H\u001b[2J' +
+        renderDashboard(data, state, {
+          width: output.columns || 100,
+          height: output.rows || 40,
+          color: supportsColor(output),
+        })
+    );
+  };
+
+  const reload = () => {
+    try {
+      data = load();
+      state = clampSelection(data, state);
+    } catch (err) {
+      state = { ...state, message: `Reload failed: ${err.message}` };
+    }
+    draw();
+  };
+
+  return new Promise((resolve) => {
+    const watcher = watchTasks({ registryPath: opts.registryPath });
+    watcher.on('change', reload);
+    const timer = setInterval(draw, refreshMs);
+
+    // Leave raw mode and the alternate screen however the process ends,
+    // so a crash or kill doesn't strand the user's shell.
+    let restored = false;
+    const restoreTerminal = () => {
+      if (restored) {
+        return;
+      }
+      restored = true;
+      if (input.isTTY) {
+        input.setRawMode(false);
+      }
+      output.write('\u001b[?25h\u001b[?1049l');
+    };
+    const onCrash = (err) => {
+      restoreTerminal();
+      process.stderr.write(`${err && err.stack ? err.stack : err}\n`);
+      process.exit(1);
+    };
+    const onSignal = (signal) => {
+      restoreTerminal();
+      process.exit(signal === 'SIGHUP' ? 129 : 143);
+    };
+    process.on('exit', restoreTerminal);
+    process.on('uncaughtException', onCrash);
+    process.on('SIGTERM', onSignal);
+    process.on('SIGHUP', onSignal);
+
+    const finish = () => {
+      clearInterval(timer);
+      watcher.stop();
+      input.removeListener('data', onData);
+      output.removeListener('resize', draw);
+      process.removeListener('exit', restoreTerminal);
+      process.removeListener('uncaughtException', onCrash);
+      process.removeListener('SIGTERM', onSignal);
+      process.removeListener('SIGHUP', onSignal);
+      input.pause();
+      restoreTerminal();
+      resolve();
+    };
+
+    const setStatus = (action) => {
+      const task = data.tasks.find((t) => t.id === action.taskId);
+      try {
+        updateTaskStatus(action.taskId, action.status, {
+          projectsRoot: data.registry.projects_root || '',
+          registry: data.registry,
+          taskFiles:
+            task && task._project ? task._project.task_files : undefined,
+          summary: 'Status set from the dashboard',
+          source: 'dashboard',
+        });
+        logger.info('Status changed from dashboard', {
+          taskId: action.taskId,
+          status: action.status,
+        });
+        reload();
+        state = {
+          ...state,
+          message: `${action.taskId} \u2192 ${action.status}`,
+        };
+      } catch (err) {
+        state = {
+          ...state,
+          message: `Could not update status: ${err.message}`,
+        };
+      }
+    };
+
+    function onData(chunk) {
+      for (const key of parseKeys(String(chunk))) {
+        const result = handleKey(state, key, data);
+        state = result.state;
+        const action = result.action;
+        if (action && action.type === 'quit') {
+          finish();
+          return;
+        }
+        if (action && action.type === 'reload') {
+          reload();
+        } else if (action && action.type === 'set-status') {
+          setStatus(action);
+        }
+      }
+      state = clampSelection(data, state);
+      draw();
+    }
+
+    output.write('\u001b[?1049h\u001b[?25l');
+    if (input.isTTY) {
+      input.setRawMode(true);
+    }
+    input.setEncoding('utf8');
+    input.on('data', onData);
+    input.resume();
+    output.on('resize', draw);
+    draw();
+  });
+}
+
+module.exports = {
+  loadDashboardData,
+  createDashboardState,
+  handleKey,
+  parseKeys,
+  renderDashboard,
+  runDashboard,
+  visibleQueue,
+  PANES,
+  STATUS_KEYS,
+};
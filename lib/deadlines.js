@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Deadline Module for the jade-dev-assist orchestrator.
+ *
+ * Compares the work remaining in each milestone with the time left before
+ * its `target_date`. Remaining work is the sum of the effort estimates
+ * (critical-path.js, in days) of the milestone's incomplete tasks; time
+ * left is counted in calendar days to the end of the target date.
+ *
+ * Urgency rises as remaining work approaches the days left: a milestone
+ * with 4 days of work due in 8 days has urgency 50, and one with as much
+ * work as days left (or more) has urgency 100. Milestones whose target
+ * date has passed with work remaining are overdue and also score 100.
+ * Milestones without a parseable target_date have no urgency.
+ */
+
+const {
+  DEFAULT_EFFORT_ESTIMATES,
+  milestoneKey,
+  taskDuration,
+} = require('./critical-path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Parse a target date to the end of that day, in milliseconds.
+ *
+ * Date-only values ("2026-03-15") are due at the end of the day (UTC);
+ * full timestamps are due at that instant.
+ *
+ * @param {string} targetDate
+ * @returns {number|null} Null if the date cannot be parsed.
+ */
+function deadlineTime(targetDate) {
+  if (typeof targetDate !== 'string') {
+    return null;
+  }
+  const time = Date.parse(targetDate);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  return /^\d{4}-\d{2}-\d{2}$/.test(targetDate) ? time + DAY_MS : time;
+}
+
+/**
+ * Urgency (0-100) from remaining work and days left.
+ *
+ * @param {number} remainingEffort - Days of work left.
+ * @param {number} daysLeft - Calendar days to the deadline (negative once passed).
+ * @returns {number}
+ */
+function urgencyFor(remainingEffort, daysLeft) {
+  if (remainingEffort === 0) {
+    return 0;
+  }
+  if (daysLeft <= 0) {
+    return 100;
+  }
+  return Math.min(100, (100 * remainingEffort) / daysLeft);
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Measure deadline pressure for every milestone with a target date.
+ *
+ * @param {Object[]} tasks - All tasks from scanTasks(), including
+ *   completed ones.
+ * @param {Object} [options]
+ * @param {Date|number} [options.now] - Reference time (default: now).
+ * @param {Object} [options.effort] - Overrides for DEFAULT_EFFORT_ESTIMATES.
+ * @returns {{
+ *   milestones: Array<{ key: string, project: string, name: string,
+ *     targetDate: string, daysLeft: number, remainingEffort: number,
+ *     remainingTasks: number, urgency: number, overdue: boolean,
+ *     atRisk: boolean }>,
+ *   byKey: Map<string, Object>
+ * }}
+ *   `atRisk` is set when remaining work exceeds the days left but the
+ *   target date has not passed yet. Milestones are sorted by urgency,
+ *   then by days left.
+ *
+ * @example
+ * const { milestones } = analyzeDeadlines(scanTasks().tasks);
+ * milestones.filter((m) => m.overdue).map((m) => m.name);
+ */
+function analyzeDeadlines(tasks, options) {
+  const opts = options || {};
+  const now = opts.now != null ? Number(opts.now) : Date.now();
+  const effort = { ...DEFAULT_EFFORT_ESTIMATES, ...(opts.effort || {}) };
+
+  const byKey = new Map();
+  for (const task of tasks) {
+    const key = milestoneKey(task);
+    if (!key) {
+      continue;
+    }
+
+    let entry = byKey.get(key);
+    if (!entry) {
+      const due = deadlineTime(task._milestone.target_date);
+      if (due === null) {
+        continue;
+      }
+      entry = {
+        key,
+        project: task._projectName,
+        name: task._milestone.name,
+        targetDate: task._milestone.target_date,
+        daysLeft: (due - now) / DAY_MS,
+        remainingEffort: 0,
+        remainingTasks: 0,
+        urgency: 0,
+        overdue: false,
+        atRisk: false,
+      };
+      byKey.set(key, entry);
+    }
+
+    if (task.status !== 'completed') {
+      entry.remainingEffort += taskDuration(task, effort);
+      entry.remainingTasks++;
+    }
+  }
+
+  for (const entry of byKey.values()) {
+    entry.urgency = urgencyFor(entry.remainingEffort, entry.daysLeft);
+    entry.overdue = entry.remainingTasks > 0 && entry.daysLeft < 0;
+    entry.atRisk =
+      !entry.overdue &&
+      entry.remainingTasks > 0 &&
+      entry.remainingEffort > entry.daysLeft;
+  }
+
+  const milestones = [...byKey.values()].sort(
+    (a, b) => b.urgency - a.urgency || a.daysLeft - b.daysLeft
+  );
+  return { milestones, byKey };
+}
+
+/**
+ * Urgency of a task on a 0-100 scale for use as a scoring factor.
+ *
+ * A task takes its milestone's urgency while it is incomplete. Tasks
+ * outside a dated milestone, and completed tasks, score 0.
+ *
+ * @param {Object} task
+ * @param {Object} analysis - Result of analyzeDeadlines().
+ * @returns {number}
+ */
+function computeUrgency(task, analysis) {
+  if (task.status === 'completed') {
+    return 0;
+  }
+  const key = milestoneKey(task);
+  const entry = key && analysis.byKey.get(key);
+  return entry ? entry.urgency : 0;
+}
+
+/**
+ * The deadline entry for a task's milestone, if it has one.
+ *
+ * @param {Object} task
+ * @param {Object} analysis - Result of analyzeDeadlines().
+ * @returns {Object|null}
+ */
+function deadlineFor(task, analysis) {
+  const key = milestoneKey(task);
+  return (key && analysis.byKey.get(key)) || null;
+}
+
+module.exports = {
+  analyzeDeadlines,
+  computeUrgency,
+  deadlineFor,
+  // Exposed for testing
+  deadlineTime,
+  urgencyFor,
+};
@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+ * Dependency Graph Module for the jade-dev-assist orchestrator.
+ *
+ * Builds the task dependency graph from scanTasks() output and checks it
+ * for structural problems:
+ * - cycles: tasks that transitively block themselves
+ * - dangling edges: blocked_by / unlocks entries naming unknown task IDs
+ *   (including IDs in other projects that were not scanned)
+ * - asymmetric edges: A.unlocks contains B but B.blocked_by lacks A, or
+ *   the reverse
+ *
+ * repairDependencyGraph() rewrites tasks.json files to add the missing
+ * reverse edges. Cycles and dangling edges need a human and are never
+ * auto-repaired.
+ */
+
+const { createLogger } = require('./logger');
+const { readTasksFile, updateTasksFile } = require('./task-store');
+
+const logger = createLogger('dependency-graph');
+
+/**
+ * Issue kinds reported by analyzeDependencies(), with their severity.
+ * Errors fail strict scans; warnings are informational.
+ */
+const ISSUE_SEVERITY = {
+  cycle: 'error',
+  dangling_blocker: 'error',
+  dangling_unlock: 'warning',
+  asymmetric_edge: 'warning',
+};
+
+// ── Graph Construction ───────────────────────────────────────────────
+
+/**
+ * Extract the project prefix from a task ID ("project/task" -> "project").
+ *
+ * @param {string} taskId
+ * @returns {string|null} Project name, or null for unprefixed IDs.
+ */
+function projectOf(taskId) {
+  const slashIdx = taskId.indexOf('/');
+  return slashIdx === -1 ? null : taskId.slice(0, slashIdx);
+}
+
+/**
+ * Build the dependency graph for a set of tasks.
+ *
+ * Edges point from a blocker to the task it blocks. Both `blocked_by` and
+ * `unlocks` contribute edges, so a one-sided declaration is still followed.
+ * Edges to unknown IDs are left out of the adjacency lists.
+ *
+ * @param {Object[]} tasks - Tasks from scanTasks().
+ * @returns {{ byId: Map<string, Object>, dependents: Map<string, Set<string>>, blockers: Map<string, Set<string>> }}
+ */
+function buildDependencyGraph(tasks) {
+  const byId = new Map();
+  for (const task of tasks) {
+    byId.set(task.id, task);
+  }
+
+  const dependents = new Map();
+  const blockers = new Map();
+  for (const id of byId.keys()) {
+    dependents.set(id, new Set());
+    blockers.set(id, new Set());
+  }
+
+  const addEdge = (from, to) => {
+    if (byId.has(from) && byId.has(to)) {
+      dependents.get(from).add(to);
+      blockers.get(to).add(from);
+    }
+  };
+
+  for (const task of tasks) {
+    for (const blockerId of task.blocked_by || []) {
+      addEdge(blockerId, task.id);
+    }
+    for (const unlockedId of task.unlocks || []) {
+      addEdge(task.id, unlockedId);
+    }
+  }
+
+  return { byId, dependents, blockers };
+}
+
+// ── Cycle Detection ──────────────────────────────────────────────────
+
+/**
+ * Find dependency cycles using Tarjan's strongly connected components.
+ *
+ * Every component with more than one task, or a task that blocks itself,
+ * is reported as one cycle.
+ *
+ * @param {{ byId: Map, dependents: Map }} graph - From buildDependencyGraph().
+ * @returns {string[][]} Task IDs per cycle, each sorted for stable output.
+ */
+function findCycles(graph) {
+  const index = new Map();
+  const lowlink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  const strongConnect = (id) => {
+    index.set(id, counter);
+    lowlink.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of graph.dependents.get(id)) {
+      if (!index.has(next)) {
+        strongConnect(next);
+        lowlink.set(id, Math.min(lowlink.get(id), lowlink.get(next)));
+      } else if (onStack.has(next)) {
+        lowlink.set(id, Math.min(lowlink.get(id), index.get(next)));
+      }
+    }
+
+    if (lowlink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1 || graph.dependents.get(id).has(id)) {
+        cycles.push(component.sort());
+      }
+    }
+  };
+
+  for (const id of graph.byId.keys()) {
+    if (!index.has(id)) {
+      strongConnect(id);
+    }
+  }
+
+  return cycles;
+}
+
+// ── Analysis ─────────────────────────────────────────────────────────
+
+/**
+ * Analyze the dependency graph of a set of tasks.
+ *
+ * @param {Object[]} tasks - Tasks from scanTasks().
+ * @returns {{
+ *   cycles: string[][],
+ *   dangling: Array<{ taskId: string, targetId: string, field: string, crossProject: boolean }>,
+ *   asymmetric: Array<{ taskId: string, targetId: string, missingField: string, missingOn: string }>,
+ *   issues: Object[]
+ * }}
+ *   `issues` is a flat list in scanner error format:
+ *   { type: 'dependency_error'|'dependency_warning', kind, project, path, taskId, message }.
+ */
+function analyzeDependencies(tasks) {
+  const graph = buildDependencyGraph(tasks);
+  const dangling = [];
+  const asymmetric = [];
+  const seenAsymmetric = new Set();
+
+  for (const task of tasks) {
+    for (const [field, reverseField] of [
+      ['blocked_by', 'unlocks'],
+      ['unlocks', 'blocked_by'],
+    ]) {
+      for (const targetId of task[field] || []) {
+        const target = graph.byId.get(targetId);
+        if (!target) {
+          const targetProject = projectOf(targetId);
+          dangling.push({
+            taskId: task.id,
+            targetId,
+            field,
+            crossProject:
+              targetProject !== null && targetProject !== projectOf(task.id),
+          });
+          continue;
+        }
+
+        if (!(target[reverseField] || []).includes(task.id)) {
+          // The same missing edge is found from either side only once,
+          // because the other side does not declare it
+          const key = `${targetId}|${reverseField}|${task.id}`;
+          if (!seenAsymmetric.has(key)) {
+            seenAsymmetric.add(key);
+            asymmetric.push({
+              taskId: task.id,
+              targetId,
+              missingField: reverseField,
+              missingOn: targetId,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  const cycles = findCycles(graph);
+
+  // Flatten into scanner-style issue entries
+  const issues = [];
+  const issueFor = (kind, task, message) => {
+    const severity = ISSUE_SEVERITY[kind];
+    return {
+      type: severity === 'error' ? 'dependency_error' : 'dependency_warning',
+      kind,
+      project: task ? task._projectName : undefined,
+      path: task ? task._sourcePath : undefined,
+      taskId: task ? task.id : undefined,
+      message,
+    };
+  };
+
+  for (const cycle of cycles) {
+    issues.push(
+      issueFor(
+        'cycle',
+        graph.byId.get(cycle[0]),
+        `Dependency cycle: ${cycle.join(' -> ')} -> ${cycle[0]}`
+      )
+    );
+  }
+
+  for (const edge of dangling) {
+    const kind =
+      edge.field === 'blocked_by' ? 'dangling_blocker' : 'dangling_unlock';
+    const where = edge.crossProject
+      ? ` (project '${projectOf(edge.targetId)}' has no such task or was not scanned)`
+      : '';
+    issues.push(
+      issueFor(
+        kind,
+        graph.byId.get(edge.taskId),
+        `Task '${edge.taskId}' ${edge.field} references unknown task '${edge.targetId}'${where}`
+      )
+    );
+  }
+
+  for (const edge of asymmetric) {
+    issues.push(
+      issueFor(
+        'asymmetric_edge',
+        graph.byId.get(edge.missingOn),
+        `Task '${edge.missingOn}' is missing '${edge.taskId}' in ${edge.missingField}`
+      )
+    );
+  }
+
+  return { cycles, dangling, asymmetric, issues };
+}
+
+// ── Repair ───────────────────────────────────────────────────────────
+
+/**
+ * Add missing reverse edges to tasks.json files.
+ *
+ * For every asymmetric edge found by analyzeDependencies(), appends the
+ * missing ID to the other task's `blocked_by` or `unlocks` in the file it
+ * was scanned from (`task._sourcePath`). Tasks in other projects are
+ * repaired in their own files.
+ *
+ * @param {Object[]} tasks - Tasks from scanTasks().
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - If true, report changes without writing.
+ * @returns {{ repaired: Array<{ taskId: string, field: string, added: string, path: string }>, filesWritten: string[], skipped: Object[] }}
+ */
+function repairDependencyGraph(tasks, options) {
+  const opts = options || {};
+  const { asymmetric } = analyzeDependencies(tasks);
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+
+  // Group the edits by file so each file is read and written once
+  const editsByFile = new Map();
+  const skipped = [];
+  for (const edge of asymmetric) {
+    const target = byId.get(edge.missingOn);
+    if (!target._sourcePath) {
+      skipped.push({ ...edge, reason: 'Task has no source file' });
+      continue;
+    }
+    if (!editsByFile.has(target._sourcePath)) {
+      editsByFile.set(target._sourcePath, []);
+    }
+    editsByFile.get(target._sourcePath).push(edge);
+  }
+
+  const repaired = [];
+  const filesWritten = [];
+
+  for (const [filePath, edits] of editsByFile) {
+    const applyEdits = (data) => {
+      const fileTasks = data.tasks || [];
+
+      for (const edge of edits) {
+        const entry = fileTasks.find((t) => t.id === edge.missingOn);
+        if (!entry) {
+          skipped.push({ ...edge, reason: `Task not found in ${filePath}` });
+          continue;
+        }
+        if (!Array.isArray(entry[edge.missingField])) {
+          entry[edge.missingField] = [];
+        }
+        if (!entry[edge.missingField].includes(edge.taskId)) {
+          entry[edge.missingField].push(edge.taskId);
+        }
+        repaired.push({
+          taskId: edge.missingOn,
+          field: edge.missingField,
+          added: edge.taskId,
+          path: filePath,
+        });
+      }
+    };
+
+    if (opts.dryRun) {
+      applyEdits(readTasksFile(filePath));
+    } else {
+      updateTasksFile(filePath, applyEdits, { source: 'dependency-graph' });
+      filesWritten.push(filePath);
+    }
+  }
+
+  logger.info('Dependency graph repair', {
+    repaired: repaired.length,
+    filesWritten: filesWritten.length,
+    skipped: skipped.length,
+    dryRun: !!opts.dryRun,
+  });
+
+  return { repaired, filesWritten, skipped };
+}
+
+module.exports = {
+  analyzeDependencies,
+  repairDependencyGraph,
+  buildDependencyGraph,
+  findCycles,
+  ISSUE_SEVERITY,
+};
@@ -5,7 +5,8 @@
  *
  * Constructs a swarm worker prompt and prepares dispatch into the target
  * project directory. Reads the task details, project CLAUDE.md, and
- * relevant source files. Enforces the 60K token initial prompt cap.
+ * relevant source files. Enforces the 60K token initial prompt cap,
+ * counting tokens with the configured token counter (see token-counter.js).
  *
  * See ~/docs/plans/2026-02-02-jade-dev-assist-orchestrator-design.md Section 3.5.
  */
@@ -14,7 +15,14 @@ const fs = require("fs");
 const path = require("path");
 const { createLogger } = require("./logger");
 const { updateTaskStatus } = require("./status-updater");
-const DocLoader = require("./doc-loader");
+const { loadDocContext, resolveDocsRoots } = require("./doc-context");
+const { renderWorkerPrompt } = require("./prompt-templates");
+const { excerptFile } = require("./file-excerpter");
+const {
+  inferRelevantFiles,
+  AUTO_FILL_CONFIDENCE,
+} = require("./file-inference");
+const { getTokenCounter, heuristicCounter } = require("./token-counter");
 
 const logger = createLogger("dispatcher");
 
@@ -30,12 +38,6 @@ const TOKEN_BUDGET = 60000;
  */
 const DEFAULT_MAX_TURNS = 25;
 
-/**
- * Approximate characters per token for the heuristic estimator.
- * Claude tokenizes at roughly 4 characters per token on average.
- */
-const CHARS_PER_TOKEN = 4;
-
 /**
  * Token budget reserved for the non-file parts of the prompt
  * (template, task info, CLAUDE.md, constraints, etc.).
@@ -43,92 +45,32 @@ const CHARS_PER_TOKEN = 4;
  */
 const PROMPT_OVERHEAD_TOKENS = 5000;
 
+/**
+ * Share of the prompt budget left after the template that documentation
+ * may use. Relevant files get the rest.
+ */
+const DOC_BUDGET_SHARE = 0.25;
+
+/**
+ * Doc budget when the share would be smaller, as long as the prompt has
+ * room for it.
+ */
+const MIN_DOC_TOKENS = 500;
+
 // ── Token Estimation ─────────────────────────────────────────────────
 
 /**
  * Estimate the token count of a string using a simple heuristic.
  *
- * Uses ~4 characters per token, which is a reasonable approximation
- * for English text and source code processed by Claude's tokenizer.
+ * Uses ~4 characters per token. This is the fallback counter; budgets
+ * are enforced with getTokenCounter() from token-counter.js, and this
+ * estimate is logged next to it for calibration.
  *
  * @param {string} text - The text to estimate.
  * @returns {number} Estimated token count.
  */
 function estimateTokens(text) {
-  if (!text) {
-    return 0;
-  }
-  return Math.ceil(text.length / CHARS_PER_TOKEN);
-}
-
-// ── Documentation Context Loading ──────────────────────────────────
-
-/**
- * Inject relevant documentation context into the prompt.
- * Uses DocLoader to find docs relevant to the task.
- *
- * @param {Object} task - Task object
- * @param {string} docsRoot - Root path to documentation directory
- * @param {number} [maxTokens=500] - Max tokens for doc context
- * @returns {{ context: string, docsIncluded: number, tokens: number }}
- */
-function loadDocContext(task, docsRoot, maxTokens = 500) {
-  const result = {
-    context: "",
-    docsIncluded: 0,
-    tokens: 0,
-  };
-
-  try {
-    if (!docsRoot || !fs.existsSync(docsRoot)) {
-      logger.debug("Docs root not found, skipping doc context injection");
-      return result;
-    }
-
-    const loader = new DocLoader(docsRoot);
-    const relevantDocs = loader.getRelevantDocs(task, 3);
-
-    if (relevantDocs.length === 0) {
-      logger.debug("No relevant docs found for task", { taskId: task.id });
-      return result;
-    }
-
-    // Format docs for injection
-    const sections = [];
-    let totalTokens = 0;
-
-    for (const doc of relevantDocs) {
-      const docTokens = loader.estimateTokens(doc);
-
-      // Stop if we'd exceed the token budget
-      if (totalTokens + docTokens > maxTokens) {
-        break;
-      }
-
-      sections.push(`### ${doc.title}\n${doc.summary}`);
-      totalTokens += docTokens;
-      result.docsIncluded++;
-    }
-
-    if (sections.length > 0) {
-      result.context =
-        "\n## Relevant Documentation\n\n" + sections.join("\n\n") + "\n";
-      result.tokens = totalTokens;
-    }
-
-    logger.debug("Injected doc context", {
-      taskId: task.id,
-      docsIncluded: result.docsIncluded,
-      tokens: result.tokens,
-    });
-  } catch (error) {
-    logger.warn("Error loading doc context", {
-      error: error.message,
-      taskId: task.id,
-    });
-  }
-
-  return result;
+  return heuristicCounter.count(text);
 }
 
 // ── Prompt Construction ──────────────────────────────────────────────
@@ -155,19 +97,25 @@ function readClaudeMd(projectPath) {
  * Read relevant files from the project, respecting the token budget.
  *
  * Files are read in order. Each file is included fully if it fits within
- * the remaining budget. If a file would exceed the budget, it is truncated
- * to fit. If there is no room at all, the file is skipped.
+ * the remaining budget. If a file would exceed the budget, it is excerpted
+ * to fit: the regions most relevant to the task are kept under line-number
+ * headers, with an outline of the rest (see file-excerpter.js). If there
+ * is no room at all, the file is skipped.
  *
  * @param {string[]} filePaths   - Relative file paths from the task.
  * @param {string}   projectPath - Absolute path to the project root.
  * @param {number}   tokenBudget - Maximum tokens available for file contents.
- * @returns {{ sections: string[], filesIncluded: number, filesTrimmed: number }}
+ * @param {Object}   [counter]   - Token counter (default: getTokenCounter()).
+ * @param {Object}   [task]      - Task the excerpts are ranked against.
+ * @returns {{ sections: string[], filesIncluded: number, filesTrimmed: number, filesExcerpted: number }}
  */
-function readRelevantFiles(filePaths, projectPath, tokenBudget) {
+function readRelevantFiles(filePaths, projectPath, tokenBudget, counter, task) {
+  const tokenCounter = counter || getTokenCounter();
   const sections = [];
   let tokensUsed = 0;
   let filesIncluded = 0;
   let filesTrimmed = 0;
+  let filesExcerpted = 0;
 
   for (const relPath of filePaths) {
     const fullPath = path.join(projectPath, relPath);
@@ -185,9 +133,9 @@ function readRelevantFiles(filePaths, projectPath, tokenBudget) {
     // Build the section for this file
     const header = `### ${relPath}\n\n\`\`\`\n`;
     const footer = "\n```\n";
-    const headerFooterTokens = estimateTokens(header + footer);
+    const headerFooterTokens = tokenCounter.count(header + footer);
 
-    const contentTokens = estimateTokens(content);
+    const contentTokens = tokenCounter.count(content);
     const totalFileTokens = headerFooterTokens + contentTokens;
 
     const remainingBudget = tokenBudget - tokensUsed;
@@ -204,135 +152,148 @@ function readRelevantFiles(filePaths, projectPath, tokenBudget) {
       tokensUsed += totalFileTokens;
       filesIncluded++;
     } else {
-      // Truncate file content to fit remaining budget
-      const availableContentTokens = remainingBudget - headerFooterTokens;
-      const availableChars = availableContentTokens * CHARS_PER_TOKEN;
-      const truncatedContent = content.slice(0, availableChars);
-      const truncationNote = "\n\n... [file truncated to fit token budget] ...";
-      sections.push(header + truncatedContent + truncationNote + footer);
-      tokensUsed += remainingBudget;
-      filesIncluded++;
+      // Keep the regions most relevant to the task
+      const excerpt = excerptFile(
+        relPath,
+        content,
+        task,
+        remainingBudget,
+        tokenCounter,
+      );
       filesTrimmed++;
+      if (!excerpt) {
+        continue;
+      }
+      sections.push(excerpt.section);
+      tokensUsed += excerpt.tokens;
+      filesIncluded++;
+      filesExcerpted++;
+      logger.debug("Excerpted relevant file", {
+        file: relPath,
+        regions: excerpt.regions,
+        regionsIncluded: excerpt.regionsIncluded,
+        linesIncluded: excerpt.linesIncluded,
+      });
     }
   }
 
-  return { sections, filesIncluded, filesTrimmed };
+  return { sections, filesIncluded, filesTrimmed, filesExcerpted };
 }
 
 /**
  * Build the worker prompt for a given task and project.
  *
- * The prompt follows the template defined in the design doc Section 3.5:
+ * The prompt is rendered from a template (see prompt-templates.js). The
+ * default follows the design doc Section 3.5:
  * - Swarm worker preamble with project name
  * - Your Assignment section (title, description)
  * - Feature Description section
  * - Acceptance Criteria section
  * - Project Context (CLAUDE.md contents)
- * - Relevant Files (trimmed to fit budget)
+ * - Relevant Documentation (doc summaries and sections from the docs
+ *   roots, within a share of the budget the template leaves; see
+ *   doc-context.js)
  * - Constraints section (project path, TDD, test command)
  * - Skills to Use section
  *
+ * Projects override it in .claude/prompts/worker.md, and templates are
+ * selected by task label or complexity. Relevant Files (excerpted to fit
+ * budget) are appended after the template.
+ *
  * @param {Object} task    - Task object (from scanner, with _project metadata).
  * @param {Object} project - Project registry entry.
  * @param {Object} [options]
  * @param {string} [options.projectsRoot] - Root directory containing project directories.
- * @returns {{ prompt: string, meta: Object }}
+ * @param {string|Object} [options.tokenCounter] - Token counter name or
+ *   object (see token-counter.js; default "bpe").
+ * @param {string} [options.template] - Prompt template name, instead of
+ *   selecting one by label or complexity.
+ * @param {Object} [options.registry] - The loaded registry, for its
+ *   `docs_roots`.
+ * @param {string[]} [options.docsRoots] - Docs roots to use instead of
+ *   the registry's and project's (see doc-context.js).
+ * @param {string} [options.docContent="both"] - Doc context: "summaries",
+ *   "sections" or "both".
+ * @param {number} [options.maxDocs=5] - Most docs considered.
+ * @param {boolean} [options.inferFiles=false] - When the task lists no
+ *   relevant_files, include the files file-inference.js proposes with
+ *   high confidence (reported in `meta.inferredFiles`). Off by default:
+ *   inference runs git and reads the project's sources.
+ * @returns {{ prompt: string, meta: Object }} `meta.tokenEstimate` is the
+ *   counter's count, `meta.heuristicTokens` the ~4 chars/token estimate.
  */
 function buildWorkerPrompt(task, project, options) {
   const opts = options || {};
+  const counter = getTokenCounter(opts);
   const projectsRoot = opts.projectsRoot || "";
   const projectPath = path.join(projectsRoot, project.path || project.name);
 
   // ── Read CLAUDE.md ──────────────────────────────────────────────
   const claudeMdContent = readClaudeMd(projectPath);
 
-  // ── Build prompt sections ───────────────────────────────────────
-
-  const feature = task.feature || {};
-  const criteria = feature.acceptance_criteria || [];
-  const testCommand = project.test_command || null;
-
-  const parts = [];
-
-  // Preamble
-  parts.push(
-    `You are a swarm worker executing a task in the ${project.name} project.\n`,
+  // ── Size the doc budget from the template without docs ──────
+  const renderOptions = { template: opts.template };
+  let rendered = renderWorkerPrompt(
+    task,
+    project,
+    projectPath,
+    { claudeMd: claudeMdContent, docContext: "" },
+    renderOptions,
+  );
+  const remainingTokens =
+    TOKEN_BUDGET - PROMPT_OVERHEAD_TOKENS - counter.count(rendered.prompt);
+  const docBudget = Math.max(
+    0,
+    Math.min(
+      remainingTokens,
+      Math.max(MIN_DOC_TOKENS, Math.floor(remainingTokens * DOC_BUDGET_SHARE)),
+    ),
   );
 
-  // Assignment
-  parts.push("## Your Assignment\n");
-  parts.push(task.title || "(untitled task)");
-  parts.push("");
-  if (task.description) {
-    parts.push(task.description);
-    parts.push("");
-  }
-
-  // Feature Description
-  if (feature.description) {
-    parts.push("## Feature Description\n");
-    parts.push(feature.description);
-    parts.push("");
-  }
-
-  // Acceptance Criteria
-  if (criteria.length > 0) {
-    parts.push("## Acceptance Criteria\n");
-    for (const criterion of criteria) {
-      parts.push(`- ${criterion}`);
-    }
-    parts.push("");
-  }
-
-  // Project Context
-  if (claudeMdContent) {
-    parts.push("## Project Context\n");
-    parts.push(claudeMdContent);
-    parts.push("");
-  }
-
-  // Documentation Context (if available)
-  const docsRoot = path.join(
-    path.dirname(projectPath),
-    "jadecli-codespaces",
-    "docs",
+  // ── Documentation Context (if available) ────────────────────────
+  const docResult = loadDocContext(
+    task,
+    resolveDocsRoots(project, projectPath, {
+      registry: opts.registry,
+      projectsRoot: opts.projectsRoot,
+      docsRoots: opts.docsRoots,
+    }),
+    docBudget,
+    { tokenCounter: counter, content: opts.docContent, maxDocs: opts.maxDocs },
   );
-  const docResult = loadDocContext(task, docsRoot, 500);
+
+  // ── Render the prompt template (without files) ──────────────────
   if (docResult.context) {
-    parts.push(docResult.context);
-    parts.push("");
+    rendered = renderWorkerPrompt(
+      task,
+      project,
+      projectPath,
+      {
+        claudeMd: claudeMdContent,
+        docContext: docResult.context.replace(/^\n+|\n+$/g, ""),
+      },
+      renderOptions,
+    );
   }
-
-  // Constraints
-  parts.push("## Constraints\n");
-  parts.push(`- Only modify files within ${project.path || project.name}/`);
-  parts.push("- Follow TDD: write failing test first, then implement");
-  if (testCommand) {
-    parts.push(`- Run ${testCommand} before reporting completion`);
+  const basePrompt = rendered.prompt;
+  const baseTokens = counter.count(basePrompt);
+
+  // ── Infer relevant files when the task lists none ───────────────
+  let relevantFiles = task.relevant_files || [];
+  let inferredFiles = [];
+  if (relevantFiles.length === 0 && opts.inferFiles === true) {
+    inferredFiles = inferRelevantFiles(task, projectPath, {
+      taskFiles: project.task_files,
+      minConfidence: AUTO_FILL_CONFIDENCE,
+    });
+    relevantFiles = inferredFiles.map((file) => file.path);
   }
-  parts.push("- Report results in structured JSON format");
-  parts.push("");
-
-  // Skills
-  parts.push("## Skills to Use\n");
-  parts.push(
-    "- test-driven-development (mandatory for all implementation tasks)",
-  );
-  parts.push(
-    "- verification-before-completion (mandatory before reporting done)",
-  );
-  parts.push("- systematic-debugging (if tests fail unexpectedly)");
-  parts.push("");
-
-  // ── Assemble base prompt (without files) ────────────────────────
-  const basePrompt = parts.join("\n");
-  const baseTokens = estimateTokens(basePrompt);
 
   // ── Read and include relevant files within budget ───────────────
-  const relevantFiles = task.relevant_files || [];
   let fileSections = [];
   let filesIncluded = 0;
   let filesTrimmed = 0;
+  let filesExcerpted = 0;
 
   if (relevantFiles.length > 0) {
     // Reserve budget for file content
@@ -343,10 +304,13 @@ function buildWorkerPrompt(task, project, options) {
         relevantFiles,
         projectPath,
         fileBudget,
+        counter,
+        task,
       );
       fileSections = fileResult.sections;
       filesIncluded = fileResult.filesIncluded;
       filesTrimmed = fileResult.filesTrimmed;
+      filesExcerpted = fileResult.filesExcerpted;
     } else {
       // No room for files at all
       filesTrimmed = relevantFiles.length;
@@ -356,17 +320,37 @@ function buildWorkerPrompt(task, project, options) {
   // ── Build final prompt ──────────────────────────────────────────
   let finalPrompt = basePrompt;
   if (fileSections.length > 0) {
-    finalPrompt += "## Relevant Files\n\n" + fileSections.join("\n");
+    finalPrompt += "## Relevant Files\n\n";
+    if (inferredFiles.length > 0) {
+      finalPrompt +=
+        "_The task lists no files; these were inferred from it and may be incomplete._\n\n";
+    }
+    finalPrompt += fileSections.join("\n");
   }
 
-  const tokenEstimate = estimateTokens(finalPrompt);
+  const tokenEstimate = counter.count(finalPrompt);
 
   return {
     prompt: finalPrompt,
     meta: {
       tokenEstimate,
+      tokenCounter: counter.name,
+      heuristicTokens: estimateTokens(finalPrompt),
       filesIncluded,
       filesTrimmed,
+      filesExcerpted,
+      inferredFiles,
+      template: rendered.template,
+      templateError: rendered.error || null,
+      docs: {
+        budget: docResult.budget,
+        tokens: docResult.tokens,
+        docsIncluded: docResult.docsIncluded,
+        sectionsIncluded: docResult.sectionsIncluded,
+        roots: docResult.roots,
+        included: docResult.included,
+        skipped: docResult.skipped,
+      },
       projectPath,
     },
   };
@@ -378,9 +362,12 @@ function buildWorkerPrompt(task, project, options) {
  * Dispatch a swarm worker for a given task.
  *
  * 1. Builds the worker prompt using buildWorkerPrompt().
- * 2. Logs the token estimate for the prompt.
+ * 2. Logs the token estimate for the prompt, next to the heuristic
+ *    estimate for calibration.
  * 3. Warns if the prompt exceeds the 60K token budget.
- * 4. Updates the task status to in_progress in tasks.json.
+ * 4. Updates the task status to in_progress in tasks.json. The state
+ *    machine refuses this while a `blocked_by` task is incomplete (see
+ *    task-states.js), which aborts the dispatch unless `force` is set.
  * 5. Returns a dispatch descriptor with the prompt, working directory,
  *    and max turns (the actual worker launch is handled by the caller).
  *
@@ -393,7 +380,13 @@ function buildWorkerPrompt(task, project, options) {
  * @param {string} [options.projectsRoot] - Root directory containing project directories.
  * @param {boolean} [options.dryRun]      - If true, do not spawn a worker process.
  * @param {boolean} [options.silent]      - If true, suppress logging output.
+ * @param {boolean} [options.force]       - Start the task even if the
+ *   state machine refuses the transition.
+ * @param {Object} [options.registry]     - The loaded registry, for docs
+ *   roots and the projects searched for dependents.
  * @returns {{ prompt: string, workingDirectory: string, maxTurns: number, meta: Object }}
+ * @throws {Error} With code TASK_TRANSITION_BLOCKED or
+ *   TASK_TRANSITION_INVALID if the task cannot be started.
  */
 function dispatchWorker(task, project, options) {
   const opts = options || {};
@@ -410,7 +403,15 @@ function dispatchWorker(task, project, options) {
     logger.info("Token estimate for task", {
       taskId: task.id,
       tokens: tokenEstimate,
+      counter: promptResult.meta.tokenCounter,
+      heuristic: promptResult.meta.heuristicTokens,
     });
+    if (promptResult.meta.inferredFiles.length > 0) {
+      logger.info("Inferred relevant files for task", {
+        taskId: task.id,
+        files: promptResult.meta.inferredFiles.map((file) => file.path),
+      });
+    }
   }
 
   // Warn if prompt exceeds budget
@@ -424,8 +425,16 @@ function dispatchWorker(task, project, options) {
 
   // Update task status to in_progress
   try {
-    updateTaskStatus(task.id, "in_progress", { projectsRoot });
+    updateTaskStatus(task.id, "in_progress", {
+      projectsRoot,
+      registry: opts.registry,
+      source: "dispatcher",
+      force: opts.force,
+    });
   } catch (err) {
+    if (err.code && err.code.startsWith("TASK_TRANSITION_")) {
+      throw err;
+    }
     // If tasks.json doesn't exist or can't be updated, warn but continue
     logger.warn("Could not update task status", {
       taskId: task.id,
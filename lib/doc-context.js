@@ -0,0 +1,434 @@
+'use strict';
+
+/**
+ * Doc Context Module for the jade-dev-assist orchestrator.
+ *
+ * Selects the documentation injected into worker prompts. Docs come from
+ * one or more docs roots (each a DocLoader tree with generated summaries
+ * and Markdown sources), configured per registry and per project:
+ *
+ *   { "docs_roots": ["~/docs", "../jadecli-codespaces/docs"], "projects": [
+ *     { "name": "jade-index", "path": "jade-index", "docs_roots": ["docs"] } ] }
+ *
+ * Project roots come first and registry roots after; a doc found in an
+ * earlier root shadows the doc of the same name in a later one. Without
+ * any configured root, the sibling jadecli-codespaces/docs directory is
+ * used.
+ *
+ * Within its token budget the context holds the summaries of the most
+ * relevant docs, then the sections of their Markdown sources that best
+ * match the task. Every doc considered is reported as included or
+ * skipped, with the reason.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocLoader = require('./doc-loader');
+const { createLogger } = require('./logger');
+const { getTokenCounter } = require('./token-counter');
+const { extractTaskTerms, splitWords } = require('./file-excerpter');
+
+const logger = createLogger('doc-context');
+
+// ── Constants ────────────────────────────────────────────────────────
+
+/**
+ * Most docs whose summaries are considered for one task.
+ */
+const DEFAULT_MAX_DOCS = 5;
+
+/**
+ * What the context may include: DocLoader summaries, full sections of
+ * the docs' Markdown sources, or both.
+ */
+const DOC_CONTENT_MODES = ['summaries', 'sections', 'both'];
+
+/**
+ * Score of a task term in a section heading, relative to one in its body.
+ */
+const HEADING_WEIGHT = 3;
+
+/**
+ * Body hits counted per term, so one long section does not win on
+ * repetition alone.
+ */
+const MAX_TERM_HITS = 3;
+
+// ── Docs Roots ───────────────────────────────────────────────────────
+
+/**
+ * Resolve a configured docs root: `~/` is the home directory, and a
+ * relative path is relative to `base`.
+ *
+ * @param {string} root
+ * @param {string} base
+ * @returns {string}
+ */
+function resolveRoot(root, base) {
+  if (root === '~' || root.startsWith('~/')) {
+    return path.join(os.homedir(), root.slice(1));
+  }
+  return path.resolve(base, root);
+}
+
+/**
+ * List the docs roots for a project, in precedence order.
+ *
+ * 1. `options.docsRoots`, when given, replaces the configuration.
+ * 2. The project's `docs_roots`, relative to the project directory.
+ * 3. The registry's `docs_roots`, relative to the projects root.
+ * 4. Without any of those, `jadecli-codespaces/docs` next to the project.
+ *
+ * Duplicate paths are listed once.
+ *
+ * @param {Object} project - Project registry entry.
+ * @param {string} projectPath - Absolute path to the project root.
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - The loaded registry.
+ * @param {string} [options.projectsRoot] - Root directory containing
+ *   project directories (default: the registry's `projects_root`).
+ * @param {string[]} [options.docsRoots] - Roots to use instead.
+ * @returns {Array<{ path: string, source: string }>} `source` is
+ *   "option", "project", "registry" or "default".
+ */
+function resolveDocsRoots(project, projectPath, options) {
+  const opts = options || {};
+  const registry = opts.registry || {};
+  const projectsRoot = opts.projectsRoot || registry.projects_root || '';
+
+  const configured = opts.docsRoots
+    ? opts.docsRoots.map((root) => ({
+        path: resolveRoot(root, process.cwd()),
+        source: 'option',
+      }))
+    : [
+        ...((project && project.docs_roots) || []).map((root) => ({
+          path: resolveRoot(root, projectPath),
+          source: 'project',
+        })),
+        ...(registry.docs_roots || []).map((root) => ({
+          path: resolveRoot(root, projectsRoot),
+          source: 'registry',
+        })),
+      ];
+
+  const roots =
+    configured.length > 0 || opts.docsRoots
+      ? configured
+      : [
+          {
+            path: path.join(
+              path.dirname(projectPath),
+              'jadecli-codespaces',
+              'docs'
+            ),
+            source: 'default',
+          },
+        ];
+
+  const seen = new Set();
+  return roots.filter((root) => {
+    if (seen.has(root.path)) {
+      return false;
+    }
+    seen.add(root.path);
+    return true;
+  });
+}
+
+// ── Sections ─────────────────────────────────────────────────────────
+
+/**
+ * Score a doc section against the task: task words in its heading count
+ * HEADING_WEIGHT each, and in its body once per hit, up to MAX_TERM_HITS.
+ *
+ * @param {{ heading: string, text: string }} section
+ * @param {Set<string>} terms - Stemmed task words (see extractTaskTerms).
+ * @returns {number}
+ */
+function scoreSection(section, terms) {
+  let score = 0;
+  for (const word of new Set(splitWords(section.heading))) {
+    if (terms.has(word)) {
+      score += HEADING_WEIGHT;
+    }
+  }
+  const hits = new Map();
+  for (const word of splitWords(section.text)) {
+    if (terms.has(word)) {
+      hits.set(word, Math.min(MAX_TERM_HITS, (hits.get(word) || 0) + 1));
+    }
+  }
+  for (const count of hits.values()) {
+    score += count;
+  }
+  return score;
+}
+
+/**
+ * Render one doc: its summary, then its sections in source order.
+ *
+ * @param {Object} entry - `{ doc, summary, sections }`.
+ * @returns {string}
+ */
+function renderDoc(entry) {
+  const lines = [`### ${entry.doc.title || entry.name}`];
+  if (entry.summary) {
+    lines.push(entry.summary);
+  }
+  const sections = [...entry.sections].sort(
+    (a, b) => a.file.localeCompare(b.file) || a.line - b.line
+  );
+  for (const section of sections) {
+    lines.push(
+      '',
+      `#### ${section.heading} (${section.file})`,
+      '',
+      section.text
+    );
+  }
+  return lines.join('\n');
+}
+
+// ── Context ──────────────────────────────────────────────────────────
+
+/**
+ * Build the documentation context for a task.
+ *
+ * 1. Each root's DocLoader finds the docs relevant to the task. A doc
+ *    already found in an earlier root is skipped as "shadowed", and docs
+ *    past `maxDocs` as "limit".
+ * 2. Summaries (`### Title` and summary text) are added in relevance
+ *    order while they fit; one that does not is skipped as "over-budget",
+ *    along with its sections.
+ * 3. The sections of those docs' Markdown sources that share words with
+ *    the task fill the rest of the budget, best match first. With
+ *    content "sections", a doc without such sections is skipped as
+ *    "no-matching-sections".
+ *
+ * @param {Object} task
+ * @param {string|Array<string|{ path: string, source?: string }>} docsRoots
+ *   One root or several, in precedence order (see resolveDocsRoots()).
+ * @param {number} [maxTokens=500] - Token budget for the context.
+ * @param {Object} [options]
+ * @param {string|Object} [options.tokenCounter] - See token-counter.js.
+ * @param {string} [options.content="both"] - "summaries", "sections" or
+ *   "both".
+ * @param {number} [options.maxDocs=5] - Most docs considered.
+ * @returns {{
+ *   context: string,
+ *   docsIncluded: number,
+ *   sectionsIncluded: number,
+ *   tokens: number,
+ *   budget: number,
+ *   roots: Array<{ path: string, source: string, exists: boolean }>,
+ *   included: Object[],
+ *   skipped: Object[]
+ * }} `included` lists `{ doc, title, root, kind, tokens }` entries (kind
+ *   "summary" or "section", with `section` and `file` for sections);
+ *   `skipped` lists the same with a `reason`.
+ * @throws {Error} INVALID_DOC_CONTENT for an unknown content mode.
+ */
+function loadDocContext(task, docsRoots, maxTokens = 500, options) {
+  const opts = options || {};
+  const counter = getTokenCounter(opts);
+  const content = opts.content || 'both';
+  const maxDocs = opts.maxDocs || DEFAULT_MAX_DOCS;
+  if (!DOC_CONTENT_MODES.includes(content)) {
+    const err = new Error(
+      `Unknown doc content "${content}" (expected ${DOC_CONTENT_MODES.join(', ')})`
+    );
+    err.code = 'INVALID_DOC_CONTENT';
+    throw err;
+  }
+
+  const result = {
+    context: '',
+    docsIncluded: 0,
+    sectionsIncluded: 0,
+    tokens: 0,
+    budget: Math.max(0, maxTokens),
+    roots: [],
+    included: [],
+    skipped: [],
+  };
+
+  // ── Find candidate docs across the roots ────────────────────────
+  const roots = []
+    .concat(docsRoots || [])
+    .map((root) =>
+      typeof root === 'string' ? { path: root, source: 'option' } : root
+    );
+  const candidates = [];
+  const foundIn = new Map();
+  for (const root of roots) {
+    const exists = fs.existsSync(root.path);
+    result.roots.push({ path: root.path, source: root.source, exists });
+    if (!exists) {
+      logger.debug('Docs root not found', { root: root.path });
+      continue;
+    }
+
+    let docs;
+    try {
+      const loader = new DocLoader(root.path, { tokenCounter: counter });
+      docs = loader
+        .getRelevantDocs(task, Infinity)
+        .map((doc) => ({ doc, loader, root: root.path }));
+    } catch (error) {
+      logger.warn('Error loading doc context', {
+        error: error.message,
+        root: root.path,
+        taskId: task && task.id,
+      });
+      continue;
+    }
+
+    for (const candidate of docs) {
+      const name = candidate.doc._name || candidate.doc.title;
+      const entry = { doc: name, title: candidate.doc.title, root: root.path };
+      if (foundIn.has(name)) {
+        result.skipped.push({
+          ...entry,
+          reason: 'shadowed',
+          by: foundIn.get(name),
+        });
+      } else if (candidates.length >= maxDocs) {
+        foundIn.set(name, root.path);
+        result.skipped.push({ ...entry, reason: 'limit' });
+      } else {
+        foundIn.set(name, root.path);
+        candidates.push({ ...candidate, name, summary: null, sections: [] });
+      }
+    }
+  }
+
+  // ── Summaries ───────────────────────────────────────────────────
+  const fits = (text) => {
+    const tokens = counter.count(text);
+    return result.tokens + tokens <= result.budget ? tokens : null;
+  };
+  const accepted = [];
+  for (const candidate of candidates) {
+    const entry = {
+      doc: candidate.name,
+      title: candidate.doc.title,
+      root: candidate.root,
+    };
+    if (content === 'sections') {
+      accepted.push(candidate);
+      continue;
+    }
+    const text = `### ${candidate.doc.title || candidate.name}\n${candidate.doc.summary || ''}`;
+    const tokens = fits(text);
+    if (tokens === null) {
+      result.skipped.push({ ...entry, kind: 'summary', reason: 'over-budget' });
+      continue;
+    }
+    candidate.summary = candidate.doc.summary || '';
+    result.tokens += tokens;
+    result.included.push({ ...entry, kind: 'summary', tokens });
+    accepted.push(candidate);
+  }
+
+  // ── Sections ────────────────────────────────────────────────────
+  if (content !== 'summaries') {
+    const { terms } = extractTaskTerms(task);
+    const ranked = [];
+    const unreadable = new Set();
+    for (const candidate of accepted) {
+      // Docs are optional context: an unreadable source skips the doc's
+      // sections instead of failing the prompt
+      let sections;
+      try {
+        sections = candidate.loader.loadSections(candidate.doc);
+      } catch (err) {
+        unreadable.add(candidate);
+        result.skipped.push({
+          doc: candidate.name,
+          title: candidate.doc.title,
+          root: candidate.root,
+          kind: 'section',
+          reason: 'unreadable',
+          error: err.message,
+        });
+        continue;
+      }
+      for (const section of sections) {
+        const score = scoreSection(section, terms);
+        if (score > 0) {
+          ranked.push({ candidate, section, score });
+        }
+      }
+    }
+    ranked.sort((a, b) => b.score - a.score);
+
+    if (content === 'sections') {
+      const matched = new Set(ranked.map((item) => item.candidate));
+      for (const candidate of accepted) {
+        if (!matched.has(candidate) && !unreadable.has(candidate)) {
+          result.skipped.push({
+            doc: candidate.name,
+            title: candidate.doc.title,
+            root: candidate.root,
+            reason: 'no-matching-sections',
+          });
+        }
+      }
+    }
+
+    for (const { candidate, section } of ranked) {
+      const entry = {
+        doc: candidate.name,
+        title: candidate.doc.title,
+        root: candidate.root,
+        kind: 'section',
+        section: section.heading,
+        file: section.file,
+      };
+      // A doc's first section also pays for the doc's heading
+      const text =
+        (candidate.summary === null && candidate.sections.length === 0
+          ? `### ${candidate.doc.title || candidate.name}\n`
+          : '') +
+        `\n#### ${section.heading} (${section.file})\n\n${section.text}`;
+      const tokens = fits(text);
+      if (tokens === null) {
+        result.skipped.push({ ...entry, reason: 'over-budget' });
+        continue;
+      }
+      candidate.sections.push(section);
+      result.tokens += tokens;
+      result.sectionsIncluded++;
+      result.included.push({ ...entry, tokens });
+    }
+  }
+
+  // ── Render ──────────────────────────────────────────────────────
+  const rendered = accepted
+    .filter((entry) => entry.summary !== null || entry.sections.length > 0)
+    .map(renderDoc);
+  result.docsIncluded = rendered.length;
+  if (rendered.length > 0) {
+    result.context =
+      '\n## Relevant Documentation\n\n' + rendered.join('\n\n') + '\n';
+  }
+
+  logger.debug('Injected doc context', {
+    taskId: task && task.id,
+    docsIncluded: result.docsIncluded,
+    sectionsIncluded: result.sectionsIncluded,
+    skipped: result.skipped.length,
+    tokens: result.tokens,
+  });
+  return result;
+}
+
+module.exports = {
+  loadDocContext,
+  resolveDocsRoots,
+  scoreSection,
+  DEFAULT_MAX_DOCS,
+  DOC_CONTENT_MODES,
+};
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const { createLogger } = require('./logger');
+const { getTokenCounter } = require('./token-counter');
 
 const logger = createLogger('doc-loader');
 
@@ -15,14 +16,19 @@ const logger = createLogger('doc-loader');
  * - Token-aware: tracks token usage for cost estimation
  * - Fast searching: case-insensitive keyword and content search
  * - Auto-discovery: finds all available summaries automatically
+ * - Full sections: splits a doc's Markdown sources into heading sections
  */
 class DocLoader {
     /**
      * Initialize DocLoader with a docs root directory.
      * @param {string} docsRoot - Root path to documentation directory
+     * @param {Object} [options]
+     * @param {string|Object} [options.tokenCounter] - Token counter name or
+     *   object (see token-counter.js)
      */
-    constructor(docsRoot) {
+    constructor(docsRoot, options) {
         this.docsRoot = docsRoot;
+        this.tokenCounter = getTokenCounter(options);
         this.summariesDir = path.join(docsRoot, 'generated', 'summaries');
         this.cache = new Map(); // { docName: summary object }
         this.stats = {
@@ -59,6 +65,7 @@ class DocLoader {
 
             const content = fs.readFileSync(summaryPath, 'utf8');
             const summary = JSON.parse(content);
+            summary._name = docName;
 
             // Cache it
             this.cache.set(docName, summary);
@@ -173,6 +180,109 @@ class DocLoader {
         return results;
     }
 
+    /**
+     * Load the full Markdown sources of a doc, split into sections.
+     *
+     * The sources are the files or directories listed in the summary's
+     * `source` field (relative to the docs root), or else the directory
+     * named after the doc (e.g. `uv/`). Sections start at each level 1-3
+     * heading; text before the first heading is a section of its own,
+     * titled with the file name.
+     *
+     * @param {Object|string} summary - Summary object (from loadSummary) or doc name
+     * @returns {Array} Array of { file, heading, line, text } in source order,
+     *   where text is the section body without its heading
+     * @throws {Error} If a source directory cannot be listed (e.g. EACCES)
+     */
+    loadSections(summary) {
+        const docName = typeof summary === 'string' ? summary : summary && summary._name;
+        const sources = summary && summary.source
+            ? [].concat(summary.source)
+            : (docName ? [docName] : []);
+
+        const files = [];
+        for (const source of sources) {
+            this._collectMarkdown(path.resolve(this.docsRoot, source), files);
+        }
+
+        const sections = [];
+        for (const file of files) {
+            let content;
+            try {
+                content = fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                logger.warn(`Failed to read doc source ${file}: ${error.message}`);
+                continue;
+            }
+            const relPath = path.relative(this.docsRoot, file);
+            for (const section of this._splitSections(content)) {
+                sections.push({
+                    file: relPath,
+                    heading: section.heading || path.basename(file, '.md'),
+                    line: section.line,
+                    text: section.text
+                });
+            }
+        }
+        return sections;
+    }
+
+    /**
+     * Collect the Markdown files under a path, sorted.
+     * @private
+     */
+    _collectMarkdown(target, files) {
+        let stat;
+        try {
+            stat = fs.statSync(target);
+        } catch {
+            return;
+        }
+
+        if (stat.isFile()) {
+            if (target.endsWith('.md')) files.push(target);
+            return;
+        }
+        if (!stat.isDirectory()) return;
+
+        for (const entry of fs.readdirSync(target).sort()) {
+            if (entry.startsWith('.')) continue;
+            this._collectMarkdown(path.join(target, entry), files);
+        }
+    }
+
+    /**
+     * Split Markdown text at level 1-3 headings outside code fences.
+     * @private
+     */
+    _splitSections(content) {
+        const sections = [];
+        let current = { heading: null, line: 1, lines: [] };
+        let inFence = false;
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+            }
+            const heading = !inFence && /^#{1,3}\s+(.+?)\s*#*\s*$/.exec(line);
+            if (heading) {
+                sections.push(current);
+                current = { heading: heading[1], line: index + 1, lines: [] };
+            } else {
+                current.lines.push(line);
+            }
+        });
+        sections.push(current);
+
+        return sections
+            .map(section => ({
+                heading: section.heading,
+                line: section.line,
+                text: section.lines.join('\n').trim()
+            }))
+            .filter(section => section.text);
+    }
+
     /**
      * Get cache statistics.
      *
@@ -199,8 +309,7 @@ class DocLoader {
     }
 
     /**
-     * Estimate token usage for a summary.
-     * Uses rough approximation: ~4 characters per token.
+     * Estimate token usage for a summary with the loader's token counter.
      *
      * @param {Object} summary - Summary object
      * @returns {number} Estimated token count
@@ -214,8 +323,7 @@ class DocLoader {
         if (summary.keywords) content += summary.keywords.join(' ');
         if (summary.summary) content += summary.summary;
 
-        // Rough approximation: 4 characters ≈ 1 token
-        return Math.ceil(content.length / 4);
+        return this.tokenCounter.count(content);
     }
 
     /**
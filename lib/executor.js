@@ -9,12 +9,12 @@
  * See Section 3.5 of the orchestrator design doc.
  */
 
-const fs = require('fs');
-const path = require('path');
 const { spawn } = require('child_process');
 const { dispatchWorker } = require('./dispatcher');
 const { createLogger } = require('./logger');
 const { findTask } = require('./task-utils');
+const { updateTaskStatus } = require('./status-updater');
+const { logTokenCalibration } = require('./token-counter');
 
 const logger = createLogger('executor');
 
@@ -38,6 +38,9 @@ function getOllamaBaseUrl() {
 /**
  * Build spawn arguments and environment for a given model tier.
  *
+ * Every tier runs `claude --print --output-format json`, so the result
+ * comes back with the worker's token usage.
+ *
  * - 'opus' (or unspecified): uses default claude command with no --model flag.
  * - 'local': adds --model qwen3-coder flag and sets ANTHROPIC_BASE_URL
  *   and ANTHROPIC_AUTH_TOKEN environment variables for Ollama.
@@ -48,7 +51,13 @@ function getOllamaBaseUrl() {
 function buildTierConfig(modelTier) {
   const tier = modelTier || 'opus';
 
-  const baseArgs = ['--print', '--dangerouslySkipPermissions'];
+  // JSON output carries the token usage the calibration log needs
+  const baseArgs = [
+    '--print',
+    '--dangerouslySkipPermissions',
+    '--output-format',
+    'json',
+  ];
 
   if (tier === 'local') {
     return {
@@ -68,42 +77,71 @@ function buildTierConfig(modelTier) {
   };
 }
 
-// ── Status Update ───────────────────────────────────────────────────
+// ── Worker Output ───────────────────────────────────────────────────
 
 /**
- * Update a task's status in its tasks.json file and record a history entry.
+ * Split `claude --output-format json` output into the worker's result
+ * text and the parsed JSON. Output that is not a JSON result (a crash
+ * before any output, an older CLI) is returned as the text unchanged.
  *
- * @param {string} taskId        - The task ID to update.
- * @param {string} fromStatus    - Previous status.
- * @param {string} toStatus      - New status.
- * @param {string} tasksJsonPath - Absolute path to tasks.json.
+ * @param {string} stdout - Raw worker stdout.
+ * @returns {{ text: string, json: Object|null }}
  */
-function updateTaskStatus(taskId, fromStatus, toStatus, tasksJsonPath) {
-  const content = fs.readFileSync(tasksJsonPath, 'utf8');
-  const data = JSON.parse(content);
-  const tasks = data.tasks || [];
-
-  for (const task of tasks) {
-    if (task.id === taskId) {
-      task.status = toStatus;
-
-      // Add history entry
-      if (!Array.isArray(task.history)) {
-        task.history = [];
-      }
-      task.history.push({
-        timestamp: new Date().toISOString(),
-        from_status: fromStatus,
-        to_status: toStatus,
-      });
-
-      // Update timestamp
-      task.updated_at = new Date().toISOString();
-      break;
-    }
+function parseWorkerOutput(stdout) {
+  let json;
+  try {
+    json = JSON.parse(stdout);
+  } catch {
+    return { text: stdout, json: null };
+  }
+  if (!json || typeof json !== 'object' || typeof json.result !== 'string') {
+    return { text: stdout, json: null };
   }
+  return { text: json.result, json };
+}
 
-  fs.writeFileSync(tasksJsonPath, JSON.stringify(data, null, 2) + '\n');
+/**
+ * Log a dispatched prompt's token estimates against the usage its
+ * worker reported.
+ *
+ * `usage` in the JSON output covers the whole session: each turn
+ * re-reads Claude Code's system prompt, the prompt and the cached
+ * context. A single-turn session is the closest figure to the prompt's
+ * own size, so only then is it logged as `actual` with the counters'
+ * relative errors. Longer sessions are logged as cumulative
+ * `sessionInputTokens` with their `turns`, for reference only.
+ *
+ * @param {string} taskId
+ * @param {Object} meta - Dispatch meta (tokenCounter, tokenEstimate,
+ *   heuristicTokens).
+ * @param {Object|null} output - Parsed output from parseWorkerOutput().
+ * @returns {Object|null} The logged fields, or null without usage.
+ */
+function logWorkerUsage(taskId, meta, output) {
+  const usage = output && output.usage;
+  if (!usage || typeof usage.input_tokens !== 'number') {
+    return null;
+  }
+  const sessionInputTokens =
+    usage.input_tokens +
+    (usage.cache_read_input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0);
+  const counts = {
+    counter: meta.tokenCounter,
+    tokens: meta.tokenEstimate,
+    heuristic: meta.heuristicTokens,
+    turns: output.num_turns,
+    sessionInputTokens,
+  };
+  if (output.num_turns === 1) {
+    return logTokenCalibration(taskId, {
+      ...counts,
+      actual: sessionInputTokens,
+    });
+  }
+  const fields = { label: taskId, ...counts };
+  logger.info('Worker session token usage (cumulative)', fields);
+  return fields;
 }
 
 // ── Execute Worker ──────────────────────────────────────────────────
@@ -124,14 +162,27 @@ function updateTaskStatus(taskId, fromStatus, toStatus, tasksJsonPath) {
  * 6. On completion (exit 0): updates status to "completed".
  * 7. On failure (non-zero exit): updates status to "failed".
  * 8. Records execution history with timestamps.
+ * 9. Parses the JSON output: `stdout` is the worker's result text and
+ *    the reported token usage is logged against the prompt's token
+ *    estimate (see logWorkerUsage()).
  *
  * @param {string} taskId   - Full task ID (e.g. "project/task-name").
  * @param {Object} [options]
  * @param {string} [options.projectsRoot] - Root directory containing projects.
  * @param {Function} [options.onStdout]   - Callback for stdout data chunks.
  * @param {Function} [options.onStderr]   - Callback for stderr data chunks.
+ * @param {Object} [options.registry]     - The loaded registry, for its
+ *   `docs_roots` (see doc-context.js) and the projects searched for
+ *   dependents.
+ * @param {boolean} [options.force]      - Start the task even if its
+ *   blockers are incomplete (see dispatchWorker).
+ * @param {boolean} [options.inferFiles]  - Infer relevant files for a
+ *   task that lists none (see buildWorkerPrompt).
  * @param {Function} [options._spawnFn]   - Override spawn for testing (dependency injection).
- * @returns {Promise<{ stdout: string, stderr: string, exitCode: number, startedAt: string, completedAt: string }>}
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number, startedAt: string, completedAt: string, output: Object|null }>}
+ *   `output` is the parsed JSON output, or null if the worker printed
+ *   something else.
+ * @throws {Error} If the task is not found or cannot be started.
  */
 function executeWorker(taskId, options) {
   const opts = options || {};
@@ -147,6 +198,9 @@ function executeWorker(taskId, options) {
   const dispatch = dispatchWorker(task, project, {
     projectsRoot,
     dryRun: true,
+    force: opts.force,
+    registry: opts.registry,
+    inferFiles: opts.inferFiles,
   });
 
   const startedAt = new Date().toISOString();
@@ -192,17 +246,26 @@ function executeWorker(taskId, options) {
   return new Promise((resolve, reject) => {
     child.on('close', (exitCode) => {
       const completedAt = new Date().toISOString();
-      const stdout = Buffer.concat(
+      const rawStdout = Buffer.concat(
         stdoutChunks.map((c) => (Buffer.isBuffer(c) ? c : Buffer.from(c)))
       ).toString('utf8');
+      const { text: stdout, json: output } = parseWorkerOutput(rawStdout);
       const stderr = Buffer.concat(
         stderrChunks.map((c) => (Buffer.isBuffer(c) ? c : Buffer.from(c)))
       ).toString('utf8');
 
+      // Compare the prompt estimate with the usage the worker reported
+      logWorkerUsage(taskId, dispatch.meta, output);
+
       if (exitCode === 0) {
         // Success -- update status to completed
         try {
-          updateTaskStatus(taskId, 'in_progress', 'completed', tasksJsonPath);
+          updateTaskStatus(taskId, 'completed', {
+            projectsRoot,
+            tasksJsonPath,
+            registry: opts.registry,
+            source: 'executor',
+          });
         } catch (err) {
           logger.warn('Could not update task status to completed', {
             taskId,
@@ -216,11 +279,17 @@ function executeWorker(taskId, options) {
           exitCode,
           startedAt,
           completedAt,
+          output,
         });
       } else {
         // Failure -- update status to failed
         try {
-          updateTaskStatus(taskId, 'in_progress', 'failed', tasksJsonPath);
+          updateTaskStatus(taskId, 'failed', {
+            projectsRoot,
+            tasksJsonPath,
+            registry: opts.registry,
+            source: 'executor',
+          });
         } catch (err) {
           logger.warn('Could not update task status to failed', {
             taskId,
@@ -233,6 +302,7 @@ function executeWorker(taskId, options) {
         );
         error.exitCode = exitCode;
         error.stdout = stdout;
+        error.output = output;
         error.stderr = stderr;
         error.startedAt = startedAt;
         error.completedAt = completedAt;
@@ -245,6 +315,8 @@ function executeWorker(taskId, options) {
 module.exports = {
   executeWorker,
   buildTierConfig,
+  parseWorkerOutput,
+  logWorkerUsage,
   getOllamaBaseUrl,
   DEFAULT_OLLAMA_BASE_URL,
 };
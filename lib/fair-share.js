@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Fair-Share Module for the jade-dev-assist orchestrator.
+ *
+ * Reorders a ranked task list so that no single project takes every slot
+ * at the top. Within the first `top` slots:
+ *
+ * - each project with eligible tasks is guaranteed `minShare` slots
+ *   (fewer if it has fewer tasks, or if there are more projects than
+ *   slots, in which case projects with the best top task go first);
+ * - remaining slots go to the highest-scoring remaining tasks;
+ * - pending tasks of a project that is at its cap of concurrent
+ *   in_progress tasks are held back and placed after everything else.
+ *
+ * Round-robin mode interleaves projects one task at a time instead, each
+ * round ordered by the projects' best remaining score.
+ *
+ * Tasks are never reordered within a project, so each project's own
+ * tasks keep their score order.
+ */
+
+/**
+ * Default number of leading slots shared out.
+ */
+const DEFAULT_TOP = 10;
+
+/**
+ * Default guaranteed slots per project.
+ */
+const DEFAULT_MIN_SHARE = 1;
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Cap on concurrent in_progress tasks for a project.
+ *
+ * Precedence: a per-project entry in `maxInProgress`, the registry's
+ * `max_in_progress`, then a numeric `maxInProgress` for every project.
+ *
+ * @param {string} projectName
+ * @param {Object} project - Registry entry (task._project).
+ * @param {number|Object<string, number>} [maxInProgress]
+ * @returns {number} Infinity when uncapped.
+ */
+function capFor(projectName, project, maxInProgress) {
+  if (
+    maxInProgress &&
+    typeof maxInProgress === 'object' &&
+    maxInProgress[projectName] != null
+  ) {
+    return maxInProgress[projectName];
+  }
+  if (project && project.max_in_progress != null) {
+    return project.max_in_progress;
+  }
+  if (typeof maxInProgress === 'number') {
+    return maxInProgress;
+  }
+  return Infinity;
+}
+
+/**
+ * Count in_progress tasks per project.
+ *
+ * @param {Object[]} tasks
+ * @returns {Map<string, number>}
+ */
+function countInProgress(tasks) {
+  const counts = new Map();
+  for (const task of tasks) {
+    if (task.status === 'in_progress') {
+      counts.set(task._projectName, (counts.get(task._projectName) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Reorder ranked tasks for a fair share of the top slots.
+ *
+ * @param {Object[]} rankedTasks - Sorted output of scoreTasks().
+ * @param {Object} [options]
+ * @param {number} [options.top=10] - Number of leading slots to share out.
+ * @param {number} [options.minShare=1] - Guaranteed slots per project.
+ * @param {string} [options.mode="fair-share"] - "fair-share" or "round-robin".
+ * @param {number|Object<string, number>} [options.maxInProgress] - Cap on
+ *   concurrent in_progress tasks, for all projects or per project name.
+ *   Registry entries may set `max_in_progress` instead.
+ * @param {Object[]} [options.allTasks] - Tasks to count in_progress work
+ *   from (default: rankedTasks). Pass the full scan when rankedTasks holds
+ *   only pending tasks.
+ * @returns {Object[]} A new array with the same tasks. Held-back tasks are
+ *   marked `_capped: true`.
+ *
+ * @example
+ * const ranked = applyFairShare(scoreTasks(tasks), { top: 5, minShare: 1 });
+ */
+function applyFairShare(rankedTasks, options) {
+  const opts = options || {};
+  const top = opts.top || DEFAULT_TOP;
+  const minShare =
+    opts.mode === 'round-robin'
+      ? Infinity
+      : opts.minShare != null
+        ? opts.minShare
+        : DEFAULT_MIN_SHARE;
+  const inProgress = countInProgress(opts.allTasks || rankedTasks);
+
+  // Split each project's tasks (in score order) into eligible and held back
+  const queues = new Map();
+  const capped = new Set();
+  const started = new Map();
+  for (const task of rankedTasks) {
+    const name = task._projectName;
+    if (!queues.has(name)) {
+      queues.set(name, []);
+    }
+    if (task.status !== 'in_progress') {
+      const cap = capFor(name, task._project, opts.maxInProgress);
+      const running = (inProgress.get(name) || 0) + (started.get(name) || 0);
+      if (running >= cap) {
+        capped.add(task);
+        continue;
+      }
+      started.set(name, (started.get(name) || 0) + 1);
+    }
+    queues.get(name).push(task);
+  }
+
+  const selected = [];
+  const taken = new Set();
+  const take = (task) => {
+    selected.push(task);
+    taken.add(task);
+  };
+
+  // Guaranteed rounds: one task per project per round, best project first
+  for (let round = 0; round < minShare && selected.length < top; round++) {
+    const candidates = [...queues.values()]
+      .map((queue) => queue[round])
+      .filter(Boolean)
+      .sort((a, b) => b._score - a._score);
+    if (candidates.length === 0) {
+      break;
+    }
+    for (const task of candidates) {
+      if (selected.length >= top) {
+        break;
+      }
+      take(task);
+    }
+  }
+
+  // Remaining slots, then the rest, by score; held-back tasks go last
+  const rest = rankedTasks.filter(
+    (task) => !taken.has(task) && !capped.has(task)
+  );
+  while (selected.length < top && rest.length > 0) {
+    take(rest.shift());
+  }
+
+  // Each project contributed a prefix of its own queue, so sorting the
+  // shared-out slots by score keeps every project's order intact
+  const head =
+    opts.mode === 'round-robin'
+      ? interleave(selected)
+      : selected.sort((a, b) => b._score - a._score);
+
+  for (const task of rankedTasks) {
+    if (capped.has(task)) {
+      task._capped = true;
+    } else {
+      delete task._capped;
+    }
+  }
+  return [...head, ...rest, ...capped];
+}
+
+/**
+ * Interleave tasks by project, one per round, each round ordered by the
+ * projects' best remaining score.
+ *
+ * @param {Object[]} tasks - Tasks in score order.
+ * @returns {Object[]}
+ */
+function interleave(tasks) {
+  const queues = new Map();
+  for (const task of tasks) {
+    if (!queues.has(task._projectName)) {
+      queues.set(task._projectName, []);
+    }
+    queues.get(task._projectName).push(task);
+  }
+  const result = [];
+  while (result.length < tasks.length) {
+    const round = [...queues.values()]
+      .filter((queue) => queue.length > 0)
+      .map((queue) => queue.shift())
+      .sort((a, b) => b._score - a._score);
+    result.push(...round);
+  }
+  return result;
+}
+
+module.exports = {
+  applyFairShare,
+  DEFAULT_TOP,
+  DEFAULT_MIN_SHARE,
+};
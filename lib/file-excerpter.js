@@ -0,0 +1,570 @@
+'use strict';
+
+/**
+ * File Excerpter Module for the jade-dev-assist orchestrator.
+ *
+ * Fits a relevant file that is too large for the worker prompt into its
+ * token budget by keeping the parts the task is about instead of the head
+ * of the file. The file is split into regions (top-level blocks separated
+ * by blank lines, long blocks cut into chunks), and each region is scored
+ * against the task's title, description and acceptance criteria:
+ *
+ * - keyword hits: task terms found in the region's words and identifiers
+ * - symbol definitions: functions, classes and constants whose names
+ *   match task terms, or are identifiers the task names outright
+ * - test names: `test()`, `it()` and `describe()` titles sharing terms
+ *   with the task
+ *
+ * The best regions that fit are rendered in file order under line-number
+ * headers, followed by an outline of the omitted lines and the symbols
+ * they define.
+ */
+
+const { truncateToTokens } = require('./token-counter');
+
+// ── Constants ────────────────────────────────────────────────────────
+
+/**
+ * Regions longer than this are cut into chunks of REGION_CHUNK_LINES.
+ */
+const MAX_REGION_LINES = 60;
+
+/**
+ * Lines per chunk when a long region is cut.
+ */
+const REGION_CHUNK_LINES = 40;
+
+/**
+ * Score for each distinct task term in a region (plus one per extra hit,
+ * up to MAX_TERM_HITS hits).
+ */
+const KEYWORD_WEIGHT = 1;
+const MAX_TERM_HITS = 3;
+
+/**
+ * Score for a symbol defined in the region whose name matches task terms
+ * (scaled by the share of name parts that match).
+ */
+const SYMBOL_WEIGHT = 5;
+
+/**
+ * Score for a symbol the task names exactly (e.g. `readRelevantFiles`).
+ */
+const IDENTIFIER_WEIGHT = 10;
+
+/**
+ * Score for each test title in the region sharing terms with the task.
+ */
+const TEST_NAME_WEIGHT = 3;
+
+/**
+ * Most symbols listed per omitted range in the outline.
+ */
+const MAX_OUTLINE_SYMBOLS = 6;
+
+/**
+ * Words too common in task text to say anything about a region.
+ */
+const STOPWORDS = new Set([
+  'the',
+  'and',
+  'for',
+  'with',
+  'that',
+  'this',
+  'from',
+  'into',
+  'when',
+  'then',
+  'than',
+  'should',
+  'must',
+  'will',
+  'would',
+  'can',
+  'are',
+  'was',
+  'were',
+  'has',
+  'have',
+  'not',
+  'but',
+  'all',
+  'any',
+  'each',
+  'its',
+  'our',
+  'use',
+  'via',
+  'per',
+  'also',
+  'only',
+  'more',
+  'such',
+  'like',
+  'make',
+  'new',
+  'add',
+  'does',
+  'which',
+  'what',
+  'there',
+  'their',
+  'them',
+  'they',
+  'other',
+  'some',
+  'instead',
+  'want',
+  'need',
+  'needs',
+  'const',
+  'let',
+  'var',
+  'return',
+  'function',
+]);
+
+/**
+ * Symbol definitions, tried in order on each line. The first group is
+ * the symbol name. Variables count only at the top level.
+ */
+const SYMBOL_PATTERNS = [
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/,
+  /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/,
+  /^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/,
+  /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/,
+  /^\s*func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/,
+  /^\s*(?:pub\s+)?(?:fn|struct|enum|trait|interface|type)\s+([A-Za-z_]\w*)/,
+  /^\s+(?:static\s+)?(?:async\s+)?([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/,
+];
+
+/**
+ * Keywords that look like method definitions to the last pattern.
+ */
+const CONTROL_KEYWORDS = new Set([
+  'if',
+  'for',
+  'while',
+  'switch',
+  'catch',
+  'with',
+  'return',
+  'function',
+]);
+
+/**
+ * Test titles: test('...'), it('...'), describe('...').
+ */
+const TEST_NAME_PATTERN =
+  /^\s*(?:test|it|describe)(?:\.\w+)?\(\s*(['"`])(.+?)\1/;
+
+// ── Terms ────────────────────────────────────────────────────────────
+
+/**
+ * Reduce a lowercase word to a rough stem, so "excerpts", "excerpting"
+ * and "excerpted" match.
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) {
+    return word.slice(0, -3);
+  }
+  if (word.length > 4 && word.endsWith('ed')) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 4 && word.endsWith('es')) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Split text into stemmed, lowercase words. Identifiers are split into
+ * their camelCase and snake_case parts.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitWords(text) {
+  const words = [];
+  for (const [identifier] of String(text || '').matchAll(
+    /[A-Za-z][A-Za-z0-9]*/g
+  )) {
+    const parts = identifier.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || [];
+    for (const part of parts) {
+      const word = part.toLowerCase();
+      if (word.length >= 3 && !STOPWORDS.has(word)) {
+        words.push(stem(word));
+      }
+    }
+  }
+  return words;
+}
+
+/**
+ * Collect what a task is about from its title, description, feature
+ * description and acceptance criteria.
+ *
+ * @param {Object} task
+ * @returns {{ terms: Set<string>, identifiers: Set<string> }} `terms` are
+ *   stemmed words; `identifiers` are camelCase, PascalCase, snake_case or
+ *   backquoted names, kept verbatim.
+ */
+function extractTaskTerms(task) {
+  const feature = (task && task.feature) || {};
+  const text = [
+    task && task.title,
+    task && task.description,
+    feature.description,
+    ...(feature.acceptance_criteria || []),
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  const identifiers = new Set();
+  for (const [, name] of text.matchAll(/`([A-Za-z_$][\w$]*)(?:\(\))?`/g)) {
+    identifiers.add(name);
+  }
+  for (const [name] of text.matchAll(
+    /\b(?:[a-z]+[A-Z][\w$]*|[A-Z][a-z]+[A-Z][\w$]*|[a-z]+_[a-z_]+)\b/g
+  )) {
+    identifiers.add(name);
+  }
+
+  return { terms: new Set(splitWords(text)), identifiers };
+}
+
+// ── Regions ──────────────────────────────────────────────────────────
+
+/**
+ * Find the symbol a line defines, if any.
+ *
+ * @param {string} line
+ * @returns {string|null}
+ */
+function symbolOf(line) {
+  for (const pattern of SYMBOL_PATTERNS) {
+    const match = line.match(pattern);
+    if (match && !CONTROL_KEYWORDS.has(match[1])) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Split file content into regions.
+ *
+ * A region starts at each unindented line that follows a blank line, so
+ * a function keeps its doc comment. Regions longer than MAX_REGION_LINES
+ * are cut into chunks of REGION_CHUNK_LINES.
+ *
+ * @param {string} content
+ * @returns {Array<{ start: number, end: number, text: string, symbols: string[], tests: string[], parent: string|null }>}
+ *   Line numbers are 1-based and inclusive. `parent` is the symbol a
+ *   chunk without definitions of its own continues.
+ */
+function splitRegions(content) {
+  const lines = content.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  const blocks = [];
+  let start = 0;
+  for (let i = 1; i < lines.length; i++) {
+    const startsBlock =
+      lines[i - 1].trim() === '' && lines[i] !== '' && !/^\s/.test(lines[i]);
+    if (startsBlock) {
+      blocks.push([start, i]);
+      start = i;
+    }
+  }
+  blocks.push([start, lines.length]);
+
+  const regions = [];
+  for (const [from, to] of blocks) {
+    const chunk = to - from > MAX_REGION_LINES ? REGION_CHUNK_LINES : to - from;
+    let parent = null;
+    for (let first = from; first < to; first += chunk) {
+      const regionLines = lines.slice(first, Math.min(first + chunk, to));
+      while (
+        regionLines.length > 1 &&
+        regionLines[regionLines.length - 1].trim() === ''
+      ) {
+        // Blank lines between blocks belong to neither
+        regionLines.pop();
+      }
+      const symbols = [];
+      const tests = [];
+      for (const line of regionLines) {
+        const symbol = symbolOf(line);
+        if (symbol) {
+          symbols.push(symbol);
+        }
+        const testMatch = line.match(TEST_NAME_PATTERN);
+        if (testMatch) {
+          tests.push(testMatch[2]);
+        }
+      }
+      regions.push({
+        start: first + 1,
+        end: first + regionLines.length,
+        text: regionLines.join('\n'),
+        symbols,
+        tests,
+        parent: symbols.length === 0 ? parent : null,
+      });
+      parent = symbols[0] || parent;
+    }
+  }
+  return regions;
+}
+
+/**
+ * Score a region's relevance to the task.
+ *
+ * @param {Object} region - From splitRegions().
+ * @param {{ terms: Set<string>, identifiers: Set<string> }} taskTerms
+ * @returns {number}
+ */
+function scoreRegion(region, taskTerms) {
+  const { terms, identifiers } = taskTerms;
+  let score = 0;
+
+  const hits = new Map();
+  for (const word of splitWords(region.text)) {
+    if (terms.has(word)) {
+      hits.set(word, (hits.get(word) || 0) + 1);
+    }
+  }
+  for (const count of hits.values()) {
+    score += KEYWORD_WEIGHT * Math.min(count, MAX_TERM_HITS);
+  }
+
+  const scoreSymbol = (symbol) => {
+    if (identifiers.has(symbol)) {
+      return IDENTIFIER_WEIGHT;
+    }
+    const parts = splitWords(symbol);
+    const matched = parts.filter((part) => terms.has(part)).length;
+    return parts.length > 0 ? (SYMBOL_WEIGHT * matched) / parts.length : 0;
+  };
+  for (const symbol of region.symbols) {
+    score += scoreSymbol(symbol);
+  }
+  if (region.parent) {
+    // The rest of a relevant function is worth half its definition
+    score += scoreSymbol(region.parent) / 2;
+  }
+
+  for (const name of region.tests) {
+    if (splitWords(name).some((word) => terms.has(word))) {
+      score += TEST_NAME_WEIGHT;
+    }
+  }
+
+  return score;
+}
+
+// ── Rendering ────────────────────────────────────────────────────────
+
+/**
+ * Group the selected regions into contiguous runs, and the rest into
+ * omitted runs, in file order.
+ *
+ * @param {Object[]} regions - All regions, in file order.
+ * @param {Set<Object>} selected
+ * @returns {Array<{ included: boolean, start: number, end: number, regions: Object[] }>}
+ */
+function groupRuns(regions, selected) {
+  const runs = [];
+  for (const region of regions) {
+    const included = selected.has(region);
+    const last = runs[runs.length - 1];
+    if (last && last.included === included) {
+      last.end = region.end;
+      last.regions.push(region);
+    } else {
+      runs.push({
+        included,
+        start: region.start,
+        end: region.end,
+        regions: [region],
+      });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Symbols defined in a run, for headers and the outline.
+ *
+ * @param {Object} run
+ * @returns {string}
+ */
+function describeRun(run) {
+  const symbols = [];
+  for (const region of run.regions) {
+    const names = region.parent ? [`${region.parent} (cont.)`] : region.symbols;
+    for (const name of names) {
+      if (!symbols.includes(name) && !symbols.includes(region.parent)) {
+        symbols.push(name);
+      }
+    }
+  }
+  if (symbols.length > MAX_OUTLINE_SYMBOLS) {
+    const more = symbols.length - MAX_OUTLINE_SYMBOLS;
+    return `${symbols.slice(0, MAX_OUTLINE_SYMBOLS).join(', ')}, +${more} more`;
+  }
+  return symbols.join(', ');
+}
+
+/**
+ * Render the excerpt section for a file.
+ *
+ * @param {string} relPath
+ * @param {Object[]} regions - All regions, in file order.
+ * @param {Set<Object>} selected
+ * @param {Map<Object, string>} [replaced] - Text to show instead of a
+ *   selected region's own (a truncated region).
+ * @returns {string}
+ */
+function renderExcerpt(relPath, regions, selected, replaced) {
+  const runs = groupRuns(regions, selected);
+  const totalLines = regions.length ? regions[regions.length - 1].end : 0;
+  const parts = [`### ${relPath} (excerpt of ${totalLines} lines)\n`];
+  const omitted = [];
+
+  for (const run of runs) {
+    const symbols = describeRun(run);
+    const range = `${run.start}-${run.end}${symbols ? ` (${symbols})` : ''}`;
+    if (!run.included) {
+      omitted.push(`- lines ${range}`);
+      continue;
+    }
+    // Put back the blank lines between regions so line numbers hold
+    let text = '';
+    run.regions.forEach((r, i) => {
+      if (i > 0) {
+        text += '\n'.repeat(r.start - run.regions[i - 1].end);
+      }
+      text += replaced && replaced.has(r) ? replaced.get(r) : r.text;
+    });
+    parts.push(`Lines ${range}:\n\n\`\`\`\n${text}\n\`\`\`\n`);
+  }
+
+  if (omitted.length > 0) {
+    parts.push(`Omitted:\n${omitted.join('\n')}\n`);
+  }
+  return parts.join('\n');
+}
+
+// ── Excerpting ───────────────────────────────────────────────────────
+
+/**
+ * Excerpt a file to fit a token budget, keeping the regions most
+ * relevant to the task.
+ *
+ * Regions are taken by score (ties in file order) while they fit; with
+ * no task signal at all this keeps the head of the file. If not even the
+ * best region fits, it is truncated.
+ *
+ * @param {string} relPath - Path shown in the section header.
+ * @param {string} content - File content.
+ * @param {Object} task - Task the excerpt is for.
+ * @param {number} tokenBudget - Maximum tokens for the whole section.
+ * @param {Object} counter - Token counter (see token-counter.js).
+ * @returns {{ section: string, tokens: number, regions: number, regionsIncluded: number, linesIncluded: number }|null}
+ *   null when not even a truncated region fits.
+ */
+function excerptFile(relPath, content, task, tokenBudget, counter) {
+  const taskTerms = extractTaskTerms(task);
+  const regions = splitRegions(content);
+  const ranked = regions
+    .map((region, index) => ({
+      region,
+      index,
+      score: scoreRegion(region, taskTerms),
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  // Greedy pick on per-region costs, with the outline of everything
+  // omitted reserved up front
+  const frameTokens = counter.count(renderExcerpt(relPath, regions, new Set()));
+  const selected = new Set();
+  let used = frameTokens;
+  for (const { region } of ranked) {
+    const cost =
+      counter.count(region.text) +
+      counter.count(
+        `Lines ${region.start}-${region.end}:\n\n\`\`\`\n\n\`\`\`\n`
+      );
+    if (used + cost <= tokenBudget) {
+      selected.add(region);
+      used += cost;
+    }
+  }
+
+  // Per-region costs are estimates: drop the lowest-ranked picks until
+  // the rendered section fits
+  let section = renderExcerpt(relPath, regions, selected);
+  let tokens = counter.count(section);
+  for (let i = ranked.length - 1; i >= 0 && tokens > tokenBudget; i--) {
+    if (selected.delete(ranked[i].region)) {
+      section = renderExcerpt(relPath, regions, selected);
+      tokens = counter.count(section);
+    }
+  }
+
+  if (selected.size === 0) {
+    // Not even the best region fits whole: truncate it
+    const best = ranked[0].region;
+    const note = '\n... [region truncated to fit token budget] ...';
+    const frame = new Map([[best, note]]);
+    const available =
+      tokenBudget -
+      counter.count(renderExcerpt(relPath, regions, new Set([best]), frame));
+    if (available <= 0) {
+      return null;
+    }
+    const replaced = new Map([
+      [best, truncateToTokens(best.text, available, counter) + note],
+    ]);
+    selected.add(best);
+    section = renderExcerpt(relPath, regions, selected, replaced);
+    tokens = counter.count(section);
+    if (tokens > tokenBudget) {
+      return null;
+    }
+  }
+
+  let linesIncluded = 0;
+  for (const region of selected) {
+    linesIncluded += region.end - region.start + 1;
+  }
+
+  return {
+    section,
+    tokens,
+    regions: regions.length,
+    regionsIncluded: selected.size,
+    linesIncluded,
+  };
+}
+
+module.exports = {
+  excerptFile,
+  extractTaskTerms,
+  splitWords,
+  splitRegions,
+  scoreRegion,
+  renderExcerpt,
+  MAX_REGION_LINES,
+};
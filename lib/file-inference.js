@@ -0,0 +1,731 @@
+'use strict';
+
+/**
+ * File Inference Module for the jade-dev-assist orchestrator.
+ *
+ * Proposes `relevant_files` for tasks that list none, offline, from four
+ * signals:
+ *
+ * - paths and file names mentioned in the task text
+ * - identifiers mentioned in the task, and the files that define (or,
+ *   more weakly, use) them; task words in file paths count a little too
+ * - git history: files changed by the commits of similar completed tasks
+ *   (commits naming the task ID, else commits made while it was in
+ *   progress), plus those tasks' own `relevant_files`
+ * - tests: the test file of each proposed source file and the source
+ *   file of each proposed test
+ *
+ * Each signal gives a confidence between 0 and 1; a file's confidence
+ * combines them as independent evidence (1 - product of the misses).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createLogger } = require('./logger');
+const { extractTaskTerms, splitWords } = require('./file-excerpter');
+const { scanTasks, loadRegistry } = require('./scanner');
+const { readTasksFile, updateTask } = require('./task-store');
+const { withJournalBatch } = require('./task-journal');
+const { resolveTaskFiles } = require('./task-utils');
+
+const logger = createLogger('file-inference');
+
+// ── Constants ────────────────────────────────────────────────────────
+
+/**
+ * Confidence for a path mentioned in the task that exists as written.
+ */
+const PATH_MENTION_CONFIDENCE = 0.95;
+
+/**
+ * Confidence for a file name mentioned in the task, split between the
+ * files that have it.
+ */
+const FILE_NAME_CONFIDENCE = 0.8;
+
+/**
+ * Confidence for a file defining an identifier the task mentions.
+ */
+const DEFINITION_CONFIDENCE = 0.85;
+
+/**
+ * Confidence for a file using an identifier the task mentions.
+ */
+const IDENTIFIER_USE_CONFIDENCE = 0.3;
+
+/**
+ * Identifiers used in more files than this say nothing about any one.
+ */
+const MAX_IDENTIFIER_FILES = 5;
+
+/**
+ * Confidence for a file name made entirely of task words.
+ */
+const PATH_TERMS_CONFIDENCE = 0.5;
+
+/**
+ * Git history confidence: the base, plus the task similarity share.
+ */
+const HISTORY_BASE_CONFIDENCE = 0.3;
+const HISTORY_SIMILARITY_CONFIDENCE = 0.4;
+
+/**
+ * Commits found only by a completed task's in-progress window may be
+ * other work, so they count for less.
+ */
+const HISTORY_WINDOW_FACTOR = 0.5;
+
+/**
+ * Share of term overlap that makes a completed task similar.
+ */
+const MIN_TASK_SIMILARITY = 0.2;
+
+/**
+ * Similar completed tasks whose history is read.
+ */
+const MAX_SIMILAR_TASKS = 5;
+
+/**
+ * Share of a file's confidence passed to its test or source counterpart.
+ */
+const TEST_COUNTERPART_FACTOR = 0.8;
+
+/**
+ * Files proposed by default, and the lowest confidence reported.
+ */
+const DEFAULT_LIMIT = 5;
+const DEFAULT_MIN_CONFIDENCE = 0.2;
+
+/**
+ * Confidence a proposal needs to be filled in without review.
+ */
+const AUTO_FILL_CONFIDENCE = 0.5;
+
+/**
+ * Files listed from the tree at most, and the largest file searched.
+ */
+const MAX_TREE_FILES = 5000;
+const MAX_SEARCH_BYTES = 200 * 1024;
+
+/**
+ * Directories never walked when the project is not a git repository.
+ */
+const SKIPPED_DIRS = new Set([
+  'node_modules',
+  'dist',
+  'build',
+  'coverage',
+  'vendor',
+  '__pycache__',
+  'target',
+]);
+
+/**
+ * Extensions searched for identifiers.
+ */
+const SOURCE_EXTENSIONS = new Set([
+  '.js',
+  '.cjs',
+  '.mjs',
+  '.jsx',
+  '.ts',
+  '.tsx',
+  '.py',
+  '.go',
+  '.rs',
+  '.rb',
+  '.java',
+  '.kt',
+  '.sh',
+]);
+
+/**
+ * Paths in task text: at least one dot-extension, optional directories.
+ */
+const PATH_PATTERN =
+  /(?:^|[\s`'"(])((?:\.{1,2}\/)?[\w@-][\w@.-]*(?:\/[\w@.-]+)*\.[A-Za-z][A-Za-z0-9]*)(?=$|[\s`'"),:;])/g;
+
+/**
+ * Markers that make a file name a test, stripped to find its subject.
+ */
+const TEST_NAME_MARKERS = /^test[-_]|[-_.](?:test|spec)$|_test$/;
+
+// ── Project Tree ─────────────────────────────────────────────────────
+
+/**
+ * Run git in a directory.
+ *
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {string|null} stdout, or null if git failed (not a repository,
+ *   git not installed, ...).
+ */
+function runGit(cwd, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 20 * 1024 * 1024,
+      timeout: 15000,
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the project's files, relative to its root.
+ *
+ * Uses `git ls-files` so ignored files are left out; outside a git
+ * repository, walks the tree, skipping hidden and build directories.
+ *
+ * @param {string} projectPath
+ * @param {Object} [options]
+ * @param {boolean} [options.git=true] - Set false to never run git.
+ * @returns {string[]}
+ */
+function listProjectFiles(projectPath, options) {
+  const opts = options || {};
+  if (opts.git !== false) {
+    const output = runGit(projectPath, ['ls-files']);
+    if (output !== null) {
+      return output.split('\n').filter(Boolean).slice(0, MAX_TREE_FILES);
+    }
+  }
+
+  const files = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(projectPath, dir), {
+        withFileTypes: true,
+      });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const entry of entries) {
+      if (files.length >= MAX_TREE_FILES) {
+        return;
+      }
+      const rel = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name)) {
+          walk(rel);
+        }
+      } else if (entry.isFile()) {
+        files.push(rel);
+      }
+    }
+  };
+  walk('');
+  return files;
+}
+
+/**
+ * Whether a path is a test file.
+ *
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isTestFile(file) {
+  const base = path.basename(file, path.extname(file));
+  return (
+    TEST_NAME_MARKERS.test(base) || /(?:^|\/)(?:tests?|__tests__)\//.test(file)
+  );
+}
+
+/**
+ * The name a file is about: its base name without extension or test
+ * markers ("tests/test-scanner.js" and "lib/scanner.js" are both
+ * "scanner").
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function subjectOf(file) {
+  return path
+    .basename(file, path.extname(file))
+    .replace(TEST_NAME_MARKERS, '')
+    .toLowerCase();
+}
+
+// ── Signals ──────────────────────────────────────────────────────────
+
+/**
+ * Task text searched for paths and identifiers.
+ *
+ * @param {Object} task
+ * @returns {string}
+ */
+function taskText(task) {
+  const feature = task.feature || {};
+  return [
+    task.title,
+    task.description,
+    feature.description,
+    ...(feature.acceptance_criteria || []),
+    task.notes,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Files named in the task text, by path or by file name.
+ *
+ * @param {string} text
+ * @param {string[]} files - Project files.
+ * @param {function(string, number, string)} add
+ */
+function addMentionedPaths(text, files, add) {
+  const fileSet = new Set(files);
+  for (const [, raw] of text.matchAll(PATH_PATTERN)) {
+    const mentioned = raw.replace(/^\.\//, '');
+    if (fileSet.has(mentioned)) {
+      add(mentioned, PATH_MENTION_CONFIDENCE, `path "${mentioned}" in task`);
+      continue;
+    }
+    const suffix = `/${mentioned}`;
+    const matches = files.filter(
+      (file) => file.endsWith(suffix) || path.basename(file) === mentioned
+    );
+    for (const file of matches) {
+      add(
+        file,
+        FILE_NAME_CONFIDENCE / matches.length,
+        `file name "${mentioned}" in task`
+      );
+    }
+  }
+}
+
+/**
+ * Files that define or use identifiers named in the task, and files
+ * whose name is made of task words.
+ *
+ * @param {string} projectPath
+ * @param {string[]} files - Project files.
+ * @param {{ terms: Set<string>, identifiers: Set<string> }} taskTerms
+ * @param {function(string, number, string)} add
+ */
+function addIdentifierMatches(projectPath, files, taskTerms, add) {
+  const { terms, identifiers } = taskTerms;
+
+  for (const file of files) {
+    const words = splitWords(path.basename(file, path.extname(file)));
+    const matched = words.filter((word) => terms.has(word));
+    if (matched.length > 0) {
+      add(
+        file,
+        (PATH_TERMS_CONFIDENCE * matched.length) / words.length,
+        `name matches "${[...new Set(matched)].join('", "')}"`
+      );
+    }
+  }
+
+  if (identifiers.size === 0) {
+    return;
+  }
+
+  const patterns = [...identifiers].map((name) => {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return {
+      name,
+      definition: new RegExp(
+        `(?:\\b(?:function\\s*\\*?|class|def|func|fn|struct|interface|type|const|let|var)\\s+${escaped}\\b)` +
+          `|(?:^|\\s)${escaped}\\s*[:=]\\s*(?:async\\s*)?(?:function\\b|\\()`,
+        'm'
+      ),
+      use: new RegExp(`\\b${escaped}\\b`),
+      users: [],
+    };
+  });
+
+  for (const file of files) {
+    if (!SOURCE_EXTENSIONS.has(path.extname(file))) {
+      continue;
+    }
+    let content;
+    try {
+      const fullPath = path.join(projectPath, file);
+      if (fs.statSync(fullPath).size > MAX_SEARCH_BYTES) {
+        continue;
+      }
+      content = fs.readFileSync(fullPath, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const pattern of patterns) {
+      if (pattern.definition.test(content)) {
+        add(file, DEFINITION_CONFIDENCE, `defines ${pattern.name}`);
+      } else if (pattern.use.test(content)) {
+        pattern.users.push(file);
+      }
+    }
+  }
+
+  for (const pattern of patterns) {
+    if (pattern.users.length <= MAX_IDENTIFIER_FILES) {
+      for (const file of pattern.users) {
+        add(file, IDENTIFIER_USE_CONFIDENCE, `uses ${pattern.name}`);
+      }
+    }
+  }
+}
+
+/**
+ * Term overlap between two tasks (Jaccard index of their task terms).
+ *
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function termSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) {
+      shared++;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Files changed by a completed task's commits, relative to the project.
+ *
+ * @param {string} projectPath
+ * @param {Object} task - Completed task.
+ * @returns {{ files: string[], byWindow: boolean }}
+ */
+function historyFiles(projectPath, task) {
+  const logArgs = ['log', '--all', '--relative', '--name-only', '--format='];
+  const parse = (output) =>
+    output === null ? [] : [...new Set(output.split('\n').filter(Boolean))];
+
+  const byId = parse(
+    runGit(projectPath, [...logArgs, '--fixed-strings', `--grep=${task.id}`])
+  );
+  if (byId.length > 0 || !task.started_at || !task.completed_at) {
+    return { files: byId, byWindow: false };
+  }
+  return {
+    files: parse(
+      runGit(projectPath, [
+        ...logArgs,
+        `--since=${task.started_at}`,
+        `--until=${task.completed_at}`,
+      ])
+    ),
+    byWindow: true,
+  };
+}
+
+/**
+ * Files touched by similar completed tasks.
+ *
+ * @param {string} projectPath
+ * @param {Object} task
+ * @param {Object[]} projectTasks - The project's tasks.
+ * @param {Set<string>} fileSet - Existing project files.
+ * @param {{ terms: Set<string> }} taskTerms
+ * @param {Object} opts
+ * @param {function(string, number, string)} add
+ */
+function addHistoryMatches(
+  projectPath,
+  task,
+  projectTasks,
+  fileSet,
+  taskTerms,
+  opts,
+  add
+) {
+  const similar = projectTasks
+    .filter((other) => other.status === 'completed' && other.id !== task.id)
+    .map((other) => ({
+      other,
+      similarity: termSimilarity(
+        taskTerms.terms,
+        extractTaskTerms(other).terms
+      ),
+    }))
+    .filter((entry) => entry.similarity >= MIN_TASK_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_SIMILAR_TASKS);
+
+  for (const { other, similarity } of similar) {
+    const confidence =
+      HISTORY_BASE_CONFIDENCE +
+      HISTORY_SIMILARITY_CONFIDENCE * Math.min(1, similarity * 2);
+    const reason = `changed for similar task ${other.id}`;
+
+    for (const file of other.relevant_files || []) {
+      if (fileSet.has(file)) {
+        add(file, confidence, reason);
+      }
+    }
+    if (opts.git === false) {
+      continue;
+    }
+    const { files, byWindow } = historyFiles(projectPath, other);
+    for (const file of files) {
+      if (fileSet.has(file)) {
+        add(
+          file,
+          byWindow ? confidence * HISTORY_WINDOW_FACTOR : confidence,
+          byWindow ? `changed while similar task ${other.id} ran` : reason
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Propose the test file of each candidate source file, and the source
+ * file of each candidate test.
+ *
+ * @param {Map<string, Object>} candidates
+ * @param {string[]} files - Project files.
+ * @param {function(string, number, string)} add
+ */
+function addTestCounterparts(candidates, files, add) {
+  const bySubject = new Map();
+  for (const file of files) {
+    if (!SOURCE_EXTENSIONS.has(path.extname(file))) {
+      continue;
+    }
+    const subject = subjectOf(file);
+    if (!bySubject.has(subject)) {
+      bySubject.set(subject, []);
+    }
+    bySubject.get(subject).push(file);
+  }
+
+  const proposals = [];
+  for (const candidate of candidates.values()) {
+    const isTest = isTestFile(candidate.path);
+    for (const other of bySubject.get(subjectOf(candidate.path)) || []) {
+      if (other !== candidate.path && isTestFile(other) !== isTest) {
+        proposals.push([
+          other,
+          candidate.confidence * TEST_COUNTERPART_FACTOR,
+          `${isTest ? 'source of' : 'test for'} ${candidate.path}`,
+        ]);
+      }
+    }
+  }
+  for (const proposal of proposals) {
+    add(...proposal);
+  }
+}
+
+// ── Inference ────────────────────────────────────────────────────────
+
+/**
+ * Read all tasks of a project, for finding similar completed ones.
+ *
+ * @param {string} projectPath
+ * @param {string[]} [taskFiles] - The project's `task_files` patterns.
+ * @returns {Object[]}
+ */
+function readProjectTasks(projectPath, taskFiles) {
+  const tasks = [];
+  for (const file of resolveTaskFiles(projectPath, taskFiles)) {
+    try {
+      tasks.push(...(readTasksFile(file).tasks || []));
+    } catch (err) {
+      logger.debug('Skipping unreadable task file', {
+        file,
+        error: err.message,
+      });
+    }
+  }
+  return tasks;
+}
+
+/**
+ * Infer the files a task is likely to touch, ranked by confidence.
+ *
+ * @param {Object} task
+ * @param {string} projectPath - Absolute path to the project root.
+ * @param {Object} [options]
+ * @param {Object[]} [options.tasks] - The project's tasks (default: read
+ *   from its task files).
+ * @param {string[]} [options.taskFiles] - The project's `task_files`.
+ * @param {string[]} [options.files] - The project's files (default:
+ *   listProjectFiles()).
+ * @param {boolean} [options.git=true] - Set false to skip git entirely.
+ * @param {number} [options.limit=5] - Most files returned.
+ * @param {number} [options.minConfidence=0.2] - Lowest confidence returned.
+ * @returns {Array<{ path: string, confidence: number, reasons: string[] }>}
+ */
+function inferRelevantFiles(task, projectPath, options) {
+  const opts = options || {};
+  const limit = opts.limit || DEFAULT_LIMIT;
+  const minConfidence =
+    opts.minConfidence !== undefined
+      ? opts.minConfidence
+      : DEFAULT_MIN_CONFIDENCE;
+  const files = opts.files || listProjectFiles(projectPath, opts);
+  const fileSet = new Set(files);
+  const taskTerms = extractTaskTerms(task);
+
+  const candidates = new Map();
+  const add = (file, confidence, reason) => {
+    if (confidence <= 0) {
+      return;
+    }
+    const candidate = candidates.get(file) || {
+      path: file,
+      confidence: 0,
+      reasons: [],
+    };
+    candidate.confidence = 1 - (1 - candidate.confidence) * (1 - confidence);
+    if (!candidate.reasons.includes(reason)) {
+      candidate.reasons.push(reason);
+    }
+    candidates.set(file, candidate);
+  };
+
+  addMentionedPaths(taskText(task), files, add);
+  addIdentifierMatches(projectPath, files, taskTerms, add);
+  addHistoryMatches(
+    projectPath,
+    task,
+    opts.tasks || readProjectTasks(projectPath, opts.taskFiles),
+    fileSet,
+    taskTerms,
+    opts,
+    add
+  );
+  addTestCounterparts(candidates, files, add);
+
+  const ranked = [...candidates.values()]
+    .map((candidate) => ({
+      ...candidate,
+      confidence: Number(candidate.confidence.toFixed(2)),
+    }))
+    .filter((candidate) => candidate.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence || (a.path < b.path ? -1 : 1))
+    .slice(0, limit);
+
+  logger.debug('Inferred relevant files', {
+    taskId: task.id,
+    candidates: candidates.size,
+    proposed: ranked.length,
+  });
+  return ranked;
+}
+
+// ── Filling Tasks ────────────────────────────────────────────────────
+
+/**
+ * Task statuses that still need their files.
+ */
+const OPEN_STATUSES = new Set(['pending', 'in_progress', 'blocked', 'failed']);
+
+/**
+ * Propose relevant_files for every open task that lists none, across the
+ * registry, and fill in the proposals above `minConfidence`.
+ *
+ * Writes go through the task store as one journal batch (source
+ * `infer-relevant-files`), so `/jade:journal undo` reverts a whole run.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Registry file (default:
+ *   ~/.jade/projects.json).
+ * @param {Object} [options.registry] - Registry object, instead of a file.
+ * @param {string} [options.project] - Only this project's tasks.
+ * @param {string} [options.taskId] - Only this task.
+ * @param {boolean} [options.dryRun] - Report without writing.
+ * @param {number} [options.minConfidence=0.5] - Confidence a file needs
+ *   to be filled in.
+ * @param {number} [options.limit=5] - Most files proposed per task.
+ * @param {boolean} [options.git=true] - Set false to skip git entirely.
+ * @returns {Array<{ taskId: string, project: string, proposals: Object[], filled: string[] }>}
+ *   One entry per open task without files. `proposals` includes files
+ *   below `minConfidence`; `filled` lists the files written (or that
+ *   would be, in a dry run).
+ */
+function fillRelevantFiles(options) {
+  const opts = options || {};
+  const registry = opts.registry || loadRegistry(opts.registryPath);
+  const projectsRoot = registry.projects_root || '';
+  const minConfidence =
+    opts.minConfidence !== undefined
+      ? opts.minConfidence
+      : AUTO_FILL_CONFIDENCE;
+  const { tasks } = scanTasks({ registry });
+
+  const report = [];
+  const filesByProject = new Map();
+  for (const task of tasks) {
+    if (
+      (opts.project && task._projectName !== opts.project) ||
+      (opts.taskId && task.id !== opts.taskId) ||
+      !OPEN_STATUSES.has(task.status) ||
+      (task.relevant_files && task.relevant_files.length > 0)
+    ) {
+      continue;
+    }
+
+    const project = task._project;
+    const projectPath = path.join(projectsRoot, project.path || project.name);
+    if (!filesByProject.has(projectPath)) {
+      filesByProject.set(projectPath, listProjectFiles(projectPath, opts));
+    }
+    const proposals = inferRelevantFiles(task, projectPath, {
+      tasks: tasks.filter((t) => t._projectName === task._projectName),
+      files: filesByProject.get(projectPath),
+      git: opts.git,
+      limit: opts.limit,
+    });
+    report.push({
+      taskId: task.id,
+      project: task._projectName,
+      sourcePath: task._sourcePath,
+      proposals,
+      filled: proposals
+        .filter((proposal) => proposal.confidence >= minConfidence)
+        .map((proposal) => proposal.path),
+    });
+  }
+
+  if (!opts.dryRun) {
+    withJournalBatch({ source: 'infer-relevant-files' }, () => {
+      for (const entry of report) {
+        if (entry.filled.length === 0) {
+          continue;
+        }
+        updateTask(
+          entry.taskId,
+          (task) => {
+            // Leave files someone listed since the scan alone
+            if (!task.relevant_files || task.relevant_files.length === 0) {
+              task.relevant_files = entry.filled;
+            }
+          },
+          { tasksJsonPath: entry.sourcePath, source: 'infer-relevant-files' }
+        );
+      }
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  inferRelevantFiles,
+  fillRelevantFiles,
+  listProjectFiles,
+  readProjectTasks,
+  isTestFile,
+  AUTO_FILL_CONFIDENCE,
+  DEFAULT_MIN_CONFIDENCE,
+};
@@ -22,9 +22,25 @@ const fs = require('fs');
 const path = require('path');
 const { createLogger } = require('./logger');
 const ciIntegrations = require('./ci-integrations');
+const {
+    getTokenCounter,
+    truncateToTokens,
+    logTokenCalibration,
+    heuristicCounter
+} = require('./token-counter');
 
 const logger = createLogger('fixer');
 
+/**
+ * Default token budget for a generated fix prompt.
+ */
+const FIX_PROMPT_TOKEN_BUDGET = 20000;
+
+/**
+ * Smallest error excerpt worth including when a failure is truncated.
+ */
+const MIN_FAILURE_TOKENS = 50;
+
 // ── Error Parsing ────────────────────────────────────────────────────
 
 /**
@@ -366,21 +382,105 @@ function analyzeRootCause(failures) {
 
 // ── Fix Generation ───────────────────────────────────────────────────
 
+/**
+ * Format one failure for the fix prompt.
+ *
+ * @param {Object} failure
+ * @param {number} index - Zero-based failure index
+ * @param {string} [error] - Error text to show (default: failure.error)
+ * @returns {string}
+ */
+function formatFailure(failure, index, error) {
+    return `### Failure ${index + 1}
+
+**File:** ${failure.file}
+**Test:** ${failure.test}
+**Error:**
+\`\`\`
+${error === undefined ? failure.error : error}
+\`\`\`
+
+`;
+}
+
+/**
+ * Fit failure sections into a token budget.
+ *
+ * Failures are added in order. The first one that does not fit has its
+ * error truncated; the rest are left out and counted in a note.
+ *
+ * @param {Array<Object>} failures
+ * @param {number} budget - Tokens available for the failure sections
+ * @param {Object} counter - Token counter
+ * @returns {string}
+ */
+function fitFailures(failures, budget, counter) {
+    const truncationNote = '\n... [error truncated to fit token budget] ...';
+    const omittedNote = (omitted) => {
+        const noun = omitted === 1 ? 'failure' : 'failures';
+        return `... ${omitted} more ${noun} omitted to fit the token budget\n\n`;
+    };
+    const sections = failures.map((failure, index) => formatFailure(failure, index));
+    const counts = sections.map((section) => counter.count(section));
+    if (counts.reduce((sum, tokens) => sum + tokens, 0) <= budget) {
+        return sections.join('');
+    }
+
+    // Something gets cut: keep room for the omitted-failures note
+    const available = budget - counter.count(omittedNote(failures.length));
+    let text = '';
+    let used = 0;
+    let included = 0;
+
+    for (; included < failures.length; included++) {
+        const tokens = counts[included];
+        if (used + tokens <= available) {
+            text += sections[included];
+            used += tokens;
+            continue;
+        }
+
+        const failure = failures[included];
+        const frame = counter.count(formatFailure(failure, included, '') + truncationNote);
+        const errorTokens = available - used - frame;
+        if (errorTokens >= MIN_FAILURE_TOKENS) {
+            const error = truncateToTokens(String(failure.error || ''), errorTokens, counter);
+            text += formatFailure(failure, included, error + truncationNote);
+            included++;
+        }
+        break;
+    }
+
+    const omitted = failures.length - included;
+    if (omitted > 0) {
+        text += omittedNote(omitted);
+    }
+    return text;
+}
+
 /**
  * Generate a detailed prompt for Claude to fix the bug.
  *
+ * The prompt is kept within `tokenBudget`, counted with the configured
+ * token counter: failure errors are truncated or left out as needed.
+ *
  * @param {Object} options
  * @param {Array<Object>} options.failures - Test failures
  * @param {Object} options.analysis - Root cause analysis
  * @param {string} options.projectPath - Project root path
  * @param {string} [options.context] - Additional context
  * @param {boolean} [options.useExtendedThinking] - Use extended thinking for complex bugs
+ * @param {number} [options.tokenBudget=20000] - Maximum prompt tokens
+ * @param {string|Object} [options.tokenCounter] - Token counter name or
+ *   object (see token-counter.js)
  * @returns {string} Fix prompt for Claude
  */
 function generateFixPrompt(options) {
     const { failures, analysis, projectPath, context, useExtendedThinking } = options;
+    const tokenBudget = options.tokenBudget || FIX_PROMPT_TOKEN_BUDGET;
+    const counter = getTokenCounter(options);
 
-    let prompt = `# Autonomous Bug Fix
+    const head = `# Autonomous Bug Fix
 
 You are tasked with fixing bugs in a ${context || 'software project'}.
 
@@ -394,34 +494,21 @@ Confidence: ${(analysis.confidence * 100).toFixed(0)}%
 
 `;
 
-    // Add detailed failure information
-    for (let i = 0; i < failures.length; i++) {
-        const failure = failures[i];
-        prompt += `### Failure ${i + 1}
-
-**File:** ${failure.file}
-**Test:** ${failure.test}
-**Error:**
-\`\`\`
-${failure.error}
-\`\`\`
-
-`;
-    }
+    let tail = '';
 
     // Add likely problem files
     if (analysis.likelyFiles && analysis.likelyFiles.length > 0) {
-        prompt += `## Likely Problem Files
+        tail += `## Likely Problem Files
 
 `;
         for (const file of analysis.likelyFiles.slice(0, 5)) {
-            prompt += `- ${file}\n`;
+            tail += `- ${file}\n`;
         }
-        prompt += '\n';
+        tail += '\n';
     }
 
     // Add instructions
-    prompt += `## Your Task
+    tail += `## Your Task
 
 1. **Analyze** the test failures and error messages
 2. **Identify** the root cause of the failures
@@ -433,22 +520,22 @@ ${failure.error}
 
     // Add extended thinking note for complex bugs
     if (useExtendedThinking || analysis.confidence < 0.5) {
-        prompt += `**Note:** This appears to be a complex bug requiring extended thinking. Take your time to analyze thoroughly before implementing a fix. Consider using extended thinking mode for deeper analysis.
+        tail += `**Note:** This appears to be a complex bug requiring extended thinking. Take your time to analyze thoroughly before implementing a fix. Consider using extended thinking mode for deeper analysis.
 
 `;
     }
 
-    prompt += `## Project Context
+    tail += `## Project Context
 
 **Project Path:** ${projectPath}
 
 `;
 
     if (context) {
-        prompt += `**Additional Context:** ${context}\n\n`;
+        tail += `**Additional Context:** ${context}\n\n`;
     }
 
-    prompt += `## Approach
+    tail += `## Approach
 
 - Read the test files and understand what they're testing
 - Examine the source code in the likely problem files
@@ -459,6 +546,22 @@ ${failure.error}
 Don't micromanage how - just fix the bug.
 `;
 
+    // Failure details get whatever the fixed parts leave. Counts are not
+    // exactly additive across joins, so shrink by any overshoot and refit.
+    let failureBudget = tokenBudget - counter.count(head + tail);
+    let prompt = head + fitFailures(failures, failureBudget, counter) + tail;
+    for (let attempt = 0; attempt < 3 && counter.count(prompt) > tokenBudget; attempt++) {
+        failureBudget -= counter.count(prompt) - tokenBudget;
+        prompt = head + fitFailures(failures, failureBudget, counter) + tail;
+    }
+
+    logTokenCalibration('fix-prompt', {
+        counter: counter.name,
+        tokens: counter.count(prompt),
+        heuristic: heuristicCounter.count(prompt),
+        budget: tokenBudget
+    });
+
     return prompt;
 }
 
@@ -518,6 +621,8 @@ function verifyFix(options) {
  * @param {boolean} [options.dryRun] - Generate prompt but don't apply fix
  * @param {boolean} [options.skipCiCheck] - Skip CI check (for testing)
  * @param {boolean} [options.skipLogRead] - Skip log reading (for testing)
+ * @param {number} [options.tokenBudget] - Fix prompt token budget
+ * @param {string|Object} [options.tokenCounter] - Token counter for the budget
  * @returns {Promise<Object>} Fix result
  */
 async function fixBug(options) {
@@ -600,7 +705,9 @@ async function fixBug(options) {
             analysis,
             projectPath,
             context: options.context,
-            useExtendedThinking
+            useExtendedThinking,
+            tokenBudget: options.tokenBudget,
+            tokenCounter: options.tokenCounter
         });
 
         // Step 4: Return results (actual fix application would be done by orchestrator)
@@ -646,6 +753,7 @@ module.exports = {
 
     // Fix generation
     generateFixPrompt,
+    FIX_PROMPT_TOKEN_BUDGET,
     verifyFix,
 
     // Main workflow
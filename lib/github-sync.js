@@ -19,6 +19,8 @@ const { execSync, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { createLogger } = require('./logger');
+const { filterTasks } = require('./task-query');
+const { withJournalBatch } = require('./task-journal');
 
 const logger = createLogger('github-sync');
 
@@ -602,6 +604,7 @@ function syncIssueToTask(issue, options = {}) {
     updateTaskStatus(taskId, newStatus, {
       projectsRoot,
       summary: `Synced from GitHub issue #${issue.number}`,
+      source: 'github',
     });
 
     logger.info('Synced issue to task', {
@@ -732,13 +735,18 @@ function fetchIssue(issueNumber, options = {}) {
  * @param {Object} [options]
  * @param {string} [options.repo] - Repository in "owner/repo" format.
  * @param {boolean} [options.dryRun] - If true, don't actually create/update.
+ * @param {string|Object} [options.query] - Only sync tasks matching this
+ *   task-query, e.g. "label:bugfix milestone:v1".
  * @returns {{ created: number, updated: number, errors: string[] }}
  */
 function syncTasksToIssues(tasks, options = {}) {
   const opts = { ...DEFAULT_OPTIONS, ...options };
   const results = { created: 0, updated: 0, errors: [] };
+  const selected = opts.query
+    ? filterTasks(tasks, opts.query, { allTasks: tasks })
+    : tasks;
 
-  for (const task of tasks) {
+  for (const task of selected) {
     // Skip completed tasks without existing issues
     if (task.status === 'completed' && !task.github_issue) {
       continue;
@@ -785,6 +793,9 @@ function syncTasksToIssues(tasks, options = {}) {
 /**
  * Sync all GitHub Issues back to tasks.json.
  *
+ * All task changes of one sync form a single journal batch, so a bad sync
+ * can be reverted with one undo.
+ *
  * @param {Object} [options]
  * @param {string} [options.repo] - Repository in "owner/repo" format.
  * @param {string} [options.projectsRoot] - Root directory for projects.
@@ -802,19 +813,21 @@ function syncIssuesToTasks(options = {}) {
     return results;
   }
 
-  for (const issue of fetchResult.issues) {
-    const syncResult = syncIssueToTask(issue, opts);
+  withJournalBatch({ source: 'github-sync' }, () => {
+    for (const issue of fetchResult.issues) {
+      const syncResult = syncIssueToTask(issue, opts);
 
-    if (syncResult.success && syncResult.newStatus) {
-      results.synced++;
-    } else if (syncResult.success) {
-      results.skipped++;
-    } else {
-      results.errors.push(
-        `Failed to sync issue #${issue.number}: ${syncResult.error}`
-      );
+      if (syncResult.success && syncResult.newStatus) {
+        results.synced++;
+      } else if (syncResult.success) {
+        results.skipped++;
+      } else {
+        results.errors.push(
+          `Failed to sync issue #${issue.number}: ${syncResult.error}`
+        );
+      }
     }
-  }
+  });
 
   return results;
 }
@@ -12,6 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 const { createLogger } = require('./logger');
+const { updateTasksFile } = require('./task-store');
 
 const logger = createLogger('issue-mapper');
 
@@ -200,7 +201,8 @@ function clearMappings(projectRoot) {
  * Update the github_issue field in tasks.json for mapped tasks.
  *
  * Reads tasks.json, updates the github_issue field for any tasks
- * that have a mapping but no github_issue, and writes back.
+ * that have a mapping but no github_issue, and writes back through the
+ * task store.
  *
  * @param {string} projectRoot - Root directory of the project.
  * @param {string} repo - Repository in "owner/repo" format.
@@ -215,30 +217,36 @@ function syncMappingsToTasksJson(projectRoot, repo) {
     'tasks.json'
   );
 
-  let data;
-  try {
-    data = JSON.parse(fs.readFileSync(tasksJsonPath, 'utf8'));
-  } catch (err) {
-    logger.error('Failed to read tasks.json', { error: err.message });
-    return { updated: 0, skipped: 0 };
-  }
-
   let updated = 0;
   let skipped = 0;
 
-  for (const task of data.tasks || []) {
-    const issueNumber = map.taskToIssue[task.id];
-
-    if (issueNumber && !task.github_issue) {
-      task.github_issue = `${repo}#${issueNumber}`;
-      updated++;
-    } else if (task.github_issue) {
-      skipped++;
+  try {
+    updateTasksFile(
+      tasksJsonPath,
+      (data) => {
+        for (const task of data.tasks || []) {
+          const issueNumber = map.taskToIssue[task.id];
+
+          if (issueNumber && !task.github_issue) {
+            task.github_issue = `${repo}#${issueNumber}`;
+            updated++;
+          } else if (task.github_issue) {
+            skipped++;
+          }
+        }
+        return updated > 0;
+      },
+      { source: 'github-sync' }
+    );
+  } catch (err) {
+    if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+      throw err;
     }
+    logger.error('Failed to read tasks.json', { error: err.message });
+    return { updated: 0, skipped: 0 };
   }
 
   if (updated > 0) {
-    fs.writeFileSync(tasksJsonPath, JSON.stringify(data, null, 2) + '\n');
     logger.info('Updated tasks.json with issue mappings', { updated });
   }
 
@@ -6,12 +6,16 @@
  * Computes per-project and overall milestone completion percentages
  * and renders a Unicode progress summary table.
  *
- * Uses scanner.js to load all tasks from the ecosystem.
+ * Uses scanner.js to load all tasks from the ecosystem,
+ * critical-path.js for remaining-work estimates per milestone, and
+ * deadlines.js to flag milestones that are at risk or overdue.
  *
  * See Section 3.7 of the orchestrator design doc.
  */
 
 const { scanTasks } = require("./scanner");
+const { analyzeCriticalPath } = require("./critical-path");
+const { analyzeDeadlines } = require("./deadlines");
 const { BOX, horizontalRule, dataRow } = require("./table-renderer");
 
 // Progress bar characters
@@ -38,6 +42,12 @@ const COLUMN_WIDTHS = [
 
 const PROGRESS_BAR_WIDTH = 5;
 
+const CRITICAL_PATH_WIDTHS = [20, 22, 7, 11, 44];
+const CRITICAL_PATH_ALIGN = ["left", "left", "right", "right", "left"];
+
+const DEADLINE_WIDTHS = [20, 22, 12, 10, 7, 10];
+const DEADLINE_ALIGN = ["left", "left", "left", "right", "right", "left"];
+
 /**
  * Build a progress bar string from a percentage.
  *
@@ -51,6 +61,25 @@ function progressBar(percentage) {
   return `${bar} ${percentage}%`;
 }
 
+// ── Scanning ────────────────────────────────────────────────────────
+
+/**
+ * Scan all tasks, through the shared scan cache unless `options.cache`
+ * says otherwise, so the several scans of one command only re-parse
+ * task files that changed. Callers that already hold the scanned tasks
+ * pass them as `options.tasks` to skip the scan.
+ *
+ * @param {Object} options - scanTasks() options, plus `tasks`.
+ * @returns {{ tasks: Object[], errors: Object[], warnings: Object[] }}
+ */
+function scanAll(options) {
+  if (Array.isArray(options.tasks)) {
+    return { tasks: options.tasks, errors: [], warnings: [] };
+  }
+  const cache = options.cache === undefined ? true : options.cache;
+  return scanTasks({ ...options, cache });
+}
+
 // ── Public API ──────────────────────────────────────────────────────
 
 /**
@@ -62,11 +91,15 @@ function progressBar(percentage) {
  * @param {Object} [options]
  * @param {string} [options.registryPath] - Path to the registry JSON file.
  * @param {Object} [options.registry]     - Pre-loaded registry object.
+ * @param {ScanCache|boolean} [options.cache=true] - Scan cache (see
+ *   scanTasks()); false to re-parse every task file.
+ * @param {Object[]} [options.tasks]     - Tasks already scanned; skips
+ *   the scan.
  * @returns {{ total: number, completed: number, inProgress: number, pending: number, percentage: number }}
  */
 function getMilestoneProgress(projectName, options) {
   const opts = options || {};
-  const result = scanTasks(opts);
+  const result = scanAll(opts);
   const allTasks = result.tasks;
 
   // Filter tasks for this project
@@ -100,6 +133,10 @@ function getMilestoneProgress(projectName, options) {
  * @param {Object} [options]
  * @param {string} [options.registryPath] - Path to the registry JSON file.
  * @param {Object} [options.registry]     - Pre-loaded registry object.
+ * @param {ScanCache|boolean} [options.cache=true] - Scan cache (see
+ *   scanTasks()); false to re-parse every task file.
+ * @param {Object[]} [options.tasks]     - Tasks already scanned; skips
+ *   the scan.
  * @returns {Array<{ projectName: string, total: number, completed: number, inProgress: number, pending: number, percentage: number }>}
  */
 function getAllMilestonesProgress(options) {
@@ -113,7 +150,7 @@ function getAllMilestonesProgress(options) {
   }
 
   const projects = registry.projects || [];
-  const result = scanTasks(opts);
+  const result = scanAll(opts);
   const allTasks = result.tasks;
 
   const results = [];
@@ -231,8 +268,212 @@ function renderMilestoneTable(progress) {
   return lines.join("\n") + "\n";
 }
 
+/**
+ * Get the critical path to each milestone across all projects.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Path to the registry JSON file.
+ * @param {Object} [options.registry]     - Pre-loaded registry object.
+ * @param {ScanCache|boolean} [options.cache=true] - Scan cache (see
+ *   scanTasks()); false to re-parse every task file.
+ * @param {Object[]} [options.tasks]     - Tasks already scanned; skips
+ *   the scan.
+ * @param {Object} [options.effort]       - Complexity to effort overrides.
+ * @returns {Array<{ project: string, name: string, targetDate: string|null, finish: number, criticalPath: string[], taskCount: number, unschedulable: number }>}
+ */
+function getCriticalPathSummary(options) {
+  const opts = options || {};
+  const result = scanAll(opts);
+  return analyzeCriticalPath(result.tasks, { effort: opts.effort }).milestones;
+}
+
+/**
+ * Render the critical path to each milestone as a Unicode table.
+ *
+ * Task IDs in the milestone's own project are shown without the project
+ * prefix; cross-project blockers keep it.
+ *
+ * @param {Array} milestones - Entries from getCriticalPathSummary().
+ * @returns {string} The formatted table string.
+ */
+function renderCriticalPathTable(milestones) {
+  const lines = [];
+
+  lines.push(
+    horizontalRule(
+      BOX.topLeft,
+      BOX.topTee,
+      BOX.topRight,
+      CRITICAL_PATH_WIDTHS,
+    ),
+  );
+  lines.push(
+    dataRow(
+      ["Project", "Milestone", "Tasks", "Remaining", "Critical path"],
+      CRITICAL_PATH_WIDTHS,
+      CRITICAL_PATH_ALIGN,
+    ),
+  );
+  lines.push(
+    horizontalRule(BOX.leftTee, BOX.cross, BOX.rightTee, CRITICAL_PATH_WIDTHS),
+  );
+
+  if (milestones.length === 0) {
+    lines.push(
+      dataRow(
+        ["(no milestones)", "", "0", "0d", ""],
+        CRITICAL_PATH_WIDTHS,
+        CRITICAL_PATH_ALIGN,
+      ),
+    );
+  } else {
+    for (const entry of milestones) {
+      const prefix = `${entry.project}/`;
+      const path = entry.criticalPath
+        .map((id) => (id.startsWith(prefix) ? id.slice(prefix.length) : id))
+        .join(" \u2192 ");
+      const remaining =
+        entry.unschedulable > 0 ? `${entry.finish}d+` : `${entry.finish}d`;
+      lines.push(
+        dataRow(
+          [
+            entry.project,
+            entry.name,
+            String(entry.taskCount),
+            remaining,
+            path || (entry.unschedulable > 0 ? "(cycle)" : "(done)"),
+          ],
+          CRITICAL_PATH_WIDTHS,
+          CRITICAL_PATH_ALIGN,
+        ),
+      );
+    }
+  }
+
+  lines.push(
+    horizontalRule(
+      BOX.bottomLeft,
+      BOX.bottomTee,
+      BOX.bottomRight,
+      CRITICAL_PATH_WIDTHS,
+    ),
+  );
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Get deadline pressure for every milestone with a target date.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Path to the registry JSON file.
+ * @param {Object} [options.registry]     - Pre-loaded registry object.
+ * @param {ScanCache|boolean} [options.cache=true] - Scan cache (see
+ *   scanTasks()); false to re-parse every task file.
+ * @param {Object[]} [options.tasks]     - Tasks already scanned; skips
+ *   the scan.
+ * @param {Object} [options.effort]       - Complexity to effort overrides.
+ * @param {Date|number} [options.now]     - Reference time (default: now).
+ * @returns {Array<{ project: string, name: string, targetDate: string, daysLeft: number, remainingEffort: number, remainingTasks: number, urgency: number, overdue: boolean, atRisk: boolean }>}
+ *   Most urgent first.
+ */
+function getDeadlineSummary(options) {
+  const opts = options || {};
+  const result = scanAll(opts);
+  return analyzeDeadlines(result.tasks, { effort: opts.effort, now: opts.now })
+    .milestones;
+}
+
+/**
+ * Deadline status label for a milestone.
+ *
+ * @param {Object} entry - Entry from getDeadlineSummary().
+ * @returns {string}
+ */
+function deadlineStatus(entry) {
+  if (entry.remainingTasks === 0) {
+    return "done";
+  }
+  if (entry.overdue) {
+    return "OVERDUE";
+  }
+  return entry.atRisk ? "at risk" : "on track";
+}
+
+/**
+ * Render milestone deadlines as a Unicode table.
+ *
+ * Days left are rounded up, so a milestone due later today shows 1d;
+ * overdue milestones show how many days ago their target date passed.
+ *
+ * @param {Array} milestones - Entries from getDeadlineSummary().
+ * @returns {string} The formatted table string.
+ */
+function renderDeadlineTable(milestones) {
+  const lines = [];
+
+  lines.push(
+    horizontalRule(BOX.topLeft, BOX.topTee, BOX.topRight, DEADLINE_WIDTHS),
+  );
+  lines.push(
+    dataRow(
+      ["Project", "Milestone", "Target", "Days left", "Work", "Status"],
+      DEADLINE_WIDTHS,
+      DEADLINE_ALIGN,
+    ),
+  );
+  lines.push(
+    horizontalRule(BOX.leftTee, BOX.cross, BOX.rightTee, DEADLINE_WIDTHS),
+  );
+
+  if (milestones.length === 0) {
+    lines.push(
+      dataRow(
+        ["(no deadlines)", "", "", "", "", ""],
+        DEADLINE_WIDTHS,
+        DEADLINE_ALIGN,
+      ),
+    );
+  } else {
+    for (const entry of milestones) {
+      const daysLeft = entry.overdue
+        ? `-${Math.ceil(-entry.daysLeft)}d`
+        : `${Math.max(0, Math.ceil(entry.daysLeft))}d`;
+      lines.push(
+        dataRow(
+          [
+            entry.project,
+            entry.name,
+            entry.targetDate,
+            daysLeft,
+            `${entry.remainingEffort}d`,
+            deadlineStatus(entry),
+          ],
+          DEADLINE_WIDTHS,
+          DEADLINE_ALIGN,
+        ),
+      );
+    }
+  }
+
+  lines.push(
+    horizontalRule(
+      BOX.bottomLeft,
+      BOX.bottomTee,
+      BOX.bottomRight,
+      DEADLINE_WIDTHS,
+    ),
+  );
+
+  return lines.join("\n") + "\n";
+}
+
 module.exports = {
   getMilestoneProgress,
   getAllMilestonesProgress,
   renderMilestoneTable,
+  getCriticalPathSummary,
+  renderCriticalPathTable,
+  getDeadlineSummary,
+  renderDeadlineTable,
 };
@@ -3,127 +3,726 @@
 /**
  * Presenter Module for the jade-dev-assist orchestrator.
  *
- * Renders a ranked task table to the terminal using box-drawing characters.
- * Operates on the sorted task array produced by scoreTasks().
+ * Renders ranked tasks to the terminal as a box-drawing table, or as
+ * Markdown, CSV, JSON or NDJSON for other tools. Columns can be selected
+ * and tasks grouped by project or milestone. The table fits the terminal
+ * width and colors rows by status when writing to a TTY. Operates on the sorted task
+ * array produced by scoreTasks().
+ *
+ * explainTasks() renders each task's score breakdown (see
+ * scorer.explainScore) as collapsible text or as JSON.
  *
  * See ~/docs/plans/2026-02-02-jade-dev-assist-orchestrator-design.md Section 6.
  */
 
-const { BOX, horizontalRule, dataRow } = require("./table-renderer");
+const {
+  BOX,
+  STATUS_COLORS,
+  displayWidth,
+  supportsColor,
+  terminalWidth,
+  fitColumns,
+  horizontalRule,
+  dataRow,
+} = require("./table-renderer");
+const { explainScore } = require("./scorer");
+const { filterTasks, queryUsesField } = require("./task-query");
 
-// ── Column Widths ────────────────────────────────────────────────────
+// ── Columns ──────────────────────────────────────────────────────────
 //
-// #:       4 chars total  (right-aligned number, padded)
-// Project: 18 chars total (16 content + 2 padding)
-// Task:    42 chars total (40 content + 2 padding)
-// Score:   7 chars total  (5 content + 2 padding)
-// Size:    6 chars total  (4 content + 2 padding)
+// Each column has a table header, a table width (content + 2 padding), an
+// alignment and a value getter. Flexible columns are resized to fit the
+// terminal. Values are raw (numbers, arrays, null) so
+// the JSON formats keep their types; text formats convert them with
+// cellText().
+
+const COLUMNS = {
+  rank: { header: " #", width: 4, align: "right", value: (task, rank) => rank },
+  id: {
+    header: "ID",
+    width: 26,
+    align: "left",
+    flexible: true,
+    value: (task) => task.id,
+  },
+  project: {
+    header: "Project",
+    width: 18,
+    align: "left",
+    flexible: true,
+    value: (task) => task._projectName,
+  },
+  title: {
+    header: "Task",
+    width: 42,
+    align: "left",
+    flexible: true,
+    value: (task) => task.title,
+  },
+  status: {
+    header: "Status",
+    width: 13,
+    align: "left",
+    value: (task) => task.status,
+  },
+  milestone: {
+    header: "Milestone",
+    width: 22,
+    align: "left",
+    flexible: true,
+    value: (task) => task.milestone,
+  },
+  labels: {
+    header: "Labels",
+    width: 22,
+    align: "left",
+    flexible: true,
+    value: (task) => task.labels || [],
+  },
+  score: {
+    header: "Score",
+    width: 7,
+    align: "right",
+    value: (task) => task._score,
+  },
+  complexity: {
+    header: "Size",
+    width: 6,
+    align: "left",
+    value: (task) => task.complexity,
+  },
+  blocked_by: {
+    header: "Blocked by",
+    width: 22,
+    align: "left",
+    flexible: true,
+    value: (task) => task.blocked_by || [],
+  },
+};
+
+/**
+ * Columns of the default table (and Markdown) layout.
+ */
+const TABLE_COLUMNS = ["rank", "project", "title", "score", "complexity"];
+
+/**
+ * Columns of the JSON, NDJSON and CSV formats by default.
+ */
+const DATA_COLUMNS = Object.keys(COLUMNS);
+
+/**
+ * Supported `groupBy` values and how to read each task's group.
+ */
+const GROUP_KEYS = {
+  project: (task) => task._projectName || "(no project)",
+  milestone: (task) => task.milestone || "(no milestone)",
+};
+
+// ── Option Handling ──────────────────────────────────────────────────
+
+/**
+ * Build an error for an unsupported presentTasks() option.
+ *
+ * @param {string} message
+ * @returns {Error} Error with code PRESENTER_OPTION_INVALID.
+ */
+function invalidOption(message) {
+  const err = new Error(message);
+  err.code = "PRESENTER_OPTION_INVALID";
+  return err;
+}
+
+/**
+ * Resolve the columns to show, validating any requested names.
+ *
+ * @param {string[]} [requested]
+ * @param {string} format
+ * @returns {string[]}
+ */
+function resolveColumns(requested, format) {
+  if (!requested) {
+    return format === "table" || format === "markdown"
+      ? TABLE_COLUMNS
+      : DATA_COLUMNS;
+  }
+  const unknown = requested.filter((name) => !COLUMNS[name]);
+  if (unknown.length > 0) {
+    throw invalidOption(
+      `Unknown column(s): ${unknown.join(", ")}. Available: ${DATA_COLUMNS.join(", ")}`,
+    );
+  }
+  if (requested.length === 0) {
+    throw invalidOption("At least one column is required");
+  }
+  return requested;
+}
+
+/**
+ * Split ranked rows into groups, ordered by their best-ranked task.
+ *
+ * @param {Array<{ task: Object, rank: number }>} rows
+ * @param {string} [groupBy] - "project" or "milestone".
+ * @returns {Array<{ group: string|null, rows: Object[] }>} A single group
+ *   with a null name when not grouping.
+ */
+function groupRows(rows, groupBy) {
+  if (!groupBy) {
+    return [{ group: null, rows }];
+  }
+  const groups = new Map();
+  for (const row of rows) {
+    const name = GROUP_KEYS[groupBy](row.task);
+    if (!groups.has(name)) {
+      groups.set(name, []);
+    }
+    groups.get(name).push(row);
+  }
+  return [...groups].map(([group, groupRowList]) => ({
+    group,
+    rows: groupRowList,
+  }));
+}
+
+/**
+ * Raw values of the selected columns for one row.
+ *
+ * @param {{ task: Object, rank: number }} row
+ * @param {string[]} columns
+ * @returns {Object<string, *>}
+ */
+function rowRecord(row, columns) {
+  const record = {};
+  for (const name of columns) {
+    const value = COLUMNS[name].value(row.task, row.rank);
+    record[name] = value === undefined ? null : value;
+  }
+  return record;
+}
+
+/**
+ * Convert a raw column value to text.
+ *
+ * @param {string} name - Column name.
+ * @param {*} value
+ * @param {string} [separator=", "] - Joins list values.
+ * @returns {string}
+ */
+function cellText(name, value, separator) {
+  if (name === "score") {
+    return value != null ? value.toFixed(1) : "0.0";
+  }
+  if (Array.isArray(value)) {
+    return value.join(separator || ", ");
+  }
+  return value == null ? "" : String(value);
+}
+
+// ── Formatters ───────────────────────────────────────────────────────
+
+/**
+ * Column widths for the table, fitted to the terminal when writing to one.
+ * All groups share the same widths so their tables line up.
+ */
+function tableWidths(groups, columns, context) {
+  const widths = columns.map((name) => COLUMNS[name].width);
+  if (!context.terminalWidth) {
+    return widths;
+  }
+  const wanted = columns.map((name) => displayWidth(COLUMNS[name].header));
+  for (const { rows } of groups) {
+    for (const row of rows) {
+      const record = rowRecord(row, columns);
+      columns.forEach((name, i) => {
+        wanted[i] = Math.max(
+          wanted[i],
+          displayWidth(cellText(name, record[name])),
+        );
+      });
+    }
+  }
+  return fitColumns(widths, {
+    width: context.terminalWidth,
+    flexible: columns
+      .map((name, i) => (COLUMNS[name].flexible ? i : -1))
+      .filter((i) => i >= 0),
+    wanted: wanted.map((w) => w + 2),
+  });
+}
+
+/**
+ * Box-drawing table, one per group.
+ *
+ * With colors on, each row's status cell (or its title, when the status
+ * column is not shown) is colored by the task's status.
+ */
+function formatTable(groups, columns, context) {
+  const widths = tableWidths(groups, columns, context);
+  const aligns = columns.map((name) => COLUMNS[name].align);
+  const colorColumn = columns.includes("status")
+    ? "status"
+    : columns.includes("title")
+      ? "title"
+      : null;
+  const lines = [];
+
+  lines.push(
+    `  jade-dev-assist orchestrator -- Top ${context.shown} tasks across ${context.projectCount} projects`,
+  );
+  lines.push("");
+
+  if (context.shown === 0) {
+    lines.push("  (no tasks)");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  for (const { group, rows } of groups) {
+    if (group !== null) {
+      lines.push(`  ${group} (${rows.length})`);
+    }
+    lines.push(horizontalRule(BOX.topLeft, BOX.topTee, BOX.topRight, widths));
+    lines.push(
+      dataRow(
+        columns.map((name) => COLUMNS[name].header),
+        widths,
+        aligns,
+      ),
+    );
+    lines.push(horizontalRule(BOX.leftTee, BOX.cross, BOX.rightTee, widths));
+    for (const row of rows) {
+      const record = rowRecord(row, columns);
+      const style = context.color ? STATUS_COLORS[row.task.status] : null;
+      lines.push(
+        dataRow(
+          columns.map((name) => cellText(name, record[name])),
+          widths,
+          aligns,
+          {
+            wrap: context.wrap,
+            colors: columns.map((name) =>
+              name === colorColumn ? style : null,
+            ),
+          },
+        ),
+      );
+    }
+    lines.push(
+      horizontalRule(BOX.bottomLeft, BOX.bottomTee, BOX.bottomRight, widths),
+    );
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Markdown pipe table, with a heading per group.
+ */
+function formatMarkdown(groups, columns) {
+  const escape = (text) => text.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  const lines = [];
+  for (const { group, rows } of groups) {
+    if (group !== null) {
+      lines.push(`### ${escape(group)}`, "");
+    }
+    lines.push(
+      `| ${columns.map((name) => COLUMNS[name].header.trim()).join(" | ")} |`,
+    );
+    lines.push(
+      `|${columns
+        .map((name) => (COLUMNS[name].align === "right" ? "---:" : "---"))
+        .join("|")}|`,
+    );
+    for (const row of rows) {
+      const record = rowRecord(row, columns);
+      lines.push(
+        `| ${columns.map((name) => escape(cellText(name, record[name]))).join(" | ")} |`,
+      );
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
 
-const COL_RANK = 4;
-const COL_PROJECT = 18;
-const COL_TASK = 42;
-const COL_SCORE = 7;
-const COL_SIZE = 6;
+/**
+ * CSV (RFC 4180) with a header row of column names. List values are
+ * joined with ";".
+ */
+function formatCsv(groups, columns) {
+  const quote = (text) =>
+    /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  const lines = [columns.join(",")];
+  for (const { rows } of groups) {
+    for (const row of rows) {
+      const record = rowRecord(row, columns);
+      lines.push(
+        columns
+          .map((name) => quote(cellText(name, record[name], ";")))
+          .join(","),
+      );
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * JSON array of records, or of { group, tasks } when grouping.
+ */
+function formatJson(groups, columns, context) {
+  const data = context.groupBy
+    ? groups.map(({ group, rows }) => ({
+        group,
+        tasks: rows.map((row) => rowRecord(row, columns)),
+      }))
+    : groups[0].rows.map((row) => rowRecord(row, columns));
+  return JSON.stringify(data, null, 2) + "\n";
+}
+
+/**
+ * One JSON record per line.
+ */
+function formatNdjson(groups, columns) {
+  return groups
+    .flatMap(({ rows }) => rows)
+    .map((row) => JSON.stringify(rowRecord(row, columns)) + "\n")
+    .join("");
+}
 
-const COLUMN_WIDTHS = [COL_RANK, COL_PROJECT, COL_TASK, COL_SCORE, COL_SIZE];
+const FORMATTERS = {
+  table: formatTable,
+  markdown: formatMarkdown,
+  csv: formatCsv,
+  json: formatJson,
+  ndjson: formatNdjson,
+};
 
 // ── Public API ───────────────────────────────────────────────────────
 
 /**
- * Render a ranked task table to the terminal.
+ * Render ranked tasks as a table (the default) or as Markdown, CSV, JSON
+ * or NDJSON.
+ *
+ * Ranks are positions in rankedTasks and are kept when grouping. Groups
+ * are ordered by their best-ranked task. CSV and NDJSON have no group
+ * headings, so grouping only orders their rows.
  *
  * @param {Object[]} rankedTasks - Array of task objects with _projectName, title, _score, complexity.
  * @param {Object}   [options]
  * @param {number}   [options.count=10]  - Number of tasks to display.
  * @param {Object}   [options.output]    - Writable stream (default: process.stdout).
- * @returns {string} The formatted table string.
+ * @param {string}   [options.format="table"] - "table", "markdown", "csv",
+ *   "json" or "ndjson".
+ * @param {string[]} [options.columns] - Columns to include, from rank, id,
+ *   project, title, status, milestone, labels, score, complexity and
+ *   blocked_by. Default: rank, project, title, score and complexity for
+ *   table and Markdown; every column otherwise.
+ * @param {string}   [options.groupBy] - "project" or "milestone".
+ * @param {boolean|Object} [options.explain] - Table format only: append the
+ *   score breakdown of the displayed tasks; an object is passed to
+ *   explainTasks() as options.
+ * @param {boolean}  [options.wrap=false] - Table format only: wrap long
+ *   cells over several lines instead of truncating them.
+ * @param {boolean}  [options.color] - Table format only: color rows by
+ *   status. Default: on when the output is a TTY and NO_COLOR is not set.
+ * @param {string|Object} [options.query] - task-query selection. Ranks
+ *   then count positions among the matching tasks.
+ * @param {Object[]} [options.allTasks] - Full scan for resolving
+ *   `blocked:` in the query. Required when the query uses `blocked`:
+ *   rankedTasks has no completed tasks, so their dependents would count
+ *   as blocked.
+ *
+ * When the output is a TTY, the table's flexible columns (id, project,
+ * title, milestone, labels, blocked_by) shrink to fit its width or grow to
+ * show their content in full. Other output keeps the fixed widths.
+ * @returns {string} The formatted output.
+ * @throws {Error} With code PRESENTER_OPTION_INVALID for an unknown format,
+ *   column or groupBy value or a `blocked` query without allTasks, or
+ *   TASK_QUERY_INVALID for a bad query.
  */
 function presentTasks(rankedTasks, options) {
   const opts = options || {};
   const count = opts.count || 10;
   const output = opts.output || process.stdout;
+  const format = opts.format || "table";
 
-  const tasksToShow = rankedTasks.slice(0, count);
+  if (!FORMATTERS[format]) {
+    throw invalidOption(
+      `Unknown format "${format}". Available: ${Object.keys(FORMATTERS).join(", ")}`,
+    );
+  }
+  if (opts.groupBy && !GROUP_KEYS[opts.groupBy]) {
+    throw invalidOption(
+      `Unknown groupBy "${opts.groupBy}". Available: ${Object.keys(GROUP_KEYS).join(", ")}`,
+    );
+  }
+  const columns = resolveColumns(opts.columns, format);
+  if (opts.query && !opts.allTasks && queryUsesField(opts.query, "blocked")) {
+    throw invalidOption(
+      'A "blocked" query needs allTasks (the full scan) to resolve blockers',
+    );
+  }
+  const tasks = opts.query
+    ? filterTasks(rankedTasks, opts.query, { allTasks: opts.allTasks })
+    : rankedTasks;
 
-  // Count unique project names across the entire input (not just displayed tasks)
-  const uniqueProjects = new Set(rankedTasks.map((t) => t._projectName));
-  const projectCount = uniqueProjects.size;
+  const rows = tasks.slice(0, count).map((task, i) => ({ task, rank: i + 1 }));
 
-  const lines = [];
+  // Count unique project names across the entire input (not just displayed tasks)
+  const context = {
+    shown: rows.length,
+    projectCount: new Set(tasks.map((t) => t._projectName)).size,
+    groupBy: opts.groupBy || null,
+    terminalWidth: terminalWidth(output),
+    wrap: Boolean(opts.wrap),
+    color: opts.color != null ? opts.color : supportsColor(output),
+  };
 
-  // Header line
-  const displayCount = Math.min(count, rankedTasks.length);
-  lines.push(
-    `  jade-dev-assist orchestrator -- Top ${displayCount} tasks across ${projectCount} projects`,
+  let result = FORMATTERS[format](
+    groupRows(rows, opts.groupBy),
+    columns,
+    context,
   );
-  lines.push("");
 
-  if (tasksToShow.length === 0) {
-    lines.push("  (no tasks)");
-    lines.push("");
+  if (format === "table" && opts.explain && rows.length > 0) {
+    const explainOpts = typeof opts.explain === "object" ? opts.explain : {};
+    result +=
+      "\n" +
+      explainTasks(tasks, {
+        ...explainOpts,
+        count,
+        format: "text",
+        output: { write() {} },
+      });
+  }
+
+  output.write(result);
+  return result;
+}
+
+// ── Score Breakdown ──────────────────────────────────────────────────
+
+const FACTOR_LABEL_WIDTH = 12;
+
+/**
+ * Format a number with one decimal place, right-aligned.
+ *
+ * @param {number} value
+ * @param {number} width
+ * @returns {string}
+ */
+function num(value, width) {
+  return value.toFixed(1).padStart(width);
+}
+
+/**
+ * Format non-zero components as "name +N" pairs.
+ *
+ * @param {Array<[string, number]>} pairs
+ * @returns {string}
+ */
+function describeParts(pairs) {
+  const parts = pairs
+    .filter(([, value]) => value !== 0)
+    .map(
+      ([name, value]) =>
+        `${name} ${value > 0 ? "+" : ""}${Number(value.toFixed(1))}`,
+    );
+  return parts.length > 0 ? parts.join(", ") : "none";
+}
 
-    const result = lines.join("\n");
-    output.write(result);
-    return result;
+/**
+ * Describe the details behind one factor.
+ *
+ * @param {string} name - Factor name.
+ * @param {Object} factor - Factor entry from explainScore().
+ * @returns {string}
+ */
+function describeFactor(name, factor) {
+  switch (name) {
+    case "maturity":
+      return `status ${factor.status || "unknown"}`;
+    case "impact": {
+      const c = factor.components;
+      const labels = Object.entries(c.labelBonuses)
+        .map(([label, bonus]) => `${label} +${bonus}`)
+        .join(", ");
+      return (
+        describeParts([
+          ["criteria", c.criteria],
+          ["description", c.description],
+          ["issue", c.githubIssue],
+          ["unlocks", c.unlocks],
+          ["milestone", c.milestone],
+          ["last-blocker", c.lastBlocker],
+          ["labels", c.labels],
+        ]) +
+        (labels ? ` (${labels})` : "") +
+        (factor.capped ? `, capped from ${c.total}` : "")
+      );
+    }
+    case "dependency":
+      return factor.blockedBy.length > 0
+        ? `blocked by ${factor.blockedBy.join(", ")}`
+        : "no blockers";
+    case "effort": {
+      const measured = factor.measured
+        ? `, measured ${factor.measured.hours.toFixed(1)}h over ${factor.measured.samples} ${factor.measured.scope} tasks`
+        : "";
+      return `impact \u00d7 ${factor.multiplier.toFixed(2)} (${factor.complexity}${measured})`;
+    }
+    case "preference": {
+      const c = factor.components;
+      return describeParts([
+        ["base", c.base],
+        ["recent", c.recency],
+        ["focus", c.focus],
+      ]);
+    }
+    default:
+      return "";
   }
+}
 
-  // Top border
-  lines.push(
-    horizontalRule(BOX.topLeft, BOX.topTee, BOX.topRight, COLUMN_WIDTHS),
-  );
+/**
+ * Describe the deadline behind the urgency factor.
+ *
+ * @param {Object} urgency - Urgency entry from explainScore().
+ * @returns {string}
+ */
+function describeUrgency(urgency) {
+  if (!urgency.milestone) {
+    return "no dated milestone";
+  }
+  const work = `${urgency.remainingEffort}d of work`;
+  if (urgency.overdue) {
+    return `${urgency.milestone}: OVERDUE by ${Math.ceil(-urgency.daysLeft)}d, ${work} left`;
+  }
+  return `${urgency.milestone}: ${work}, ${urgency.daysLeft.toFixed(1)}d left`;
+}
 
-  // Column headers
-  lines.push(
-    dataRow([" #", "Project", "Task", "Score", "Size"], COLUMN_WIDTHS, [
-      "right",
-      "left",
-      "left",
-      "right",
-      "left",
-    ]),
-  );
+/**
+ * Render one explanation as a collapsed line or an expanded block.
+ *
+ * @param {Object} task
+ * @param {number} rank - 1-based rank.
+ * @param {Object} explanation - Result of explainScore().
+ * @param {boolean} expanded
+ * @returns {string[]}
+ */
+function renderExplanation(task, rank, explanation, expanded) {
+  const marker = expanded ? "\u25be" : "\u25b8";
+  const heading = `  ${marker} ${rank}. ${task.id}  ${explanation.score.toFixed(1)}`;
 
-  // Separator
-  lines.push(
-    horizontalRule(BOX.leftTee, BOX.cross, BOX.rightTee, COLUMN_WIDTHS),
-  );
+  const entries = Object.entries(explanation.factors);
+  if (explanation.criticality) {
+    entries.push(["criticality", explanation.criticality]);
+  }
+  if (explanation.urgency) {
+    entries.push(["urgency", explanation.urgency]);
+  }
 
-  // Data rows
-  for (let i = 0; i < tasksToShow.length; i++) {
-    const task = tasksToShow[i];
-    const rank = String(i + 1);
-    const project = task._projectName || "";
-    const title = task.title || "";
-    const score = task._score != null ? task._score.toFixed(1) : "0.0";
-    const size = task.complexity || "";
+  if (!expanded) {
+    const summary = entries
+      .map(([name, factor]) => `${name} ${factor.contribution.toFixed(1)}`)
+      .join(" \u00b7 ");
+    const override = explanation.override ? " \u00b7 override" : "";
+    return [`${heading}  (${summary}${override})`];
+  }
 
+  const lines = [heading];
+  for (const [name, factor] of entries) {
+    let detail;
+    if (name === "criticality") {
+      detail = "slack against the critical path";
+    } else if (name === "urgency") {
+      detail = describeUrgency(factor);
+    } else {
+      detail = describeFactor(name, factor);
+    }
     lines.push(
-      dataRow([rank, project, title, score, size], COLUMN_WIDTHS, [
-        "right",
-        "left",
-        "left",
-        "right",
-        "left",
-      ]),
+      `      ${name.padEnd(FACTOR_LABEL_WIDTH)}${num(factor.value, 6)} \u00d7 ${factor.weight.toFixed(2)} = ${num(factor.contribution, 5)}   ${detail}`,
     );
   }
-
-  // Bottom border
-  lines.push(
-    horizontalRule(
-      BOX.bottomLeft,
-      BOX.bottomTee,
-      BOX.bottomRight,
-      COLUMN_WIDTHS,
-    ),
+  const blended = [explanation.criticality, explanation.urgency].filter(
+    Boolean,
   );
-  lines.push("");
+  if (blended.length > 0) {
+    const scale = blended.reduce((rest, extra) => rest - extra.weight, 1);
+    lines.push(`      (base factors scaled by ${scale.toFixed(2)})`);
+  }
+  if (explanation.override) {
+    lines.push(`      note: ${explanation.override.note}`);
+  }
+  return lines;
+}
+
+/**
+ * Render the score breakdown of the top ranked tasks.
+ *
+ * Uses each task's `_explanation` from scoreTasks({ explain: true }) when
+ * present; otherwise explains the score here against `allTasks`.
+ *
+ * @param {Object[]} rankedTasks - Sorted task array from scoreTasks().
+ * @param {Object}   [options]
+ * @param {number}   [options.count=10] - Number of tasks to explain.
+ * @param {string}   [options.format="text"] - "text" or "json".
+ * @param {boolean|Array<number|string>} [options.expand] - Text format only:
+ *   `true` expands every task; an array expands the given ranks (1-based)
+ *   or task IDs. Other tasks are shown as one-line summaries.
+ * @param {Object[]} [options.allTasks] - Tasks for dependency and milestone
+ *   lookups when explaining here (default: rankedTasks).
+ * @param {Object}   [options.scoreOptions] - Options for explainScore().
+ * @param {Object}   [options.output] - Writable stream (default: process.stdout).
+ * @returns {string} The rendered breakdown.
+ */
+function explainTasks(rankedTasks, options) {
+  const opts = options || {};
+  const count = opts.count || 10;
+  const output = opts.output || process.stdout;
+  const allTasks = opts.allTasks || rankedTasks;
+
+  const shown = rankedTasks.slice(0, count).map((task) => ({
+    task,
+    explanation:
+      task._explanation ||
+      explainScore(task, task._project || {}, allTasks, opts.scoreOptions),
+  }));
+
+  let result;
+  if (opts.format === "json") {
+    result =
+      JSON.stringify(
+        shown.map((s) => s.explanation),
+        null,
+        2,
+      ) + "\n";
+  } else {
+    const expand = opts.expand;
+    const isExpanded = (task, rank) =>
+      expand === true ||
+      (Array.isArray(expand) &&
+        (expand.includes(rank) || expand.includes(task.id)));
+
+    const profile = shown.length > 0 ? shown[0].explanation.profile : "default";
+    const lines = [`  Score breakdown (profile: ${profile})`, ""];
+    if (shown.length === 0) {
+      lines.push("  (no tasks)");
+    }
+    shown.forEach(({ task, explanation }, i) => {
+      lines.push(
+        ...renderExplanation(task, i + 1, explanation, isExpanded(task, i + 1)),
+      );
+    });
+    lines.push("");
+    result = lines.join("\n");
+  }
 
-  const result = lines.join("\n");
   output.write(result);
   return result;
 }
 
 module.exports = {
   presentTasks,
+  explainTasks,
+  COLUMNS,
 };
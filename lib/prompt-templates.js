@@ -0,0 +1,634 @@
+'use strict';
+
+/**
+ * Prompt Templates Module for the jade-dev-assist orchestrator.
+ *
+ * Renders the worker prompt from Markdown templates instead of hard-coded
+ * sections. Default templates ship with the plugin in config/prompts/;
+ * a project overrides or adds templates in its own .claude/prompts/
+ * directory (a file with the same name replaces the plugin's), and
+ * partials in a `partials/` subdirectory of either.
+ *
+ * Template syntax:
+ * - `{{task.title}}`: a variable (dotted paths; arrays are joined with ", ")
+ * - `{{#if expr}}...{{else}}...{{/if}}` and `{{#unless expr}}...{{/unless}}`,
+ *   where expr is a path, or `path == "value"` / `path != "value"`
+ * - `{{#each path}}...{{this}}...{{/each}}`
+ * - `{{> name}}`: a partial
+ * - `{{! comment }}`
+ *
+ * A block tag alone on its line takes the line with it, so conditional
+ * sections leave no blank lines behind.
+ *
+ * Templates are picked by their frontmatter: `labels: [docs]` matches a
+ * task with any of those labels, `complexity: [L, XL]` a task of one of
+ * those sizes. The template matching the most selectors wins; without a
+ * match, `worker` is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('prompt-templates');
+
+// ── Constants ────────────────────────────────────────────────────────
+
+/**
+ * Templates shipped with the plugin.
+ */
+const PLUGIN_PROMPTS_DIR = path.join(__dirname, '..', 'config', 'prompts');
+
+/**
+ * Project templates, relative to the project root.
+ */
+const PROJECT_PROMPTS_DIR = path.join('.claude', 'prompts');
+
+/**
+ * Template used when no other matches.
+ */
+const DEFAULT_TEMPLATE = 'worker';
+
+/**
+ * Frontmatter keys that select a template for a task.
+ */
+const SELECTORS = ['labels', 'complexity'];
+
+/**
+ * Deepest partial nesting before a cycle is assumed.
+ */
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Template tags.
+ */
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+
+// ── Errors ───────────────────────────────────────────────────────────
+
+/**
+ * Create an error with a code.
+ *
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+function templateError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// ── Parsing ──────────────────────────────────────────────────────────
+
+/**
+ * Split a template file into its frontmatter and body.
+ *
+ * Frontmatter is `key: value` lines between `---` markers; `[a, b]`
+ * values are lists.
+ *
+ * @param {string} text
+ * @returns {{ meta: Object, body: string }}
+ */
+function parseFrontmatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!match) {
+    return { meta: {}, body: text };
+  }
+  const meta = {};
+  const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = /^([\w-]+)\s*:\s*(.*)$/.exec(line);
+    if (!field) {
+      continue;
+    }
+    const value = field[2].trim();
+    meta[field[1]] = /^\[.*\]$/.test(value)
+      ? value.slice(1, -1).split(',').map(unquote).filter(Boolean)
+      : unquote(value);
+  }
+  return { meta, body: text.slice(match[0].length) };
+}
+
+/**
+ * Split a template body into text and tag tokens, removing the line of
+ * each block tag that stands alone on it.
+ *
+ * @param {string} body
+ * @returns {Object[]}
+ */
+function tokenize(body) {
+  const tokens = [];
+  let last = 0;
+  for (const match of body.matchAll(TAG_PATTERN)) {
+    tokens.push({ type: 'text', value: body.slice(last, match.index) });
+    const inner = match[1].trim();
+    tokens.push({
+      type: 'tag',
+      inner,
+      block: /^[#/>!]/.test(inner) || inner === 'else',
+    });
+    last = match.index + match[0].length;
+  }
+  tokens.push({ type: 'text', value: body.slice(last) });
+
+  // Tokens alternate text, tag, text, ...
+  for (let i = 1; i < tokens.length; i += 2) {
+    if (!tokens[i].block) {
+      continue;
+    }
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    const lineStart = before.value.lastIndexOf('\n') + 1;
+    const leading = before.value.slice(lineStart);
+    const atLineStart = lineStart > 0 || i === 1 || before.stripped;
+    const trailing = /^[ \t]*(\r?\n|$)/.exec(after.value);
+    if (atLineStart && /^[ \t]*$/.test(leading) && trailing) {
+      before.value = before.value.slice(0, lineStart);
+      after.value = after.value.slice(trailing[0].length);
+      after.stripped = true;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a template body into a tree of text, variable, block and partial
+ * nodes.
+ *
+ * @param {string} body
+ * @param {string} [name] - Template name, for error messages.
+ * @returns {Object[]}
+ * @throws {Error} TEMPLATE_SYNTAX on unbalanced or unknown blocks.
+ */
+function parseTemplate(body, name) {
+  const label = name ? `template "${name}"` : 'template';
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  for (const token of tokenize(body)) {
+    if (token.type === 'text') {
+      if (token.value) {
+        current().push({ type: 'text', value: token.value });
+      }
+      continue;
+    }
+
+    const { inner } = token;
+    if (inner.startsWith('!')) {
+      continue;
+    }
+    if (inner.startsWith('>')) {
+      current().push({ type: 'partial', name: inner.slice(1).trim() });
+      continue;
+    }
+    if (inner === 'else') {
+      const node = stack[stack.length - 1];
+      if (node === root || node.inElse) {
+        throw templateError(
+          `Unexpected {{else}} in ${label}`,
+          'TEMPLATE_SYNTAX'
+        );
+      }
+      node.inElse = true;
+      continue;
+    }
+    if (inner.startsWith('#')) {
+      const [, kind, expr] = /^#(\w+)\s*(.*)$/.exec(inner) || [];
+      if (!['if', 'unless', 'each'].includes(kind) || !expr) {
+        throw templateError(
+          `Unknown block {{${inner}}} in ${label}`,
+          'TEMPLATE_SYNTAX'
+        );
+      }
+      const node = { type: kind, expr, children: [], otherwise: [] };
+      current().push(node);
+      stack.push(node);
+      continue;
+    }
+    if (inner.startsWith('/')) {
+      const kind = inner.slice(1).trim();
+      const node = stack.pop();
+      if (node === root || node.type !== kind) {
+        throw templateError(
+          `Unexpected {{${inner}}} in ${label}`,
+          'TEMPLATE_SYNTAX'
+        );
+      }
+      delete node.inElse;
+      continue;
+    }
+    current().push({ type: 'variable', path: inner });
+  }
+
+  if (stack.length > 1) {
+    throw templateError(
+      `Unclosed {{#${stack[stack.length - 1].type}}} in ${label}`,
+      'TEMPLATE_SYNTAX'
+    );
+  }
+  return root.children;
+}
+
+// ── Rendering ────────────────────────────────────────────────────────
+
+/**
+ * Look up a dotted path in the scope stack, innermost scope first.
+ *
+ * @param {string} name - e.g. "task.title", "this", "@index".
+ * @param {Object[]} scopes
+ * @returns {*}
+ */
+function lookup(name, scopes) {
+  const [first, ...rest] = name.split('.');
+  let value;
+  if (first === 'this' || first === '@index') {
+    const scope = scopes[scopes.length - 1];
+    value = first === 'this' ? scope.this : scope['@index'];
+  } else {
+    const scope = [...scopes]
+      .reverse()
+      .find((s) => s !== null && typeof s === 'object' && first in s);
+    value = scope ? scope[first] : undefined;
+  }
+  for (const key of rest) {
+    value = value !== null && value !== undefined ? value[key] : undefined;
+  }
+  return value;
+}
+
+/**
+ * Evaluate an `if`/`unless` expression.
+ *
+ * @param {string} expr
+ * @param {Object[]} scopes
+ * @returns {boolean}
+ */
+function evaluate(expr, scopes) {
+  const comparison = /^(\S+)\s*(==|!=)\s*(.+)$/.exec(expr);
+  if (comparison) {
+    const left = lookup(comparison[1], scopes);
+    const right = comparison[3].trim().replace(/^(['"])(.*)\1$/, '$2');
+    const equal = String(left) === right;
+    return comparison[2] === '==' ? equal : !equal;
+  }
+  const value = lookup(expr, scopes);
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes.
+ *
+ * @param {Object[]} nodes
+ * @param {Object[]} scopes
+ * @param {Object} env - `{ partials, depth }`
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, env) {
+  let out = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+      case 'variable': {
+        const value = lookup(node.path, scopes);
+        if (Array.isArray(value)) {
+          out += value.join(', ');
+        } else if (value !== null && value !== undefined) {
+          out += String(value);
+        }
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = evaluate(node.expr, scopes);
+        const branch =
+          truthy === (node.type === 'if') ? node.children : node.otherwise;
+        out += renderNodes(branch, scopes, env);
+        break;
+      }
+      case 'each': {
+        const items = lookup(node.expr, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          out += renderNodes(node.otherwise, scopes, env);
+          break;
+        }
+        items.forEach((item, index) => {
+          const scope =
+            item !== null && typeof item === 'object' && !Array.isArray(item)
+              ? { ...item, this: item, '@index': index }
+              : { this: item, '@index': index };
+          out += renderNodes(node.children, [...scopes, scope], env);
+        });
+        break;
+      }
+      case 'partial': {
+        const partial = env.partials.get(node.name);
+        if (!partial) {
+          throw templateError(
+            `Partial "${node.name}" not found`,
+            'TEMPLATE_PARTIAL_NOT_FOUND'
+          );
+        }
+        if (env.depth >= MAX_PARTIAL_DEPTH) {
+          throw templateError(
+            `Partials nested more than ${MAX_PARTIAL_DEPTH} deep at "${node.name}"`,
+            'TEMPLATE_SYNTAX'
+          );
+        }
+        if (!partial.nodes) {
+          partial.nodes = parseTemplate(partial.body, node.name);
+        }
+        out += renderNodes(partial.nodes, scopes, {
+          ...env,
+          depth: env.depth + 1,
+        });
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Render a template body.
+ *
+ * @param {string} body - Template text, without frontmatter.
+ * @param {Object} context - Variables.
+ * @param {Object} [options]
+ * @param {Map<string, { body: string }>} [options.partials]
+ * @param {string} [options.name] - Template name, for error messages.
+ * @returns {string}
+ * @throws {Error} TEMPLATE_SYNTAX or TEMPLATE_PARTIAL_NOT_FOUND.
+ */
+function renderTemplate(body, context, options) {
+  const opts = options || {};
+  return renderNodes(parseTemplate(body, opts.name), [context], {
+    partials: opts.partials || new Map(),
+    depth: 0,
+  });
+}
+
+// ── Loading and Selection ────────────────────────────────────────────
+
+/**
+ * Read the `*.md` files of a directory by name (without extension).
+ *
+ * @param {string} dir
+ * @param {string} source - "plugin" or "project".
+ * @returns {Map<string, Object>}
+ */
+function readTemplateDir(dir, source) {
+  const templates = new Map();
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+      return templates;
+    }
+    throw err;
+  }
+  for (const file of names.sort()) {
+    if (!file.endsWith('.md')) {
+      continue;
+    }
+    const filePath = path.join(dir, file);
+    const { meta, body } = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+    const name = file.slice(0, -3);
+    templates.set(name, { name, source, path: filePath, meta, body });
+  }
+  return templates;
+}
+
+/**
+ * Load the plugin's templates and partials with the project's on top.
+ *
+ * @param {string} [projectPath] - Absolute path to the project root.
+ * @param {Object} [options]
+ * @param {string} [options.pluginDir] - Plugin templates (default:
+ *   config/prompts/).
+ * @returns {{ templates: Map<string, Object>, partials: Map<string, Object>, projectOverridesDefault: boolean }}
+ */
+function loadTemplates(projectPath, options) {
+  const opts = options || {};
+  const pluginDir = opts.pluginDir || PLUGIN_PROMPTS_DIR;
+  const projectDir = projectPath
+    ? path.join(projectPath, PROJECT_PROMPTS_DIR)
+    : null;
+
+  const templates = readTemplateDir(pluginDir, 'plugin');
+  const partials = readTemplateDir(path.join(pluginDir, 'partials'), 'plugin');
+  let projectOverridesDefault = false;
+  if (projectDir) {
+    for (const [name, template] of readTemplateDir(projectDir, 'project')) {
+      templates.set(name, template);
+      projectOverridesDefault =
+        projectOverridesDefault || name === DEFAULT_TEMPLATE;
+    }
+    for (const [name, partial] of readTemplateDir(
+      path.join(projectDir, 'partials'),
+      'project'
+    )) {
+      partials.set(name, partial);
+    }
+  }
+  return { templates, partials, projectOverridesDefault };
+}
+
+/**
+ * Count the selectors of a template that match a task; null if any
+ * selector does not match or the template has none.
+ *
+ * @param {Object} template
+ * @param {Object} task
+ * @returns {number|null}
+ */
+function matchSelectors(template, task) {
+  const labels = task.labels || [];
+  let matched = 0;
+  for (const key of SELECTORS) {
+    const wanted = template.meta[key];
+    if (wanted === undefined) {
+      continue;
+    }
+    const values = Array.isArray(wanted) ? wanted : [wanted];
+    const ok =
+      key === 'labels'
+        ? values.some((label) => labels.includes(label))
+        : values.includes(task.complexity);
+    if (!ok) {
+      return null;
+    }
+    matched++;
+  }
+  return matched > 0 ? matched : null;
+}
+
+/**
+ * Pick the template for a task.
+ *
+ * 1. `options.template`, by name.
+ * 2. The template whose `labels`/`complexity` selectors all match the
+ *    task, preferring the most selectors matched, then project templates,
+ *    then the name. A project that overrides `worker.md` owns selection:
+ *    only its own templates are considered.
+ * 3. `worker`.
+ *
+ * @param {Object} task
+ * @param {ReturnType<typeof loadTemplates>} loaded
+ * @param {Object} [options]
+ * @param {string} [options.template]
+ * @returns {Object} The template.
+ * @throws {Error} TEMPLATE_NOT_FOUND if the named or default template is missing.
+ */
+function selectTemplate(task, loaded, options) {
+  const opts = options || {};
+  const { templates, projectOverridesDefault } = loaded;
+
+  if (opts.template) {
+    const named = templates.get(opts.template);
+    if (!named) {
+      throw templateError(
+        `Prompt template "${opts.template}" not found`,
+        'TEMPLATE_NOT_FOUND'
+      );
+    }
+    return named;
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const template of templates.values()) {
+    if (projectOverridesDefault && template.source !== 'project') {
+      continue;
+    }
+    const score = matchSelectors(template, task);
+    if (score === null) {
+      continue;
+    }
+    const better =
+      score > bestScore ||
+      (score === bestScore &&
+        template.source === 'project' &&
+        best.source !== 'project');
+    if (better) {
+      best = template;
+      bestScore = score;
+    }
+  }
+  if (best) {
+    return best;
+  }
+
+  const fallback = templates.get(DEFAULT_TEMPLATE);
+  if (!fallback) {
+    throw templateError(
+      `Prompt template "${DEFAULT_TEMPLATE}" not found`,
+      'TEMPLATE_NOT_FOUND'
+    );
+  }
+  return fallback;
+}
+
+// ── Worker Prompt ────────────────────────────────────────────────────
+
+/**
+ * Variables available to worker templates.
+ *
+ * @param {Object} task
+ * @param {Object} project - Project registry entry.
+ * @param {Object} [extra] - More variables (claudeMd, docContext, ...).
+ * @returns {Object}
+ */
+function buildTemplateContext(task, project, extra) {
+  const label = {};
+  for (const name of task.labels || []) {
+    label[name] = true;
+  }
+  return {
+    task,
+    project,
+    feature: task.feature || {},
+    label,
+    complexity: task.complexity || null,
+    projectDir: project.path || project.name,
+    testCommand: project.test_command || null,
+    ...extra,
+  };
+}
+
+/**
+ * Render the worker prompt for a task with the template it selects.
+ *
+ * A template that fails to render is logged and the built-in `worker`
+ * template, with the plugin's own partials, is used instead, so a broken
+ * project template or partial does not block dispatch. Only a failure of
+ * the built-in template itself is thrown.
+ *
+ * @param {Object} task
+ * @param {Object} project - Project registry entry.
+ * @param {string} projectPath - Absolute path to the project root.
+ * @param {Object} [extra] - More template variables.
+ * @param {Object} [options]
+ * @param {string} [options.template] - Template name to use.
+ * @param {string} [options.pluginDir] - See loadTemplates().
+ * @returns {{ prompt: string, template: { name: string, source: string, path: string }, error?: string }}
+ */
+function renderWorkerPrompt(task, project, projectPath, extra, options) {
+  const opts = options || {};
+  const loaded = loadTemplates(projectPath, opts);
+  const context = buildTemplateContext(task, project, extra);
+  const template = selectTemplate(task, loaded, opts);
+  const describe = (t) => ({ name: t.name, source: t.source, path: t.path });
+
+  try {
+    return {
+      prompt: renderTemplate(template.body, context, {
+        partials: loaded.partials,
+        name: template.name,
+      }),
+      template: describe(template),
+    };
+  } catch (err) {
+    const builtIn =
+      template.source === 'plugin' &&
+      template.name === DEFAULT_TEMPLATE &&
+      ![...loaded.partials.values()].some((p) => p.source === 'project');
+    if (builtIn) {
+      throw err;
+    }
+    logger.warn('Prompt template failed, using the built-in template', {
+      template: template.path,
+      error: err.message,
+    });
+    const plugin = loadTemplates(null, opts);
+    const fallback = plugin.templates.get(DEFAULT_TEMPLATE);
+    return {
+      prompt: renderTemplate(fallback.body, context, {
+        partials: plugin.partials,
+        name: fallback.name,
+      }),
+      template: describe(fallback),
+      error: err.message,
+    };
+  }
+}
+
+module.exports = {
+  renderWorkerPrompt,
+  renderTemplate,
+  parseTemplate,
+  parseFrontmatter,
+  loadTemplates,
+  selectTemplate,
+  buildTemplateContext,
+  PLUGIN_PROMPTS_DIR,
+  PROJECT_PROMPTS_DIR,
+  DEFAULT_TEMPLATE,
+};
@@ -0,0 +1,460 @@
+'use strict';
+
+/**
+ * Registry Manager Module for the jade-dev-assist orchestrator.
+ *
+ * Maintains the ~/.jade/projects.json registry that scanner.js reads:
+ * - discover: find git repos under projects_root with task files under .claude/tasks/
+ * - add / remove / update individual project entries
+ *
+ * Language, test and build commands are inferred from the project
+ * directory with quality-gate's detectProjectType(). Every write is
+ * validated against REGISTRY_SCHEMA and lands atomically (temp file +
+ * rename), so a crash never leaves a half-written registry.
+ *
+ * All functions accept `registryPath` so they can run against a temp dir.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { loadRegistry, DEFAULT_REGISTRY_PATH } = require('./scanner');
+const { validateRegistry } = require('./task-schema');
+const { resolveTaskFiles } = require('./task-utils');
+const { detectProjectType } = require('./quality-gate');
+
+const logger = createLogger('registry-manager');
+
+/**
+ * Registry fields that updateProject() may change.
+ */
+const UPDATABLE_FIELDS = [
+  'status',
+  'language',
+  'test_command',
+  'build_command',
+  'repo',
+  'blocked_reason',
+];
+
+/**
+ * Status given to newly discovered or added projects.
+ */
+const DEFAULT_PROJECT_STATUS = 'scaffolding';
+
+/**
+ * Directories never descended into during discovery.
+ */
+const SKIP_DIRS = new Set(['node_modules', '.git', '.venv', 'venv', 'dist', 'build', 'target']);
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Build an Error tagged with a registry error code.
+ *
+ * @param {string} message
+ * @param {string} code - REGISTRY_NOT_FOUND, REGISTRY_DUPLICATE,
+ *   REGISTRY_INVALID or REGISTRY_INVALID_FIELD.
+ * @returns {Error}
+ */
+function registryError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Read a package.json's scripts block, or null.
+ *
+ * @param {string} projectPath
+ * @returns {Object|null}
+ */
+function readPackageScripts(projectPath) {
+  try {
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8')
+    );
+    return pkg.scripts || {};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract "owner/repo" from a repo's origin remote, if it is on GitHub.
+ *
+ * @param {string} projectPath - Repository working directory.
+ * @returns {string|null}
+ */
+function readRepoSlug(projectPath) {
+  let config;
+  try {
+    config = fs.readFileSync(path.join(projectPath, '.git', 'config'), 'utf8');
+  } catch {
+    return null;
+  }
+
+  const section = /\[remote "origin"\]([^[]*)/.exec(config);
+  if (!section) {
+    return null;
+  }
+  const url = /^\s*url\s*=\s*(.+)$/m.exec(section[1]);
+  if (!url) {
+    return null;
+  }
+  const slug = /github\.com[:/]([^/\s]+\/[^/\s]+?)(?:\.git)?\s*$/.exec(url[1]);
+  return slug ? slug[1] : null;
+}
+
+// ── Inference ────────────────────────────────────────────────────────
+
+/**
+ * Infer registry settings for a project directory.
+ *
+ * Uses detectProjectType(); when several ecosystems are present the
+ * first of typescript, javascript, python, go, rust wins.
+ *
+ * @param {string} projectPath - Absolute path to the project.
+ * @returns {{ language: string|null, test_command: string|null, build_command: string|null, repo: string|null }}
+ */
+function inferProjectSettings(projectPath) {
+  const type = detectProjectType(projectPath);
+  const settings = {
+    language: null,
+    test_command: null,
+    build_command: null,
+    repo: readRepoSlug(projectPath),
+  };
+
+  if (type.node) {
+    const scripts = readPackageScripts(projectPath) || {};
+    settings.language = type.typescript ? 'typescript' : 'javascript';
+    settings.test_command = scripts.test ? 'npm test' : null;
+    settings.build_command = scripts.build ? 'npm run build' : null;
+  } else if (type.python) {
+    const usesUv = fs.existsSync(path.join(projectPath, 'uv.lock'));
+    settings.language = 'python';
+    settings.test_command = usesUv ? 'uv run pytest' : 'pytest';
+  } else if (type.go) {
+    settings.language = 'go';
+    settings.test_command = 'go test ./...';
+    settings.build_command = 'go build ./...';
+  } else if (type.rust) {
+    settings.language = 'rust';
+    settings.test_command = 'cargo test';
+    settings.build_command = 'cargo build';
+  }
+
+  return settings;
+}
+
+// ── Registry I/O ─────────────────────────────────────────────────────
+
+/**
+ * Read the registry, or start an empty one if the file does not exist.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Defaults to ~/.jade/projects.json.
+ * @param {string} [options.projectsRoot] - projects_root for a new registry.
+ * @returns {Object} Registry object.
+ * @throws {Error} If the file exists but is not valid JSON.
+ */
+function readRegistry(options) {
+  const opts = options || {};
+  try {
+    return loadRegistry(opts.registryPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    return {
+      version: 1,
+      projects_root:
+        opts.projectsRoot ||
+        path.join(process.env.HOME || process.env.USERPROFILE, 'projects'),
+      projects: [],
+    };
+  }
+}
+
+/**
+ * Validate and atomically write the registry.
+ *
+ * @param {Object} registry - Registry object.
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Defaults to ~/.jade/projects.json.
+ * @throws {Error} With code REGISTRY_INVALID if the registry fails validation.
+ */
+function writeRegistry(registry, options) {
+  const opts = options || {};
+  const registryPath = opts.registryPath || DEFAULT_REGISTRY_PATH;
+
+  const errors = validateRegistry(registry);
+  if (errors.length > 0) {
+    const err = registryError(
+      `Refusing to write invalid registry: ${errors[0].path}: ${errors[0].message}`,
+      'REGISTRY_INVALID'
+    );
+    err.details = errors;
+    throw err;
+  }
+
+  fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+  const tmpPath = `${registryPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(registry, null, 2) + '\n');
+  fs.renameSync(tmpPath, registryPath);
+  logger.debug('Registry written', {
+    path: registryPath,
+    projects: registry.projects.length,
+  });
+}
+
+// ── Discovery ────────────────────────────────────────────────────────
+
+/**
+ * Find git repositories under a root that contain a tasks file.
+ *
+ * A directory qualifies when it has a `.git` entry (directory, or file
+ * for worktrees) and at least one task file matching DEFAULT_TASK_FILES
+ * (`.claude/tasks/*.json`). Qualifying directories are not searched further.
+ *
+ * @param {string} projectsRoot - Directory to search.
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=2] - How many directory levels to descend.
+ * @returns {Array<{ name: string, path: string, absolutePath: string }>}
+ *   `path` is relative to projectsRoot, as stored in the registry.
+ */
+function findProjectDirs(projectsRoot, options) {
+  const opts = options || {};
+  const maxDepth = opts.maxDepth !== undefined ? opts.maxDepth : 2;
+  const found = [];
+
+  const visit = (dir, depth) => {
+    if (
+      fs.existsSync(path.join(dir, '.git')) &&
+      resolveTaskFiles(dir).length > 0
+    ) {
+      found.push({
+        name: path.basename(dir),
+        path: path.relative(projectsRoot, dir),
+        absolutePath: dir,
+      });
+      return;
+    }
+    if (depth >= maxDepth) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      logger.debug('Skipping unreadable directory', { dir, error: err.message });
+      return;
+    }
+    for (const entry of entries) {
+      if (
+        entry.isDirectory() &&
+        !entry.name.startsWith('.') &&
+        !SKIP_DIRS.has(entry.name)
+      ) {
+        visit(path.join(dir, entry.name), depth + 1);
+      }
+    }
+  };
+
+  visit(projectsRoot, 0);
+  return found.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Discover projects under projects_root and add new ones to the registry.
+ *
+ * Existing entries (matched by name or path) are left untouched.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Defaults to ~/.jade/projects.json.
+ * @param {string} [options.projectsRoot] - Overrides the registry's projects_root
+ *   (and is saved into it).
+ * @param {number} [options.maxDepth] - Passed to findProjectDirs().
+ * @param {boolean} [options.dryRun] - If true, report without writing.
+ * @returns {{ added: Object[], existing: string[], registry: Object }}
+ */
+function discoverProjects(options) {
+  const opts = options || {};
+  const registry = readRegistry(opts);
+  if (opts.projectsRoot) {
+    registry.projects_root = opts.projectsRoot;
+  }
+  registry.projects = registry.projects || [];
+
+  const added = [];
+  const existing = [];
+  const candidates = findProjectDirs(registry.projects_root, {
+    maxDepth: opts.maxDepth,
+  });
+
+  for (const candidate of candidates) {
+    const match = registry.projects.find(
+      (p) => p.name === candidate.name || p.path === candidate.path
+    );
+    if (match) {
+      existing.push(match.name);
+      continue;
+    }
+
+    const entry = {
+      name: candidate.name,
+      path: candidate.path,
+      status: DEFAULT_PROJECT_STATUS,
+      ...inferProjectSettings(candidate.absolutePath),
+    };
+    registry.projects.push(entry);
+    added.push(entry);
+  }
+
+  if (!opts.dryRun && added.length > 0) {
+    writeRegistry(registry, opts);
+  }
+
+  logger.info('Project discovery complete', {
+    root: registry.projects_root,
+    found: candidates.length,
+    added: added.length,
+    dryRun: !!opts.dryRun,
+  });
+
+  return { added, existing, registry };
+}
+
+// ── Entry Management ─────────────────────────────────────────────────
+
+/**
+ * Add a project to the registry.
+ *
+ * Settings not given in `fields` are inferred from the project directory.
+ *
+ * @param {string} projectPath - Path relative to projects_root.
+ * @param {Object} [fields] - Entry fields; `name` defaults to the directory name.
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Defaults to ~/.jade/projects.json.
+ * @returns {Object} The new registry entry.
+ * @throws {Error} REGISTRY_DUPLICATE if the name is taken, REGISTRY_INVALID
+ *   if the resulting registry fails validation.
+ */
+function addProject(projectPath, fields, options) {
+  const registry = readRegistry(options);
+  const name = (fields && fields.name) || path.basename(projectPath);
+
+  if (registry.projects.some((p) => p.name === name)) {
+    throw registryError(
+      `Project '${name}' is already registered`,
+      'REGISTRY_DUPLICATE'
+    );
+  }
+
+  const entry = {
+    name,
+    path: projectPath,
+    status: DEFAULT_PROJECT_STATUS,
+    ...inferProjectSettings(path.join(registry.projects_root, projectPath)),
+    ...(fields || {}),
+  };
+  registry.projects.push(entry);
+  writeRegistry(registry, options);
+
+  logger.info('Project added to registry', { name, path: projectPath });
+  return entry;
+}
+
+/**
+ * Remove a project from the registry.
+ *
+ * @param {string} name - Project name.
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Defaults to ~/.jade/projects.json.
+ * @returns {Object} The removed entry.
+ * @throws {Error} REGISTRY_NOT_FOUND if no project has that name.
+ */
+function removeProject(name, options) {
+  const registry = readRegistry(options);
+  const index = registry.projects.findIndex((p) => p.name === name);
+  if (index === -1) {
+    throw registryError(`Project '${name}' is not registered`, 'REGISTRY_NOT_FOUND');
+  }
+
+  const [removed] = registry.projects.splice(index, 1);
+  writeRegistry(registry, options);
+
+  logger.info('Project removed from registry', { name });
+  return removed;
+}
+
+/**
+ * Update fields on a registered project.
+ *
+ * Only UPDATABLE_FIELDS may be changed. Pass `null` to clear a field.
+ *
+ * @param {string} name - Project name.
+ * @param {Object} fields - Field values to set.
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Defaults to ~/.jade/projects.json.
+ * @param {boolean} [options.reinfer] - If true, re-run inference first and
+ *   apply whatever it detects; explicit `fields` still win.
+ * @returns {Object} The updated entry.
+ * @throws {Error} REGISTRY_NOT_FOUND, REGISTRY_INVALID_FIELD or REGISTRY_INVALID.
+ */
+function updateProject(name, fields, options) {
+  const opts = options || {};
+  const updates = fields || {};
+
+  const unknown = Object.keys(updates).filter(
+    (key) => !UPDATABLE_FIELDS.includes(key)
+  );
+  if (unknown.length > 0) {
+    throw registryError(
+      `Cannot update field(s) ${unknown.join(', ')}; allowed: ${UPDATABLE_FIELDS.join(', ')}`,
+      'REGISTRY_INVALID_FIELD'
+    );
+  }
+
+  const registry = readRegistry(opts);
+  const entry = registry.projects.find((p) => p.name === name);
+  if (!entry) {
+    throw registryError(`Project '${name}' is not registered`, 'REGISTRY_NOT_FOUND');
+  }
+
+  if (opts.reinfer) {
+    const inferred = inferProjectSettings(
+      path.join(registry.projects_root, entry.path)
+    );
+    for (const [key, value] of Object.entries(inferred)) {
+      if (value !== null) {
+        entry[key] = value;
+      }
+    }
+  }
+  Object.assign(entry, updates);
+  writeRegistry(registry, opts);
+
+  logger.info('Project updated in registry', {
+    name,
+    fields: Object.keys(updates),
+  });
+  return entry;
+}
+
+module.exports = {
+  discoverProjects,
+  addProject,
+  removeProject,
+  updateProject,
+  inferProjectSettings,
+  readRegistry,
+  writeRegistry,
+  UPDATABLE_FIELDS,
+  DEFAULT_PROJECT_STATUS,
+  // Exposed for testing
+  findProjectDirs,
+  readRepoSlug,
+};
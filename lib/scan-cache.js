@@ -0,0 +1,302 @@
+'use strict';
+
+/**
+ * Scan Cache Module for the jade-dev-assist orchestrator.
+ *
+ * Persists parsed tasks.json contents between scans so repeated calls to
+ * scanTasks() only re-read and re-parse files that changed on disk.
+ * Entries are keyed by absolute file path and validated against the
+ * file's mtime and size.
+ *
+ * The cache file lives at ~/.jade/scan-cache.json by default; set
+ * JADE_SCAN_CACHE to use another file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('scan-cache');
+
+const DEFAULT_CACHE_PATH = path.join(
+  process.env.HOME || process.env.USERPROFILE,
+  '.jade',
+  'scan-cache.json'
+);
+
+/**
+ * On-disk cache format version. Bump when the entry shape changes so
+ * stale cache files are discarded instead of misread.
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * Deep-copy a JSON-compatible value.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * ScanCache: mtime/size keyed cache of parsed task files.
+ *
+ * Each entry stores either the parsed `data` of a task file or the
+ * `parseError` message it produced, so malformed files are not re-read
+ * until they change either.
+ */
+class ScanCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.cachePath] - Path to the persisted cache file.
+   *   Defaults to $JADE_SCAN_CACHE, then ~/.jade/scan-cache.json.
+   * @param {boolean} [options.persist=true] - If false, keep the cache in memory only.
+   */
+  constructor(options) {
+    const opts = options || {};
+    this.cachePath =
+      opts.cachePath || process.env.JADE_SCAN_CACHE || DEFAULT_CACHE_PATH;
+    this.persist = opts.persist !== false;
+    this.entries = new Map(); // { filePath: { mtimeMs, size, data?, parseError? } }
+    this.dirty = false;
+    this.loaded = false;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      invalidations: 0,
+    };
+  }
+
+  /**
+   * Load persisted entries from disk (once). A missing or unreadable
+   * cache file is treated as an empty cache.
+   */
+  load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    if (!this.persist) {
+      return;
+    }
+
+    try {
+      const content = fs.readFileSync(this.cachePath, 'utf8');
+      const parsed = JSON.parse(content);
+      if (parsed.version !== CACHE_VERSION || !parsed.entries) {
+        logger.debug('Discarding scan cache with unknown version', {
+          path: this.cachePath,
+          version: parsed.version,
+        });
+        return;
+      }
+      for (const [filePath, entry] of Object.entries(parsed.entries)) {
+        this.entries.set(filePath, entry);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn('Failed to load scan cache, starting empty', {
+          path: this.cachePath,
+          error: err.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Look up a task file in the cache.
+   *
+   * Returns the cached entry when the file's current mtime and size match
+   * the recorded ones. The returned `data` is a deep copy so callers may
+   * mutate it freely (the scanner attaches `_project` and defaults).
+   *
+   * @param {string} filePath - Absolute path to the task file.
+   * @param {fs.Stats} stat - Current stat of the file.
+   * @returns {{ data?: Object, parseError?: string }|null} Cached entry or null on miss.
+   */
+  get(filePath, stat) {
+    this.load();
+
+    const entry = this.entries.get(filePath);
+    if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) {
+      this.stats.hits++;
+      if (entry.parseError !== undefined) {
+        return { parseError: entry.parseError };
+      }
+      return { data: cloneJson(entry.data) };
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Record the parse result for a task file.
+   *
+   * @param {string} filePath - Absolute path to the task file.
+   * @param {fs.Stats} stat - Stat of the file at read time.
+   * @param {{ data?: Object, parseError?: string }} result - Parsed data or parse error message.
+   */
+  set(filePath, stat, result) {
+    this.load();
+
+    const entry = { mtimeMs: stat.mtimeMs, size: stat.size };
+    if (result.parseError !== undefined) {
+      entry.parseError = result.parseError;
+    } else {
+      entry.data = cloneJson(result.data);
+    }
+    this.entries.set(filePath, entry);
+    this.dirty = true;
+  }
+
+  /**
+   * Invalidate cached entries.
+   *
+   * @param {string} [filePath] - Entry to drop. If omitted, drops every entry.
+   * @returns {number} Number of entries removed.
+   */
+  invalidate(filePath) {
+    this.load();
+
+    let removed = 0;
+    if (filePath) {
+      if (this.entries.delete(filePath)) {
+        removed = 1;
+      }
+    } else {
+      removed = this.entries.size;
+      this.entries.clear();
+    }
+
+    if (removed > 0) {
+      this.stats.invalidations += removed;
+      this.dirty = true;
+    }
+    logger.debug('Scan cache invalidated', { filePath, removed });
+    return removed;
+  }
+
+  /**
+   * Drop entries for files under a directory that are no longer read,
+   * e.g. task files deleted since the last scan.
+   *
+   * @param {string} dir - Absolute directory path (usually a project).
+   * @param {string[]} keep - Absolute paths of files still in use.
+   * @returns {number} Number of entries removed.
+   */
+  prune(dir, keep) {
+    this.load();
+
+    const prefix = path.resolve(dir) + path.sep;
+    const keepSet = new Set(keep.map((filePath) => path.resolve(filePath)));
+    let removed = 0;
+    for (const filePath of [...this.entries.keys()]) {
+      if (filePath.startsWith(prefix) && !keepSet.has(filePath)) {
+        this.entries.delete(filePath);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.stats.invalidations += removed;
+      this.dirty = true;
+      logger.debug('Scan cache pruned', { dir, removed });
+    }
+    return removed;
+  }
+
+  /**
+   * Write the cache to disk if it changed since the last save.
+   * Writes to a temp file and renames it into place so a crash never
+   * leaves a truncated cache behind.
+   */
+  save() {
+    if (!this.persist || !this.dirty) {
+      return;
+    }
+
+    const data = {
+      version: CACHE_VERSION,
+      updatedAt: new Date().toISOString(),
+      entries: Object.fromEntries(this.entries),
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+      const tmpPath = `${this.cachePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data));
+      fs.renameSync(tmpPath, this.cachePath);
+      this.dirty = false;
+    } catch (err) {
+      logger.warn('Failed to save scan cache', {
+        path: this.cachePath,
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Get cache statistics.
+   *
+   * @returns {Object} Cache stats { cached, hits, misses, invalidations, hitRate }
+   */
+  getCacheStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      cached: this.entries.size,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      invalidations: this.stats.invalidations,
+      hitRate: lookups > 0 ? (this.stats.hits / lookups).toFixed(2) : 'N/A',
+    };
+  }
+
+  /**
+   * Clear the cache, in memory and on disk.
+   */
+  clearCache() {
+    this.entries.clear();
+    this.dirty = false;
+    this.loaded = true;
+    if (this.persist) {
+      try {
+        fs.unlinkSync(this.cachePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          logger.warn('Failed to remove scan cache file', {
+            path: this.cachePath,
+            error: err.message,
+          });
+        }
+      }
+    }
+    logger.debug('Cache cleared');
+  }
+}
+
+// ── Shared Instance ──────────────────────────────────────────────────
+
+let defaultCache = null;
+
+/**
+ * Get the process-wide ScanCache backed by ~/.jade/scan-cache.json.
+ *
+ * @returns {ScanCache}
+ */
+function getDefaultScanCache() {
+  if (!defaultCache) {
+    defaultCache = new ScanCache();
+  }
+  return defaultCache;
+}
+
+module.exports = {
+  ScanCache,
+  getDefaultScanCache,
+  DEFAULT_CACHE_PATH,
+  CACHE_VERSION,
+};
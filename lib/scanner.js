@@ -3,6 +3,21 @@
 const fs = require('fs');
 const path = require('path');
 const { createLogger } = require('./logger');
+const { ScanCache, getDefaultScanCache } = require('./scan-cache');
+const {
+  validateSchema,
+  validateRegistry,
+  validateTasksFileHeader,
+  TASK_SCHEMA,
+} = require('./task-schema');
+const { migrateTasksData } = require('./task-migrations');
+const { analyzeDependencies } = require('./dependency-graph');
+const { resolveTaskFiles } = require('./task-utils');
+const {
+  buildStateMachine,
+  resolveStateMachine,
+  listStatuses,
+} = require('./task-states');
 
 const logger = createLogger('scanner');
 
@@ -17,7 +32,7 @@ const DEFAULT_REGISTRY_PATH = path.join(
 /**
  * Required fields for a valid task.
  */
-const REQUIRED_TASK_FIELDS = ['id', 'title', 'status'];
+const REQUIRED_TASK_FIELDS = TASK_SCHEMA.required;
 
 /**
  * Optional fields with their default values.
@@ -29,29 +44,16 @@ const OPTIONAL_TASK_FIELDS = {
 };
 
 /**
- * All known task fields (required + optional + common extras).
+ * All known task fields: every property declared in the task schema plus
+ * the internal fields the scanner attaches.
  */
 const KNOWN_TASK_FIELDS = new Set([
-  // Required
-  'id',
-  'title',
-  'status',
-  // Optional with defaults
-  'complexity',
-  'blocked_by',
-  'unlocks',
-  // Other known fields
-  'description',
-  'milestone',
-  'labels',
-  'feature',
-  'github_issue',
-  'relevant_files',
-  'created_at',
+  ...Object.keys(TASK_SCHEMA.properties),
   // Internal fields added by scanner
   '_project',
   '_projectName',
   '_milestone',
+  '_sourcePath',
 ]);
 
 // ── Schema Validation ─────────────────────────────────────────────────
@@ -59,21 +61,44 @@ const KNOWN_TASK_FIELDS = new Set([
 /**
  * Validate a task object against the schema.
  *
+ * Checks required fields, then field types and enumerated values from
+ * TASK_SCHEMA. Unknown fields produce warnings rather than errors.
+ *
  * @param {Object} task - The task object to validate.
  * @param {string} filePath - Path to the task file (for error messages).
  * @param {Object} [options]
  * @param {boolean} [options.strict] - If true, treat warnings as errors.
- * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
+ * @param {number} [options.index] - Position in the file's tasks array;
+ *   prefixes error paths with `tasks[index]`.
+ * @param {string[]} [options.statuses] - Allowed statuses, when the state
+ *   machine declares custom ones (default: task-schema TASK_STATUSES).
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Object[] }}
+ *   `details` holds one { path, keyword, message } entry per error.
  */
 function validateTask(task, filePath, options) {
   const opts = options || {};
   const errors = [];
   const warnings = [];
-
-  // Check required fields
-  for (const field of REQUIRED_TASK_FIELDS) {
-    if (task[field] === undefined || task[field] === null) {
-      errors.push(`Missing required field '${field}' in task at ${filePath}`);
+  const basePath = opts.index !== undefined ? `tasks[${opts.index}]` : '';
+
+  const schema = opts.statuses
+    ? {
+        ...TASK_SCHEMA,
+        properties: {
+          ...TASK_SCHEMA.properties,
+          status: { type: 'string', enum: opts.statuses },
+        },
+      }
+    : TASK_SCHEMA;
+
+  const details = validateSchema(task, schema, basePath);
+  for (const detail of details) {
+    if (detail.keyword === 'required') {
+      errors.push(`${detail.message} in task at ${filePath}`);
+    } else {
+      errors.push(
+        `Invalid field '${detail.path}' in task '${task.id || 'unknown'}' at ${filePath}: ${detail.message}`
+      );
     }
   }
 
@@ -90,6 +115,7 @@ function validateTask(task, filePath, options) {
     valid: errors.length === 0 && (!opts.strict || warnings.length === 0),
     errors,
     warnings,
+    details,
   };
 }
 
@@ -126,19 +152,118 @@ function loadRegistry(registryPath) {
   return JSON.parse(content);
 }
 
+// ── Task File Reading ─────────────────────────────────────────────────
+
+/**
+ * Resolve the `cache` scan option to a ScanCache instance.
+ *
+ * @param {ScanCache|boolean|undefined} cacheOption - A ScanCache, `true` for
+ *   the shared ~/.jade/scan-cache.json cache, or falsy to disable caching.
+ * @returns {ScanCache|null}
+ */
+function resolveCache(cacheOption) {
+  if (!cacheOption) {
+    return null;
+  }
+  if (cacheOption instanceof ScanCache) {
+    return cacheOption;
+  }
+  return getDefaultScanCache();
+}
+
+/**
+ * Read and parse a single task file, consulting the scan cache if given.
+ *
+ * @param {string} tasksFilePath - Absolute path to the task file.
+ * @param {ScanCache|null} cache - Optional scan cache.
+ * @returns {{ data?: Object, parseError?: string }|null}
+ *   Parsed data or a parse error message, or null if the file does not exist.
+ * @throws {Error} On unexpected filesystem errors.
+ */
+function readTaskFile(tasksFilePath, cache) {
+  const cacheKey = path.resolve(tasksFilePath);
+  let stat = null;
+  if (cache) {
+    try {
+      stat = fs.statSync(tasksFilePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        cache.invalidate(cacheKey);
+        return null;
+      }
+      throw err;
+    }
+
+    const cached = cache.get(cacheKey, stat);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(tasksFilePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    // Re-throw unexpected errors
+    throw err;
+  }
+
+  let result;
+  try {
+    result = { data: JSON.parse(content) };
+  } catch (err) {
+    result = { parseError: err.message };
+  }
+
+  if (cache) {
+    cache.set(cacheKey, stat, result);
+  }
+  return result;
+}
+
 // ── Task Scanning ─────────────────────────────────────────────────────
 
 /**
  * Scan tasks from all projects in the registry.
  *
- * Iterates over every project in the registry, reads each project's
- * .claude/tasks/tasks.json file, and returns a merged array of all tasks
- * augmented with metadata from the registry and task file.
+ * Iterates over every project in the registry, reads each of the
+ * project's task files, and returns a merged array of all tasks augmented
+ * with metadata from the registry and task file.
+ *
+ * A project's task files are given by its registry `task_files` patterns
+ * (default `.claude/tasks/*.json`, see task-utils.resolveTaskFiles). Each
+ * file may carry its own `milestone` block, which becomes `_milestone` for
+ * its tasks; `_sourcePath` records the file each task was read from. A task
+ * ID repeated across a project's files is reported as `duplicate_task`.
+ *
+ * The registry and each tasks file are validated against the schemas in
+ * task-schema.js. Files in an older format are upgraded in memory through
+ * the task-migrations.js chain and reported with a `migration_warning`.
+ * Error entries carry a `field` path such as `tasks[3].feature.acceptance_criteria`.
+ *
+ * With `checkDependencies`, the merged task list is also checked by
+ * dependency-graph.js: cycles and dangling blockers are recorded as
+ * `dependency_error` entries, dangling unlocks and one-sided edges as
+ * `dependency_warning` entries.
  *
  * @param {Object} [options]
  * @param {string} [options.registryPath] - Path to the registry JSON file.
  * @param {Object} [options.registry] - Pre-loaded registry object (skips file read).
  * @param {boolean} [options.strict] - If true, fail on any error (including warnings).
+ * @param {ScanCache|boolean} [options.cache] - Reuse parsed task files whose
+ *   mtime and size are unchanged. Pass a ScanCache instance, or `true` for the
+ *   shared cache persisted at ~/.jade/scan-cache.json.
+ * @param {boolean} [options.checkDependencies] - If true, validate the
+ *   dependency graph across all scanned projects.
+ * @param {Object} [options.stateMachine] - Task states to accept (see
+ *   task-states.js); loaded from `statesPath` or
+ *   ~/.jade/task-states.json by default. An invalid config is reported
+ *   as a warning and the built-in states are used, except in strict
+ *   mode, which throws TASK_STATES_INVALID.
+ * @param {string} [options.statesPath]
  * @returns {{ tasks: Object[], errors: Object[], warnings: Object[] }}
  *   In non-strict mode, returns partial results with error list.
  *   In strict mode, throws on first error.
@@ -146,6 +271,7 @@ function loadRegistry(registryPath) {
 function scanTasks(options) {
   const opts = options || {};
   const strict = opts.strict || false;
+  const cache = resolveCache(opts.cache);
   const registry = opts.registry || loadRegistry(opts.registryPath);
   const projectsRoot = registry.projects_root || '';
   const projects = registry.projects || [];
@@ -153,82 +279,180 @@ function scanTasks(options) {
   const allErrors = [];
   const allWarnings = [];
 
-  for (const project of projects) {
-    const tasksFilePath = path.join(
-      projectsRoot,
-      project.path,
-      '.claude',
-      'tasks',
-      'tasks.json'
-    );
-
-    let taskFileContent;
-    try {
-      taskFileContent = fs.readFileSync(tasksFilePath, 'utf8');
-    } catch (err) {
-      // Missing file or missing directory -- silently skip
-      if (err.code === 'ENOENT') {
-        continue;
-      }
-      // Re-throw unexpected errors
+  // A broken task-states.json should not stop every scan; strict mode,
+  // used for validation, still rejects it.
+  let machine;
+  try {
+    machine = resolveStateMachine(opts);
+  } catch (err) {
+    if (strict || err.code !== 'TASK_STATES_INVALID') {
       throw err;
     }
+    const warnInfo = {
+      type: 'task_states_warning',
+      message: `${err.message}; using the built-in task states`,
+    };
+    allWarnings.push(warnInfo);
+    logger.warn('Ignoring invalid task states config', warnInfo);
+    machine = buildStateMachine();
+  }
+  const statuses = listStatuses(machine);
 
-    let taskData;
-    try {
-      taskData = JSON.parse(taskFileContent);
-    } catch (err) {
+  // Build the error thrown by strict mode, persisting cache work first
+  const strictFailure = (message) => {
+    if (cache) {
+      cache.save();
+    }
+    const strictError = new Error(message);
+    strictError.code = 'SCANNER_STRICT_ERROR';
+    strictError.errors = allErrors;
+    strictError.warnings = allWarnings;
+    return strictError;
+  };
+
+  // Validate the registry; project entries with errors are skipped
+  const invalidProjects = new Set();
+  for (const detail of validateRegistry(registry)) {
+    const match = /^projects\[(\d+)\]/.exec(detail.path);
+    if (match) {
+      invalidProjects.add(Number(match[1]));
+    }
+    const errorInfo = {
+      type: 'registry_error',
+      path: opts.registryPath || DEFAULT_REGISTRY_PATH,
+      field: detail.path,
+      message: `Invalid registry field '${detail.path}': ${detail.message}`,
+    };
+    allErrors.push(errorInfo);
+    logger.warn('Registry validation error', errorInfo);
+  }
+  if (strict && allErrors.length > 0) {
+    throw strictFailure(`Invalid project registry: ${allErrors[0].message}`);
+  }
+
+  // Scan one task file; `seenIds` maps task IDs already read from the
+  // project's other files to the file they came from
+  const scanTaskFile = (project, tasksFilePath, seenIds) => {
+    const readResult = readTaskFile(tasksFilePath, cache);
+    if (!readResult) {
+      // Removed since the file list was resolved -- silently skip
+      return;
+    }
+
+    if (readResult.parseError !== undefined) {
       // Malformed JSON -- record error
       const errorInfo = {
         type: 'parse_error',
         project: project.name,
         path: tasksFilePath,
-        message: err.message,
+        message: readResult.parseError,
       };
 
       logger.warn('Malformed tasks.json, skipping project', {
         project: project.name,
         path: tasksFilePath,
-        error: err.message,
+        error: readResult.parseError,
       });
 
       allErrors.push(errorInfo);
 
       if (strict) {
-        const strictError = new Error(
-          `Parse error in ${tasksFilePath}: ${err.message}`
+        throw strictFailure(
+          `Parse error in ${tasksFilePath}: ${readResult.parseError}`
         );
-        strictError.code = 'SCANNER_STRICT_ERROR';
-        strictError.errors = allErrors;
-        strictError.warnings = allWarnings;
-        throw strictError;
       }
 
-      continue;
+      return;
+    }
+
+    // Upgrade older file formats in memory through the migration chain
+    let taskData;
+    let migrated = false;
+    try {
+      const migration = migrateTasksData(readResult.data);
+      taskData = migration.data;
+      migrated = migration.applied.length > 0;
+      if (migrated) {
+        const warnInfo = {
+          type: 'migration_warning',
+          project: project.name,
+          path: tasksFilePath,
+          message:
+            `Migrated ${tasksFilePath} from version ${migration.fromVersion} to ${migration.toVersion} in memory; ` +
+            'run scripts/migrate-task-schema.js to persist',
+        };
+        allWarnings.push(warnInfo);
+        logger.info('Migrated tasks file in memory', warnInfo);
+      }
+    } catch (err) {
+      if (err.code !== 'TASK_SCHEMA_UNSUPPORTED') {
+        throw err;
+      }
+      const errorInfo = {
+        type: 'version_error',
+        project: project.name,
+        path: tasksFilePath,
+        message: err.message,
+      };
+      allErrors.push(errorInfo);
+      logger.warn('Unsupported tasks.json version, skipping project', errorInfo);
+      if (strict) {
+        throw strictFailure(`${err.message} in ${tasksFilePath}`);
+      }
+      return;
+    }
+
+    if (strict && migrated) {
+      throw strictFailure(`Tasks file ${tasksFilePath} needs migration`);
+    }
+
+    // Validate file-level fields (version, project, milestone, tasks array)
+    const headerErrors = validateTasksFileHeader(taskData);
+    for (const detail of headerErrors) {
+      const errorInfo = {
+        type: 'schema_error',
+        project: project.name,
+        path: tasksFilePath,
+        field: detail.path,
+        message: `Invalid field '${detail.path}' at ${tasksFilePath}: ${detail.message}`,
+      };
+      allErrors.push(errorInfo);
+      logger.warn('Tasks file schema error', errorInfo);
+    }
+    if (strict && headerErrors.length > 0) {
+      throw strictFailure(`Schema error in ${tasksFilePath}`);
+    }
+    if (!Array.isArray(taskData.tasks)) {
+      return;
     }
 
     const fileMilestone = taskData.milestone || null;
-    const tasks = taskData.tasks || [];
+    const tasks = taskData.tasks;
 
     // NOTE: All tasks from the same project share the same `project`
     // and `fileMilestone` object references. Downstream consumers must
     // not mutate `_project` or `_milestone` without cloning first.
-    for (const task of tasks) {
+    tasks.forEach((task, index) => {
       // Validate task schema
-      const validation = validateTask(task, tasksFilePath, { strict });
+      const validation = validateTask(task, tasksFilePath, {
+        strict,
+        index,
+        statuses,
+      });
 
       // Record validation errors
-      for (const errMsg of validation.errors) {
+      validation.errors.forEach((errMsg, i) => {
         const errorInfo = {
           type: 'validation_error',
           project: project.name,
           path: tasksFilePath,
           taskId: task.id || 'unknown',
+          field: validation.details[i].path,
           message: errMsg,
         };
         allErrors.push(errorInfo);
         logger.warn('Task validation error', errorInfo);
-      }
+      });
 
       // Record validation warnings
       for (const warnMsg of validation.warnings) {
@@ -245,19 +469,34 @@ function scanTasks(options) {
 
       // In strict mode, fail on any validation error or warning
       if (strict && (!validation.valid || validation.warnings.length > 0)) {
-        const strictError = new Error(
+        throw strictFailure(
           `Validation error in task '${task.id || 'unknown'}' at ${tasksFilePath}`
         );
-        strictError.code = 'SCANNER_STRICT_ERROR';
-        strictError.errors = allErrors;
-        strictError.warnings = allWarnings;
-        throw strictError;
       }
 
       // Skip tasks with validation errors (but include those with only warnings)
       if (validation.errors.length > 0) {
-        continue;
+        return;
+      }
+
+      // Task IDs must be unique across all of a project's task files
+      const firstPath = seenIds.get(task.id);
+      if (firstPath !== undefined) {
+        const errorInfo = {
+          type: 'duplicate_task',
+          project: project.name,
+          path: tasksFilePath,
+          taskId: task.id,
+          message: `Duplicate task ID '${task.id}' in ${tasksFilePath} (first defined in ${firstPath})`,
+        };
+        allErrors.push(errorInfo);
+        logger.warn('Duplicate task ID, skipping task', errorInfo);
+        if (strict) {
+          throw strictFailure(errorInfo.message);
+        }
+        return;
       }
+      seenIds.set(task.id, tasksFilePath);
 
       // Apply defaults for optional fields
       applyTaskDefaults(task);
@@ -265,8 +504,49 @@ function scanTasks(options) {
       task._project = project;
       task._projectName = project.name;
       task._milestone = fileMilestone;
+      task._sourcePath = tasksFilePath;
       allTasks.push(task);
+    });
+  };
+
+  projects.forEach((project, projectIndex) => {
+    if (invalidProjects.has(projectIndex)) {
+      return;
+    }
+
+    // Missing files or directories are silently skipped
+    const projectDir = path.join(projectsRoot, project.path);
+    const tasksFiles = resolveTaskFiles(projectDir, project.task_files);
+    if (cache) {
+      cache.prune(projectDir, tasksFiles);
     }
+    const seenIds = new Map();
+    for (const tasksFilePath of tasksFiles) {
+      scanTaskFile(project, tasksFilePath, seenIds);
+    }
+  });
+
+  // Cross-project checks need the full task list, so they run last
+  if (opts.checkDependencies) {
+    for (const issue of analyzeDependencies(allTasks).issues) {
+      if (issue.type === 'dependency_error') {
+        allErrors.push(issue);
+        logger.warn('Dependency graph error', issue);
+      } else {
+        allWarnings.push(issue);
+        logger.debug('Dependency graph warning', issue);
+      }
+    }
+    const graphIssues = allErrors
+      .concat(allWarnings)
+      .filter((e) => e.type.startsWith('dependency_'));
+    if (strict && graphIssues.length > 0) {
+      throw strictFailure(`Dependency graph: ${graphIssues[0].message}`);
+    }
+  }
+
+  if (cache) {
+    cache.save();
   }
 
   return {
@@ -294,7 +574,9 @@ module.exports = {
   scanTasks,
   scanTasksLegacy,
   loadRegistry,
+  DEFAULT_REGISTRY_PATH,
   // Exposed for testing
+  readTaskFile,
   validateTask,
   applyTaskDefaults,
   REQUIRED_TASK_FIELDS,
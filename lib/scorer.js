@@ -6,53 +6,60 @@
  * Computes a score from 0 to 100 for each task based on five weighted factors:
  * maturity, impact, dependency, effort-to-value, and developer preference.
  *
+ * An optional sixth factor, criticality, blends in each task's slack from
+ * critical-path.js when scoreTasks() is called with `criticalPath`, and an
+ * optional seventh, urgency, blends in milestone deadline pressure from
+ * deadlines.js when it is called with `deadlines`.
+ *
+ * The weights and lookup tables come from a scoring profile (see
+ * scoring-profiles.js); without one, the built-in defaults are used. With
+ * `calibration`, complexity multipliers come from measured task durations
+ * (calibration.js) wherever enough history exists.
+ *
  * See ~/docs/plans/2026-02-02-jade-dev-assist-orchestrator-design.md Section 5.
  */
 
-// ── Constants ────────────────────────────────────────────────────────
-
-/**
- * Maps project status to a maturity score (0-100).
- */
-const MATURITY_SCORES = {
-  buildable: 100,
-  'near-buildable': 80,
-  'scaffolding-plus': 60,
-  scaffolding: 40,
-  blocked: 10,
-};
+const {
+  analyzeCriticalPath,
+  computeCriticality,
+  DEFAULT_EFFORT_ESTIMATES,
+} = require('./critical-path');
+const { buildDependencyGraph } = require('./dependency-graph');
+const { analyzeDeadlines, computeUrgency, deadlineFor } = require('./deadlines');
+const { calibrate, calibratedMultipliers } = require('./calibration');
+const { applyFairShare } = require('./fair-share');
+const { filterTasks, queryUsesField } = require('./task-query');
+const {
+  resolveProfile,
+  loadScoringConfig,
+  reportUnknownLabels,
+  MATURITY_SCORES,
+  COMPLEXITY_MULTIPLIERS,
+  WEIGHTS,
+  CRITICAL_PATH_WEIGHT,
+  DEADLINE_WEIGHT,
+  LABEL_BONUSES,
+  UNLOCK_WEIGHTING,
+  DEFAULT_PROFILE_NAME,
+} = require('./scoring-profiles');
+const { createLogger } = require('./logger');
 
-/**
- * Maps task complexity to a multiplier for effort-to-value calculation.
- */
-const COMPLEXITY_MULTIPLIERS = {
-  S: 1.0,
-  M: 0.75,
-  L: 0.5,
-  XL: 0.3,
-};
+const logger = createLogger('scorer');
 
-/**
- * Weights for the five scoring factors. Must sum to 1.0.
- */
-const WEIGHTS = {
-  maturity: 0.2,
-  impact: 0.3,
-  dependency: 0.2,
-  effort: 0.15,
-  preference: 0.15,
-};
+// ── Profiles ─────────────────────────────────────────────────────────
 
 /**
- * Label bonus values for the impact calculation.
+ * The built-in default profile, used when no profile is given.
  */
-const LABEL_BONUSES = {
-  bugfix: 10,
-  feature: 5,
-  test: 10,
-  infra: 5,
-  docs: 0,
-  refactor: 0,
+const DEFAULT_PROFILE = {
+  name: 'default',
+  weights: WEIGHTS,
+  maturityScores: MATURITY_SCORES,
+  complexityMultipliers: COMPLEXITY_MULTIPLIERS,
+  labelBonuses: LABEL_BONUSES,
+  unlockWeighting: UNLOCK_WEIGHTING,
+  criticalPathWeight: CRITICAL_PATH_WEIGHT,
+  deadlineWeight: DEADLINE_WEIGHT,
 };
 
 // ── Factor Computation ───────────────────────────────────────────────
@@ -61,51 +68,150 @@ const LABEL_BONUSES = {
  * Compute the project maturity factor (0-100).
  *
  * @param {Object} project - Project registry entry with a `status` field.
+ * @param {Object} [profile=DEFAULT_PROFILE] - Resolved scoring profile.
  * @returns {number}
  */
-function computeMaturity(project) {
+function computeMaturity(project, profile) {
+  const scores = (profile || DEFAULT_PROFILE).maturityScores;
   const status = (project && project.status) || '';
-  return MATURITY_SCORES[status] || 0;
+  return scores[status] || 0;
 }
 
 /**
- * Compute the task impact factor (0-100, capped).
+ * Whether a task belongs to its project's active milestone.
+ *
+ * @param {Object} task
+ * @returns {boolean}
+ */
+function inActiveMilestone(task) {
+  const milestone = task._milestone;
+  return Boolean(milestone && task.milestone && task.milestone === milestone.name);
+}
+
+/**
+ * List the tasks a task unlocks, with the points each is worth.
+ *
+ * Direct mode counts the task's own `unlocks` entries. Transitive mode
+ * walks the dependency graph breadth-first, counting every incomplete
+ * downstream task once at its shortest depth; already-visited tasks are
+ * skipped, so cycles terminate. Completed and failed tasks are neither
+ * counted nor walked through.
+ *
+ * @param {Object} task - Task object.
+ * @param {Object} settings - The profile's unlock weighting.
+ * @param {Object} [graph] - From buildDependencyGraph(); required in
+ *   transitive mode.
+ * @returns {Array<{ id: string, depth: number, points: number }>}
+ */
+function unlockReach(task, settings, graph) {
+  if (!settings.transitive) {
+    return (task.unlocks || []).map((id) => ({
+      id,
+      depth: 1,
+      points: settings.points,
+    }));
+  }
+
+  const reach = [];
+  const seen = new Set([task.id]);
+  let frontier = [task.id];
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next = [];
+    const levelPoints = settings.points * Math.pow(settings.decay, depth - 1);
+    for (const id of frontier) {
+      for (const dependentId of graph.dependents.get(id) || []) {
+        if (seen.has(dependentId)) {
+          continue;
+        }
+        seen.add(dependentId);
+        const dependent = graph.byId.get(dependentId);
+        if (dependent.status === 'completed' || dependent.status === 'failed') {
+          continue;
+        }
+
+        let points = levelPoints;
+        if (settings.complexity_weighted) {
+          points *=
+            (DEFAULT_EFFORT_ESTIMATES[dependent.complexity] ||
+              DEFAULT_EFFORT_ESTIMATES.S) / DEFAULT_EFFORT_ESTIMATES.S;
+        }
+        if (inActiveMilestone(dependent)) {
+          points *= settings.milestone_weight;
+        }
+        reach.push({ id: dependentId, depth, points });
+        next.push(dependentId);
+      }
+    }
+    frontier = next;
+  }
+  return reach;
+}
+
+/**
+ * Break the task impact factor into its components.
  *
  * Components:
  * - base_impact: acceptance_criteria (+20), feature.description (+10), github_issue (+10)
- * - unlock_bonus: +15 per unlock, max 45
+ * - unlock_bonus: +15 per unlock, max 45 (see the profile's unlock
+ *   weighting for transitive reach, decay and cap)
  * - milestone_bonus: +15 for active milestone match, +25 additional if last blocker
  * - label_bonus: sum of label-specific bonuses
  *
  * @param {Object} task - Task object.
  * @param {Object[]} allTasks - All tasks (for milestone last-blocker check).
- * @returns {number} Impact score capped at 100.
+ * @param {Object} [profile=DEFAULT_PROFILE] - Resolved scoring profile.
+ * @param {Object} [graph] - From buildDependencyGraph(allTasks); built here
+ *   when transitive unlock weighting needs it.
+ * @returns {{ criteria: number, description: number, githubIssue: number,
+ *   unlocks: number, unlockReach: Object[], milestone: number,
+ *   lastBlocker: number, labels: number, labelBonuses: Object<string, number>,
+ *   total: number }}
+ *   `total` is the uncapped sum; `unlocks` is already capped.
  */
-function computeImpact(task, allTasks) {
-  let impact = 0;
+function impactComponents(task, allTasks, profile, graph) {
+  const resolved = profile || DEFAULT_PROFILE;
+  const labelBonuses = resolved.labelBonuses;
+  const unlockSettings = { ...UNLOCK_WEIGHTING, ...resolved.unlockWeighting };
+  const components = {
+    criteria: 0,
+    description: 0,
+    githubIssue: 0,
+    unlocks: 0,
+    unlockReach: [],
+    milestone: 0,
+    lastBlocker: 0,
+    labels: 0,
+    labelBonuses: {},
+    total: 0,
+  };
 
   // Base impact
   const feature = task.feature || {};
   const criteria = feature.acceptance_criteria;
   if (Array.isArray(criteria) && criteria.length > 0) {
-    impact += 20;
+    components.criteria = 20;
   }
   if (feature.description) {
-    impact += 10;
+    components.description = 10;
   }
   if (task.github_issue) {
-    impact += 10;
+    components.githubIssue = 10;
   }
 
-  // Unlock bonus: +15 per unlocked task, max 3 counted
-  const unlocks = task.unlocks || [];
-  const unlockCount = Math.min(unlocks.length, 3);
-  impact += unlockCount * 15;
+  // Unlock bonus: +15 per unlocked task, max 45 by default
+  if (unlockSettings.transitive && !graph) {
+    graph = buildDependencyGraph(allTasks);
+  }
+  components.unlockReach = unlockReach(task, unlockSettings, graph);
+  components.unlocks = Math.min(
+    components.unlockReach.reduce((sum, r) => sum + r.points, 0),
+    unlockSettings.cap
+  );
 
   // Milestone bonus
   const milestone = task._milestone;
-  if (milestone && task.milestone && task.milestone === milestone.name) {
-    impact += 15;
+  if (inActiveMilestone(task)) {
+    components.milestone = 15;
 
     // Last blocker bonus: if this is the only incomplete task
     // in its milestone within the same project
@@ -120,18 +226,27 @@ function computeImpact(task, allTasks) {
         t.status !== 'failed'
     );
     if (siblingIncomplete.length === 0) {
-      impact += 25;
+      components.lastBlocker = 25;
     }
   }
 
   // Label bonus
   const labels = task.labels || [];
   for (const label of labels) {
-    impact += LABEL_BONUSES[label] || 0;
+    const bonus = labelBonuses[label] || 0;
+    components.labelBonuses[label] = bonus;
+    components.labels += bonus;
   }
 
-  // Cap at 100
-  return Math.min(impact, 100);
+  components.total =
+    components.criteria +
+    components.description +
+    components.githubIssue +
+    components.unlocks +
+    components.milestone +
+    components.lastBlocker +
+    components.labels;
+  return components;
 }
 
 /**
@@ -193,16 +308,18 @@ function computeDependency(task, allTasks) {
  *
  * @param {number} impact - The computed impact score.
  * @param {string} complexity - Task complexity (S, M, L, XL).
+ * @param {Object} [multipliers] - Complexity to multiplier map (default:
+ *   the default profile's, or calibrated ones from calibration.js).
  * @returns {number}
  */
-function computeEffort(impact, complexity) {
-  const multiplier =
-    COMPLEXITY_MULTIPLIERS[complexity] || COMPLEXITY_MULTIPLIERS.S;
+function computeEffort(impact, complexity, multipliers) {
+  const table = multipliers || DEFAULT_PROFILE.complexityMultipliers;
+  const multiplier = table[complexity] || table.S;
   return impact * multiplier;
 }
 
 /**
- * Compute the developer preference factor (0-100).
+ * Break the developer preference factor into its components.
  *
  * Base: 50
  * +20 if created_at is within the last 24 hours
@@ -211,10 +328,10 @@ function computeEffort(impact, complexity) {
  * @param {Object} task - Task object.
  * @param {Object} [options]
  * @param {string} [options.focusLabel] - Label receiving preference boost.
- * @returns {number}
+ * @returns {{ base: number, recency: number, focus: number, total: number }}
  */
-function computePreference(task, options) {
-  let preference = 50;
+function preferenceComponents(task, options) {
+  const components = { base: 50, recency: 0, focus: 0, total: 0 };
 
   // Recency boost: +20 if within 24 hours
   if (task.created_at) {
@@ -222,7 +339,7 @@ function computePreference(task, options) {
     const now = Date.now();
     const twentyFourHours = 24 * 60 * 60 * 1000;
     if (now - created <= twentyFourHours) {
-      preference += 20;
+      components.recency = 20;
     }
   }
 
@@ -231,11 +348,12 @@ function computePreference(task, options) {
   if (opts.focusLabel) {
     const labels = task.labels || [];
     if (labels.includes(opts.focusLabel)) {
-      preference += 30;
+      components.focus = 30;
     }
   }
 
-  return preference;
+  components.total = components.base + components.recency + components.focus;
+  return components;
 }
 
 // ── Public API ───────────────────────────────────────────────────────
@@ -248,6 +366,20 @@ function computePreference(task, options) {
  * @param {Object[]} allTasks - All tasks across all projects (for dependency resolution).
  * @param {Object} [options]
  * @param {string} [options.focusLabel] - Label receiving +30 preference boost.
+ * @param {Object} [options.profile] - Resolved scoring profile (see
+ *   scoring-profiles.resolveProfile). Defaults to DEFAULT_PROFILE.
+ * @param {Object} [options.criticalPath] - Result of analyzeCriticalPath();
+ *   enables the criticality factor.
+ * @param {number} [options.criticalPathWeight] - Overrides the profile's
+ *   criticality weight.
+ * @param {Object} [options.deadlines] - Result of analyzeDeadlines();
+ *   enables the urgency factor.
+ * @param {Object} [options.calibration] - Result of calibration.calibrate();
+ *   measured effort replaces the complexity multipliers where calibrated.
+ * @param {number} [options.deadlineWeight] - Overrides the profile's
+ *   urgency weight.
+ * @param {Object} [options.dependencyGraph] - buildDependencyGraph(allTasks),
+ *   reused across calls for transitive unlock weighting.
  * @returns {number} Score from 0 to 100.
  */
 function scoreTask(task, project, allTasks, options) {
@@ -255,65 +387,357 @@ function scoreTask(task, project, allTasks, options) {
   if (task.priority_override != null) {
     return task.priority_override;
   }
+  return explainScore(task, project, allTasks, options).score;
+}
 
-  const maturity = computeMaturity(project);
-  const impact = computeImpact(task, allTasks);
-  const dependency = computeDependency(task, allTasks);
+/**
+ * Explain how a task's priority score is composed.
+ *
+ * Returns every factor with its raw value (0-100), profile weight and
+ * weighted contribution. When the criticality or urgency factor is
+ * enabled, base contributions are already scaled by (1 - their combined
+ * weight), so the contributions always add up to `computedScore`.
+ *
+ * A `priority_override` replaces the score; the factors are still
+ * computed so the override can be compared with what the task would
+ * otherwise score.
+ *
+ * @param {Object} task - Task object (with _project, _projectName, _milestone from scanner).
+ * @param {Object} project - Project registry entry.
+ * @param {Object[]} allTasks - All tasks across all projects.
+ * @param {Object} [options] - Same options as scoreTask().
+ * @returns {{
+ *   taskId: string,
+ *   score: number,
+ *   computedScore: number,
+ *   profile: string,
+ *   override: { value: number, note: string }|null,
+ *   factors: Object<string, { value: number, weight: number, contribution: number }>,
+ *   criticality: { value: number, weight: number, contribution: number }|null,
+ *   urgency: { value: number, weight: number, contribution: number,
+ *     milestone: string|null, daysLeft: number|null, remainingEffort: number,
+ *     overdue: boolean }|null
+ * }}
+ *   Factor entries carry details: maturity.status, impact.components and
+ *   impact.capped, dependency.blockedBy, effort.complexity,
+ *   effort.multiplier and effort.measured (the calibrated bucket used, or
+ *   null), preference.components.
+ *
+ * @example
+ * const { factors } = explainScore(task, task._project, allTasks);
+ * factors.impact.components.unlocks; // => 30
+ */
+function explainScore(task, project, allTasks, options) {
+  const opts = options || {};
+  const profile = opts.profile || DEFAULT_PROFILE;
+  const weights = profile.weights;
+
+  const impactParts = impactComponents(
+    task,
+    allTasks,
+    profile,
+    opts.dependencyGraph
+  );
+  const preferenceParts = preferenceComponents(task, opts);
   const complexity = task.complexity || 'S';
-  const effort = computeEffort(impact, complexity);
-  const preference = computePreference(task, options);
 
-  const score =
-    maturity * WEIGHTS.maturity +
-    impact * WEIGHTS.impact +
-    dependency * WEIGHTS.dependency +
-    effort * WEIGHTS.effort +
-    preference * WEIGHTS.preference;
+  // Measured effort replaces the profile's multipliers where calibrated
+  let multipliers = profile.complexityMultipliers;
+  let measured = null;
+  if (opts.calibration) {
+    const calibrated = calibratedMultipliers(
+      opts.calibration,
+      multipliers,
+      task._projectName
+    );
+    multipliers = calibrated.multipliers;
+    measured = calibrated.measured[complexity] || null;
+  }
+
+  const values = {
+    maturity: computeMaturity(project, profile),
+    impact: Math.min(impactParts.total, 100),
+    dependency: computeDependency(task, allTasks),
+    effort: 0,
+    preference: preferenceParts.total,
+  };
+  values.effort = computeEffort(values.impact, complexity, multipliers);
+
+  const baseScore =
+    values.maturity * weights.maturity +
+    values.impact * weights.impact +
+    values.dependency * weights.dependency +
+    values.effort * weights.effort +
+    values.preference * weights.preference;
+
+  let criticality = null;
+  if (opts.criticalPath) {
+    const weight =
+      opts.criticalPathWeight != null
+        ? opts.criticalPathWeight
+        : profile.criticalPathWeight;
+    const value = computeCriticality(task.id, opts.criticalPath);
+    criticality = { value, weight, contribution: value * weight };
+  }
+
+  let urgency = null;
+  if (opts.deadlines) {
+    const weight =
+      opts.deadlineWeight != null
+        ? opts.deadlineWeight
+        : profile.deadlineWeight != null
+          ? profile.deadlineWeight
+          : DEADLINE_WEIGHT;
+    const value = computeUrgency(task, opts.deadlines);
+    const deadline = deadlineFor(task, opts.deadlines);
+    urgency = {
+      value,
+      weight,
+      contribution: value * weight,
+      milestone: deadline ? deadline.name : null,
+      daysLeft: deadline ? deadline.daysLeft : null,
+      remainingEffort: deadline ? deadline.remainingEffort : 0,
+      overdue: deadline ? deadline.overdue : false,
+    };
+  }
+
+  // Blended factors take their weight out of the five base factors
+  let scale = 1;
+  let computedScore = baseScore;
+  for (const extra of [criticality, urgency]) {
+    if (extra) {
+      scale -= extra.weight;
+    }
+  }
+  if (scale !== 1) {
+    computedScore = baseScore * scale;
+    for (const extra of [criticality, urgency]) {
+      if (extra) {
+        computedScore += extra.contribution;
+      }
+    }
+  }
+
+  const factors = {};
+  for (const [name, value] of Object.entries(values)) {
+    factors[name] = {
+      value,
+      weight: weights[name],
+      contribution: value * weights[name] * scale,
+    };
+  }
+  factors.maturity.status = (project && project.status) || null;
+  factors.impact.components = impactParts;
+  factors.impact.capped = impactParts.total > 100;
+  factors.dependency.blockedBy = task.blocked_by || [];
+  factors.effort.complexity = complexity;
+  factors.effort.multiplier = multipliers[complexity] || multipliers.S;
+  factors.effort.measured = measured;
+  factors.preference.components = preferenceParts;
+
+  let override = null;
+  if (task.priority_override != null) {
+    override = {
+      value: task.priority_override,
+      note: `priority_override ${task.priority_override} replaces the computed score of ${computedScore.toFixed(1)}`,
+    };
+  }
 
-  return score;
+  return {
+    taskId: task.id,
+    score: override ? override.value : computedScore,
+    computedScore,
+    profile: profile.name,
+    override,
+    factors,
+    criticality,
+    urgency,
+  };
 }
 
 /**
  * Score and sort an array of tasks from scanTasks().
  *
- * Filters out completed/failed tasks by default. Attaches `_score` to each task.
+ * Filters out completed/failed tasks by default. Attaches `_score` to each
+ * task, and `_explanation` (see explainScore) when `explain` is set.
  * Returns sorted descending by score.
  *
+ * With `profile`, each task is scored with that profile plus its project's
+ * overrides from the scoring config. Bonuses for labels no task carries
+ * are logged as warnings.
+ *
  * @param {Object[]} tasks - Merged task array from scanTasks().
  * @param {Object} [options]
  * @param {boolean} [options.includeCompleted] - If true, include completed/failed tasks.
  * @param {string} [options.focusLabel] - Passed through to scoreTask.
+ * @param {boolean} [options.explain] - Attach the score breakdown as `_explanation`.
+ * @param {string|Object} [options.profile] - Profile name from the scoring
+ *   config, or a resolved profile object (used as-is for every project).
+ *   Defaults to the config's `default` profile with project overrides.
+ * @param {Object} [options.scoringConfig] - Pre-loaded scoring config.
+ * @param {string} [options.scoringPath] - Scoring config path
+ *   (default ~/.jade/scoring.json).
+ * @param {Object|boolean} [options.criticalPath] - Result of
+ *   analyzeCriticalPath(), or `true` to analyze `tasks` here.
+ * @param {Object} [options.effortEstimates] - Complexity to effort overrides
+ *   used when `criticalPath` or `deadlines` is `true`.
+ * @param {number} [options.criticalPathWeight] - Passed through to scoreTask.
+ * @param {Object|boolean} [options.deadlines] - Result of
+ *   analyzeDeadlines(), or `true` to analyze `tasks` here.
+ * @param {number} [options.deadlineWeight] - Passed through to scoreTask.
+ * @param {Object|boolean} [options.calibration] - Result of calibrate(), or
+ *   `true` to calibrate from the history of `tasks` here.
+ * @param {Object|boolean} [options.fairShare] - Reorder the result with
+ *   fair-share.applyFairShare(); `true` uses its defaults. In-progress
+ *   tasks are counted from `tasks` unless `fairShare.allTasks` is given.
+ * @param {string|Object} [options.query] - task-query selection applied
+ *   before scoring. A query on `status` replaces the default hiding of
+ *   completed and failed tasks. The full `tasks` array is still used for
+ *   dependencies and unlocks.
  * @returns {Object[]} Sorted array of tasks with `_score` property.
+ * @throws {Error} With code 'SCORING_PROFILE_NOT_FOUND' or
+ *   'SCORING_PROFILE_INVALID' if the profile cannot be used, or
+ *   'TASK_QUERY_INVALID' for a bad query.
  */
 function scoreTasks(tasks, options) {
-  const opts = options || {};
+  let opts = options || {};
+
+  // Analyze the full graph (completed tasks included) before filtering
+  if (opts.criticalPath === true) {
+    opts = {
+      ...opts,
+      criticalPath: analyzeCriticalPath(tasks, {
+        effort: opts.effortEstimates,
+      }),
+    };
+  }
+  if (opts.deadlines === true) {
+    opts = {
+      ...opts,
+      deadlines: analyzeDeadlines(tasks, { effort: opts.effortEstimates }),
+    };
+  }
+  if (opts.calibration === true) {
+    opts = { ...opts, calibration: calibrate(tasks) };
+  }
 
-  // Filter out completed and failed tasks unless requested
+  // Filter out completed and failed tasks unless requested, or unless
+  // the query selects by status itself
   let filtered;
-  if (opts.includeCompleted) {
+  if (
+    opts.includeCompleted ||
+    (opts.query && queryUsesField(opts.query, 'status'))
+  ) {
     filtered = tasks.slice();
   } else {
     filtered = tasks.filter(
       (t) => t.status !== 'completed' && t.status !== 'failed'
     );
   }
+  if (opts.query) {
+    filtered = filterTasks(filtered, opts.query, { allTasks: tasks });
+  }
+
+  // Resolve the profile once per project so project overrides apply
+  const profileFor = profileResolver(opts);
+  const reported = new Set();
+
+  // Build the dependency graph once if any profile walks it
+  let dependencyGraph = opts.dependencyGraph;
 
   // Score each task using its attached _project metadata
   for (const task of filtered) {
     const project = task._project || {};
-    task._score = scoreTask(task, project, tasks, opts);
+    const profile = profileFor(task._projectName);
+    if (profile && !reported.has(profile)) {
+      reported.add(profile);
+      reportUnknownLabels(profile, tasks);
+    }
+    const unlockWeighting = (profile || DEFAULT_PROFILE).unlockWeighting;
+    if (!dependencyGraph && unlockWeighting && unlockWeighting.transitive) {
+      dependencyGraph = buildDependencyGraph(tasks);
+    }
+    const explanation = explainScore(task, project, tasks, {
+      ...opts,
+      profile,
+      dependencyGraph,
+    });
+    task._score = explanation.score;
+    if (opts.explain) {
+      task._explanation = explanation;
+    }
   }
 
   // Sort descending by score
   filtered.sort((a, b) => b._score - a._score);
 
+  if (opts.fairShare) {
+    const shareOpts = opts.fairShare === true ? {} : opts.fairShare;
+    return applyFairShare(filtered, { allTasks: tasks, ...shareOpts });
+  }
   return filtered;
 }
 
+/**
+ * Build a per-project profile lookup for scoreTasks().
+ *
+ * Without a named profile, the scoring config's `default` profile and
+ * per-project overrides still apply; an unreadable config falls back to
+ * the built-in weights with a warning.
+ *
+ * @param {Object} opts - scoreTasks() options.
+ * @returns {function(string): (Object|undefined)} Project name to resolved
+ *   profile; undefined when the built-in default profile applies.
+ */
+function profileResolver(opts) {
+  if (opts.profile != null && typeof opts.profile === 'object') {
+    return () => opts.profile;
+  }
+
+  let config = opts.scoringConfig;
+  if (!config) {
+    try {
+      config = loadScoringConfig(opts.scoringPath);
+    } catch (err) {
+      if (opts.profile != null) throw err;
+      logger.warn('Invalid scoring config, using built-in weights', {
+        error: err.message,
+      });
+      return () => undefined;
+    }
+  }
+
+  if (
+    opts.profile == null &&
+    !config.projects &&
+    !(config.profiles && config.profiles[DEFAULT_PROFILE_NAME])
+  ) {
+    return () => undefined;
+  }
+
+  const byProject = new Map();
+  return (projectName) => {
+    if (!byProject.has(projectName)) {
+      byProject.set(
+        projectName,
+        resolveProfile(opts.profile || DEFAULT_PROFILE_NAME, {
+          config,
+          project: projectName,
+        })
+      );
+    }
+    return byProject.get(projectName);
+  };
+}
+
 module.exports = {
   scoreTask,
   scoreTasks,
+  explainScore,
   MATURITY_SCORES,
   COMPLEXITY_MULTIPLIERS,
   WEIGHTS,
+  CRITICAL_PATH_WEIGHT,
+  LABEL_BONUSES,
+  DEFAULT_PROFILE,
 };
@@ -0,0 +1,572 @@
+'use strict';
+
+/**
+ * Scoring Profiles Module for the jade-dev-assist orchestrator.
+ *
+ * A scoring profile holds the tables scorer.js ranks tasks with: factor
+ * weights, maturity scores, complexity multipliers, label bonuses, unlock
+ * weighting and the criticality and urgency weights. The `default` profile reproduces the original
+ * constants; `bug-bash`, `ship-milestone` and `quick-wins` are built in,
+ * and more can be defined in ~/.jade/scoring.json:
+ *
+ *   {
+ *     "profiles": {
+ *       "docs-sprint": { "label_bonuses": { "docs": 30 } }
+ *     },
+ *     "projects": {
+ *       "jade-cli": { "weights": { "maturity": 0.1, "impact": 0.4 } }
+ *     }
+ *   }
+ *
+ * Every profile is a partial override of `default` (a file profile with a
+ * built-in name replaces the built-in). Project entries are partial
+ * overrides applied on top of whichever profile is selected. Weights must
+ * sum to 1.0 after merging; label bonuses naming labels no task uses are
+ * reported as warnings, since they are usually typos.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { COMPLEXITY_LEVELS, PROJECT_STATUSES } = require('./task-schema');
+
+const logger = createLogger('scoring-profiles');
+
+const DEFAULT_SCORING_PATH = path.join(
+  process.env.HOME || process.env.USERPROFILE,
+  '.jade',
+  'scoring.json'
+);
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+const WEIGHT_SUM_TOLERANCE = 1e-6;
+
+// ── Default Tables ───────────────────────────────────────────────────
+
+/**
+ * Maps project status to a maturity score (0-100).
+ */
+const MATURITY_SCORES = {
+  buildable: 100,
+  'near-buildable': 80,
+  'scaffolding-plus': 60,
+  scaffolding: 40,
+  blocked: 10,
+};
+
+/**
+ * Maps task complexity to a multiplier for effort-to-value calculation.
+ */
+const COMPLEXITY_MULTIPLIERS = {
+  S: 1.0,
+  M: 0.75,
+  L: 0.5,
+  XL: 0.3,
+};
+
+/**
+ * Weights for the five scoring factors. Must sum to 1.0.
+ */
+const WEIGHTS = {
+  maturity: 0.2,
+  impact: 0.3,
+  dependency: 0.2,
+  effort: 0.15,
+  preference: 0.15,
+};
+
+/**
+ * Weight of the optional criticality factor. When enabled, the five base
+ * factors are scaled by (1 - weight) so the total still tops out at 100.
+ */
+const CRITICAL_PATH_WEIGHT = 0.15;
+
+/**
+ * Weight of the optional urgency factor (see deadlines.js), applied like
+ * the criticality weight. Together the two may not exceed 1.
+ */
+const DEADLINE_WEIGHT = 0.15;
+
+/**
+ * Label bonus values for the impact calculation.
+ */
+const LABEL_BONUSES = {
+  bugfix: 10,
+  feature: 5,
+  test: 10,
+  infra: 5,
+  docs: 0,
+  refactor: 0,
+};
+
+/**
+ * How unlocked tasks add to the impact factor.
+ *
+ * By default each task in `unlocks` is worth `points`, up to `cap`. With
+ * `transitive`, every incomplete task downstream in the dependency graph
+ * counts instead, worth `points * decay^(depth - 1)`, optionally scaled
+ * by its complexity (critical-path effort estimate relative to S) and by
+ * `milestone_weight` when it belongs to an active milestone.
+ */
+const UNLOCK_WEIGHTING = {
+  points: 15,
+  cap: 45,
+  transitive: false,
+  decay: 0.5,
+  complexity_weighted: false,
+  milestone_weight: 1,
+};
+
+/**
+ * Allowed ranges for the numeric unlock weighting settings.
+ */
+const UNLOCK_WEIGHTING_RANGES = {
+  points: [0, 100],
+  cap: [0, 100],
+  decay: [0, 1],
+  milestone_weight: [0, 10],
+};
+
+/**
+ * Profile sections as written in scoring.json, mapped to the keys of a
+ * resolved profile.
+ */
+const PROFILE_SECTIONS = {
+  weights: 'weights',
+  maturity_scores: 'maturityScores',
+  complexity_multipliers: 'complexityMultipliers',
+  label_bonuses: 'labelBonuses',
+  unlock_weighting: 'unlockWeighting',
+};
+
+/**
+ * Built-in profiles, as partial overrides of the default tables.
+ */
+const BUILTIN_PROFILES = {
+  default: {},
+  'bug-bash': {
+    weights: {
+      maturity: 0.15,
+      impact: 0.35,
+      dependency: 0.2,
+      effort: 0.15,
+      preference: 0.15,
+    },
+    label_bonuses: { bugfix: 40, test: 15 },
+  },
+  'ship-milestone': {
+    weights: {
+      maturity: 0.15,
+      impact: 0.35,
+      dependency: 0.25,
+      effort: 0.1,
+      preference: 0.15,
+    },
+    critical_path_weight: 0.3,
+    deadline_weight: 0.25,
+    unlock_weighting: { transitive: true, cap: 60, milestone_weight: 2 },
+  },
+  'quick-wins': {
+    weights: {
+      maturity: 0.15,
+      impact: 0.2,
+      dependency: 0.2,
+      effort: 0.3,
+      preference: 0.15,
+    },
+    complexity_multipliers: { S: 1.0, M: 0.6, L: 0.3, XL: 0.1 },
+  },
+};
+
+// ── Loading ──────────────────────────────────────────────────────────
+
+/**
+ * Load the scoring configuration file.
+ *
+ * @param {string} [scoringPath] - Defaults to ~/.jade/scoring.json.
+ * @returns {Object} Parsed config; an empty config if the file is missing.
+ * @throws {Error} With code 'SCORING_CONFIG_INVALID' if the file is not
+ *   valid JSON or not an object.
+ */
+function loadScoringConfig(scoringPath) {
+  const filePath = scoringPath || DEFAULT_SCORING_PATH;
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (err) {
+    throw configError(`Invalid JSON in ${filePath}: ${err.message}`);
+  }
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw configError(`Scoring config ${filePath} must be a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * List the profile names available with a config.
+ *
+ * @param {Object} [config] - Result of loadScoringConfig().
+ * @returns {string[]}
+ */
+function listProfiles(config) {
+  const fileProfiles = Object.keys((config && config.profiles) || {});
+  return [...new Set([...Object.keys(BUILTIN_PROFILES), ...fileProfiles])];
+}
+
+// ── Resolution ───────────────────────────────────────────────────────
+
+/**
+ * Apply a partial override (scoring.json shape) to a resolved profile.
+ *
+ * @param {Object} profile - Resolved profile (not modified).
+ * @param {Object} override - Partial profile with snake_case sections.
+ * @returns {Object} New resolved profile.
+ */
+function applyOverride(profile, override) {
+  const next = { ...profile };
+  for (const [section, key] of Object.entries(PROFILE_SECTIONS)) {
+    if (override[section]) {
+      next[key] = { ...profile[key], ...override[section] };
+    }
+  }
+  if (override.critical_path_weight != null) {
+    next.criticalPathWeight = override.critical_path_weight;
+  }
+  if (override.deadline_weight != null) {
+    next.deadlineWeight = override.deadline_weight;
+  }
+  return next;
+}
+
+/**
+ * Resolve a profile by name, optionally with a project's overrides.
+ *
+ * @param {string} [name="default"] - Profile name.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Pre-loaded scoring config.
+ * @param {string} [options.scoringPath] - Config path, if `config` is not given.
+ * @param {string} [options.project] - Project name whose overrides apply.
+ * @returns {{ name: string, weights: Object, maturityScores: Object,
+ *   complexityMultipliers: Object, labelBonuses: Object,
+ *   unlockWeighting: Object, criticalPathWeight: number, deadlineWeight: number }}
+ * @throws {Error} With code 'SCORING_PROFILE_NOT_FOUND' for unknown names,
+ *   or 'SCORING_PROFILE_INVALID' (with `details`) if the merged profile
+ *   fails validation.
+ */
+function resolveProfile(name, options) {
+  const opts = options || {};
+  const config = opts.config || loadScoringConfig(opts.scoringPath);
+  const profileName = name || DEFAULT_PROFILE_NAME;
+  const fileProfiles = config.profiles || {};
+
+  const override = fileProfiles[profileName] || BUILTIN_PROFILES[profileName];
+  if (!override) {
+    const err = new Error(
+      `Unknown scoring profile '${profileName}' (available: ${listProfiles(config).join(', ')})`
+    );
+    err.code = 'SCORING_PROFILE_NOT_FOUND';
+    throw err;
+  }
+
+  let profile = applyOverride(
+    {
+      name: profileName,
+      weights: WEIGHTS,
+      maturityScores: MATURITY_SCORES,
+      complexityMultipliers: COMPLEXITY_MULTIPLIERS,
+      labelBonuses: LABEL_BONUSES,
+      unlockWeighting: UNLOCK_WEIGHTING,
+      criticalPathWeight: CRITICAL_PATH_WEIGHT,
+      deadlineWeight: DEADLINE_WEIGHT,
+    },
+    override
+  );
+
+  const projectOverride = opts.project && (config.projects || {})[opts.project];
+  if (projectOverride) {
+    profile = applyOverride(profile, projectOverride);
+  }
+
+  const { errors } = validateProfile(profile);
+  if (errors.length > 0) {
+    const where = projectOverride
+      ? `'${profileName}' for project '${opts.project}'`
+      : `'${profileName}'`;
+    const err = new Error(
+      `Invalid scoring profile ${where}: ${errors.map((e) => `${e.path}: ${e.message}`).join('; ')}`
+    );
+    err.code = 'SCORING_PROFILE_INVALID';
+    err.details = errors;
+    throw err;
+  }
+
+  return profile;
+}
+
+// ── Validation ───────────────────────────────────────────────────────
+
+/**
+ * Check that every value in a table is a number within a range.
+ *
+ * @param {Object} table
+ * @param {string} basePath
+ * @param {number} min
+ * @param {number} max
+ * @param {Object[]} errors - Receives { path, message }.
+ */
+function checkNumbers(table, basePath, min, max, errors) {
+  for (const [key, value] of Object.entries(table || {})) {
+    if (typeof value !== 'number' || value < min || value > max) {
+      errors.push({
+        path: `${basePath}.${key}`,
+        message: `expected a number from ${min} to ${max}, got ${JSON.stringify(value)}`,
+      });
+    }
+  }
+}
+
+/**
+ * Validate a resolved profile.
+ *
+ * Errors: unknown factors, out-of-range values, weights not summing to 1.0.
+ * Warnings: unknown maturity statuses or complexities, and label bonuses
+ * for labels outside `knownLabels`.
+ *
+ * @param {Object} profile - Result of resolveProfile() or applyOverride().
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.knownLabels] - Labels considered valid
+ *   in addition to the default LABEL_BONUSES keys (e.g. labels used by tasks).
+ * @param {string} [options.basePath=''] - Prefix for error paths.
+ * @returns {{ errors: Array<{ path: string, message: string }>,
+ *   warnings: Array<{ path: string, message: string, label?: string }> }}
+ */
+function validateProfile(profile, options) {
+  const opts = options || {};
+  const base = opts.basePath ? `${opts.basePath}.` : '';
+  const errors = [];
+  const warnings = [];
+
+  const weights = profile.weights || {};
+  for (const factor of Object.keys(weights)) {
+    if (!(factor in WEIGHTS)) {
+      errors.push({
+        path: `${base}weights.${factor}`,
+        message: `unknown factor (expected one of ${Object.keys(WEIGHTS).join(', ')})`,
+      });
+    }
+  }
+  checkNumbers(weights, `${base}weights`, 0, 1, errors);
+  const sum = Object.values(weights).reduce(
+    (total, w) => total + (typeof w === 'number' ? w : 0),
+    0
+  );
+  if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+    errors.push({
+      path: `${base}weights`,
+      message: `weights sum to ${Number(sum.toFixed(6))}, expected 1.0`,
+    });
+  }
+
+  checkNumbers(profile.maturityScores, `${base}maturity_scores`, 0, 100, errors);
+  for (const status of Object.keys(profile.maturityScores || {})) {
+    if (!PROJECT_STATUSES.includes(status)) {
+      warnings.push({
+        path: `${base}maturity_scores.${status}`,
+        message: `unknown project status '${status}'`,
+      });
+    }
+  }
+
+  checkNumbers(
+    profile.complexityMultipliers,
+    `${base}complexity_multipliers`,
+    0,
+    Infinity,
+    errors
+  );
+  for (const level of Object.keys(profile.complexityMultipliers || {})) {
+    if (!COMPLEXITY_LEVELS.includes(level)) {
+      warnings.push({
+        path: `${base}complexity_multipliers.${level}`,
+        message: `unknown complexity '${level}'`,
+      });
+    }
+  }
+
+  checkNumbers(profile.labelBonuses, `${base}label_bonuses`, -100, 100, errors);
+  const knownLabels = new Set([
+    ...Object.keys(LABEL_BONUSES),
+    ...(opts.knownLabels || []),
+  ]);
+  for (const label of Object.keys(profile.labelBonuses || {})) {
+    if (!knownLabels.has(label)) {
+      warnings.push({
+        path: `${base}label_bonuses.${label}`,
+        message: `unknown label '${label}'`,
+        label,
+      });
+    }
+  }
+
+  for (const [key, value] of Object.entries(profile.unlockWeighting || {})) {
+    const keyPath = `${base}unlock_weighting.${key}`;
+    if (!(key in UNLOCK_WEIGHTING)) {
+      errors.push({
+        path: keyPath,
+        message: `unknown setting (expected one of ${Object.keys(UNLOCK_WEIGHTING).join(', ')})`,
+      });
+    } else if (typeof UNLOCK_WEIGHTING[key] === 'boolean') {
+      if (typeof value !== 'boolean') {
+        errors.push({
+          path: keyPath,
+          message: `expected true or false, got ${JSON.stringify(value)}`,
+        });
+      }
+    } else {
+      const [min, max] = UNLOCK_WEIGHTING_RANGES[key];
+      checkNumbers({ [key]: value }, `${base}unlock_weighting`, min, max, errors);
+    }
+  }
+
+  const inRange = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+  const blendWeights = {
+    critical_path_weight: profile.criticalPathWeight,
+    deadline_weight: profile.deadlineWeight,
+  };
+  for (const [key, value] of Object.entries(blendWeights)) {
+    if (value != null && !inRange(value)) {
+      errors.push({
+        path: `${base}${key}`,
+        message: `expected a number from 0 to 1, got ${JSON.stringify(value)}`,
+      });
+    }
+  }
+  if (
+    inRange(profile.criticalPathWeight) &&
+    inRange(profile.deadlineWeight) &&
+    profile.criticalPathWeight + profile.deadlineWeight > 1 + WEIGHT_SUM_TOLERANCE
+  ) {
+    errors.push({
+      path: `${base}deadline_weight`,
+      message: 'critical_path_weight and deadline_weight together exceed 1.0',
+    });
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate every profile and project override in a scoring config.
+ *
+ * Each project override is checked on top of the default profile.
+ *
+ * @param {Object} config - Result of loadScoringConfig().
+ * @param {Object} [options]
+ * @param {Object[]} [options.tasks] - Tasks whose labels count as known.
+ * @returns {{ errors: Object[], warnings: Object[] }}
+ */
+function validateScoringConfig(config, options) {
+  const opts = options || {};
+  const knownLabels = new Set();
+  for (const task of opts.tasks || []) {
+    for (const label of task.labels || []) {
+      knownLabels.add(label);
+    }
+  }
+
+  const errors = [];
+  const warnings = [];
+  const collect = (result) => {
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+  };
+
+  const defaults = resolveProfile(DEFAULT_PROFILE_NAME, { config: {} });
+  for (const [name, override] of Object.entries(config.profiles || {})) {
+    collect(
+      validateProfile(applyOverride(defaults, override), {
+        knownLabels,
+        basePath: `profiles.${name}`,
+      })
+    );
+  }
+  for (const [name, override] of Object.entries(config.projects || {})) {
+    collect(
+      validateProfile(applyOverride(defaults, override), {
+        knownLabels,
+        basePath: `projects.${name}`,
+      })
+    );
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Build an Error tagged with the SCORING_CONFIG_INVALID code.
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function configError(message) {
+  const err = new Error(message);
+  err.code = 'SCORING_CONFIG_INVALID';
+  return err;
+}
+
+/**
+ * Log a warning for each label a profile gives a bonus to that no task
+ * carries. Returns the unknown labels.
+ *
+ * @param {Object} profile - Resolved profile.
+ * @param {Object[]} tasks
+ * @returns {string[]}
+ */
+function reportUnknownLabels(profile, tasks) {
+  const used = new Set();
+  for (const task of tasks) {
+    for (const label of task.labels || []) {
+      used.add(label);
+    }
+  }
+  const unknown = validateProfile(profile, { knownLabels: used })
+    .warnings.filter((w) => w.label)
+    .map((w) => w.label);
+  if (unknown.length > 0) {
+    logger.warn('Scoring profile has bonuses for unknown labels', {
+      profile: profile.name,
+      labels: unknown,
+    });
+  }
+  return unknown;
+}
+
+module.exports = {
+  loadScoringConfig,
+  listProfiles,
+  resolveProfile,
+  validateProfile,
+  validateScoringConfig,
+  reportUnknownLabels,
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE_NAME,
+  DEFAULT_SCORING_PATH,
+  MATURITY_SCORES,
+  COMPLEXITY_MULTIPLIERS,
+  WEIGHTS,
+  CRITICAL_PATH_WEIGHT,
+  DEADLINE_WEIGHT,
+  LABEL_BONUSES,
+  UNLOCK_WEIGHTING,
+};
@@ -4,61 +4,338 @@
  * Status Updater Module for the jade-dev-assist orchestrator.
  *
  * Monitors spawned worker processes and updates task status back
- * to tasks.json. Provides direct status read/write functions and
- * a process watcher for automated completion tracking.
+ * to the task file each task lives in. Provides direct status read/write
+ * functions and a process watcher for automated completion tracking.
+ *
+ * Every status change is checked against the state machine in
+ * task-states.js, records who made it (actor and source) in the task's
+ * history, and re-evaluates the tasks that list the changed task in
+ * their `blocked_by`.
  *
  * See Section 3.6 of the orchestrator design doc.
  */
 
-const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { findTask } = require('./task-utils');
+const { findTask, parseTaskId, resolveTaskFiles } = require('./task-utils');
+const { loadRegistry } = require('./scanner');
+const { updateTask, updateTasksFile } = require('./task-store');
+const { withJournalBatch } = require('./task-journal');
+const {
+  resolveStateMachine,
+  checkTransition,
+  dependentStatus,
+} = require('./task-states');
 
-// ── Public API ──────────────────────────────────────────────────────
+/**
+ * Source recorded when the caller does not name one.
+ */
+const DEFAULT_SOURCE = 'api';
 
 /**
- * Update a task's status in its tasks.json file and record a history entry.
- *
- * Reads the file, finds the task by ID, updates its status field,
- * appends a history entry with timestamp and optional agent_summary,
- * and writes the file back.
+ * Timestamp field set when a task enters a status.
+ */
+const STATUS_TIMESTAMPS = {
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  failed: 'failed_at',
+};
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+/**
+ * Name recorded as the actor when the caller does not name one.
  *
- * @param {string} taskId    - Full task ID (e.g. "project-name/task-name").
- * @param {string} newStatus - The new status to set.
- * @param {Object} [options]
- * @param {string} [options.projectsRoot] - Root directory containing project directories.
- * @param {string} [options.summary]      - Optional agent summary for the history entry.
- * @throws {Error} If the task is not found.
+ * @returns {string}
  */
-function updateTaskStatus(taskId, newStatus, options) {
-  const opts = options || {};
-  const projectsRoot = opts.projectsRoot || '';
+function defaultActor() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER || 'unknown';
+  }
+}
 
-  const { task, data, tasksJsonPath } = findTask(taskId, projectsRoot);
-  const fromStatus = task.status;
+/**
+ * Move a task to a new status in place and append a history entry.
+ *
+ * @param {Object} task
+ * @param {string} newStatus
+ * @param {Object} entry - Extra history fields (actor, source, ...).
+ * @returns {Object} The history entry.
+ */
+function applyTransition(task, newStatus, entry) {
+  const now = new Date().toISOString();
+  const historyEntry = {
+    timestamp: now,
+    from_status: task.status,
+    to_status: newStatus,
+    ...entry,
+  };
 
-  // Update status
   task.status = newStatus;
-
-  // Add history entry
   if (!Array.isArray(task.history)) {
     task.history = [];
   }
-  const historyEntry = {
-    timestamp: new Date().toISOString(),
-    from_status: fromStatus,
-    to_status: newStatus,
+  task.history.push(historyEntry);
+
+  if (STATUS_TIMESTAMPS[newStatus]) {
+    task[STATUS_TIMESTAMPS[newStatus]] = now;
+  }
+  task.updated_at = now;
+  return historyEntry;
+}
+
+/**
+ * Build a blocker status lookup that prefers tasks already in memory.
+ *
+ * @param {Object[]} localTasks - Tasks of the file being written.
+ * @param {string} projectsRoot
+ * @returns {function(string): (string|null)}
+ */
+function statusLookup(localTasks, projectsRoot) {
+  return (id) => {
+    const local = localTasks.find((t) => t && t.id === id);
+    if (local) {
+      return local.status;
+    }
+    try {
+      return findTask(id, projectsRoot).task.status;
+    } catch {
+      return null;
+    }
   };
-  if (opts.summary) {
-    historyEntry.agent_summary = opts.summary;
+}
+
+/**
+ * The registry whose projects may hold dependents, or null.
+ *
+ * An explicit `registry` or `registryPath` is always used. The default
+ * ~/.jade/projects.json is only used when it describes `projectsRoot`,
+ * so updates under another root never touch the user's projects.
+ *
+ * @param {string} projectsRoot
+ * @param {Object} opts - updateTaskStatus() options.
+ * @returns {Object|null}
+ */
+function dependentsRegistry(projectsRoot, opts) {
+  if (opts.registry) {
+    return opts.registry;
   }
-  task.history.push(historyEntry);
+  if (opts.registryPath) {
+    return loadRegistry(opts.registryPath);
+  }
+  if (!projectsRoot) {
+    return null;
+  }
+  let registry;
+  try {
+    registry = loadRegistry();
+  } catch {
+    return null;
+  }
+  return registry.projects_root &&
+    path.resolve(registry.projects_root) === path.resolve(projectsRoot)
+    ? registry
+    : null;
+}
+
+/**
+ * Task files that may hold dependents of `taskId`: its own project's
+ * files, then those of every registry project, as the scanner's
+ * dependency graph spans projects.
+ *
+ * @param {string} taskId
+ * @param {string} projectsRoot
+ * @param {Object|null} registry - From dependentsRegistry().
+ * @param {Object} context - `taskFiles` and `tasksJsonPath` of the task.
+ * @returns {string[]}
+ */
+function dependentFiles(taskId, projectsRoot, registry, context) {
+  const files = projectsRoot
+    ? resolveTaskFiles(
+        path.join(projectsRoot, parseTaskId(taskId).projectId),
+        context.taskFiles
+      )
+    : [context.tasksJsonPath];
+  if (registry) {
+    const root = registry.projects_root || projectsRoot;
+    for (const project of registry.projects || []) {
+      if (project && typeof project.path === 'string') {
+        files.push(
+          ...resolveTaskFiles(path.join(root, project.path), project.task_files)
+        );
+      }
+    }
+  }
+  return [...new Set(files.map((file) => path.resolve(file)))];
+}
+
+/**
+ * Re-evaluate the tasks blocked by `taskId` in the given task files.
+ *
+ * @param {string} taskId - The task whose status changed.
+ * @param {string[]} files - Task files to search for dependents.
+ * @param {Object} machine
+ * @param {Object} context - projectsRoot, actor and the new status.
+ * @returns {Array<{ taskId: string, from: string, to: string }>}
+ */
+function updateDependents(taskId, files, machine, context) {
+  const changes = [];
+  for (const file of files) {
+    updateTasksFile(
+      file,
+      (data) => {
+        const tasks = (data && data.tasks) || [];
+        const statusOf = statusLookup(tasks, context.projectsRoot);
+        let changed = false;
+        for (const dependent of tasks) {
+          if (!dependent || !(dependent.blocked_by || []).includes(taskId)) {
+            continue;
+          }
+          const next = dependentStatus(machine, dependent, statusOf);
+          if (!next) {
+            continue;
+          }
+          changes.push({
+            taskId: dependent.id,
+            from: dependent.status,
+            to: next,
+          });
+          applyTransition(dependent, next, {
+            actor: context.actor,
+            source: 'dependency',
+            agent_summary: `Blocker ${taskId} is now ${context.status}`,
+          });
+          changed = true;
+        }
+        return changed;
+      },
+      { source: 'dependency', actor: context.actor }
+    );
+  }
+  return changes;
+}
+
+/**
+ * updateTaskStatus() without the journal batch.
+ *
+ * @param {string} taskId
+ * @param {string} newStatus
+ * @param {Object} opts - updateTaskStatus() options with `source` and
+ *   `actor` resolved.
+ * @returns {Object} See updateTaskStatus().
+ */
+function applyStatusUpdate(taskId, newStatus, opts) {
+  const projectsRoot = opts.projectsRoot || '';
+  const machine = resolveStateMachine(opts);
+  const actor = opts.actor;
+  const registry =
+    opts.propagate !== false ? dependentsRegistry(projectsRoot, opts) : null;
+
+  // Read, check, change and write under the task file's lock so
+  // concurrent workers cannot overwrite each other's updates
+  let fromStatus;
+  const { tasksJsonPath } = updateTask(
+    taskId,
+    (task, data) => {
+      fromStatus = task.status;
+      checkTransition(machine, task, newStatus, {
+        force: opts.force,
+        statusOf: statusLookup(data.tasks || [], projectsRoot),
+      });
 
-  // Update timestamp
-  task.updated_at = new Date().toISOString();
+      const entry = { actor, source: opts.source };
+      if (opts.summary) {
+        entry.agent_summary = opts.summary;
+      }
+      if (opts.force) {
+        entry.forced = true;
+      }
+      applyTransition(task, newStatus, entry);
+    },
+    {
+      projectsRoot,
+      taskFiles: opts.taskFiles,
+      tasksJsonPath: opts.tasksJsonPath,
+      source: opts.source,
+      actor,
+    }
+  );
+
+  let dependents = [];
+  if (opts.propagate !== false && fromStatus !== newStatus) {
+    const files = dependentFiles(taskId, projectsRoot, registry, {
+      taskFiles: opts.taskFiles,
+      tasksJsonPath,
+    });
+    dependents = updateDependents(taskId, files, machine, {
+      projectsRoot,
+      actor,
+      status: newStatus,
+    });
+  }
 
-  // Write back
-  fs.writeFileSync(tasksJsonPath, JSON.stringify(data, null, 2) + '\n');
+  return { taskId, from: fromStatus, to: newStatus, dependents };
+}
+
+// ── Public API ──────────────────────────────────────────────────────
+
+/**
+ * Update a task's status in its tasks.json file and record a history entry.
+ *
+ * Finds the task by ID across the project's task files, checks the
+ * transition against the state machine, updates its status field,
+ * appends a history entry and writes back the file the task was read
+ * from through the task store (locked, atomic).
+ *
+ * Entering a status that requires an unblocked task (in_progress by
+ * default) is refused while any `blocked_by` task is not completed.
+ * `force` skips the transition table and the guards, and is recorded in
+ * the history entry.
+ *
+ * Afterwards, pending and blocked tasks in this project and every other
+ * registry project that list this task in `blocked_by` are moved to
+ * blocked (a blocker is open) or back to pending (all blockers
+ * completed), with `source: "dependency"`.
+ * The change and the dependents' changes form one journal batch, so they
+ * are undone together.
+ *
+ * @param {string} taskId    - Full task ID (e.g. "project-name/task-name").
+ * @param {string} newStatus - The new status to set.
+ * @param {Object} [options]
+ * @param {string} [options.projectsRoot] - Root directory containing project directories.
+ * @param {string} [options.summary]      - Optional agent summary for the history entry.
+ * @param {string[]} [options.taskFiles]  - The project's task file patterns
+ *   (registry `task_files`); a scanned task's `_sourcePath` also works.
+ * @param {string} [options.tasksJsonPath] - Task file known to hold the task.
+ * @param {string} [options.actor]  - Who made the change (default: OS user).
+ * @param {string} [options.source] - What made the change, e.g. "dashboard",
+ *   "executor" or "github" (default: "api").
+ * @param {boolean} [options.force] - Allow any transition to a declared status.
+ * @param {boolean} [options.propagate=true] - Update dependents.
+ * @param {Object} [options.registry] - Registry whose projects are
+ *   searched for dependents.
+ * @param {string} [options.registryPath] - Registry file to load instead;
+ *   ~/.jade/projects.json is used when its projects_root is
+ *   `projectsRoot`.
+ * @param {Object} [options.stateMachine] - From task-states.loadStateMachine().
+ * @param {string} [options.statesPath] - Custom states file
+ *   (default ~/.jade/task-states.json).
+ * @returns {{ taskId: string, from: string, to: string,
+ *   dependents: Array<{ taskId: string, from: string, to: string }> }}
+ * @throws {Error} If the task is not found; with code
+ *   'TASK_STATUS_INVALID', 'TASK_TRANSITION_INVALID' or
+ *   'TASK_TRANSITION_BLOCKED' if the state machine refuses the change; or
+ *   with code 'TASK_STORE_LOCKED' if the task file stays locked.
+ */
+function updateTaskStatus(taskId, newStatus, options) {
+  const opts = options || {};
+  const source = opts.source || DEFAULT_SOURCE;
+  const actor = opts.actor || defaultActor();
+  return withJournalBatch({ source, actor }, () =>
+    applyStatusUpdate(taskId, newStatus, { ...opts, source, actor })
+  );
 }
 
 /**
@@ -67,6 +344,7 @@ function updateTaskStatus(taskId, newStatus, options) {
  * @param {string} taskId  - Full task ID (e.g. "project-name/task-name").
  * @param {Object} [options]
  * @param {string} [options.projectsRoot] - Root directory containing project directories.
+ * @param {string[]} [options.taskFiles]  - The project's task file patterns.
  * @returns {string} The current status string.
  * @throws {Error} If the task is not found.
  */
@@ -74,7 +352,7 @@ function getTaskStatus(taskId, options) {
   const opts = options || {};
   const projectsRoot = opts.projectsRoot || '';
 
-  const { task } = findTask(taskId, projectsRoot);
+  const { task } = findTask(taskId, projectsRoot, { taskFiles: opts.taskFiles });
   return task.status;
 }
 
@@ -89,6 +367,7 @@ function getTaskStatus(taskId, options) {
  * @param {ChildProcess} childProcess - The spawned child process to monitor.
  * @param {Object} [options]
  * @param {string} [options.projectsRoot] - Root directory containing project directories.
+ * @param {string[]} [options.taskFiles]  - The project's task file patterns.
  * @returns {Promise<{ exitCode: number, stdout: string, stderr: string, completedAt: string }>}
  */
 function watchWorkerCompletion(taskId, childProcess, options) {
@@ -121,6 +400,8 @@ function watchWorkerCompletion(taskId, childProcess, options) {
         try {
           updateTaskStatus(taskId, 'completed', {
             projectsRoot,
+            taskFiles: opts.taskFiles,
+            source: 'worker',
           });
         } catch (err) {
           console.warn(
@@ -135,7 +416,9 @@ function watchWorkerCompletion(taskId, childProcess, options) {
         try {
           updateTaskStatus(taskId, 'failed', {
             projectsRoot,
+            taskFiles: opts.taskFiles,
             summary: errorSummary,
+            source: 'worker',
           });
         } catch (err) {
           console.warn(
@@ -6,13 +6,24 @@
  * Provides shared utilities for rendering Unicode box-drawing tables
  * to the terminal. Used by presenter.js and milestone-tracker.js.
  *
+ * Widths are terminal display widths, not string lengths: East Asian wide
+ * characters and emoji take two columns, combining marks and ANSI escape
+ * sequences take none.
+ *
  * Functions exported:
  * - BOX: Object containing Unicode box-drawing characters
+ * - STATUS_COLORS: Task status to color style (used by the dashboard)
+ * - displayWidth(str): Terminal columns a string occupies
  * - truncate(str, maxLen): Truncate string with ellipsis
  * - padRight(str, width): Left-align and pad to width
  * - padLeft(str, width): Right-align and pad to width
+ * - wrap(str, width): Word-wrap a string into lines
+ * - colorize(str, style): Wrap a string in ANSI color codes
+ * - supportsColor(stream, env): Whether colors should be written
+ * - terminalWidth(stream): Width of a TTY stream, or null
+ * - fitColumns(columnWidths, options): Fit column widths to a total width
  * - horizontalRule(left, mid, right, columnWidths): Build horizontal rule
- * - dataRow(values, columnWidths, alignments): Build data row
+ * - dataRow(values, columnWidths, alignments, options): Build data row
  */
 
 // ── Box-drawing characters ───────────────────────────────────────────
@@ -49,16 +60,102 @@ const BOX = {
 
 const ELLIPSIS = '\u2026';
 
+// ── Display Width ────────────────────────────────────────────────────
+
+/**
+ * ANSI SGR escape sequences (colors and styles). Built from a string so
+ * the escape character is not a control character in a regex literal.
+ */
+const ANSI_PATTERN = new RegExp(String.fromCharCode(0x1b) + '\\[[0-9;]*m', 'g');
+
+/**
+ * Code point ranges that East Asian terminals render two columns wide
+ * (Unicode East_Asian_Width W and F).
+ */
+const WIDE_RANGES = [
+    [0x1100, 0x115f],   // Hangul Jamo initials
+    [0x2e80, 0x303e],   // CJK radicals, Kangxi, CJK symbols and punctuation
+    [0x3041, 0x33ff],   // Hiragana, Katakana, Bopomofo, CJK compatibility
+    [0x3400, 0x4dbf],   // CJK Extension A
+    [0x4e00, 0x9fff],   // CJK Unified Ideographs
+    [0xa000, 0xa4cf],   // Yi
+    [0xa960, 0xa97f],   // Hangul Jamo Extended-A
+    [0xac00, 0xd7a3],   // Hangul syllables
+    [0xf900, 0xfaff],   // CJK Compatibility Ideographs
+    [0xfe10, 0xfe19],   // Vertical forms
+    [0xfe30, 0xfe6f],   // CJK compatibility forms, small form variants
+    [0xff00, 0xff60],   // Fullwidth forms
+    [0xffe0, 0xffe6],   // Fullwidth signs
+    [0x20000, 0x3fffd]  // CJK Extensions B and beyond
+];
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Split a string into grapheme clusters (user-perceived characters).
+ *
+ * @param {string} str
+ * @returns {string[]}
+ */
+function graphemes(str) {
+    return Array.from(segmenter.segment(str), part => part.segment);
+}
+
+/**
+ * Display width of one grapheme cluster: 0, 1 or 2 columns.
+ *
+ * Emoji count as wide when they render as emoji by default or are
+ * followed by the emoji variation selector (U+FE0F), so ZWJ sequences,
+ * flags and skin-tone modifiers count once.
+ *
+ * @param {string} cluster
+ * @returns {number}
+ */
+function clusterWidth(cluster) {
+    if (/^[\p{Mn}\p{Me}\p{Cf}\p{Cc}]+$/u.test(cluster)) {
+        return 0;
+    }
+    if (/\p{Emoji_Presentation}|\p{Extended_Pictographic}\ufe0f/u.test(cluster)) {
+        return 2;
+    }
+    const codePoint = cluster.codePointAt(0);
+    return WIDE_RANGES.some(([low, high]) => codePoint >= low && codePoint <= high) ? 2 : 1;
+}
+
+/**
+ * Number of terminal columns a string occupies.
+ *
+ * ANSI color codes are ignored.
+ *
+ * @param {string} str - The string to measure
+ * @returns {number} Display width in columns
+ *
+ * @example
+ * displayWidth('hello')   // => 5
+ * displayWidth('日本')    // => 4
+ * displayWidth('ok ✅')   // => 5
+ */
+function displayWidth(str) {
+    const plain = str.replace(ANSI_PATTERN, '');
+    // Fast path: printable ASCII is one column per character
+    if (/^[\x20-\x7e]*$/.test(plain)) {
+        return plain.length;
+    }
+    return graphemes(plain).reduce((sum, cluster) => sum + clusterWidth(cluster), 0);
+}
+
 // ── String Formatting Utilities ──────────────────────────────────────
 
 /**
- * Truncate a string to maxLen characters, appending an ellipsis if truncated.
+ * Truncate a string to maxLen columns, appending an ellipsis if truncated.
  *
- * If the string is shorter than or equal to maxLen, returns it unchanged.
- * If longer, returns the first (maxLen - 1) characters plus an ellipsis.
+ * If the string fits in maxLen columns, returns it unchanged. If longer,
+ * keeps as many whole characters as fit in (maxLen - 1) columns plus an
+ * ellipsis. A wide character that would straddle the limit is dropped, so
+ * the result can be one column narrower than maxLen.
  *
  * @param {string} str - The string to truncate
- * @param {number} maxLen - Maximum length (including ellipsis)
+ * @param {number} maxLen - Maximum width in columns (including ellipsis)
  * @returns {string} The truncated string
  *
  * @example
@@ -66,21 +163,31 @@ const ELLIPSIS = '\u2026';
  * truncate('hello', 10)         // => 'hello'
  */
 function truncate(str, maxLen) {
-    if (str.length <= maxLen) {
+    if (displayWidth(str) <= maxLen) {
         return str;
     }
-    return str.slice(0, maxLen - 1) + ELLIPSIS;
+    let result = '';
+    let width = 0;
+    for (const cluster of graphemes(str.replace(ANSI_PATTERN, ''))) {
+        const next = clusterWidth(cluster);
+        if (width + next > maxLen - 1) {
+            break;
+        }
+        result += cluster;
+        width += next;
+    }
+    return result + ELLIPSIS;
 }
 
 /**
- * Pad or truncate a string to exactly `width` characters, left-aligned.
+ * Pad or truncate a string to exactly `width` columns, left-aligned.
  *
  * If the string is longer than width, it will be truncated with an ellipsis.
  * If shorter, it will be padded with spaces on the right.
  *
  * @param {string} str - The string to format
- * @param {number} width - Target width in characters
- * @returns {string} The formatted string of exactly `width` characters
+ * @param {number} width - Target width in columns
+ * @returns {string} The formatted string, exactly `width` columns wide
  *
  * @example
  * padRight('hello', 10)  // => 'hello     '
@@ -88,21 +195,22 @@ function truncate(str, maxLen) {
  */
 function padRight(str, width) {
     const truncated = truncate(str, width);
-    if (truncated.length >= width) {
+    const used = displayWidth(truncated);
+    if (used >= width) {
         return truncated;
     }
-    return truncated + ' '.repeat(width - truncated.length);
+    return truncated + ' '.repeat(width - used);
 }
 
 /**
- * Pad or truncate a string to exactly `width` characters, right-aligned.
+ * Pad or truncate a string to exactly `width` columns, right-aligned.
  *
  * If the string is longer than width, it will be truncated with an ellipsis.
  * If shorter, it will be padded with spaces on the left.
  *
  * @param {string} str - The string to format
- * @param {number} width - Target width in characters
- * @returns {string} The formatted string of exactly `width` characters
+ * @param {number} width - Target width in columns
+ * @returns {string} The formatted string, exactly `width` columns wide
  *
  * @example
  * padLeft('42', 5)  // => '   42'
@@ -110,10 +218,199 @@ function padRight(str, width) {
  */
 function padLeft(str, width) {
     const truncated = truncate(str, width);
-    if (truncated.length >= width) {
+    const used = displayWidth(truncated);
+    if (used >= width) {
         return truncated;
     }
-    return ' '.repeat(width - truncated.length) + truncated;
+    return ' '.repeat(width - used) + truncated;
+}
+
+/**
+ * Word-wrap a string into lines of at most `width` columns.
+ *
+ * Breaks at spaces; words wider than a line are split between characters.
+ * Existing newlines are kept.
+ *
+ * @param {string} str - The string to wrap
+ * @param {number} width - Maximum line width in columns
+ * @returns {string[]} The lines (at least one, possibly empty)
+ *
+ * @example
+ * wrap('the quick brown fox', 10)  // => ['the quick', 'brown fox']
+ */
+function wrap(str, width) {
+    const lines = [];
+    for (const paragraph of str.split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/ +/).filter(Boolean)) {
+            const candidate = line ? line + ' ' + word : word;
+            if (displayWidth(candidate) <= width) {
+                line = candidate;
+                continue;
+            }
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            // Split words that are wider than a whole line
+            for (const cluster of graphemes(word)) {
+                if (displayWidth(line + cluster) > width && line) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += cluster;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+// ── Colors ───────────────────────────────────────────────────────────
+
+/**
+ * Task status to color style, shared by tables and the dashboard.
+ * A style is one or more space-separated names from ANSI_CODES.
+ *
+ * @constant {Object<string, string>}
+ */
+const STATUS_COLORS = {
+    pending:     'yellow',
+    in_progress: 'bold cyan',
+    completed:   'green',
+    blocked:     'dim red',
+    failed:      'bold red'
+};
+
+/**
+ * SGR codes for the style names used in STATUS_COLORS.
+ */
+const ANSI_CODES = {
+    bold:   1,
+    dim:    2,
+    red:    31,
+    green:  32,
+    yellow: 33,
+    blue:   34,
+    cyan:   36,
+    white:  37
+};
+
+/**
+ * Wrap a string in ANSI codes for a style such as 'bold cyan'.
+ *
+ * Unknown style names are ignored; an empty or unknown style returns the
+ * string unchanged.
+ *
+ * @param {string} str - The text to color
+ * @param {string} [style] - Space-separated style names
+ * @returns {string} The colored string
+ *
+ * @example
+ * colorize('done', 'green')  // => '\u001b[32mdone\u001b[0m'
+ */
+function colorize(str, style) {
+    const codes = String(style || '')
+        .split(/\s+/)
+        .map(name => ANSI_CODES[name])
+        .filter(code => code !== undefined);
+    if (codes.length === 0 || str === '') {
+        return str;
+    }
+    return `\u001b[${codes.join(';')}m${str}\u001b[0m`;
+}
+
+/**
+ * Whether colors should be written to a stream.
+ *
+ * False when the NO_COLOR environment variable is set to a non-empty
+ * value (https://no-color.org) or the stream is not a TTY.
+ *
+ * @param {Object} [stream] - Writable stream (default: process.stdout)
+ * @param {Object} [env] - Environment (default: process.env)
+ * @returns {boolean}
+ */
+function supportsColor(stream, env) {
+    const target = stream || process.stdout;
+    const environment = env || process.env;
+    if (environment.NO_COLOR) {
+        return false;
+    }
+    return Boolean(target.isTTY);
+}
+
+// ── Column Sizing ────────────────────────────────────────────────────
+
+/**
+ * Width of a terminal stream in columns.
+ *
+ * @param {Object} [stream] - Writable stream (default: process.stdout)
+ * @returns {number|null} The stream's columns, or null when it is not a
+ *   TTY (output piped to a file or another program keeps fixed widths).
+ */
+function terminalWidth(stream) {
+    const target = stream || process.stdout;
+    if (!target.isTTY || !(target.columns > 0)) {
+        return null;
+    }
+    return target.columns;
+}
+
+/**
+ * Fit column widths so a table is exactly as wide as it needs to be, up
+ * to a total width.
+ *
+ * The rendered width of a table is the sum of its column widths plus one
+ * border character per column and one more. While that exceeds
+ * `options.width`, the widest flexible column loses a column, down to
+ * `options.minWidth`. When there is room to spare, flexible columns grow
+ * toward their `options.wanted` widths, narrowest shortfall first. Fixed
+ * columns are never resized.
+ *
+ * @param {number[]} columnWidths - Preferred widths (including padding)
+ * @param {Object} options
+ * @param {number} options.width - Total width available
+ * @param {number[]} [options.flexible] - Indices of resizable columns
+ *   (default: all)
+ * @param {number[]} [options.wanted] - Widths that would show each
+ *   column's content in full
+ * @param {number} [options.minWidth=6] - Smallest width for a flexible column
+ * @returns {number[]} New column widths
+ *
+ * @example
+ * fitColumns([4, 18, 42, 7, 6], { width: 60, flexible: [2] })
+ * // => [4, 18, 19, 7, 6]
+ */
+function fitColumns(columnWidths, options) {
+    const opts = options || {};
+    const widths = columnWidths.slice();
+    const flexible = opts.flexible || widths.map((_, i) => i);
+    const minWidth = opts.minWidth || 6;
+    const borders = widths.length + 1;
+    const total = () => widths.reduce((sum, w) => sum + w, 0) + borders;
+
+    while (total() > opts.width) {
+        const shrinkable = flexible.filter(i => widths[i] > minWidth);
+        if (shrinkable.length === 0) {
+            break;
+        }
+        const widest = shrinkable.reduce((a, b) => (widths[b] > widths[a] ? b : a));
+        widths[widest]--;
+    }
+
+    if (opts.wanted) {
+        while (total() < opts.width) {
+            const growable = flexible.filter(i => widths[i] < opts.wanted[i]);
+            if (growable.length === 0) {
+                break;
+            }
+            const neediest = growable.reduce((a, b) =>
+                (opts.wanted[b] - widths[b] < opts.wanted[a] - widths[a] ? b : a));
+            widths[neediest]++;
+        }
+    }
+
+    return widths;
 }
 
 // ── Table Building Utilities ─────────────────────────────────────────
@@ -147,18 +444,24 @@ function horizontalRule(left, mid, right, columnWidths) {
  * Build a data row for a table.
  *
  * Formats each value according to its column width and alignment, then
- * assembles them into a row with vertical separators.
+ * assembles them into a row with vertical separators. Long values are
+ * truncated with an ellipsis, or wrapped over several lines with
+ * `options.wrap`.
  *
  * @param {string[]} values - Array of values to display (one per column)
  * @param {number[]} columnWidths - Array of column widths (total width including padding)
  * @param {string[]} alignments - Array of alignments: 'left' or 'right' for each column
- * @returns {string} The formatted data row
+ * @param {Object} [options]
+ * @param {boolean} [options.wrap=false] - Wrap long values instead of truncating
+ * @param {Array<string|null>} [options.colors] - Style per column (see colorize())
+ * @returns {string} The formatted data row (several lines joined by
+ *   newlines when wrapped)
  *
  * @example
  * dataRow(['Alice', '100', 'Active'], [10, 5, 10], ['left', 'right', 'left'])
  * // => '│ Alice     │   100 │ Active    │'
  */
-function dataRow(values, columnWidths, alignments) {
+function dataRow(values, columnWidths, alignments, options) {
     if (!Array.isArray(values) || values.length === 0) {
         throw new Error('values must be a non-empty array');
     }
@@ -169,31 +472,45 @@ function dataRow(values, columnWidths, alignments) {
         throw new Error('alignments must match values length');
     }
 
-    const cells = values.map((value, i) => {
-        const width = columnWidths[i];
-        const alignment = alignments[i];
-        const contentWidth = width - 2; // Reserve 2 chars for padding (1 space on each side)
-
-        let formatted;
-        if (alignment === 'right') {
-            formatted = padLeft(String(value), contentWidth);
-        } else {
-            formatted = padRight(String(value), contentWidth);
-        }
+    const opts = options || {};
+    const colors = opts.colors || [];
 
-        return ' ' + formatted + ' ';
+    // Each cell is a list of lines; only wrapped cells have more than one
+    const cells = values.map((value, i) => {
+        const contentWidth = columnWidths[i] - 2; // Reserve 2 chars for padding (1 space on each side)
+        return opts.wrap ? wrap(String(value), contentWidth) : [String(value)];
     });
+    const height = Math.max(...cells.map(lines => lines.length));
 
-    return BOX.vertical + cells.join(BOX.vertical) + BOX.vertical;
+    const rows = [];
+    for (let line = 0; line < height; line++) {
+        const formatted = cells.map((lines, i) => {
+            const text = lines[line] || '';
+            const contentWidth = columnWidths[i] - 2;
+            const padded = alignments[i] === 'right'
+                ? padLeft(text, contentWidth)
+                : padRight(text, contentWidth);
+            return ' ' + colorize(padded, colors[i]) + ' ';
+        });
+        rows.push(BOX.vertical + formatted.join(BOX.vertical) + BOX.vertical);
+    }
+    return rows.join('\n');
 }
 
 // ── Exports ──────────────────────────────────────────────────────────
 
 module.exports = {
     BOX,
+    STATUS_COLORS,
+    displayWidth,
     truncate,
     padRight,
     padLeft,
+    wrap,
+    colorize,
+    supportsColor,
+    terminalWidth,
+    fitColumns,
     horizontalRule,
     dataRow
 };
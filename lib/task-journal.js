@@ -0,0 +1,721 @@
+'use strict';
+
+/**
+ * Task Journal Module for the jade-dev-assist orchestrator.
+ *
+ * Append-only journal of every task file mutation, across projects. The
+ * task store records one entry per write with, for each task that
+ * changed, the before and after values of the changed fields and the
+ * source that made the change (executor, github-sync, dashboard, manual,
+ * ...). undo() and redo() revert or replay those entries; they append
+ * entries of their own, so the journal is never rewritten.
+ *
+ * Entries live in ~/.jade/journal/YYYY-MM-DD.ndjson (one JSON object per
+ * line). Set JADE_JOURNAL_DIR or pass `journalDir` to use another
+ * directory.
+ *
+ * Writes made inside withJournalBatch() share a batch ID and are undone
+ * and redone together, so a whole GitHub sync or orchestrator run can be
+ * reverted in one step.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('task-journal');
+
+/**
+ * Source recorded when neither the caller nor an enclosing batch names one.
+ */
+const DEFAULT_SOURCE = 'manual';
+
+/**
+ * Batch of the current (possibly async) call chain.
+ */
+const batchStorage = new AsyncLocalStorage();
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Create a journal error.
+ *
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+function journalError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Directory holding the journal files.
+ *
+ * Resolved on each call so JADE_JOURNAL_DIR can be set after loading.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.journalDir]
+ * @returns {string}
+ */
+function resolveJournalDir(options) {
+  const opts = options || {};
+  return (
+    opts.journalDir ||
+    process.env.JADE_JOURNAL_DIR ||
+    path.join(process.env.HOME || process.env.USERPROFILE, '.jade', 'journal')
+  );
+}
+
+/**
+ * Short, time-ordered unique ID.
+ *
+ * @returns {string}
+ */
+function newId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Deep-copy a JSON-compatible value.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compare two JSON-compatible values.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Project name of a task ID ("project/task").
+ *
+ * @param {string} taskId
+ * @returns {string}
+ */
+function projectOf(taskId) {
+  const slash = String(taskId).indexOf('/');
+  return slash === -1 ? '' : taskId.slice(0, slash);
+}
+
+// ── Diffing ──────────────────────────────────────────────────────────
+
+/**
+ * Field-level changes between two versions of a task file's tasks.
+ *
+ * A changed task is recorded as `{ taskId, fields, before, after }` with
+ * only the changed fields in `before` and `after` (a field missing from
+ * one side did not exist). Added and removed tasks have `before: null`
+ * or `after: null` with the whole task on the other side, plus the
+ * task's `index` in the file.
+ *
+ * @param {Object[]} beforeTasks
+ * @param {Object[]} afterTasks
+ * @returns {Object[]}
+ */
+function diffTasks(beforeTasks, afterTasks) {
+  const beforeById = new Map();
+  (beforeTasks || []).forEach((task, index) => {
+    if (task && task.id) {
+      beforeById.set(task.id, { task, index });
+    }
+  });
+
+  const changes = [];
+  const seen = new Set();
+  (afterTasks || []).forEach((task, index) => {
+    if (!task || !task.id) {
+      return;
+    }
+    seen.add(task.id);
+    const previous = beforeById.get(task.id);
+    if (!previous) {
+      changes.push({
+        taskId: task.id,
+        index,
+        before: null,
+        after: cloneJson(task),
+      });
+      return;
+    }
+
+    const fields = [];
+    const before = {};
+    const after = {};
+    const names = new Set([
+      ...Object.keys(previous.task),
+      ...Object.keys(task),
+    ]);
+    for (const name of names) {
+      if (sameValue(previous.task[name], task[name])) {
+        continue;
+      }
+      fields.push(name);
+      if (name in previous.task) {
+        before[name] = cloneJson(previous.task[name]);
+      }
+      if (name in task) {
+        after[name] = cloneJson(task[name]);
+      }
+    }
+    if (fields.length > 0) {
+      changes.push({ taskId: task.id, fields, before, after });
+    }
+  });
+
+  for (const [taskId, previous] of beforeById) {
+    if (!seen.has(taskId)) {
+      changes.push({
+        taskId,
+        index: previous.index,
+        before: cloneJson(previous.task),
+        after: null,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * The inverse of a change (after becomes before).
+ *
+ * @param {Object} change
+ * @returns {Object}
+ */
+function invertChange(change) {
+  return { ...change, before: change.after, after: change.before };
+}
+
+/**
+ * Whether a task file still holds a change's `after` side.
+ *
+ * @param {Object[]} tasks
+ * @param {Object} change
+ * @returns {boolean}
+ */
+function matchesAfter(tasks, change) {
+  const task = tasks.find((t) => t && t.id === change.taskId);
+  if (change.after === null) {
+    return !task;
+  }
+  if (!task) {
+    return false;
+  }
+  if (change.before === null) {
+    return sameValue(task, change.after);
+  }
+  return change.fields.every((name) =>
+    name in change.after
+      ? sameValue(task[name], change.after[name])
+      : !(name in task)
+  );
+}
+
+/**
+ * Move a task file from a change's `after` side to its `before` side.
+ *
+ * @param {Object[]} tasks - Changed in place.
+ * @param {Object} change
+ */
+function revertChange(tasks, change) {
+  const index = tasks.findIndex((t) => t && t.id === change.taskId);
+  if (change.before === null) {
+    if (index !== -1) {
+      tasks.splice(index, 1);
+    }
+    return;
+  }
+  if (change.after === null) {
+    if (index === -1) {
+      const at = Math.min(change.index ?? tasks.length, tasks.length);
+      tasks.splice(at, 0, cloneJson(change.before));
+    }
+    return;
+  }
+  if (index === -1) {
+    // Removed since (only reachable with force): nothing to revert
+    return;
+  }
+  const task = tasks[index];
+  for (const name of change.fields) {
+    if (name in change.before) {
+      task[name] = cloneJson(change.before[name]);
+    } else {
+      delete task[name];
+    }
+  }
+}
+
+// ── Writing ──────────────────────────────────────────────────────────
+
+/**
+ * Append an entry to today's journal file.
+ *
+ * Each entry is written with a single append, so entries from concurrent
+ * processes do not interleave.
+ *
+ * @param {Object} entry
+ * @param {Object} [options]
+ * @param {string} [options.journalDir]
+ * @returns {Object} The entry.
+ */
+function appendEntry(entry, options) {
+  const dir = resolveJournalDir(options);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${entry.timestamp.slice(0, 10)}.ndjson`);
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+/**
+ * Record a write of a task file.
+ *
+ * Called by the task store after every write. Nothing is recorded when
+ * no task changed. Journal errors are logged, never thrown, so a full
+ * disk cannot block task updates.
+ *
+ * @param {string} filePath - The task file written.
+ * @param {Object[]} beforeTasks - Tasks before the write.
+ * @param {Object[]} afterTasks - Tasks as written.
+ * @param {Object} [options]
+ * @param {string} [options.source] - What made the change; defaults to
+ *   the enclosing batch's source, then "manual".
+ * @param {string} [options.actor]
+ * @param {string} [options.journalDir]
+ * @returns {Object|null} The entry, or null if nothing changed.
+ */
+function recordChange(filePath, beforeTasks, afterTasks, options) {
+  const opts = options || {};
+  const changes = diffTasks(beforeTasks, afterTasks);
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const batch = batchStorage.getStore();
+  const entry = {
+    id: newId(),
+    timestamp: new Date().toISOString(),
+    kind: 'change',
+    source: opts.source || (batch && batch.source) || DEFAULT_SOURCE,
+    actor: opts.actor || (batch && batch.actor) || undefined,
+    file: path.resolve(filePath),
+    changes,
+  };
+  if (batch) {
+    entry.batch = batch.id;
+  }
+
+  try {
+    return appendEntry(entry, opts);
+  } catch (err) {
+    logger.warn('Could not write journal entry', {
+      file: entry.file,
+      error: err.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Run `fn` with every journal entry it records sharing one batch ID.
+ *
+ * Works for sync and async functions. Nested calls join the outer batch.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.source] - Default source for the batch's entries.
+ * @param {string} [options.actor]
+ * @param {function(): *} fn
+ * @returns {*} The return value of `fn`.
+ */
+function withJournalBatch(options, fn) {
+  if (batchStorage.getStore()) {
+    return fn();
+  }
+  const opts = options || {};
+  return batchStorage.run(
+    { id: newId(), source: opts.source, actor: opts.actor },
+    fn
+  );
+}
+
+// ── Reading ──────────────────────────────────────────────────────────
+
+/**
+ * Read all journal entries, oldest first.
+ *
+ * Malformed lines (e.g. from a crash mid-append) are skipped.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.journalDir]
+ * @returns {Object[]}
+ */
+function readJournal(options) {
+  const dir = resolveJournalDir(options);
+  let files;
+  try {
+    files = fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith('.ndjson'))
+      .sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  const entries = [];
+  for (const name of files) {
+    const lines = fs.readFileSync(path.join(dir, name), 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        logger.warn('Skipping malformed journal line', { file: name });
+      }
+    }
+  }
+  return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Undo and redo stacks implied by the journal.
+ *
+ * A unit is a batch (or a single entry outside a batch). New changes
+ * clear the redo stack, as in an editor.
+ *
+ * @param {Object[]} entries - Oldest first.
+ * @returns {{ done: Object[], undone: Object[] }} Units of
+ *   `{ key, entries }`, most recent last.
+ */
+function buildStacks(entries) {
+  const done = [];
+  const undone = [];
+  const move = (from, to, key) => {
+    const index = from.findIndex((unit) => unit.key === key);
+    if (index !== -1) {
+      to.push(from.splice(index, 1)[0]);
+    }
+  };
+
+  for (const entry of entries) {
+    if (entry.kind === 'undo') {
+      move(done, undone, entry.target);
+    } else if (entry.kind === 'redo') {
+      move(undone, done, entry.target);
+    } else {
+      const key = entry.batch || entry.id;
+      const unit = done.find((u) => u.key === key);
+      if (unit) {
+        unit.entries.push(entry);
+      } else {
+        done.push({ key, entries: [entry] });
+      }
+      undone.length = 0;
+    }
+  }
+  return { done, undone };
+}
+
+/**
+ * Journal entries, newest first, optionally filtered.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.journalDir]
+ * @param {number} [options.limit] - Maximum entries returned.
+ * @param {string} [options.taskId] - Only entries changing this task.
+ * @param {string} [options.project] - Only entries changing this
+ *   project's tasks.
+ * @param {string} [options.source] - Only entries from this source.
+ * @param {string} [options.since] - ISO timestamp; only newer entries.
+ * @returns {Object[]} Entries with `undone: true` on changes that are
+ *   currently undone.
+ */
+function journalLog(options) {
+  const opts = options || {};
+  const entries = readJournal(opts);
+  const undoneKeys = new Set(buildStacks(entries).undone.map((u) => u.key));
+
+  const selected = entries.filter((entry) => {
+    const changes = entry.changes || [];
+    if (opts.taskId && !changes.some((c) => c.taskId === opts.taskId)) {
+      return false;
+    }
+    if (
+      opts.project &&
+      !changes.some((c) => projectOf(c.taskId) === opts.project)
+    ) {
+      return false;
+    }
+    if (opts.source && entry.source !== opts.source) {
+      return false;
+    }
+    return !(opts.since && entry.timestamp < opts.since);
+  });
+
+  const log = selected
+    .reverse()
+    .map((entry) =>
+      entry.kind === 'change' && undoneKeys.has(entry.batch || entry.id)
+        ? { ...entry, undone: true }
+        : entry
+    );
+  return opts.limit ? log.slice(0, opts.limit) : log;
+}
+
+// ── Undo / redo ──────────────────────────────────────────────────────
+
+/**
+ * Apply a list of `{ file, change }` reverts to the task files.
+ *
+ * Every file is checked before any is written (and again under its
+ * lock, in applyUnit()); a task that changed again since the entry was
+ * recorded is a conflict. The steps are
+ * replayed on a copy of each file, so a step is compared with the state
+ * the earlier steps leave behind: a batch that changed one task several
+ * times (pending, in_progress, completed) still reverts cleanly.
+ *
+ * @param {Array<{ file: string, change: Object }>} steps
+ * @param {Object} opts
+ * @returns {Object[]} Conflicts `{ file, taskId }`.
+ */
+function findConflicts(steps, opts) {
+  const { readTasksFile } = require('./task-store');
+  const conflicts = [];
+  const seen = new Set();
+  const simulated = new Map();
+  for (const { file, change } of steps) {
+    if (!simulated.has(file)) {
+      try {
+        simulated.set(file, readTasksFile(file).tasks || []);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+        simulated.set(file, null);
+      }
+    }
+    const tasks = simulated.get(file);
+    if (!tasks || (!opts.force && !matchesAfter(tasks, change))) {
+      const key = `${file}\0${change.taskId}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        conflicts.push({ file, taskId: change.taskId });
+      }
+    }
+    if (tasks) {
+      revertChange(tasks, change);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Revert (undo) or replay (redo) one unit and journal it.
+ *
+ * @param {Object} unit - From buildStacks().
+ * @param {string} kind - 'undo' or 'redo'.
+ * @param {Object} opts
+ * @returns {Object} Result (see undo()).
+ */
+function applyUnit(unit, kind, opts) {
+  const { updateTasksFile } = require('./task-store');
+
+  // Undo walks the unit backwards; redo replays it in order
+  const entries =
+    kind === 'undo' ? unit.entries.slice().reverse() : unit.entries;
+  const steps = [];
+  for (const entry of entries) {
+    const changes =
+      kind === 'undo' ? entry.changes.slice().reverse() : entry.changes;
+    for (const change of changes) {
+      steps.push({
+        file: entry.file,
+        change: kind === 'undo' ? change : invertChange(change),
+      });
+    }
+  }
+
+  const conflicts = findConflicts(steps, opts);
+  const result = {
+    kind,
+    target: unit.key,
+    entries: unit.entries.map((e) => e.id),
+    changes: steps.map(({ file, change }) => ({
+      file,
+      taskId: change.taskId,
+      fields: change.fields || null,
+    })),
+    conflicts,
+    dryRun: Boolean(opts.dryRun),
+  };
+  if (conflicts.length > 0) {
+    throw conflictError(kind, unit, conflicts);
+  }
+  if (opts.dryRun) {
+    return result;
+  }
+
+  // The check above ran without the locks; each file is checked again
+  // under its lock so a write in between is a conflict, not lost.
+  const files = [...new Set(steps.map((s) => s.file))];
+  const recorded = [];
+  const journal = () =>
+    appendEntry(
+      {
+        id: newId(),
+        timestamp: new Date().toISOString(),
+        kind,
+        source: opts.source || kind,
+        actor: opts.actor,
+        target: unit.key,
+        changes: recorded,
+      },
+      opts
+    );
+  for (const file of files) {
+    let before = null;
+    let after = null;
+    try {
+      updateTasksFile(
+        file,
+        (data) => {
+          before = cloneJson(data.tasks || []);
+          data.tasks = data.tasks || [];
+          const lost = [];
+          for (const step of steps) {
+            if (step.file !== file) {
+              continue;
+            }
+            if (
+              !opts.force &&
+              !matchesAfter(data.tasks, step.change) &&
+              !lost.some((c) => c.taskId === step.change.taskId)
+            ) {
+              lost.push({ file, taskId: step.change.taskId });
+            }
+            revertChange(data.tasks, step.change);
+          }
+          if (lost.length > 0) {
+            throw conflictError(kind, unit, lost);
+          }
+          after = data.tasks;
+        },
+        { journal: false }
+      );
+    } catch (err) {
+      // Files already written stay journaled so they can be undone
+      if (recorded.length > 0) {
+        journal();
+      }
+      throw err;
+    }
+    recorded.push(...diffTasks(before, after).map((c) => ({ file, ...c })));
+  }
+
+  journal();
+  logger.info(`Journal ${kind}`, { target: unit.key, files: files.length });
+  return result;
+}
+
+/**
+ * Build the JOURNAL_CONFLICT error for an undo or redo.
+ *
+ * @param {string} kind - 'undo' or 'redo'.
+ * @param {Object} unit - From buildStacks().
+ * @param {Object[]} conflicts - `{ file, taskId }`.
+ * @returns {Error}
+ */
+function conflictError(kind, unit, conflicts) {
+  const err = journalError(
+    `Cannot ${kind} ${unit.key}: changed since by another update (${conflicts
+      .map((c) => c.taskId)
+      .join(', ')}). Use force to override.`,
+    'JOURNAL_CONFLICT'
+  );
+  err.conflicts = conflicts;
+  return err;
+}
+
+/**
+ * Pick the unit to undo or redo.
+ *
+ * @param {Object[]} stack
+ * @param {string} [id] - Entry or batch ID; defaults to the most recent.
+ * @param {string} kind
+ * @returns {Object}
+ */
+function pickUnit(stack, id, kind) {
+  const unit = id
+    ? stack.find((u) => u.key === id || u.entries.some((e) => e.id === id))
+    : stack[stack.length - 1];
+  if (!unit) {
+    throw journalError(
+      id ? `No change ${id} to ${kind}` : `Nothing to ${kind}`,
+      'JOURNAL_EMPTY'
+    );
+  }
+  return unit;
+}
+
+/**
+ * Revert the most recent change (or batch) in the journal.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.id] - Undo this entry's change or batch instead.
+ * @param {boolean} [options.force] - Revert even tasks changed since.
+ * @param {boolean} [options.dryRun] - Report without writing.
+ * @param {string} [options.actor]
+ * @param {string} [options.journalDir]
+ * @returns {{ kind: string, target: string, entries: string[],
+ *   changes: Object[], conflicts: Object[], dryRun: boolean }}
+ * @throws {Error} With code 'JOURNAL_EMPTY' if there is nothing to undo,
+ *   or 'JOURNAL_CONFLICT' (with `conflicts`) if a task changed since.
+ */
+function undo(options) {
+  const opts = options || {};
+  const { done } = buildStacks(readJournal(opts));
+  return applyUnit(pickUnit(done, opts.id, 'undo'), 'undo', opts);
+}
+
+/**
+ * Re-apply the most recently undone change (or batch).
+ *
+ * @param {Object} [options] - Same as undo().
+ * @returns {Object} Same as undo().
+ * @throws {Error} With code 'JOURNAL_EMPTY' or 'JOURNAL_CONFLICT'.
+ */
+function redo(options) {
+  const opts = options || {};
+  const { undone } = buildStacks(readJournal(opts));
+  return applyUnit(pickUnit(undone, opts.id, 'redo'), 'redo', opts);
+}
+
+module.exports = {
+  recordChange,
+  withJournalBatch,
+  readJournal,
+  journalLog,
+  undo,
+  redo,
+  diffTasks,
+  buildStacks,
+  resolveJournalDir,
+  DEFAULT_SOURCE,
+};
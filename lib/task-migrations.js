@@ -0,0 +1,361 @@
+'use strict';
+
+/**
+ * Task File Migrations Module for the jade-dev-assist orchestrator.
+ *
+ * Upgrades tasks.json files written in older or foreign formats to the
+ * current Schema A version through a chain of registered migrations.
+ * Each migration converts one source version to the next; migrateTasksData()
+ * applies them in sequence until the data reaches CURRENT_TASKS_VERSION.
+ *
+ * Built-in migrations:
+ * - jade-claude-settings -> 1: T1-T13 format with minimal metadata
+ * - schema-b -> 1: jade-docker Schema B (v1.0.0) with priority/dependencies/blocks
+ *
+ * Unversioned files that already use the Schema A shape are treated as
+ * the current version.
+ */
+
+const crypto = require('crypto');
+const { CURRENT_TASKS_VERSION } = require('./task-schema');
+
+// ── Conversion Helpers ───────────────────────────────────────────────
+
+/**
+ * Generate a deterministic task ID from project and title.
+ *
+ * @param {string} project - Project name.
+ * @param {string} title - Task title.
+ * @returns {string} e.g. "jade-docker/add-redis-cache-1a2b3c"
+ */
+function generateTaskId(project, title) {
+  const slug = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(title)
+    .digest('hex')
+    .slice(0, 6);
+
+  return `${project}/${slug}-${hash}`;
+}
+
+/**
+ * Map a Schema B priority to a Schema A complexity.
+ *
+ * @param {string} priority - critical, high, medium or low.
+ * @returns {string} XL, L, M or S (M when unknown).
+ */
+function priorityToComplexity(priority) {
+  const map = {
+    critical: 'XL',
+    high: 'L',
+    medium: 'M',
+    low: 'S',
+  };
+  return map[priority] || 'M';
+}
+
+/**
+ * Extract acceptance criteria from a free-text description.
+ *
+ * Picks up bullet points, numbered list items and "should" statements.
+ *
+ * @param {string} description
+ * @returns {string[]} At least one criterion.
+ */
+function extractAcceptanceCriteria(description) {
+  const lines = (description || '')
+    .split('\n')
+    .map((l) => l.trim())
+    .filter(Boolean);
+  const criteria = [];
+
+  for (const line of lines) {
+    if (line.match(/^[-*•]\s/) || line.match(/^\d+\.\s/)) {
+      criteria.push(line.replace(/^[-*•]\s/, '').replace(/^\d+\.\s/, ''));
+    } else if (line.toLowerCase().includes('should')) {
+      criteria.push(line);
+    }
+  }
+
+  return criteria.length > 0
+    ? criteria
+    : ['Implementation complete and tested'];
+}
+
+// ── Built-in Migrations ──────────────────────────────────────────────
+
+/**
+ * Migrate the jade-claude-settings format (T1-T13 IDs, metadata block).
+ *
+ * @param {Object} data - Source file contents.
+ * @returns {Object} Schema A v1 contents.
+ */
+function migrateJadeClaudeSettings(data) {
+  const metadata = data.metadata || {};
+  const project = metadata.project;
+  const migratedTasks = [];
+
+  for (const task of data.tasks || []) {
+    const title = task.title;
+    const taskId = generateTaskId(project, title);
+
+    // jade-claude-settings has minimal info, need to infer
+    migratedTasks.push({
+      id: taskId,
+      title: title,
+      description: task.subtasks_file
+        ? `See ${task.subtasks_file} for detailed subtasks`
+        : title,
+      status: task.status,
+      complexity: 'M', // Default, can't infer from minimal data
+      blocked_by: task.blocked_by
+        ? task.blocked_by.map((id) => {
+            // Convert T1 -> actual task IDs
+            const blockerTask = data.tasks.find((t) => t.id === id);
+            return blockerTask ? generateTaskId(project, blockerTask.title) : id;
+          })
+        : [],
+      unlocks: [], // Computed below
+      feature: {
+        description: title,
+        benefit: task.phase
+          ? `Phase ${task.phase} milestone completion`
+          : 'System improvement',
+        acceptance_criteria: ['Task completed as specified'],
+      },
+      relevant_files: [],
+      ...(task.created_at && { created_at: task.created_at }),
+      ...(task.completed_at && { completed_at: task.completed_at }),
+      ...(task.notes && { notes: task.notes }),
+    });
+  }
+
+  // Compute unlocks from blocked_by
+  for (const task of migratedTasks) {
+    for (const blocker of task.blocked_by) {
+      const blockerTask = migratedTasks.find((t) => t.id === blocker);
+      if (blockerTask && !blockerTask.unlocks.includes(task.id)) {
+        blockerTask.unlocks.push(task.id);
+      }
+    }
+  }
+
+  return {
+    version: 1,
+    project: project,
+    milestone: {
+      name: metadata.milestone,
+      target_date: metadata.target_date,
+      description: metadata.plan_file
+        ? `See ${metadata.plan_file}`
+        : metadata.milestone,
+    },
+    tasks: migratedTasks,
+  };
+}
+
+/**
+ * Migrate the jade-docker Schema B format (version "1.0.0").
+ *
+ * @param {Object} data - Source file contents.
+ * @returns {Object} Schema A v1 contents.
+ */
+function migrateJadeDocker(data) {
+  const project = data.project;
+  const migratedTasks = [];
+
+  for (const task of data.tasks || []) {
+    migratedTasks.push({
+      id: task.id, // Already in correct format
+      title: task.title,
+      description: task.description,
+      status: task.status,
+      complexity: task.complexity || priorityToComplexity(task.priority),
+      blocked_by: task.dependencies || [],
+      unlocks: task.blocks || [],
+      feature: {
+        description: task.description,
+        benefit: task.impact
+          ? `Impact: ${task.impact}`
+          : 'Improves infrastructure capabilities',
+        acceptance_criteria: extractAcceptanceCriteria(task.description),
+      },
+      relevant_files: [],
+      ...(task.created && { created_at: `${task.created}T00:00:00Z` }),
+      ...(task.completed && { completed_at: `${task.completed}T00:00:00Z` }),
+      ...(task.notes && { notes: task.notes }),
+      ...(task.tags && { tags: task.tags }),
+    });
+  }
+
+  return {
+    version: 1,
+    project: project,
+    milestone: {
+      name: data.milestone,
+      target_date: data.target_date,
+      description: data.milestone,
+    },
+    tasks: migratedTasks,
+  };
+}
+
+// ── Migration Registry ───────────────────────────────────────────────
+
+/**
+ * Registered migrations, in registration order.
+ *
+ * Each entry: { from, to, description, detect?, migrate }.
+ * - from: source version (number, or a string for named legacy formats)
+ * - to: target version (number, or a name for intermediate legacy steps)
+ * - detect(data): optional; identifies files in a named legacy format
+ * - migrate(data): returns the converted file contents
+ */
+const MIGRATIONS = [];
+
+/**
+ * Register a migration step.
+ *
+ * @param {Object} migration
+ * @param {number|string} migration.from - Source version or legacy format name.
+ * @param {number|string} migration.to - Target version (a name for intermediate legacy steps).
+ * @param {string} migration.description - Human-readable summary.
+ * @param {Function} migration.migrate - (data) => migrated data.
+ * @param {Function} [migration.detect] - (data) => boolean, for named formats.
+ * @throws {Error} If a migration from the same source is already registered.
+ */
+function registerMigration(migration) {
+  if (MIGRATIONS.some((m) => m.from === migration.from)) {
+    throw new Error(
+      `Migration from version "${migration.from}" is already registered`
+    );
+  }
+  MIGRATIONS.push(migration);
+}
+
+registerMigration({
+  from: 'jade-claude-settings',
+  to: 1,
+  description: 'jade-claude-settings (T1-T13) format to Schema A v1',
+  detect: (data) =>
+    typeof data._schema === 'string' &&
+    data._schema.includes('jade-claude-settings'),
+  migrate: migrateJadeClaudeSettings,
+});
+
+registerMigration({
+  from: 'schema-b',
+  to: 1,
+  description: 'jade-docker Schema B (1.0.0) to Schema A v1',
+  detect: (data) =>
+    data.version === '1.0.0' &&
+    Array.isArray(data.tasks) &&
+    data.tasks.length > 0 &&
+    data.tasks[0].priority !== undefined,
+  migrate: migrateJadeDocker,
+});
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Detect the schema version of a tasks file.
+ *
+ * @param {Object} data - Parsed file contents.
+ * @returns {number|string|null} Numeric version, a legacy format name, or
+ *   null if the format is not recognized.
+ */
+function detectSchemaVersion(data) {
+  for (const migration of MIGRATIONS) {
+    if (migration.detect && migration.detect(data)) {
+      return migration.from;
+    }
+  }
+
+  if (data.version === undefined) {
+    // Unversioned files predate the version field but use Schema A
+    return CURRENT_TASKS_VERSION;
+  }
+  if (Number.isInteger(data.version)) {
+    return data.version;
+  }
+  return null;
+}
+
+/**
+ * Upgrade tasks file contents to the current schema version.
+ *
+ * Does not modify the input. Data already at the current version is
+ * returned as-is with an empty `applied` list.
+ *
+ * @param {Object} data - Parsed tasks.json contents.
+ * @returns {{ data: Object, fromVersion: number|string, toVersion: number, applied: string[] }}
+ * @throws {Error} With code 'TASK_SCHEMA_UNSUPPORTED' if the version is
+ *   unrecognized, newer than supported, or has no migration path.
+ */
+function migrateTasksData(data) {
+  const fromVersion = detectSchemaVersion(data);
+  if (fromVersion === null) {
+    throw unsupportedError(
+      `Unrecognized tasks file version: ${JSON.stringify(data.version)}`
+    );
+  }
+  if (typeof fromVersion === 'number' && fromVersion > CURRENT_TASKS_VERSION) {
+    throw unsupportedError(
+      `Tasks file version ${fromVersion} is newer than supported version ${CURRENT_TASKS_VERSION}`
+    );
+  }
+
+  let current = data;
+  let version = fromVersion;
+  const applied = [];
+
+  while (version !== CURRENT_TASKS_VERSION) {
+    const step = MIGRATIONS.find((m) => m.from === version);
+    if (!step) {
+      throw unsupportedError(`No migration registered from version ${version}`);
+    }
+    if (applied.length >= MIGRATIONS.length) {
+      throw unsupportedError(`Migration chain from ${fromVersion} does not terminate`);
+    }
+    current = step.migrate(current);
+    applied.push(step.description);
+    version = step.to;
+  }
+
+  return {
+    data: current,
+    fromVersion,
+    toVersion: CURRENT_TASKS_VERSION,
+    applied,
+  };
+}
+
+/**
+ * Build an Error tagged with the TASK_SCHEMA_UNSUPPORTED code.
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function unsupportedError(message) {
+  const err = new Error(message);
+  err.code = 'TASK_SCHEMA_UNSUPPORTED';
+  return err;
+}
+
+module.exports = {
+  migrateTasksData,
+  detectSchemaVersion,
+  registerMigration,
+  MIGRATIONS,
+  // Conversion helpers
+  generateTaskId,
+  priorityToComplexity,
+  extractAcceptanceCriteria,
+  migrateJadeClaudeSettings,
+  migrateJadeDocker,
+};
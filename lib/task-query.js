@@ -0,0 +1,458 @@
+'use strict';
+
+/**
+ * Task Query Module for the jade-dev-assist orchestrator.
+ *
+ * Parses and evaluates a small query language for selecting tasks from
+ * scanTasks() output:
+ *
+ *   status:pending label:bugfix project:jade-cli complexity:<=M
+ *   blocked:false milestone:"Core Commands"
+ *
+ * A query is a list of terms, all of which must match:
+ *
+ * - `field:value` compares one field. Values may be double-quoted to
+ *   include spaces, and `*` matches any run of characters.
+ * - `field:a,b` matches either value.
+ * - `complexity` and `score` accept `<`, `<=`, `>`, `>=` and `=` before
+ *   the value.
+ * - A leading `-` negates a term: `-label:docs`.
+ * - A bare word (or quoted phrase) matches the task ID, title or
+ *   description.
+ *
+ * String comparisons ignore case.
+ */
+
+const os = require('os');
+
+const { COMPLEXITY_LEVELS } = require('./task-schema');
+
+// ── Fields ───────────────────────────────────────────────────────────
+
+const BOOLEAN_VALUES = { true: true, yes: true, false: false, no: false };
+
+/**
+ * Whether any of the task's blockers is not completed.
+ *
+ * Unknown blockers count as incomplete, as in the scorer.
+ *
+ * @param {Object} task
+ * @param {Map<string, Object>} taskById - All tasks by ID.
+ * @returns {boolean}
+ */
+function hasOpenBlockers(task, taskById) {
+  return (task.blocked_by || []).some((id) => {
+    const blocker = taskById.get(id);
+    return !blocker || blocker.status !== 'completed';
+  });
+}
+
+/**
+ * Queryable fields.
+ *
+ * `kind` decides how values are parsed and compared:
+ * - "string": glob match against each value of `get()`
+ * - "ordinal": compare positions in `levels`
+ * - "number": numeric comparison
+ * - "boolean": `get()` returns true or false
+ */
+const QUERY_FIELDS = {
+  id: { kind: 'string', get: (task) => [task.id] },
+  status: { kind: 'string', get: (task) => [task.status] },
+  project: { kind: 'string', get: (task) => [task._projectName] },
+  label: { kind: 'string', get: (task) => task.labels || [] },
+  milestone: {
+    kind: 'string',
+    get: (task) => [
+      task.milestone || (task._milestone && task._milestone.name),
+    ],
+  },
+  assignee: {
+    kind: 'string',
+    get: (task) => [task.assignee],
+  },
+  complexity: {
+    kind: 'ordinal',
+    levels: COMPLEXITY_LEVELS,
+    get: (task) => task.complexity,
+  },
+  score: { kind: 'number', get: (task) => task._score },
+  blocked: {
+    kind: 'boolean',
+    get: (task, context) =>
+      task.status === 'blocked' || hasOpenBlockers(task, context.taskById),
+  },
+};
+
+/**
+ * Field aliases accepted by the parser.
+ */
+const FIELD_ALIASES = {
+  labels: 'label',
+  size: 'complexity',
+  is: 'status',
+};
+
+const OPERATORS = ['<=', '>=', '<', '>', '='];
+
+// ── Parsing ──────────────────────────────────────────────────────────
+
+/**
+ * Create a TASK_QUERY_INVALID error.
+ *
+ * @param {string} message
+ * @param {string} source - The query being parsed.
+ * @returns {Error}
+ */
+function invalidQuery(message, source) {
+  const err = new Error(`Invalid task query "${source}": ${message}`);
+  err.code = 'TASK_QUERY_INVALID';
+  return err;
+}
+
+/**
+ * Split a query into whitespace-separated words, keeping quoted runs
+ * together and removing the quotes.
+ *
+ * @param {string} source
+ * @returns {string[]}
+ */
+function tokenize(source) {
+  const words = [];
+  let current = null;
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '"') {
+      quoted = !quoted;
+      current = current || '';
+      continue;
+    }
+    if (!quoted && /\s/.test(ch)) {
+      if (current !== null) {
+        words.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (ch === '\\' && quoted && i + 1 < source.length) {
+      i++;
+      current = (current || '') + source[i];
+      continue;
+    }
+    current = (current || '') + ch;
+  }
+
+  if (quoted) {
+    throw invalidQuery('unterminated quote', source);
+  }
+  if (current !== null) {
+    words.push(current);
+  }
+  return words;
+}
+
+/**
+ * Turn a glob value into a case-insensitive regular expression.
+ *
+ * @param {string} value
+ * @returns {RegExp}
+ */
+function globToRegExp(value) {
+  const escaped = value
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Parse the value of a `field:value` term for its field.
+ *
+ * @param {string} fieldName
+ * @param {string} raw - Text after the colon.
+ * @param {string} source - Whole query, for error messages.
+ * @returns {{ op: string, values: Array }}
+ */
+function parseValue(fieldName, raw, source) {
+  const field = QUERY_FIELDS[fieldName];
+  let op = '=';
+  let rest = raw;
+
+  if (field.kind === 'ordinal' || field.kind === 'number') {
+    const found = OPERATORS.find((candidate) => raw.startsWith(candidate));
+    if (found) {
+      op = found;
+      rest = raw.slice(found.length);
+    }
+  }
+
+  const parts = rest.split(',').filter((part) => part !== '');
+  if (parts.length === 0) {
+    throw invalidQuery(`missing value for "${fieldName}"`, source);
+  }
+  if (op !== '=' && parts.length > 1) {
+    throw invalidQuery(
+      `"${op}" takes a single value for "${fieldName}"`,
+      source
+    );
+  }
+
+  const values = parts.map((part) => {
+    switch (field.kind) {
+      case 'ordinal': {
+        const level = field.levels.indexOf(part.toUpperCase());
+        if (level === -1) {
+          throw invalidQuery(
+            `unknown ${fieldName} "${part}". Expected one of: ${field.levels.join(', ')}`,
+            source
+          );
+        }
+        return level;
+      }
+      case 'number': {
+        const number = Number(part);
+        if (!Number.isFinite(number)) {
+          throw invalidQuery(`"${part}" is not a number`, source);
+        }
+        return number;
+      }
+      case 'boolean': {
+        const key = part.toLowerCase();
+        if (!(key in BOOLEAN_VALUES)) {
+          throw invalidQuery(
+            `"${fieldName}" expects true or false, got "${part}"`,
+            source
+          );
+        }
+        return BOOLEAN_VALUES[key];
+      }
+      default:
+        return part;
+    }
+  });
+
+  return { op, values };
+}
+
+/**
+ * Parse a query string.
+ *
+ * @param {string} source - Query text; empty matches every task.
+ * @returns {{ source: string, terms: Object[] }} Each term has `field`
+ *   (null for free text), `negate`, `op` and `values`.
+ * @throws {Error} With code 'TASK_QUERY_INVALID' for unknown fields,
+ *   bad values or unbalanced quotes.
+ *
+ * @example
+ * parseQuery('status:pending,in_progress -label:docs complexity:<=M');
+ */
+function parseQuery(source) {
+  const text = source == null ? '' : String(source);
+  const terms = [];
+
+  for (const word of tokenize(text)) {
+    let body = word;
+    let negate = false;
+    if (body.length > 1 && body.startsWith('-')) {
+      negate = true;
+      body = body.slice(1);
+    }
+
+    const colon = body.indexOf(':');
+    const name = colon > 0 ? body.slice(0, colon).toLowerCase() : null;
+    const fieldName = name && (FIELD_ALIASES[name] || name);
+
+    if (!fieldName || !QUERY_FIELDS[fieldName]) {
+      if (name && /^[a-z_]+$/.test(name) && body.length > colon + 1) {
+        throw invalidQuery(
+          `unknown field "${name}". Available: ${Object.keys(QUERY_FIELDS).join(', ')}`,
+          text
+        );
+      }
+      terms.push({ field: null, negate, op: '=', values: [body] });
+      continue;
+    }
+
+    const { op, values } = parseValue(fieldName, body.slice(colon + 1), text);
+    terms.push({ field: fieldName, negate, op, values });
+  }
+
+  return { source: text, terms };
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────
+
+/**
+ * Compare two numbers with a query operator.
+ *
+ * @param {number} actual
+ * @param {string} op
+ * @param {number} expected
+ * @returns {boolean}
+ */
+function compare(actual, op, expected) {
+  switch (op) {
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    default:
+      return actual === expected;
+  }
+}
+
+/**
+ * Evaluate one term against a task, ignoring negation.
+ *
+ * @param {Object} task
+ * @param {Object} term
+ * @param {Object} context - From createContext().
+ * @returns {boolean}
+ */
+function matchesTerm(task, term, context) {
+  if (term.field === null) {
+    const needle = term.values[0].toLowerCase();
+    return [task.id, task.title, task.description].some(
+      (text) => typeof text === 'string' && text.toLowerCase().includes(needle)
+    );
+  }
+
+  const field = QUERY_FIELDS[term.field];
+  switch (field.kind) {
+    case 'ordinal': {
+      const level = field.levels.indexOf(field.get(task));
+      return (
+        level !== -1 &&
+        term.values.some((value) => compare(level, term.op, value))
+      );
+    }
+    case 'number': {
+      const actual = field.get(task);
+      return (
+        typeof actual === 'number' &&
+        term.values.some((value) => compare(actual, term.op, value))
+      );
+    }
+    case 'boolean':
+      return term.values.includes(field.get(task, context));
+    default: {
+      const actual = field.get(task).filter((value) => value != null);
+      return term.values.some((value) => {
+        const pattern = globToRegExp(value === '@me' ? context.me : value);
+        return actual.some((candidate) => pattern.test(String(candidate)));
+      });
+    }
+  }
+}
+
+/**
+ * Build the lookups shared by every task in one evaluation.
+ *
+ * @param {Object[]} tasks
+ * @param {Object} opts - filterTasks() options.
+ * @returns {{ taskById: Map<string, Object>, me: string }}
+ */
+function createContext(tasks, opts) {
+  const taskById = new Map();
+  for (const task of opts.allTasks || tasks) {
+    taskById.set(task.id, task);
+  }
+  return { taskById, me: opts.me || currentUser() };
+}
+
+/**
+ * Name that `assignee:@me` resolves to.
+ *
+ * @returns {string}
+ */
+function currentUser() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER || '';
+  }
+}
+
+/**
+ * Accept a query string or a parsed query.
+ *
+ * @param {string|Object} query
+ * @returns {Object} Parsed query.
+ */
+function toQuery(query) {
+  return typeof query === 'object' && query !== null && query.terms
+    ? query
+    : parseQuery(query);
+}
+
+/**
+ * Test a single task against a query.
+ *
+ * @param {Object} task - Task from scanTasks() (optionally scored).
+ * @param {string|Object} query - Query string or parseQuery() result.
+ * @param {Object} [options] - Same as filterTasks().
+ * @returns {boolean}
+ */
+function matchesQuery(task, query, options) {
+  const opts = options || {};
+  const parsed = toQuery(query);
+  const context = opts._context || createContext([task], opts);
+  return parsed.terms.every(
+    (term) => matchesTerm(task, term, context) !== term.negate
+  );
+}
+
+/**
+ * Select the tasks matching a query, keeping their order.
+ *
+ * @param {Object[]} tasks - Tasks from scanTasks() or scoreTasks().
+ * @param {string|Object} query - Query string or parseQuery() result.
+ * @param {Object} [options]
+ * @param {Object[]} [options.allTasks] - Tasks to resolve `blocked_by`
+ *   against (default: tasks). Pass the full scan when filtering a subset.
+ * @param {string} [options.me] - Name for `assignee:@me` (default: the
+ *   OS user name).
+ * @returns {Object[]} A new array.
+ * @throws {Error} With code 'TASK_QUERY_INVALID' if the query is invalid.
+ *
+ * @example
+ * const { tasks } = scanTasks();
+ * filterTasks(tasks, 'project:jade-cli blocked:false complexity:<=M');
+ */
+function filterTasks(tasks, query, options) {
+  const opts = options || {};
+  const parsed = toQuery(query);
+  if (parsed.terms.length === 0) {
+    return tasks.slice();
+  }
+  const context = createContext(tasks, opts);
+  return tasks.filter((task) =>
+    matchesQuery(task, parsed, { ...opts, _context: context })
+  );
+}
+
+/**
+ * Whether a query constrains a field (used to relax default filters,
+ * e.g. the scorer's hiding of completed tasks under `status:completed`).
+ *
+ * @param {string|Object} query
+ * @param {string} field
+ * @returns {boolean}
+ */
+function queryUsesField(query, field) {
+  return toQuery(query).terms.some((term) => term.field === field);
+}
+
+module.exports = {
+  parseQuery,
+  matchesQuery,
+  filterTasks,
+  queryUsesField,
+  QUERY_FIELDS,
+};
@@ -0,0 +1,353 @@
+'use strict';
+
+/**
+ * Task Schema Module for the jade-dev-assist orchestrator.
+ *
+ * Declares JSON Schemas (draft-07 subset) for a project's tasks.json file
+ * and for the ~/.jade/projects.json registry, plus a small validator that
+ * reports every violation with a dotted error path such as
+ * `tasks[3].feature.acceptance_criteria`.
+ *
+ * Supported keywords: type, enum, required, properties, items, minLength.
+ * Unknown properties are not schema errors; the scanner reports them as
+ * warnings through KNOWN_TASK_FIELDS.
+ */
+
+// ── Enumerations ─────────────────────────────────────────────────────
+
+/**
+ * Current tasks.json schema version. Older files are upgraded through
+ * the migration chain in task-migrations.js.
+ */
+const CURRENT_TASKS_VERSION = 1;
+
+/**
+ * Built-in task status values. Custom statuses can be declared in
+ * ~/.jade/task-states.json (see task-states.js).
+ */
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'failed', 'blocked'];
+
+/**
+ * Valid task complexity sizes.
+ */
+const COMPLEXITY_LEVELS = ['S', 'M', 'L', 'XL'];
+
+/**
+ * Valid project maturity statuses (see scorer MATURITY_SCORES).
+ */
+const PROJECT_STATUSES = [
+  'buildable',
+  'near-buildable',
+  'scaffolding-plus',
+  'scaffolding',
+  'blocked',
+];
+
+// ── Schemas ──────────────────────────────────────────────────────────
+
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Milestone block at the top of a tasks.json file.
+ */
+const MILESTONE_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    target_date: { type: ['string', 'null'] },
+    description: { type: ['string', 'null'] },
+  },
+};
+
+/**
+ * A single task entry.
+ */
+const TASK_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'status'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 },
+    status: { type: 'string', enum: TASK_STATUSES },
+    complexity: { type: 'string', enum: COMPLEXITY_LEVELS },
+    blocked_by: STRING_ARRAY,
+    unlocks: STRING_ARRAY,
+    description: { type: ['string', 'null'] },
+    milestone: { type: ['string', 'null'] },
+    labels: STRING_ARRAY,
+    assignee: { type: ['string', 'null'] },
+    feature: {
+      type: 'object',
+      properties: {
+        description: { type: ['string', 'null'] },
+        benefit: { type: ['string', 'null'] },
+        acceptance_criteria: STRING_ARRAY,
+      },
+    },
+    github_issue: { type: ['string', 'integer', 'null'] },
+    relevant_files: STRING_ARRAY,
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' },
+    started_at: { type: 'string' },
+    completed_at: { type: 'string' },
+    failed_at: { type: 'string' },
+    notes: { type: ['string', 'null'] },
+    priority_override: { type: ['number', 'null'] },
+    modelTier: { type: 'string', enum: ['opus', 'local'] },
+    history: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['timestamp', 'to_status'],
+        properties: {
+          timestamp: { type: 'string' },
+          from_status: { type: ['string', 'null'] },
+          to_status: { type: 'string' },
+          agent_summary: { type: 'string' },
+          actor: { type: 'string' },
+          source: { type: 'string' },
+          forced: { type: 'boolean' },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * A project's .claude/tasks/tasks.json file.
+ */
+const TASKS_FILE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://github.com/jadecli/jade-dev-assist/schemas/tasks.json',
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    version: { type: 'integer', enum: [CURRENT_TASKS_VERSION] },
+    project: { type: 'string' },
+    milestone: MILESTONE_SCHEMA,
+    tasks: { type: 'array', items: TASK_SCHEMA },
+  },
+};
+
+/**
+ * A single project entry in the registry.
+ */
+const PROJECT_SCHEMA = {
+  type: 'object',
+  required: ['name', 'path'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    path: { type: 'string', minLength: 1 },
+    repo: { type: ['string', 'null'] },
+    status: { type: 'string', enum: PROJECT_STATUSES },
+    language: { type: ['string', 'null'] },
+    test_command: { type: ['string', 'null'] },
+    build_command: { type: ['string', 'null'] },
+    blocked_reason: { type: ['string', 'null'] },
+    // Task file patterns relative to the project (default .claude/tasks/*.json)
+    task_files: { type: 'array', items: { type: 'string', minLength: 1 } },
+    // Cap on concurrent in_progress tasks under fair-share ranking
+    max_in_progress: { type: ['integer', 'null'] },
+    // Documentation roots relative to the project, before the registry's
+    docs_roots: { type: 'array', items: { type: 'string', minLength: 1 } },
+  },
+};
+
+/**
+ * The ~/.jade/projects.json registry file.
+ */
+const REGISTRY_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://github.com/jadecli/jade-dev-assist/schemas/projects.json',
+  type: 'object',
+  required: ['projects'],
+  properties: {
+    version: { type: 'integer' },
+    projects_root: { type: 'string' },
+    // Documentation roots relative to projects_root, shared by all projects
+    docs_roots: { type: 'array', items: { type: 'string', minLength: 1 } },
+    projects: { type: 'array', items: PROJECT_SCHEMA },
+  },
+};
+
+// ── Validator ────────────────────────────────────────────────────────
+
+/**
+ * Return the JSON Schema type name of a value.
+ *
+ * @param {*} value
+ * @returns {string} One of null, array, integer, number, string, boolean, object.
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Check whether a value's type satisfies a schema `type` keyword.
+ * An integer also satisfies "number", as in JSON Schema.
+ *
+ * @param {string} actual - Result of typeOf().
+ * @param {string|string[]} expected - Schema type keyword.
+ * @returns {boolean}
+ */
+function typeMatches(actual, expected) {
+  const allowed = Array.isArray(expected) ? expected : [expected];
+  return (
+    allowed.includes(actual) ||
+    (actual === 'integer' && allowed.includes('number'))
+  );
+}
+
+/**
+ * Join a parent path and a property name into a dotted error path.
+ *
+ * @param {string} parent - Parent path ('' for the root).
+ * @param {string} key - Property name.
+ * @returns {string}
+ */
+function joinPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * Collects every violation rather than stopping at the first one.
+ *
+ * @param {*} value - The value to validate.
+ * @param {Object} schema - Schema object (subset of draft-07).
+ * @param {string} [basePath=''] - Path prefix for error messages.
+ * @returns {Array<{ path: string, message: string, keyword: string }>}
+ *
+ * @example
+ * validateSchema({ tasks: 'nope' }, TASKS_FILE_SCHEMA)
+ * // => [{ path: 'tasks', keyword: 'type', message: 'expected array, got string' }]
+ */
+function validateSchema(value, schema, basePath) {
+  const errors = [];
+  const here = basePath || '';
+
+  if (schema.type !== undefined) {
+    const actual = typeOf(value);
+    if (!typeMatches(actual, schema.type)) {
+      const expected = Array.isArray(schema.type)
+        ? schema.type.join(' or ')
+        : schema.type;
+      errors.push({
+        path: here,
+        keyword: 'type',
+        message: `expected ${expected}, got ${actual}`,
+      });
+      // Nested keywords are meaningless once the type is wrong
+      return errors;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    errors.push({
+      path: here,
+      keyword: 'enum',
+      message: `expected one of ${schema.enum
+        .map((v) => JSON.stringify(v))
+        .join(', ')}, got ${JSON.stringify(value)}`,
+    });
+  }
+
+  if (
+    schema.minLength !== undefined &&
+    typeof value === 'string' &&
+    value.length < schema.minLength
+  ) {
+    errors.push({
+      path: here,
+      keyword: 'minLength',
+      message: `expected at least ${schema.minLength} character(s)`,
+    });
+  }
+
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({
+          path: joinPath(here, key),
+          keyword: 'required',
+          message: `Missing required field '${key}'`,
+        });
+      }
+    }
+
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) {
+        continue;
+      }
+      // Required fields set to null were already reported above
+      if (value[key] === null && (schema.required || []).includes(key)) {
+        continue;
+      }
+      errors.push(...validateSchema(value[key], propSchema, joinPath(here, key)));
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, `${here}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a registry object against REGISTRY_SCHEMA.
+ *
+ * @param {Object} registry - Parsed projects.json contents.
+ * @returns {Array<{ path: string, message: string, keyword: string }>}
+ */
+function validateRegistry(registry) {
+  return validateSchema(registry, REGISTRY_SCHEMA);
+}
+
+/**
+ * Validate the top level of a tasks file against TASKS_FILE_SCHEMA.
+ *
+ * Task entries are not descended into here; the scanner validates each
+ * task individually so one bad task does not discard its siblings.
+ *
+ * @param {Object} data - Parsed tasks.json contents.
+ * @returns {Array<{ path: string, message: string, keyword: string }>}
+ */
+function validateTasksFileHeader(data) {
+  const headerSchema = {
+    ...TASKS_FILE_SCHEMA,
+    properties: {
+      ...TASKS_FILE_SCHEMA.properties,
+      tasks: { type: 'array' },
+    },
+  };
+  return validateSchema(data, headerSchema);
+}
+
+module.exports = {
+  validateSchema,
+  validateRegistry,
+  validateTasksFileHeader,
+  TASK_SCHEMA,
+  TASKS_FILE_SCHEMA,
+  PROJECT_SCHEMA,
+  REGISTRY_SCHEMA,
+  MILESTONE_SCHEMA,
+  TASK_STATUSES,
+  COMPLEXITY_LEVELS,
+  PROJECT_STATUSES,
+  CURRENT_TASKS_VERSION,
+};
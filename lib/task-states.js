@@ -0,0 +1,344 @@
+'use strict';
+
+/**
+ * Task States Module for the jade-dev-assist orchestrator.
+ *
+ * Declares the task status state machine: which statuses exist and which
+ * transitions between them are allowed. The built-in machine covers
+ * pending, in_progress, completed, failed and blocked:
+ *
+ *   pending     -> in_progress, blocked, completed, failed
+ *   in_progress -> pending, completed, failed, blocked
+ *   blocked     -> pending, in_progress, failed
+ *   failed      -> pending, in_progress
+ *   completed   -> (none; reopening needs `force`)
+ *
+ * Custom states are declared in ~/.jade/task-states.json:
+ *
+ *   {
+ *     "states": {
+ *       "in_review": { "transitions": ["completed", "in_progress"] },
+ *       "in_progress": { "transitions": ["in_review"] }
+ *     }
+ *   }
+ *
+ * New states are added; for built-in states, the listed transitions are
+ * added to the defaults and the flags below replace the defaults.
+ *
+ * State flags:
+ * - `done`: the state satisfies `blocked_by` (completed).
+ * - `requiresUnblocked`: entering the state is refused while any
+ *   `blocked_by` task is not done (in_progress).
+ * - `autoManaged`: dependents in this state are moved between the
+ *   initial and blocked states as their blockers change (pending,
+ *   blocked).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TASK_STATUSES } = require('./task-schema');
+
+const DEFAULT_STATES_PATH = path.join(
+  process.env.HOME || process.env.USERPROFILE,
+  '.jade',
+  'task-states.json'
+);
+
+/**
+ * State a task moves to when its last open blocker is done.
+ */
+const INITIAL_STATE = 'pending';
+
+/**
+ * State a waiting task moves to when one of its blockers reopens.
+ */
+const BLOCKED_STATE = 'blocked';
+
+/**
+ * Built-in states. Keys match task-schema TASK_STATUSES.
+ */
+const DEFAULT_STATES = {
+  pending: {
+    transitions: ['in_progress', 'blocked', 'completed', 'failed'],
+    autoManaged: true,
+  },
+  in_progress: {
+    transitions: ['pending', 'completed', 'failed', 'blocked'],
+    requiresUnblocked: true,
+  },
+  blocked: {
+    transitions: ['pending', 'in_progress', 'failed'],
+    autoManaged: true,
+  },
+  failed: {
+    transitions: ['pending', 'in_progress'],
+  },
+  completed: {
+    transitions: [],
+    done: true,
+  },
+};
+
+const STATE_FLAGS = ['done', 'requiresUnblocked', 'autoManaged'];
+
+// ── Errors ───────────────────────────────────────────────────────────
+
+/**
+ * Build an Error with a code.
+ *
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+function stateError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// ── Building ─────────────────────────────────────────────────────────
+
+/**
+ * Build a state machine from the defaults and a custom config.
+ *
+ * @param {Object} [config] - `{ states: { name: { transitions, ...flags } } }`.
+ * @returns {{ states: Object<string, Object> }}
+ * @throws {Error} With code 'TASK_STATES_INVALID' for malformed states or
+ *   transitions to undeclared states.
+ */
+function buildStateMachine(config) {
+  const custom = (config && config.states) || {};
+  if (typeof custom !== 'object' || Array.isArray(custom)) {
+    throw stateError(
+      'Task states config: "states" must be an object',
+      'TASK_STATES_INVALID'
+    );
+  }
+
+  const states = {};
+  for (const [name, state] of Object.entries(DEFAULT_STATES)) {
+    states[name] = { ...state, transitions: state.transitions.slice() };
+  }
+
+  for (const [name, state] of Object.entries(custom)) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      throw stateError(
+        `Task states config: state "${name}" must be an object`,
+        'TASK_STATES_INVALID'
+      );
+    }
+    const transitions = state.transitions || [];
+    if (!Array.isArray(transitions)) {
+      throw stateError(
+        `Task states config: "${name}.transitions" must be an array`,
+        'TASK_STATES_INVALID'
+      );
+    }
+    const target = states[name] || { transitions: [] };
+    for (const next of transitions) {
+      if (!target.transitions.includes(next)) {
+        target.transitions.push(next);
+      }
+    }
+    for (const flag of STATE_FLAGS) {
+      if (state[flag] !== undefined) {
+        target[flag] = Boolean(state[flag]);
+      }
+    }
+    states[name] = target;
+  }
+
+  for (const [name, state] of Object.entries(states)) {
+    for (const next of state.transitions) {
+      if (!states[next]) {
+        throw stateError(
+          `Task states config: "${name}" transitions to undeclared state "${next}"`,
+          'TASK_STATES_INVALID'
+        );
+      }
+    }
+  }
+
+  return { states };
+}
+
+/**
+ * Load the state machine from ~/.jade/task-states.json (or `statesPath`).
+ *
+ * @param {string} [statesPath]
+ * @returns {{ states: Object<string, Object> }} The built-in machine when
+ *   the file is missing.
+ * @throws {Error} With code 'TASK_STATES_INVALID' if the file is not
+ *   valid JSON or declares invalid states.
+ */
+function loadStateMachine(statesPath) {
+  const filePath = statesPath || DEFAULT_STATES_PATH;
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return buildStateMachine();
+    }
+    throw err;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (err) {
+    throw stateError(
+      `Invalid JSON in ${filePath}: ${err.message}`,
+      'TASK_STATES_INVALID'
+    );
+  }
+  return buildStateMachine(config);
+}
+
+/**
+ * Resolve the `stateMachine` / `statesPath` options shared by callers.
+ *
+ * @param {Object} [opts]
+ * @returns {{ states: Object<string, Object> }}
+ */
+function resolveStateMachine(opts) {
+  const options = opts || {};
+  return options.stateMachine || loadStateMachine(options.statesPath);
+}
+
+// ── Queries ──────────────────────────────────────────────────────────
+
+/**
+ * All status names, built-in first.
+ *
+ * @param {Object} machine
+ * @returns {string[]}
+ */
+function listStatuses(machine) {
+  const names = Object.keys(machine.states);
+  return [
+    ...TASK_STATUSES.filter((name) => names.includes(name)),
+    ...names.filter((name) => !TASK_STATUSES.includes(name)),
+  ];
+}
+
+/**
+ * Whether a status satisfies `blocked_by`.
+ *
+ * @param {Object} machine
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isDone(machine, status) {
+  const state = machine.states[status];
+  return Boolean(state && state.done);
+}
+
+/**
+ * IDs of a task's blockers that are not done.
+ *
+ * @param {Object} machine
+ * @param {Object} task
+ * @param {function(string): (string|null)} statusOf - Blocker ID to its
+ *   status, or null when the blocker cannot be found (counts as open).
+ * @returns {string[]}
+ */
+function openBlockers(machine, task, statusOf) {
+  return (task.blocked_by || []).filter((id) => !isDone(machine, statusOf(id)));
+}
+
+/**
+ * Check a transition against the machine and its guards.
+ *
+ * Staying in the same status is always allowed. With `force`, only the
+ * target status has to exist.
+ *
+ * @param {Object} machine
+ * @param {Object} task - Task before the transition.
+ * @param {string} toStatus
+ * @param {Object} [options]
+ * @param {function(string): (string|null)} [options.statusOf] - Blocker
+ *   status lookup for the `requiresUnblocked` guard.
+ * @param {boolean} [options.force] - Skip the transition table and guards.
+ * @throws {Error} With code 'TASK_STATUS_INVALID' for an undeclared
+ *   status, 'TASK_TRANSITION_INVALID' for a transition the machine does
+ *   not allow, or 'TASK_TRANSITION_BLOCKED' (with `blockers`) when the
+ *   task still has open blockers.
+ */
+function checkTransition(machine, task, toStatus, options) {
+  const opts = options || {};
+  if (!machine.states[toStatus]) {
+    throw stateError(
+      `Unknown status "${toStatus}" for ${task.id}. Available: ${listStatuses(machine).join(', ')}`,
+      'TASK_STATUS_INVALID'
+    );
+  }
+  const fromStatus = task.status;
+  if (opts.force || fromStatus === toStatus) {
+    return;
+  }
+
+  const from = machine.states[fromStatus];
+  if (from && !from.transitions.includes(toStatus)) {
+    const allowed = from.transitions.length
+      ? from.transitions.join(', ')
+      : 'none';
+    throw stateError(
+      `Cannot move ${task.id} from ${fromStatus} to ${toStatus} (allowed: ${allowed}). Use force to override.`,
+      'TASK_TRANSITION_INVALID'
+    );
+  }
+
+  if (machine.states[toStatus].requiresUnblocked && opts.statusOf) {
+    const blockers = openBlockers(machine, task, opts.statusOf);
+    if (blockers.length > 0) {
+      const err = stateError(
+        `Cannot move ${task.id} to ${toStatus}: blocked by ${blockers.join(', ')}. Use force to override.`,
+        'TASK_TRANSITION_BLOCKED'
+      );
+      err.blockers = blockers;
+      throw err;
+    }
+  }
+}
+
+/**
+ * Status a dependent should move to after one of its blockers changed.
+ *
+ * Only dependents in an `autoManaged` state move: to the blocked state
+ * while any blocker is open, back to the initial state once all are done.
+ *
+ * @param {Object} machine
+ * @param {Object} task - The dependent.
+ * @param {function(string): (string|null)} statusOf
+ * @returns {string|null} The new status, or null to leave it.
+ */
+function dependentStatus(machine, task, statusOf) {
+  const state = machine.states[task.status];
+  if (!state || !state.autoManaged) {
+    return null;
+  }
+  const open = openBlockers(machine, task, statusOf).length > 0;
+  if (open && task.status !== BLOCKED_STATE) {
+    return BLOCKED_STATE;
+  }
+  if (!open && task.status === BLOCKED_STATE) {
+    return INITIAL_STATE;
+  }
+  return null;
+}
+
+module.exports = {
+  buildStateMachine,
+  loadStateMachine,
+  resolveStateMachine,
+  listStatuses,
+  isDone,
+  openBlockers,
+  checkTransition,
+  dependentStatus,
+  DEFAULT_STATES,
+  DEFAULT_STATES_PATH,
+  INITIAL_STATE,
+  BLOCKED_STATE,
+};
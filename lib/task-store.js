@@ -0,0 +1,430 @@
+'use strict';
+
+/**
+ * Task Store Module for the jade-dev-assist orchestrator.
+ *
+ * The single place that writes task files. Every read-modify-write of a
+ * tasks.json goes through updateTasksFile() or updateTask(), which:
+ *
+ * - take an exclusive lock file (`<file>.lock`) next to the task file,
+ *   retrying with backoff while another process holds it;
+ * - re-read the file under the lock, so concurrent updates are never
+ *   lost;
+ * - write a temp file in the same directory, fsync it and rename it over
+ *   the original, so readers see either the old or the new file and
+ *   never a partial one.
+ *
+ * Locks left behind by a crashed process are removed when their owner is
+ * no longer running or when they are older than `staleMs`; a lock
+ * replaced by a live owner in the meantime is left alone. Locks are
+ * re-entrant within a process, so a writer may call another writer while
+ * holding the lock.
+ *
+ * Every write is recorded in the task journal (task-journal.js) with the
+ * `source` option of the writer, so it can be listed and undone later.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { findTask } = require('./task-utils');
+const { recordChange } = require('./task-journal');
+
+const logger = createLogger('task-store');
+
+/**
+ * Default lock settings.
+ */
+const DEFAULT_LOCK_OPTIONS = {
+  timeoutMs: 10000,
+  retryDelayMs: 20,
+  maxRetryDelayMs: 250,
+  staleMs: 30000,
+};
+
+/**
+ * Lock files held by this process: lock path to nesting depth.
+ */
+const heldLocks = new Map();
+
+let tmpCounter = 0;
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Create a task store error.
+ *
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+function storeError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Block the current thread for `ms` milliseconds.
+ *
+ * @param {number} ms
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Whether a process with this PID is running on this host.
+ *
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Decide whether an existing lock file was abandoned.
+ *
+ * @param {string} lockPath
+ * @param {number} staleMs
+ * @returns {fs.Stats|null} The stat of the abandoned lock, or null if the
+ *   lock is live or gone.
+ */
+function findStaleLock(lockPath, staleMs) {
+  let stat;
+  let owner = null;
+  try {
+    stat = fs.statSync(lockPath);
+    owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    // Unreadable or half-written lock: fall back to its age
+  }
+  if (!stat) {
+    return null;
+  }
+  if (
+    owner &&
+    owner.host === os.hostname() &&
+    Number.isInteger(owner.pid) &&
+    !isRunning(owner.pid)
+  ) {
+    return stat;
+  }
+  return Date.now() - stat.mtimeMs > staleMs ? stat : null;
+}
+
+/**
+ * Remove a stale lock, but only the one that was inspected.
+ *
+ * Another process may replace the lock between the staleness check and
+ * the removal, so the lock is first renamed to a name only this process
+ * uses and compared with the inspected stat. A lock that turns out to be
+ * a fresh one is linked back into place.
+ *
+ * @param {string} lockPath
+ * @param {fs.Stats} stale - Stat from findStaleLock().
+ * @returns {boolean} Whether the stale lock was removed.
+ */
+function removeStaleLock(lockPath, stale) {
+  const claimedPath = `${lockPath}.${process.pid}.${++tmpCounter}.stale`;
+  try {
+    fs.renameSync(lockPath, claimedPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+
+  const claimed = fs.statSync(claimedPath);
+  const removed =
+    claimed.ino === stale.ino && claimed.mtimeMs === stale.mtimeMs;
+  if (!removed) {
+    try {
+      fs.linkSync(claimedPath, lockPath);
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+      logger.warn('Could not restore a task file lock taken meanwhile', {
+        lockPath,
+      });
+    }
+  } else {
+    logger.warn('Removed stale task file lock', { lockPath });
+  }
+  fs.unlinkSync(claimedPath);
+  return removed;
+}
+
+/**
+ * Take the lock for a task file, waiting while another process holds it.
+ *
+ * @param {string} lockPath
+ * @param {Object} opts - Merged lock options.
+ * @throws {Error} With code 'TASK_STORE_LOCKED' after `timeoutMs`.
+ */
+function acquireLock(lockPath, opts) {
+  const deadline = Date.now() + opts.timeoutMs;
+  const owner = JSON.stringify({
+    pid: process.pid,
+    host: os.hostname(),
+    acquired_at: new Date().toISOString(),
+  });
+  let delay = opts.retryDelayMs;
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, owner, { flag: 'wx' });
+      return;
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+
+    const stale = findStaleLock(lockPath, opts.staleMs);
+    if (stale && removeStaleLock(lockPath, stale)) {
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw storeError(
+        `Timed out after ${opts.timeoutMs}ms waiting for ${lockPath}`,
+        'TASK_STORE_LOCKED'
+      );
+    }
+    sleepSync(delay + Math.floor(Math.random() * delay));
+    delay = Math.min(delay * 2, opts.maxRetryDelayMs);
+  }
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Run `fn` while holding the lock for a task file.
+ *
+ * @param {string} filePath - Task file to lock.
+ * @param {function(): *} fn
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=10000] - Give up waiting after this.
+ * @param {number} [options.retryDelayMs=20] - First retry delay; doubles
+ *   (with jitter) up to `maxRetryDelayMs`.
+ * @param {number} [options.maxRetryDelayMs=250]
+ * @param {number} [options.staleMs=30000] - Age after which a lock is
+ *   considered abandoned.
+ * @returns {*} The return value of `fn`.
+ * @throws {Error} With code 'TASK_STORE_LOCKED' if the lock is not
+ *   released in time.
+ */
+function withTasksFileLock(filePath, fn, options) {
+  const opts = { ...DEFAULT_LOCK_OPTIONS, ...(options || {}) };
+  const lockPath = `${path.resolve(filePath)}.lock`;
+
+  const depth = heldLocks.get(lockPath) || 0;
+  if (depth === 0) {
+    acquireLock(lockPath, opts);
+  }
+  heldLocks.set(lockPath, depth + 1);
+
+  try {
+    return fn();
+  } finally {
+    if (depth === 0) {
+      heldLocks.delete(lockPath);
+      try {
+        fs.unlinkSync(lockPath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          logger.warn('Could not remove task file lock', {
+            lockPath,
+            error: err.message,
+          });
+        }
+      }
+    } else {
+      heldLocks.set(lockPath, depth);
+    }
+  }
+}
+
+/**
+ * Read and parse a task file.
+ *
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function readTasksFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write data to a file atomically (temp file, fsync, rename).
+ *
+ * @param {string} filePath
+ * @param {Object} data
+ */
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2) + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Journal a write unless the caller opted out.
+ *
+ * @param {string} filePath
+ * @param {Object[]} beforeTasks
+ * @param {Object} data - The data written.
+ * @param {Object} opts
+ */
+function journalWrite(filePath, beforeTasks, data, opts) {
+  if (opts.journal === false) {
+    return;
+  }
+  recordChange(filePath, beforeTasks, (data && data.tasks) || [], {
+    source: opts.source,
+    actor: opts.actor,
+    journalDir: opts.journalDir,
+  });
+}
+
+/**
+ * Write a task file atomically (temp file, fsync, rename).
+ *
+ * Callers that read the file first should use updateTasksFile() instead,
+ * which also holds the lock.
+ *
+ * @param {string} filePath
+ * @param {Object} data
+ * @param {Object} [options] - Journal options (see updateTasksFile).
+ */
+function writeTasksFile(filePath, data, options) {
+  const opts = options || {};
+  let beforeTasks = [];
+  if (opts.journal !== false) {
+    try {
+      beforeTasks = readTasksFile(filePath).tasks || [];
+    } catch {
+      // New or unreadable file: every task counts as added
+    }
+  }
+  writeFileAtomic(filePath, data);
+  journalWrite(filePath, beforeTasks, data, opts);
+}
+
+/**
+ * Read-modify-write a task file under its lock.
+ *
+ * The file is read after the lock is taken, so `mutate` always sees the
+ * latest contents. Returning `false` from `mutate` skips the write.
+ *
+ * @param {string} filePath - Task file path.
+ * @param {function(Object): *} mutate - Receives the parsed file and
+ *   changes it in place.
+ * @param {Object} [options] - Lock options (see withTasksFileLock), plus:
+ * @param {string} [options.source] - What made the change, recorded in
+ *   the journal (e.g. "executor", "github-sync"; default "manual").
+ * @param {string} [options.actor] - Who made the change.
+ * @param {boolean} [options.journal=true] - Set false to skip the journal.
+ * @param {string} [options.journalDir] - Journal directory override.
+ * @returns {*} The return value of `mutate`.
+ *
+ * @example
+ * updateTasksFile(tasksPath, (data) => {
+ *   data.tasks.push(newTask);
+ * });
+ */
+function updateTasksFile(filePath, mutate, options) {
+  const opts = options || {};
+  return withTasksFileLock(
+    filePath,
+    () => {
+      const data = readTasksFile(filePath);
+      const beforeTasks =
+        opts.journal === false
+          ? []
+          : JSON.parse(JSON.stringify((data && data.tasks) || []));
+      const result = mutate(data);
+      if (result !== false) {
+        writeFileAtomic(filePath, data);
+        journalWrite(filePath, beforeTasks, data, opts);
+      }
+      return result;
+    },
+    opts
+  );
+}
+
+/**
+ * Find a task by ID and update it under its file's lock.
+ *
+ * @param {string} taskId - Full task ID (e.g. "project-name/task-name").
+ * @param {function(Object, Object): *} mutate - Receives the task and the
+ *   parsed file. Returning `false` skips the write.
+ * @param {Object} [options]
+ * @param {string} [options.projectsRoot] - Root directory containing
+ *   project directories.
+ * @param {string[]} [options.taskFiles] - The project's task file
+ *   patterns (registry `task_files`).
+ * @param {string} [options.tasksJsonPath] - Task file known to contain
+ *   the task; skips the lookup.
+ * @param {string} [options.source] - Recorded in the journal (see
+ *   updateTasksFile).
+ * @returns {{ task: Object, tasksJsonPath: string, result: * }} The
+ *   updated task as written.
+ * @throws {Error} If the task is not found, or with code
+ *   'TASK_STORE_LOCKED' on lock timeout.
+ */
+function updateTask(taskId, mutate, options) {
+  const opts = options || {};
+  const tasksJsonPath =
+    opts.tasksJsonPath ||
+    findTask(taskId, opts.projectsRoot || '', { taskFiles: opts.taskFiles })
+      .tasksJsonPath;
+
+  let task = null;
+  const result = updateTasksFile(
+    tasksJsonPath,
+    (data) => {
+      task = ((data && data.tasks) || []).find((t) => t && t.id === taskId);
+      if (!task) {
+        throw new Error(`Task not found: "${taskId}" in ${tasksJsonPath}`);
+      }
+      return mutate(task, data);
+    },
+    opts
+  );
+
+  return { task, tasksJsonPath, result };
+}
+
+module.exports = {
+  updateTask,
+  updateTasksFile,
+  withTasksFileLock,
+  readTasksFile,
+  writeTasksFile,
+  DEFAULT_LOCK_OPTIONS,
+};
@@ -10,7 +10,8 @@
  * Functions:
  * - parseTaskId(taskId)              - Parse a task ID into project and task name.
  * - getTasksJsonPath(projectId, projectsRoot) - Build absolute path to a project's tasks.json.
- * - findTask(taskId, projectsRoot)   - Find a task by ID and return task data with metadata.
+ * - resolveTaskFiles(projectDir, patterns) - List a project's task files.
+ * - findTask(taskId, projectsRoot, options) - Find a task by ID and return task data with metadata.
  */
 
 const fs = require('fs');
@@ -59,6 +60,14 @@ function parseTaskId(taskId) {
 
 // ── Tasks File Path Resolution ──────────────────────────────────────
 
+/**
+ * Task file patterns used when a project does not configure `task_files`.
+ * Patterns are relative to the project directory.
+ */
+const DEFAULT_TASK_FILES = ['.claude/tasks/*.json'];
+
+const PRIMARY_TASK_FILE = 'tasks.json';
+
 /**
  * Build the absolute path to a project's tasks.json file.
  *
@@ -80,18 +89,108 @@ function getTasksJsonPath(projectId, projectsRoot) {
   return path.join(projectPath, '.claude', 'tasks', 'tasks.json');
 }
 
+/**
+ * Convert a file name pattern with `*` and `?` wildcards to a RegExp.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List the task files of a project.
+ *
+ * Each pattern is a path relative to the project directory (absolute
+ * paths are used as-is). Wildcards (`*`, `?`) are supported in the file
+ * name only, e.g. `.claude/tasks/*.json`. Only existing files are
+ * returned, without duplicates. Within a wildcard match, tasks.json
+ * comes first and the rest are sorted by name, so a project's primary
+ * file is always read before its per-milestone files.
+ *
+ * @param {string} projectDir - Absolute path to the project directory.
+ * @param {string[]} [patterns=DEFAULT_TASK_FILES] - The project's `task_files`.
+ * @returns {string[]} Absolute paths of existing task files.
+ *
+ * @example
+ * resolveTaskFiles('/home/user/projects/jade-cli');
+ * // => ['/home/.../.claude/tasks/tasks.json', '/home/.../.claude/tasks/v2.json']
+ */
+function resolveTaskFiles(projectDir, patterns) {
+  const list =
+    Array.isArray(patterns) && patterns.length > 0 ? patterns : DEFAULT_TASK_FILES;
+  const files = [];
+
+  for (const pattern of list) {
+    const absolute = path.resolve(projectDir, pattern);
+    const dir = path.dirname(absolute);
+    const base = path.basename(absolute);
+
+    let candidates;
+    if (/[*?]/.test(base)) {
+      let names;
+      try {
+        names = fs.readdirSync(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+          continue;
+        }
+        throw err;
+      }
+      const matcher = globToRegExp(base);
+      candidates = names
+        .filter((name) => matcher.test(name))
+        .sort((a, b) => {
+          if (a === PRIMARY_TASK_FILE || b === PRIMARY_TASK_FILE) {
+            return a === PRIMARY_TASK_FILE ? -1 : 1;
+          }
+          return a < b ? -1 : a > b ? 1 : 0;
+        })
+        .map((name) => path.join(dir, name));
+    } else {
+      candidates = [absolute];
+    }
+
+    for (const candidate of candidates) {
+      if (files.includes(candidate)) {
+        continue;
+      }
+      try {
+        if (fs.statSync(candidate).isFile()) {
+          files.push(candidate);
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+          throw err;
+        }
+      }
+    }
+  }
+
+  return files;
+}
+
 // ── Task Lookup ─────────────────────────────────────────────────────
 
 /**
- * Find a task by ID in a project's tasks.json file.
+ * Find a task by ID in a project's task files.
  *
- * Reads the tasks.json file, locates the task object by ID, and returns
- * the task along with metadata including:
- * - The full tasks.json data object
- * - The task's index in the tasks array
- * - The absolute path to the tasks.json file
+ * Searches each of the project's task files (see resolveTaskFiles) in
+ * order, locates the task object by ID, and returns the task along with
+ * metadata including:
+ * - The full data object of the file containing the task
+ * - The task's index in that file's tasks array
+ * - The absolute path to that file
  * - A derived project registry entry
  *
+ * Writers must save `data` back to `tasksJsonPath` so the task stays in
+ * the file it came from.
+ *
  * The project registry entry is built from:
  * 1. task._project field (if present)
  * 2. data.project field (fallback for name)
@@ -99,6 +198,9 @@ function getTasksJsonPath(projectId, projectsRoot) {
  *
  * @param {string} taskId       - Full task ID (e.g. "project-name/task-name").
  * @param {string} projectsRoot - Root directory containing project directories.
+ * @param {Object} [options]
+ * @param {string[]} [options.taskFiles] - The project's task file patterns
+ *   (registry `task_files`). Defaults to DEFAULT_TASK_FILES.
  * @returns {{
  *   task: Object,
  *   taskIndex: number,
@@ -106,7 +208,8 @@ function getTasksJsonPath(projectId, projectsRoot) {
  *   project: Object,
  *   tasksJsonPath: string
  * }}
- * @throws {Error} If the task is not found or the file is missing.
+ * @throws {Error} If the task is not found, no task file exists, or the
+ *   task is absent and a task file could not be parsed.
  *
  * @example
  * const result = findTask('jade-cli/implement-scanner', '/home/user/projects');
@@ -116,73 +219,84 @@ function getTasksJsonPath(projectId, projectsRoot) {
  * // result.project => { name: 'jade-cli', path: 'jade-cli', ... }
  * // result.tasksJsonPath => '/home/user/projects/jade-cli/.claude/tasks/tasks.json'
  */
-function findTask(taskId, projectsRoot) {
+function findTask(taskId, projectsRoot, options) {
+  const opts = options || {};
+
   // Parse the task ID to extract project name
   const { projectId } = parseTaskId(taskId);
 
-  // Build path to tasks.json
-  const tasksJsonPath = getTasksJsonPath(projectId, projectsRoot);
-
-  // Read and parse tasks.json
-  let content;
-  try {
-    content = fs.readFileSync(tasksJsonPath, 'utf8');
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      throw new Error(
-        `Tasks file not found for project "${projectId}": ${tasksJsonPath}`
-      );
-    }
-    throw err;
+  const tasksFiles = resolveTaskFiles(
+    path.join(projectsRoot, projectId),
+    opts.taskFiles
+  );
+  if (tasksFiles.length === 0) {
+    throw new Error(
+      `Tasks file not found for project "${projectId}": ${getTasksJsonPath(projectId, projectsRoot)}`
+    );
   }
 
-  const data = JSON.parse(content);
-  const tasks = data.tasks || [];
+  // Search each file; a malformed file only matters if the task is not
+  // found in any of the others
+  let parseError = null;
+  for (const tasksJsonPath of tasksFiles) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(tasksJsonPath, 'utf8'));
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) {
+        throw err;
+      }
+      parseError = parseError || new SyntaxError(`${err.message} in ${tasksJsonPath}`);
+      continue;
+    }
 
-  // Find the task by ID
-  let taskIndex = -1;
-  for (let i = 0; i < tasks.length; i++) {
-    if (tasks[i].id === taskId) {
-      taskIndex = i;
-      break;
+    const tasks = (data && data.tasks) || [];
+    const taskIndex = tasks.findIndex((t) => t && t.id === taskId);
+    if (taskIndex === -1) {
+      continue;
     }
-  }
 
-  if (taskIndex === -1) {
-    throw new Error(`Task not found: "${taskId}" in ${tasksJsonPath}`);
-  }
+    const task = tasks[taskIndex];
 
-  const task = tasks[taskIndex];
+    // Build a project registry entry from available data
+    // Priority: task._project > data.project > derived from ID
+    const project = task._project || {
+      name: data.project || projectId,
+      path: projectId,
+      status: 'unknown',
+      language: 'javascript',
+      test_command: null,
+    };
 
-  // Build a project registry entry from available data
-  // Priority: task._project > data.project > derived from ID
-  const project = task._project || {
-    name: data.project || projectId,
-    path: projectId,
-    status: 'unknown',
-    language: 'javascript',
-    test_command: null,
-  };
+    // Ensure project has name and path (defensive)
+    if (!project.name) {
+      project.name = data.project || projectId;
+    }
+    if (!project.path) {
+      project.path = projectId;
+    }
 
-  // Ensure project has name and path (defensive)
-  if (!project.name) {
-    project.name = data.project || projectId;
-  }
-  if (!project.path) {
-    project.path = projectId;
+    return {
+      task,
+      taskIndex,
+      data,
+      project,
+      tasksJsonPath,
+    };
   }
 
-  return {
-    task,
-    taskIndex,
-    data,
-    project,
-    tasksJsonPath,
-  };
+  if (parseError) {
+    throw parseError;
+  }
+  const searched =
+    tasksFiles.length === 1 ? tasksFiles[0] : `${tasksFiles.length} task files`;
+  throw new Error(`Task not found: "${taskId}" in ${searched}`);
 }
 
 module.exports = {
   parseTaskId,
   getTasksJsonPath,
+  resolveTaskFiles,
   findTask,
+  DEFAULT_TASK_FILES,
 };
@@ -0,0 +1,505 @@
+'use strict';
+
+/**
+ * Task Watcher Module for the jade-dev-assist orchestrator.
+ *
+ * Watches every registered project's task files (registry `task_files`,
+ * default .claude/tasks/*.json) and emits typed events when tasks change,
+ * so consumers can react to edits instead of rescanning:
+ *
+ *   task:added           { after }
+ *   task:removed         { before }
+ *   task:status-changed  { before, after, from, to }
+ *   task:field-changed   { before, after, changes: [{ field, before, after }] }
+ *
+ * Every task event carries { type, taskId, project, path, timestamp } and
+ * is also emitted as `change`. File-level events:
+ *
+ *   file:error      a tasks file could not be parsed (e.g. a half-written
+ *                   save); the last good snapshot is kept and the file is
+ *                   re-read after `retryMs`
+ *   file:recovered  a previously unreadable file parsed again
+ *
+ * Bursts of filesystem notifications are debounced per project. Where
+ * fs.watch is unavailable (or the tasks directory does not exist yet)
+ * the watcher falls back to fs.watchFile polling.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { loadRegistry, readTaskFile } = require('./scanner');
+const { migrateTasksData } = require('./task-migrations');
+const { resolveTaskFiles, DEFAULT_TASK_FILES } = require('./task-utils');
+
+const logger = createLogger('task-watcher');
+
+/**
+ * Task event names, in the order they are emitted for one task.
+ */
+const WATCH_EVENTS = {
+  added: 'task:added',
+  removed: 'task:removed',
+  statusChanged: 'task:status-changed',
+  fieldChanged: 'task:field-changed',
+};
+
+const DEFAULT_DEBOUNCE_MS = 150;
+const DEFAULT_RETRY_MS = 500;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+// ── Diffing ──────────────────────────────────────────────────────────
+
+/**
+ * Compare two JSON-compatible values.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Diff two snapshots of a tasks file.
+ *
+ * @param {Map<string, Object>} before - Task ID to task, previous snapshot.
+ * @param {Map<string, Object>} after - Task ID to task, current snapshot.
+ * @param {{ project: string, path: string }} context - Attached to every
+ *   event; a task's own `_sourcePath` takes precedence over `path`.
+ * @returns {Object[]} Events in file order: removals first, then additions
+ *   and changes.
+ */
+function diffTasks(before, after, context) {
+  const timestamp = new Date().toISOString();
+  const base = (type, taskId, task) => ({
+    type,
+    taskId,
+    project: context.project,
+    path: task._sourcePath || context.path,
+    timestamp,
+  });
+  const events = [];
+
+  for (const [taskId, oldTask] of before) {
+    if (!after.has(taskId)) {
+      events.push({ ...base(WATCH_EVENTS.removed, taskId, oldTask), before: oldTask, after: null });
+    }
+  }
+
+  for (const [taskId, newTask] of after) {
+    const oldTask = before.get(taskId);
+    if (!oldTask) {
+      events.push({ ...base(WATCH_EVENTS.added, taskId, newTask), before: null, after: newTask });
+      continue;
+    }
+
+    if (oldTask.status !== newTask.status) {
+      events.push({
+        ...base(WATCH_EVENTS.statusChanged, taskId, newTask),
+        before: oldTask,
+        after: newTask,
+        from: oldTask.status,
+        to: newTask.status,
+      });
+    }
+
+    const fields = new Set([...Object.keys(oldTask), ...Object.keys(newTask)]);
+    const changes = [];
+    for (const field of fields) {
+      if (field !== 'status' && !sameValue(oldTask[field], newTask[field])) {
+        changes.push({ field, before: oldTask[field], after: newTask[field] });
+      }
+    }
+    if (changes.length > 0) {
+      events.push({
+        ...base(WATCH_EVENTS.fieldChanged, taskId, newTask),
+        before: oldTask,
+        after: newTask,
+        changes,
+      });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Merge per-file snapshots into one task map.
+ *
+ * @param {Map<string, Map<string, Object>>} files
+ * @returns {Map<string, Object>}
+ */
+function mergeFiles(files) {
+  const merged = new Map();
+  for (const tasks of files.values()) {
+    for (const [taskId, task] of tasks) {
+      if (!merged.has(taskId)) {
+        merged.set(taskId, task);
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Read a tasks file into a snapshot. Each task is tagged with
+ * `_sourcePath`, as the scanner does, so moving a task to another file
+ * shows up as a `_sourcePath` field change.
+ *
+ * @param {string} filePath
+ * @returns {{ tasks: Map<string, Object> }|{ error: string }}
+ *   A missing file is an empty snapshot, not an error.
+ */
+function readSnapshot(filePath) {
+  let result;
+  try {
+    result = readTaskFile(filePath, null);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!result) {
+    return { tasks: new Map() };
+  }
+  if (result.parseError !== undefined) {
+    return { error: result.parseError };
+  }
+
+  let data;
+  try {
+    data = migrateTasksData(result.data).data;
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!Array.isArray(data.tasks)) {
+    return { error: "Field 'tasks' is not an array" };
+  }
+
+  const tasks = new Map();
+  for (const task of data.tasks) {
+    if (task && task.id) {
+      tasks.set(task.id, { ...task, _sourcePath: filePath });
+    }
+  }
+  return { tasks };
+}
+
+// ── TaskWatcher ──────────────────────────────────────────────────────
+
+/**
+ * TaskWatcher: emits task events for every registered project.
+ *
+ * Each project is diffed as a whole across its task files, so a task
+ * moved from one milestone file to another is reported as a
+ * `_sourcePath` field change, not as a removal and an addition.
+ */
+class TaskWatcher extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.registry] - Pre-loaded registry object.
+   * @param {string} [options.registryPath] - Path to the registry JSON file.
+   * @param {number} [options.debounceMs=150] - Quiet period before a changed
+   *   project is re-read.
+   * @param {number} [options.retryMs=500] - Delay before re-reading a file
+   *   that failed to parse.
+   * @param {number} [options.maxRetries=5] - Retries per unreadable write.
+   * @param {number} [options.pollIntervalMs=1000] - fs.watchFile interval
+   *   used when fs.watch is unavailable.
+   * @param {boolean} [options.forcePolling] - Always use fs.watchFile.
+   *   Polling only sees task files that existed when watching started.
+   */
+  constructor(options) {
+    super();
+    const opts = options || {};
+    this.registry = opts.registry || null;
+    this.registryPath = opts.registryPath;
+    this.debounceMs =
+      opts.debounceMs !== undefined ? opts.debounceMs : DEFAULT_DEBOUNCE_MS;
+    this.retryMs = opts.retryMs !== undefined ? opts.retryMs : DEFAULT_RETRY_MS;
+    this.maxRetries =
+      opts.maxRetries !== undefined ? opts.maxRetries : DEFAULT_MAX_RETRIES;
+    this.pollIntervalMs = opts.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.forcePolling = !!opts.forcePolling;
+    this.projects = new Map(); // { name: { dir, taskFiles, files, failing, watchers, polled, timer, retries } }
+    this.running = false;
+  }
+
+  /**
+   * Take an initial snapshot of every task file and start watching.
+   * No events are emitted for tasks that already exist.
+   *
+   * @returns {TaskWatcher} this
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+    const registry = this.registry || loadRegistry(this.registryPath);
+    const projectsRoot = registry.projects_root || '';
+
+    for (const project of registry.projects || []) {
+      const state = {
+        project: project.name,
+        dir: path.resolve(projectsRoot, project.path),
+        taskFiles: project.task_files,
+        files: new Map(), // { filePath: Map<taskId, task> }
+        failing: new Set(),
+        watchers: [],
+        polled: new Set(),
+        timer: null,
+        retries: 0,
+      };
+      this.projects.set(project.name, state);
+
+      const initial = this.readProject(state);
+      state.files = initial.files;
+      this.recordErrors(state, initial.errors);
+      this.watch(state);
+    }
+
+    this.running = true;
+    logger.info('Watching task files', { projects: this.projects.size });
+    return this;
+  }
+
+  /**
+   * Stop watching and cancel pending re-reads.
+   */
+  stop() {
+    for (const state of this.projects.values()) {
+      clearTimeout(state.timer);
+      for (const watcher of state.watchers) {
+        watcher.close();
+      }
+      for (const filePath of state.polled) {
+        fs.unwatchFile(filePath);
+      }
+    }
+    this.projects.clear();
+    this.running = false;
+  }
+
+  /**
+   * Re-read a project's task files now and emit events for any
+   * differences from the last good snapshot of each file.
+   *
+   * @param {string} target - Project name, or the path of a file in one
+   *   of the watched projects.
+   * @returns {Object[]} The emitted task events.
+   */
+  refresh(target) {
+    const state = this.findProject(target);
+    if (!state) {
+      return [];
+    }
+
+    const next = this.readProject(state);
+    const events = diffTasks(mergeFiles(state.files), mergeFiles(next.files), {
+      project: state.project,
+      path: state.dir,
+    });
+    state.files = next.files;
+    this.recordErrors(state, next.errors);
+
+    for (const event of events) {
+      this.emit(event.type, event);
+      this.emit('change', event);
+    }
+    return events;
+  }
+
+  /**
+   * Look up a project's state by name or by a path inside it.
+   *
+   * @param {string} target
+   * @returns {Object|undefined}
+   */
+  findProject(target) {
+    if (this.projects.has(target)) {
+      return this.projects.get(target);
+    }
+    const resolved = path.resolve(target);
+    for (const state of this.projects.values()) {
+      if (
+        state.files.has(resolved) ||
+        resolved.startsWith(state.dir + path.sep)
+      ) {
+        return state;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Read every task file of a project. A file that fails to parse keeps
+   * its previous snapshot; a file that no longer exists is dropped.
+   *
+   * @param {Object} state
+   * @returns {{ files: Map<string, Map<string, Object>>, errors: Array<{ path: string, error: string }> }}
+   */
+  readProject(state) {
+    const files = new Map();
+    const errors = [];
+    for (const filePath of resolveTaskFiles(state.dir, state.taskFiles)) {
+      const snapshot = readSnapshot(filePath);
+      if (snapshot.error) {
+        errors.push({ path: filePath, error: snapshot.error });
+        files.set(filePath, state.files.get(filePath) || new Map());
+      } else {
+        files.set(filePath, snapshot.tasks);
+      }
+    }
+    return { files, errors };
+  }
+
+  /**
+   * Watch the directories holding a project's task files, falling back
+   * to polling. Watching directories (not files) survives rename-based
+   * saves and notices new task files.
+   *
+   * @param {Object} state
+   */
+  watch(state) {
+    const patterns =
+      Array.isArray(state.taskFiles) && state.taskFiles.length > 0
+        ? state.taskFiles
+        : DEFAULT_TASK_FILES;
+    const dirs = new Set(
+      patterns.map((pattern) => path.dirname(path.resolve(state.dir, pattern)))
+    );
+
+    if (!this.forcePolling) {
+      try {
+        for (const dir of dirs) {
+          const watcher = fs.watch(dir, () => {
+            this.schedule(state, this.debounceMs);
+          });
+          watcher.on('error', (err) => {
+            logger.warn('Directory watcher failed, falling back to polling', {
+              project: state.project,
+              dir,
+              error: err.message,
+            });
+            watcher.close();
+            state.watchers = state.watchers.filter((w) => w !== watcher);
+            this.poll(state);
+          });
+          state.watchers.push(watcher);
+        }
+        return;
+      } catch (err) {
+        logger.debug('fs.watch unavailable, polling instead', {
+          project: state.project,
+          error: err.message,
+        });
+        for (const watcher of state.watchers) {
+          watcher.close();
+        }
+        state.watchers = [];
+      }
+    }
+    this.poll(state);
+  }
+
+  /**
+   * Watch a project's task files by polling their stat.
+   *
+   * @param {Object} state
+   */
+  poll(state) {
+    const literal = (state.taskFiles || [])
+      .filter((pattern) => !/[*?]/.test(path.basename(pattern)))
+      .map((pattern) => path.resolve(state.dir, pattern));
+    for (const filePath of new Set([...state.files.keys(), ...literal])) {
+      if (state.polled.has(filePath)) {
+        continue;
+      }
+      state.polled.add(filePath);
+      fs.watchFile(filePath, { interval: this.pollIntervalMs }, () => {
+        this.schedule(state, this.debounceMs);
+      });
+    }
+  }
+
+  /**
+   * (Re)start the timer for a project's next refresh.
+   *
+   * @param {Object} state
+   * @param {number} delay
+   */
+  schedule(state, delay) {
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      if (this.running) {
+        this.refresh(state.project);
+      }
+    }, delay);
+  }
+
+  /**
+   * Emit file:error / file:recovered for a read and schedule a retry
+   * while files are unreadable, since the write that fixes them may not
+   * produce another notification.
+   *
+   * @param {Object} state
+   * @param {Array<{ path: string, error: string }>} errors
+   */
+  recordErrors(state, errors) {
+    const failing = new Set(errors.map((e) => e.path));
+    for (const filePath of state.failing) {
+      if (!failing.has(filePath)) {
+        this.emit('file:recovered', { project: state.project, path: filePath });
+      }
+    }
+    state.failing = failing;
+
+    if (errors.length === 0) {
+      state.retries = 0;
+      return;
+    }
+
+    state.retries++;
+    const willRetry = state.retries <= this.maxRetries;
+    for (const { path: filePath, error } of errors) {
+      const info = {
+        project: state.project,
+        path: filePath,
+        error,
+        attempt: state.retries,
+        willRetry,
+      };
+      logger.warn('Unreadable tasks file, keeping last snapshot', info);
+      this.emit('file:error', info);
+    }
+    if (willRetry) {
+      this.schedule(state, this.retryMs);
+    }
+  }
+}
+
+/**
+ * Create and start a TaskWatcher.
+ *
+ * @param {Object} [options] - Same options as the TaskWatcher constructor.
+ * @returns {TaskWatcher}
+ *
+ * @example
+ * const watcher = watchTasks();
+ * watcher.on('task:status-changed', (e) => console.log(e.taskId, e.from, '->', e.to));
+ */
+function watchTasks(options) {
+  return new TaskWatcher(options).start();
+}
+
+module.exports = {
+  TaskWatcher,
+  watchTasks,
+  diffTasks,
+  WATCH_EVENTS,
+  // Exposed for testing
+  readSnapshot,
+};
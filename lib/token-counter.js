@@ -0,0 +1,373 @@
+'use strict';
+
+/**
+ * Token Counter Module for the jade-dev-assist orchestrator.
+ *
+ * Counts tokens wherever a prompt budget is enforced (dispatcher file and
+ * doc context, fixer prompts). A counter is any object with a `name` and
+ * a `count(text)` method, so a real tokenizer can be plugged in with
+ * registerTokenCounter() or passed directly as the `tokenCounter` option.
+ *
+ * Built-in counters:
+ * - `heuristic`: ~4 characters per token. Cheap, but overshoots on prose
+ *   and undershoots on dense code and non-English text.
+ * - `bpe` (default): an offline approximation of a byte-pair-encoding
+ *   tokenizer. Splits text the way BPE pre-tokenizers do (words with
+ *   their leading space, digit groups, punctuation runs, whitespace runs)
+ *   and estimates the sub-word pieces of each chunk by script and length.
+ *
+ * The counter is chosen by the `tokenCounter` option, then the
+ * JADE_TOKEN_COUNTER environment variable, then `bpe`. If a counter
+ * throws, the heuristic is used instead.
+ */
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('token-counter');
+
+/**
+ * Approximate characters per token for the heuristic counter.
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Counter used when none is configured.
+ */
+const DEFAULT_COUNTER = 'bpe';
+
+/**
+ * Pre-tokenizer, after the GPT-style BPE split: contractions, words with
+ * an optional leading space, digit runs, punctuation runs, whitespace.
+ */
+const PRETOKEN_PATTERN =
+  /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+/gu;
+
+/**
+ * Scripts whose characters are roughly one token each.
+ */
+const IDEOGRAPHIC_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Letters a BPE vocabulary typically keeps in one piece.
+ */
+const WORD_PIECE_CHARS = 10;
+
+/**
+ * Letters per piece beyond that (rare words, identifiers, hashes).
+ */
+const RARE_PIECE_CHARS = 4;
+
+/**
+ * Digits per token (BPE vocabularies split numbers in groups of three).
+ */
+const DIGITS_PER_TOKEN = 3;
+
+/**
+ * ASCII punctuation characters per token (common runs like `();` and
+ * `===` are merged).
+ */
+const PUNCTUATION_PER_TOKEN = 2;
+
+/**
+ * Whitespace characters per token (indentation runs are merged).
+ */
+const WHITESPACE_PER_TOKEN = 16;
+
+// ── Built-in Counters ────────────────────────────────────────────────
+
+/**
+ * ~4 characters per token.
+ */
+const heuristicCounter = {
+  name: 'heuristic',
+  count(text) {
+    if (!text) {
+      return 0;
+    }
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  },
+};
+
+/**
+ * Estimate the sub-word pieces of one run of letters.
+ *
+ * @param {string} word - Letters only, without the leading space.
+ * @returns {number}
+ */
+function countWordPieces(word) {
+  if (/^[A-Za-z]+$/.test(word)) {
+    // camelCase and PascalCase parts are separate pieces
+    const parts = word.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+/g) || [word];
+    return parts.reduce(
+      (sum, part) =>
+        sum +
+        1 +
+        Math.ceil(
+          Math.max(0, part.length - WORD_PIECE_CHARS) / RARE_PIECE_CHARS
+        ),
+      0
+    );
+  }
+
+  let tokens = 0;
+  let other = 0;
+  for (const ch of word) {
+    if (IDEOGRAPHIC_PATTERN.test(ch)) {
+      tokens++;
+    } else {
+      other++;
+    }
+  }
+  // Accented Latin, Cyrillic, Greek, Arabic, ...: ~2 letters per token
+  return tokens + Math.ceil(other / 2);
+}
+
+/**
+ * Estimate the tokens of one punctuation or symbol run.
+ *
+ * @param {string} run
+ * @returns {number}
+ */
+function countSymbols(run) {
+  let ascii = 0;
+  let tokens = 0;
+  for (const ch of run) {
+    if (ch.charCodeAt(0) < 0x80) {
+      ascii++;
+    } else {
+      // Emoji and other symbols fall back to byte pieces
+      tokens += Math.ceil(Buffer.byteLength(ch) / 2);
+    }
+  }
+  return tokens + Math.ceil(ascii / PUNCTUATION_PER_TOKEN);
+}
+
+/**
+ * Offline BPE-style counter.
+ */
+const bpeCounter = {
+  name: 'bpe',
+  count(text) {
+    if (!text) {
+      return 0;
+    }
+    let tokens = 0;
+    for (const [piece] of text.matchAll(PRETOKEN_PATTERN)) {
+      const body =
+        piece.length > 1 && piece[0] === ' ' ? piece.slice(1) : piece;
+      if (/^\s+$/.test(piece)) {
+        tokens += Math.ceil(piece.length / WHITESPACE_PER_TOKEN);
+      } else if (/^\p{L}/u.test(body)) {
+        tokens += countWordPieces(body);
+      } else if (/^\p{N}/u.test(body)) {
+        tokens += Math.ceil(body.length / DIGITS_PER_TOKEN);
+      } else if (piece[0] === "'") {
+        tokens += 1;
+      } else {
+        tokens += countSymbols(body);
+      }
+    }
+    return tokens;
+  },
+};
+
+/**
+ * Registered counters by name.
+ */
+const counters = new Map([
+  [heuristicCounter.name, heuristicCounter],
+  [bpeCounter.name, bpeCounter],
+]);
+
+// ── Counter Selection ────────────────────────────────────────────────
+
+/**
+ * Register a counter under a name, e.g. one backed by a real tokenizer.
+ *
+ * @param {string} name
+ * @param {{ count: function(string): number }|function(string): number} counter
+ */
+function registerTokenCounter(name, counter) {
+  const count =
+    typeof counter === 'function' ? counter : counter && counter.count;
+  if (typeof count !== 'function') {
+    const err = new Error(`Token counter "${name}" must have a count() method`);
+    err.code = 'TOKEN_COUNTER_INVALID';
+    throw err;
+  }
+  counters.set(name, { name, count: count.bind(counter) });
+}
+
+/**
+ * Wrap a counter so errors fall back to the heuristic.
+ *
+ * @param {Object} counter
+ * @returns {Object}
+ */
+function withFallback(counter) {
+  if (counter === heuristicCounter) {
+    return counter;
+  }
+  return {
+    name: counter.name,
+    count(text) {
+      try {
+        return counter.count(text);
+      } catch (err) {
+        logger.warn('Token counter failed, using heuristic', {
+          counter: counter.name,
+          error: err.message,
+        });
+        return heuristicCounter.count(text);
+      }
+    },
+  };
+}
+
+/**
+ * Resolve the `tokenCounter` option to a counter.
+ *
+ * @param {Object} [options]
+ * @param {string|Object|function} [options.tokenCounter] - Counter name,
+ *   counter object or count function. Defaults to JADE_TOKEN_COUNTER,
+ *   then "bpe".
+ * @returns {{ name: string, count: function(string): number }}
+ */
+function getTokenCounter(options) {
+  const opts = options || {};
+  const spec =
+    opts.tokenCounter || process.env.JADE_TOKEN_COUNTER || DEFAULT_COUNTER;
+
+  if (typeof spec === 'function') {
+    return withFallback({ name: spec.name || 'custom', count: spec });
+  }
+  if (typeof spec === 'object' && typeof spec.count === 'function') {
+    return withFallback({
+      name: spec.name || 'custom',
+      count: spec.count.bind(spec),
+    });
+  }
+  const counter = counters.get(spec);
+  if (!counter) {
+    logger.warn('Unknown token counter, using heuristic', { counter: spec });
+    return heuristicCounter;
+  }
+  return withFallback(counter);
+}
+
+// ── Counting Helpers ─────────────────────────────────────────────────
+
+/**
+ * Count tokens with the configured counter.
+ *
+ * @param {string} text
+ * @param {Object} [options] - See getTokenCounter().
+ * @returns {number}
+ */
+function countTokens(text, options) {
+  return getTokenCounter(options).count(text);
+}
+
+/**
+ * Longest prefix of `text` that fits in `maxTokens`.
+ *
+ * Binary search over the prefix length, so any counter works.
+ *
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {Object} counter
+ * @returns {string}
+ */
+function truncateToTokens(text, maxTokens, counter) {
+  if (!text || maxTokens <= 0) {
+    return '';
+  }
+  if (counter.count(text) <= maxTokens) {
+    return text;
+  }
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (counter.count(text.slice(0, mid)) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return text.slice(0, low);
+}
+
+/**
+ * Log a token count next to the heuristic estimate and, when known, the
+ * count the model actually reported, so the counters can be calibrated.
+ *
+ * @param {string} label - What was counted (task ID, prompt name, ...).
+ * @param {Object} counts
+ * @param {string} counts.counter - Name of the counter used.
+ * @param {number} counts.tokens - Its count.
+ * @param {number} [counts.heuristic] - The heuristic estimate.
+ * @param {number} [counts.actual] - Tokens reported by the model.
+ * @returns {Object} The logged fields.
+ */
+function logTokenCalibration(label, counts) {
+  const fields = { label, ...counts };
+  if (counts.actual > 0) {
+    fields.error = Number(
+      ((counts.tokens - counts.actual) / counts.actual).toFixed(3)
+    );
+    if (counts.heuristic !== undefined) {
+      fields.heuristicError = Number(
+        ((counts.heuristic - counts.actual) / counts.actual).toFixed(3)
+      );
+    }
+    logger.info('Token count vs actual', fields);
+  } else {
+    logger.debug('Token count', fields);
+  }
+  return fields;
+}
+
+/**
+ * Input token count reported in a worker's output, if any.
+ *
+ * Finds `"input_tokens": N` (plus cache reads and writes) in JSON output
+ * such as `claude --print --output-format json`.
+ *
+ * @param {string} output
+ * @returns {number|null}
+ */
+function extractUsageTokens(output) {
+  if (!output) {
+    return null;
+  }
+  const read = (field) => {
+    const matches = [
+      ...output.matchAll(new RegExp(`"${field}"\\s*:\\s*(\\d+)`, 'g')),
+    ];
+    return matches.length ? Number(matches[matches.length - 1][1]) : null;
+  };
+  const input = read('input_tokens');
+  if (input === null) {
+    return null;
+  }
+  return (
+    input +
+    (read('cache_read_input_tokens') || 0) +
+    (read('cache_creation_input_tokens') || 0)
+  );
+}
+
+module.exports = {
+  getTokenCounter,
+  registerTokenCounter,
+  countTokens,
+  truncateToTokens,
+  logTokenCalibration,
+  extractUsageTokens,
+  heuristicCounter,
+  bpeCounter,
+  CHARS_PER_TOKEN,
+  DEFAULT_COUNTER,
+};
@@ -16,19 +16,25 @@
  *   node scripts/batch-orchestrate.js --batch 5
  *   node scripts/batch-orchestrate.js --batch 10 --dry-run
  *   node scripts/batch-orchestrate.js --batch 3 --model local
+ *   node scripts/batch-orchestrate.js --batch 5 --profile bug-bash
+ *   node scripts/batch-orchestrate.js --batch 6 --fair-share --max-in-progress 2
  */
 
 const fs = require('fs');
 const path = require('path');
-const {exec, spawn} = require('child_process');
-const { promisify } = require('util');
-
-const execAsync = promisify(exec);
+const { spawn } = require('child_process');
 
 // Import orchestrator modules
 const { scanTasks } = require('../lib/scanner');
 const { scoreTasks } = require('../lib/scorer');
 const { buildWorkerPrompt } = require('../lib/dispatcher');
+const {
+  buildTierConfig,
+  parseWorkerOutput,
+  logWorkerUsage,
+} = require('../lib/executor');
+const { updateTaskStatus: setTaskStatus } = require('../lib/status-updater');
+const { withJournalBatch } = require('../lib/task-journal');
 
 /**
  * Load projects registry
@@ -43,54 +49,39 @@ function loadProjectRegistry() {
 
 /**
  * Update task status in tasks.json
+ *
+ * Goes through status-updater, so the change is written under the task
+ * file's lock, checked against the task state machine and recorded with
+ * this script as its source. The task is written back to the file the
+ * scan read it from, and dependents are searched under the registry's
+ * projects_root, in each project's task_files.
  */
-function updateTaskStatus(taskId, status) {
-  // Parse project from task ID: "project/task-slug-hash"
-  const [project] = taskId.split('/');
-
-  const tasksPath = path.join(process.env.HOME, 'projects', project, '.claude', 'tasks', 'tasks.json');
-  if (!fs.existsSync(tasksPath)) {
-    console.warn(`Tasks file not found: ${tasksPath}`);
-    return;
-  }
-
-  const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-  const task = data.tasks.find(t => t.id === taskId);
-
-  if (!task) {
-    console.warn(`Task not found: ${taskId}`);
-    return;
-  }
-
-  task.status = status;
-
-  // Add history entry
-  if (!task.history) {
-    task.history = [];
-  }
-  task.history.push({
-    timestamp: new Date().toISOString(),
-    from_status: task.status === 'in_progress' ? 'pending' : 'in_progress',
-    to_status: status
-  });
-
-  // Update timestamps
-  if (status === 'in_progress') {
-    task.started_at = new Date().toISOString();
-  } else if (status === 'completed') {
-    task.completed_at = new Date().toISOString();
-  } else if (status === 'failed') {
-    task.failed_at = new Date().toISOString();
+function updateTaskStatus(task, status, registry) {
+  try {
+    setTaskStatus(task.id, status, {
+      projectsRoot: registry.projects_root,
+      registry,
+      taskFiles: task._project ? task._project.task_files : undefined,
+      tasksJsonPath: task._sourcePath,
+      source: 'batch-orchestrate',
+    });
+  } catch (err) {
+    console.warn(`Could not update ${task.id}: ${err.message}`);
+    return false;
   }
 
-  fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
-  console.log(`  ✓ Updated ${taskId} → ${status}`);
+  console.log(`  ✓ Updated ${task.id} → ${status}`);
+  return true;
 }
 
 /**
  * Execute a single worker task
+ *
+ * Runs claude with the executor's tier flags (JSON output), prints the
+ * worker's result text and logs its token usage against the prompt
+ * estimate, as lib/executor.js does.
  */
-async function executeWorker(task, workingDir, model = 'opus', dryRun = false) {
+async function executeWorker(task, workingDir, model = 'opus', dryRun = false, registry = loadProjectRegistry()) {
   console.log(`\n[Worker] Starting: ${task.id}`);
   console.log(`  Project: ${task._projectName}`);
   console.log(`  Working directory: ${workingDir}`);
@@ -104,39 +95,32 @@ async function executeWorker(task, workingDir, model = 'opus', dryRun = false) {
   }
 
   // Build worker prompt
-  const dispatchDescriptor = buildWorkerPrompt(task, {
-    includeFiles: true,
-    maxTurns: 25
+  const dispatchDescriptor = buildWorkerPrompt(task, task._project, {
+    projectsRoot: registry.projects_root,
+    registry,
   });
 
-  // Update status to in_progress
-  updateTaskStatus(task.id, 'in_progress');
+  // Update status to in_progress; skip tasks the state machine refuses
+  // to start (e.g. blockers still open)
+  if (!updateTaskStatus(task, 'in_progress', registry)) {
+    return { exitCode: 1, stdout: '', stderr: `Could not start ${task.id}` };
+  }
 
   // Spawn claude subprocess
-  const args = ['--print', '--dangerouslySkipPermissions'];
-  if (model === 'local') {
-    args.push('--model', 'qwen3-coder');
-  }
+  const tierConfig = buildTierConfig(model);
 
   return new Promise((resolve, reject) => {
-    const child = spawn('claude', args, {
+    const child = spawn('claude', tierConfig.args, {
       cwd: workingDir,
       stdio: ['pipe', 'pipe', 'pipe'],
-      env: {
-        ...process.env,
-        ...(model === 'local' && {
-          ANTHROPIC_AUTH_TOKEN: 'ollama',
-          ANTHROPIC_BASE_URL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
-        })
-      }
+      env: tierConfig.env || process.env
     });
 
-    let stdout = '';
+    let rawStdout = '';
     let stderr = '';
 
     child.stdout.on('data', (data) => {
-      stdout += data.toString();
-      process.stdout.write(data);
+      rawStdout += data.toString();
     });
 
     child.stderr.on('data', (data) => {
@@ -149,13 +133,18 @@ async function executeWorker(task, workingDir, model = 'opus', dryRun = false) {
     child.stdin.end();
 
     child.on('close', (code) => {
+      const { text: stdout, json: output } = parseWorkerOutput(rawStdout);
+      if (stdout) {
+        process.stdout.write(stdout.endsWith('\n') ? stdout : `${stdout}\n`);
+      }
       console.log(`\n[Worker] Finished: ${task.id} (exit code: ${code})`);
+      logWorkerUsage(task.id, dispatchDescriptor.meta, output);
 
       // Update status based on exit code
       if (code === 0) {
-        updateTaskStatus(task.id, 'completed');
+        updateTaskStatus(task, 'completed', registry);
       } else {
-        updateTaskStatus(task.id, 'failed');
+        updateTaskStatus(task, 'failed', registry);
       }
 
       resolve({ exitCode: code, stdout, stderr });
@@ -163,7 +152,7 @@ async function executeWorker(task, workingDir, model = 'opus', dryRun = false) {
 
     child.on('error', (error) => {
       console.error(`[Worker] Error: ${task.id}`, error);
-      updateTaskStatus(task.id, 'failed');
+      updateTaskStatus(task, 'failed', registry);
       reject(error);
     });
   });
@@ -173,11 +162,21 @@ async function executeWorker(task, workingDir, model = 'opus', dryRun = false) {
  * Main batch orchestration
  */
 async function batchOrchestrate(options = {}) {
-  const { batchSize = 5, model = 'opus', dryRun = false } = options;
+  const { batchSize = 5, model = 'opus', dryRun = false, profile, fairShare } = options;
 
   console.log('=== Batch Orchestrator ===');
   console.log(`Batch size: ${batchSize}`);
   console.log(`Model: ${model}`);
+  if (profile) {
+    console.log(`Scoring profile: ${profile}`);
+  }
+  if (fairShare) {
+    console.log(
+      fairShare.mode === 'round-robin'
+        ? 'Ranking: round-robin across projects'
+        : `Ranking: fair share, at least ${fairShare.minShare || 1} per project`
+    );
+  }
   if (dryRun) {
     console.log('[DRY-RUN MODE] No actual execution\n');
   }
@@ -188,14 +187,17 @@ async function batchOrchestrate(options = {}) {
 
   // Scan all tasks
   console.log('Scanning tasks...');
-  const scanResult = scanTasks(registry);
+  const scanResult = scanTasks({ registry, cache: true });
   console.log(`Found ${scanResult.tasks.length} tasks across ${Object.keys(registry.projects).length} projects\n`);
 
   // Score and rank pending tasks
   console.log('Scoring and ranking tasks...');
   const pendingTasks = scanResult.tasks.filter(t => t.status === 'pending');
-  const scoredTasks = scoreTasks(pendingTasks, { registry });
-  scoredTasks.sort((a, b) => b._score - a._score);
+  const scoredTasks = scoreTasks(pendingTasks, {
+    registry,
+    profile,
+    fairShare: fairShare && { ...fairShare, top: batchSize, allTasks: scanResult.tasks },
+  });
 
   console.log(`Pending tasks: ${pendingTasks.length}`);
   console.log(`Top ${batchSize} tasks by priority:\n`);
@@ -205,7 +207,7 @@ async function batchOrchestrate(options = {}) {
   });
 
   // Select top N tasks
-  const tasksToExecute = scoredTasks.slice(0, batchSize);
+  const tasksToExecute = scoredTasks.slice(0, batchSize).filter(t => !t._capped);
 
   if (tasksToExecute.length === 0) {
     console.log('\nNo pending tasks to execute');
@@ -217,8 +219,8 @@ async function batchOrchestrate(options = {}) {
   // Execute all workers in parallel
   const startTime = Date.now();
   const promises = tasksToExecute.map(task => {
-    const workingDir = path.join(process.env.HOME, 'projects', task._projectName);
-    return executeWorker(task, workingDir, model, dryRun)
+    const workingDir = path.join(registry.projects_root, task._project.path);
+    return executeWorker(task, workingDir, model, dryRun, registry)
       .catch(error => {
         console.error(`Worker failed: ${task.id}`, error.message);
         return { exitCode: 1, stdout: '', stderr: error.message, error };
@@ -241,10 +243,13 @@ async function batchOrchestrate(options = {}) {
   // Reprioritize remaining tasks
   if (!dryRun && pendingTasks.length > batchSize) {
     console.log(`\nReprioritizing ${pendingTasks.length - batchSize} remaining pending tasks...`);
-    const remainingScanResult = scanTasks(registry);
+    const remainingScanResult = scanTasks({ registry, cache: true });
     const remainingPending = remainingScanResult.tasks.filter(t => t.status === 'pending');
-    const remainingScored = scoreTasks(remainingPending, { registry });
-    remainingScored.sort((a, b) => b._score - a._score);
+    const remainingScored = scoreTasks(remainingPending, {
+      registry,
+      profile,
+      fairShare: fairShare && { ...fairShare, allTasks: remainingScanResult.tasks },
+    });
 
     console.log(`\nTop 10 remaining tasks:`);
     remainingScored.slice(0, 10).forEach((task, i) => {
@@ -275,6 +280,20 @@ function main() {
     } else if (args[i] === '--model' && args[i + 1]) {
       options.model = args[i + 1];
       i++;
+    } else if (args[i] === '--profile' && args[i + 1]) {
+      options.profile = args[i + 1];
+      i++;
+    } else if (args[i] === '--fair-share' || args[i] === '--round-robin') {
+      options.fairShare = {
+        ...options.fairShare,
+        mode: args[i] === '--round-robin' ? 'round-robin' : 'fair-share',
+      };
+    } else if (args[i] === '--min-share' && args[i + 1]) {
+      options.fairShare = { ...options.fairShare, minShare: parseInt(args[i + 1], 10) };
+      i++;
+    } else if (args[i] === '--max-in-progress' && args[i + 1]) {
+      options.fairShare = { ...options.fairShare, maxInProgress: parseInt(args[i + 1], 10) };
+      i++;
     } else if (args[i] === '--dry-run') {
       options.dryRun = true;
     } else if (args[i] === '--help') {
@@ -283,6 +302,13 @@ function main() {
 Options:
   --batch <N>       Number of tasks to execute in parallel (default: 5)
   --model <tier>    Model tier: opus or local (default: opus)
+  --profile <name>  Scoring profile (built-in or from ~/.jade/scoring.json)
+  --fair-share      Guarantee each project a share of the batch
+  --round-robin     Interleave projects one task at a time
+  --min-share <N>   Guaranteed tasks per project with --fair-share (default: 1)
+  --max-in-progress <N>
+                    Cap on a project's in_progress tasks (registry
+                    max_in_progress overrides per project)
   --dry-run         Simulate execution without running actual workers
   --help            Show this help message
 
@@ -294,7 +320,10 @@ Examples:
     }
   }
 
-  batchOrchestrate(options).catch(error => {
+  // One journal batch, so the whole run can be undone in one step
+  withJournalBatch({ source: 'batch-orchestrate' }, () =>
+    batchOrchestrate(options)
+  ).catch(error => {
     console.error('Fatal error:', error);
     process.exit(1);
   });
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * calibrate-complexity.js
+ *
+ * Measures how long each complexity bucket really takes from task history
+ * and suggests corrected complexities for unfinished tasks.
+ *
+ * Usage:
+ *   node scripts/calibrate-complexity.js
+ *   node scripts/calibrate-complexity.js --project jade-cli
+ *   node scripts/calibrate-complexity.js --min-samples 5 --json
+ *
+ * Options:
+ *   --registry <path>     Registry file (default: ~/.jade/projects.json)
+ *   --project <name>      Show this project's buckets and multipliers
+ *   --min-samples <n>     Samples a bucket needs to be used (default: 3)
+ *   --json                Print the calibration and suggestions as JSON
+ */
+
+const { scanTasks } = require('../lib/scanner');
+const {
+  calibrate,
+  calibratedMultipliers,
+  suggestComplexity,
+  DEFAULT_MIN_SAMPLES,
+} = require('../lib/calibration');
+const { COMPLEXITY_MULTIPLIERS } = require('../lib/scoring-profiles');
+
+/**
+ * Parse command-line flags.
+ */
+function parseArgs(argv) {
+  const options = { json: false, minSamples: DEFAULT_MIN_SAMPLES };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--registry' && argv[i + 1]) {
+      options.registryPath = argv[++i];
+    } else if (arg === '--project' && argv[i + 1]) {
+      options.project = argv[++i];
+    } else if (arg === '--min-samples' && argv[i + 1]) {
+      options.minSamples = parseInt(argv[++i], 10);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Print one bucket table.
+ */
+function printBuckets(title, buckets, minSamples) {
+  console.log(`\n${title}`);
+  console.log('  Size  Samples  Median    Attempts  Retries  Failures');
+  for (const [level, bucket] of Object.entries(buckets)) {
+    const medianText =
+      bucket.medianHours === null ? '-' : `${bucket.medianHours.toFixed(1)}h`;
+    const trusted = bucket.samples >= minSamples ? '' : '  (too few samples)';
+    console.log(
+      `  ${level.padEnd(4)}  ${String(bucket.samples).padStart(7)}  ${medianText.padStart(6)}  ` +
+        `${String(bucket.attempts).padStart(8)}  ${String(bucket.retries).padStart(7)}  ` +
+        `${String(bucket.failures).padStart(8)}${trusted}`
+    );
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { tasks } = scanTasks({
+    registryPath: options.registryPath,
+    cache: true,
+  });
+  const calibration = calibrate(tasks, { minSamples: options.minSamples });
+  const { multipliers } = calibratedMultipliers(
+    calibration,
+    COMPLEXITY_MULTIPLIERS,
+    options.project
+  );
+  const suggestions = suggestComplexity(
+    options.project
+      ? tasks.filter((t) => t._projectName === options.project)
+      : tasks,
+    calibration
+  );
+
+  if (options.json) {
+    console.log(
+      JSON.stringify({ calibration, multipliers, suggestions }, null, 2)
+    );
+    return;
+  }
+
+  printBuckets('All projects', calibration.global, calibration.minSamples);
+  if (options.project) {
+    printBuckets(
+      `Project ${options.project}`,
+      calibration.projects[options.project] || {},
+      calibration.minSamples
+    );
+  }
+
+  console.log('\nEffort multipliers (default -> calibrated)');
+  for (const [level, value] of Object.entries(multipliers)) {
+    console.log(
+      `  ${level.padEnd(4)}  ${COMPLEXITY_MULTIPLIERS[level].toFixed(2)} -> ${value.toFixed(2)}`
+    );
+  }
+
+  console.log(`\nSuggested complexity changes (${suggestions.length})`);
+  for (const s of suggestions) {
+    console.log(`  ${s.taskId}: ${s.current} -> ${s.suggested}  (${s.reason})`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
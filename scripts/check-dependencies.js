@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * check-dependencies.js
+ *
+ * Validates the task dependency graph across every project in the
+ * registry: cycles, blockers pointing at unknown task IDs, and
+ * blocked_by/unlocks edges declared on only one side.
+ *
+ * With --fix, adds the missing reverse edges to the affected tasks.json
+ * files. Cycles and dangling IDs are reported but never changed.
+ *
+ * Usage:
+ *   node scripts/check-dependencies.js [--fix] [--dry-run] [--registry <path>]
+ *
+ * Exits 1 if any dependency errors remain.
+ */
+
+const { scanTasks } = require('../lib/scanner');
+const {
+  analyzeDependencies,
+  repairDependencyGraph,
+} = require('../lib/dependency-graph');
+
+/**
+ * CLI entry point
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const fix = args.includes('--fix');
+  const dryRun = args.includes('--dry-run');
+  const registryIdx = args.indexOf('--registry');
+  const registryPath = registryIdx !== -1 ? args[registryIdx + 1] : undefined;
+
+  const { tasks } = scanTasks({ registryPath, cache: true });
+  console.log(`\nChecked ${tasks.length} tasks`);
+
+  if (fix) {
+    const result = repairDependencyGraph(tasks, { dryRun });
+    for (const edit of result.repaired) {
+      console.log(
+        `  ${dryRun ? 'Would add' : 'Added'} '${edit.added}' to ${edit.taskId}.${edit.field}`
+      );
+    }
+    for (const skip of result.skipped) {
+      console.warn(`  Skipped ${skip.missingOn}: ${skip.reason}`);
+    }
+  }
+
+  // Re-check from disk so the report reflects any repairs
+  const current = fix && !dryRun ? scanTasks({ registryPath }).tasks : tasks;
+  const { issues } = analyzeDependencies(current);
+
+  for (const issue of issues) {
+    const label = issue.type === 'dependency_error' ? 'ERROR' : 'WARN ';
+    console.log(`  ${label} [${issue.kind}] ${issue.message}`);
+  }
+
+  const errorCount = issues.filter(
+    (i) => i.type === 'dependency_error'
+  ).length;
+  console.log(
+    `\n  ${errorCount} error(s), ${issues.length - errorCount} warning(s)\n`
+  );
+
+  if (errorCount > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
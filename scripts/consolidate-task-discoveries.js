@@ -19,6 +19,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const store = require('../lib/task-store');
 
 /**
  * Levenshtein distance for fuzzy string matching
@@ -269,8 +270,6 @@ function mergeWithExisting(tasksFilePath, newTasks) {
  * Writes updated tasks.json atomically
  */
 function writeTasksFile(tasksFilePath, data, dryRun = false) {
-  const tmpPath = `${tasksFilePath}.tmp`;
-
   const content = JSON.stringify(data, null, 2) + '\n';
 
   if (dryRun) {
@@ -278,11 +277,10 @@ function writeTasksFile(tasksFilePath, data, dryRun = false) {
     return;
   }
 
-  // Write to tmp file
-  fs.writeFileSync(tmpPath, content, 'utf8');
-
-  // Atomic rename
-  fs.renameSync(tmpPath, tasksFilePath);
+  // Temp file, fsync and rename
+  store.writeTasksFile(tasksFilePath, data, {
+    source: 'consolidate-task-discoveries',
+  });
 
   console.log(`  ✓ Written: ${tasksFilePath}`);
 }
@@ -311,31 +309,40 @@ function consolidateProject(discoveryDir, project, projectsRoot, dryRun = false)
 
   // Merge with existing tasks.json
   const tasksFilePath = path.join(projectsRoot, project, '.claude', 'tasks', 'tasks.json');
-  const mergedTasks = mergeWithExisting(tasksFilePath, enrichedTasks);
 
-  // Read existing file for milestone info
-  let existingData;
-  if (fs.existsSync(tasksFilePath)) {
-    existingData = JSON.parse(fs.readFileSync(tasksFilePath, 'utf8'));
-  } else {
-    existingData = {
-      version: 1,
-      project: project,
-      milestone: {
-        name: 'Task Discovery',
-        target_date: '2026-03-31',
-        description: 'Discovered tasks from automated scanning'
-      }
+  // Merge and write under the tasks.json lock so status updates made
+  // meanwhile are not overwritten
+  const mergeAndWrite = () => {
+    const merged = mergeWithExisting(tasksFilePath, enrichedTasks);
+
+    // Read existing file for milestone info
+    let existingData;
+    if (fs.existsSync(tasksFilePath)) {
+      existingData = JSON.parse(fs.readFileSync(tasksFilePath, 'utf8'));
+    } else {
+      existingData = {
+        version: 1,
+        project: project,
+        milestone: {
+          name: 'Task Discovery',
+          target_date: '2026-03-31',
+          description: 'Discovered tasks from automated scanning'
+        }
+      };
+    }
+
+    // Write updated file
+    const updatedData = {
+      ...existingData,
+      tasks: merged
     };
-  }
 
-  // Write updated file
-  const updatedData = {
-    ...existingData,
-    tasks: mergedTasks
+    writeTasksFile(tasksFilePath, updatedData, dryRun);
+    return merged;
   };
-
-  writeTasksFile(tasksFilePath, updatedData, dryRun);
+  const mergedTasks = dryRun
+    ? mergeAndWrite()
+    : store.withTasksFileLock(tasksFilePath, mergeAndWrite);
 
   console.log(`  Total tasks in ${project}: ${mergedTasks.length}`);
   console.log(`    Completed: ${mergedTasks.filter(t => t.status === 'completed').length}`);
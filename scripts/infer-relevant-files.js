@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * infer-relevant-files.js
+ *
+ * Proposes relevant_files for open tasks that list none, from paths and
+ * identifiers in the task text, git history of similar completed tasks
+ * and test/source pairs, and fills in the confident proposals.
+ *
+ * Usage:
+ *   node scripts/infer-relevant-files.js --dry-run
+ *   node scripts/infer-relevant-files.js --project jade-cli
+ *   node scripts/infer-relevant-files.js --task jade-cli/fix-build --min-confidence 0.7
+ *
+ * Options:
+ *   --registry <path>        Registry file (default: ~/.jade/projects.json)
+ *   --project <name>         Only this project's tasks
+ *   --task <id>              Only this task
+ *   --min-confidence <n>     Confidence a file needs to be filled in (default: 0.5)
+ *   --limit <n>              Most files proposed per task (default: 5)
+ *   --no-git                 Skip git history and git ls-files
+ *   --dry-run                Report the proposals without writing
+ *   --json                   Print the report as JSON
+ */
+
+const {
+  fillRelevantFiles,
+  AUTO_FILL_CONFIDENCE,
+} = require('../lib/file-inference');
+
+/**
+ * Parse command-line flags.
+ */
+function parseArgs(argv) {
+  const options = { minConfidence: AUTO_FILL_CONFIDENCE };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--no-git') {
+      options.git = false;
+    } else if (arg === '--registry' && argv[i + 1]) {
+      options.registryPath = argv[++i];
+    } else if (arg === '--project' && argv[i + 1]) {
+      options.project = argv[++i];
+    } else if (arg === '--task' && argv[i + 1]) {
+      options.taskId = argv[++i];
+    } else if (arg === '--min-confidence' && argv[i + 1]) {
+      options.minConfidence = parseFloat(argv[++i]);
+    } else if (arg === '--limit' && argv[i + 1]) {
+      options.limit = parseInt(argv[++i], 10);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Print the proposals for one task.
+ */
+function printEntry(entry, minConfidence) {
+  console.log(
+    `\n${entry.taskId}  (${entry.proposals.length} proposed, ${entry.filled.length} to fill)`
+  );
+  if (entry.proposals.length === 0) {
+    console.log('  No candidates found');
+  }
+  for (const proposal of entry.proposals) {
+    const below =
+      proposal.confidence < minConfidence ? '  (below threshold)' : '';
+    console.log(
+      `  ${proposal.confidence.toFixed(2)}  ${proposal.path}${below}\n` +
+        `        ${proposal.reasons.join('; ')}`
+    );
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = fillRelevantFiles(options);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  if (report.length === 0) {
+    console.log('No open tasks without relevant_files');
+    return;
+  }
+  for (const entry of report) {
+    printEntry(entry, options.minConfidence);
+  }
+
+  const filled = report.filter((entry) => entry.filled.length > 0).length;
+  console.log(
+    options.dryRun
+      ? `\nDry run: would fill relevant_files for ${filled} of ${report.length} tasks`
+      : `\nFilled relevant_files for ${filled} of ${report.length} tasks`
+  );
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
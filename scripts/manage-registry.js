@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * manage-registry.js
+ *
+ * Maintains the ~/.jade/projects.json project registry.
+ *
+ * Usage:
+ *   node scripts/manage-registry.js list
+ *   node scripts/manage-registry.js discover [--root <dir>] [--max-depth <n>] [--dry-run]
+ *   node scripts/manage-registry.js add <path> [--name <name>] [--status <status>] [...fields]
+ *   node scripts/manage-registry.js remove <name>
+ *   node scripts/manage-registry.js update <name> [--status <s>] [--language <l>]
+ *       [--test-command <cmd>] [--build-command <cmd>] [--repo <owner/repo>] [--reinfer]
+ *
+ * Every command accepts --registry <path> to operate on another registry file.
+ * Pass "null" as a field value to clear it.
+ */
+
+const {
+  discoverProjects,
+  addProject,
+  removeProject,
+  updateProject,
+  readRegistry,
+} = require('../lib/registry-manager');
+
+const BOOLEAN_FLAGS = new Set(['dry-run', 'reinfer']);
+
+/**
+ * Split argv into positional arguments and --flag values.
+ * Flag names are converted to registry field names (test-command -> test_command).
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (BOOLEAN_FLAGS.has(name)) {
+      flags[name.replace(/-/g, '_')] = true;
+    } else {
+      const value = argv[++i];
+      flags[name.replace(/-/g, '_')] = value === 'null' ? null : value;
+    }
+  }
+  return { positional, flags };
+}
+
+/**
+ * Print one registry entry on a single line.
+ */
+function printEntry(entry) {
+  const details = [entry.status, entry.language, entry.test_command]
+    .filter(Boolean)
+    .join(', ');
+  console.log(`  ${entry.name.padEnd(24)} ${entry.path}  (${details})`);
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [command, target] = positional;
+  const { registry: registryPath, root, max_depth, dry_run, reinfer, ...fields } = flags;
+  const options = { registryPath, projectsRoot: root };
+
+  switch (command) {
+    case 'list': {
+      const registry = readRegistry(options);
+      console.log(`\nprojects_root: ${registry.projects_root}\n`);
+      registry.projects.forEach(printEntry);
+      break;
+    }
+    case 'discover': {
+      const result = discoverProjects({
+        ...options,
+        maxDepth: max_depth !== undefined ? Number(max_depth) : undefined,
+        dryRun: dry_run,
+      });
+      console.log(`\n${dry_run ? 'Would add' : 'Added'} ${result.added.length} project(s):`);
+      result.added.forEach(printEntry);
+      if (result.existing.length > 0) {
+        console.log(`\nAlready registered: ${result.existing.join(', ')}`);
+      }
+      break;
+    }
+    case 'add':
+      printEntry(addProject(target, fields, options));
+      break;
+    case 'remove':
+      removeProject(target, options);
+      console.log(`Removed ${target}`);
+      break;
+    case 'update':
+      printEntry(updateProject(target, fields, { ...options, reinfer }));
+      break;
+    default:
+      console.error(
+        'Usage: node manage-registry.js <list|discover|add|remove|update> [args]'
+      );
+      process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs };
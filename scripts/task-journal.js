@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * task-journal.js
+ *
+ * Lists, undoes and redoes task file changes recorded in ~/.jade/journal/.
+ *
+ * Usage:
+ *   node scripts/task-journal.js log [--limit <n>] [--task <id>] [--project <name>]
+ *       [--source <source>] [--since <iso-date>] [--json]
+ *   node scripts/task-journal.js undo [--id <entry-or-batch>] [--force] [--dry-run]
+ *   node scripts/task-journal.js redo [--id <entry-or-batch>] [--force] [--dry-run]
+ *
+ * Every command accepts --journal <dir> to use another journal directory.
+ */
+
+const { journalLog, undo, redo } = require('../lib/task-journal');
+
+const BOOLEAN_FLAGS = new Set(['force', 'dry-run', 'json']);
+
+/**
+ * Split argv into positional arguments and --flag values.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    flags[name.replace(/-/g, '_')] = BOOLEAN_FLAGS.has(name) ? true : argv[++i];
+  }
+  return { positional, flags };
+}
+
+/**
+ * Describe one change of an entry, e.g. "status: pending -> completed".
+ */
+function describeChange(change) {
+  if (change.before === null) {
+    return 'added';
+  }
+  if (change.after === null) {
+    return 'removed';
+  }
+  return change.fields
+    .map((name) => {
+      const show = (side) =>
+        name in side ? JSON.stringify(side[name]) : '(unset)';
+      return name === 'history'
+        ? 'history'
+        : `${name}: ${show(change.before)} -> ${show(change.after)}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Print one journal entry.
+ */
+function printEntry(entry) {
+  const label =
+    entry.kind === 'change' ? entry.source : `${entry.kind} ${entry.target}`;
+  const marker = entry.undone ? '  (undone)' : '';
+  const batch = entry.batch ? `  batch ${entry.batch}` : '';
+  console.log(`${entry.timestamp}  ${entry.id}  ${label}${batch}${marker}`);
+  for (const change of entry.changes || []) {
+    console.log(`    ${change.taskId}  ${describeChange(change)}`);
+  }
+}
+
+/**
+ * Print the result of an undo or redo.
+ */
+function printResult(result) {
+  const verb = result.kind === 'undo' ? 'Reverted' : 'Re-applied';
+  console.log(
+    `${result.dryRun ? `Would ${result.kind}` : verb} ${result.target} ` +
+      `(${result.entries.length} entr${result.entries.length === 1 ? 'y' : 'ies'}):`
+  );
+  for (const change of result.changes) {
+    const fields = change.fields ? `  ${change.fields.join(', ')}` : '';
+    console.log(`  ${change.taskId}${fields}`);
+  }
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [command] = positional;
+  const options = { journalDir: flags.journal };
+
+  switch (command) {
+    case 'log': {
+      const entries = journalLog({
+        ...options,
+        limit: flags.limit !== undefined ? Number(flags.limit) : 20,
+        taskId: flags.task,
+        project: flags.project,
+        source: flags.source,
+        since: flags.since,
+      });
+      if (flags.json) {
+        console.log(JSON.stringify(entries, null, 2));
+      } else if (entries.length === 0) {
+        console.log('No journal entries');
+      } else {
+        entries.forEach(printEntry);
+      }
+      break;
+    }
+    case 'undo':
+    case 'redo': {
+      const run = command === 'undo' ? undo : redo;
+      printResult(
+        run({
+          ...options,
+          id: flags.id,
+          force: flags.force,
+          dryRun: flags.dry_run,
+        })
+      );
+      break;
+    }
+    default:
+      console.error('Usage: node task-journal.js <log|undo|redo> [options]');
+      process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    for (const conflict of error.conflicts || []) {
+      console.error(`  ${conflict.taskId} (${conflict.file})`);
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs, describeChange };
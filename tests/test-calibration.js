@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * Calibration Module Tests (lib/calibration.js)
+ *
+ * Tests for mining task history, per-bucket medians, calibrated effort
+ * multipliers, complexity suggestions and the scorer integration.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(
+      `${message || 'assertClose failed'}: expected ${expected}, got ${actual}`
+    );
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let calibrate, calibratedMultipliers, suggestComplexity, summarizeHistory;
+let explainScore, COMPLEXITY_MULTIPLIERS;
+try {
+  ({
+    calibrate,
+    calibratedMultipliers,
+    suggestComplexity,
+    summarizeHistory,
+  } = require('../lib/calibration'));
+  ({ explainScore, COMPLEXITY_MULTIPLIERS } = require('../lib/scorer'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/calibration.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+const START = Date.parse('2026-03-01T09:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * History entry at `hours` after START.
+ */
+function at(hours, from, to) {
+  return {
+    timestamp: new Date(START + hours * HOUR).toISOString(),
+    from_status: from,
+    to_status: to,
+  };
+}
+
+/**
+ * A completed task that spent `hours` in progress.
+ */
+function done(id, complexity, hours) {
+  return {
+    id,
+    status: 'completed',
+    complexity,
+    _projectName: id.split('/')[0],
+    history: [
+      at(0, 'pending', 'in_progress'),
+      at(hours, 'in_progress', 'completed'),
+    ],
+  };
+}
+
+/**
+ * Completed tasks: S takes 2h, M 4h, L 8h in project "core"; "slow"
+ * project S tasks take 8h.
+ */
+function corpus() {
+  return [
+    done('core/s1', 'S', 2),
+    done('core/s2', 'S', 2),
+    done('core/s3', 'S', 2),
+    done('core/s4', 'S', 2),
+    done('core/s5', 'S', 2),
+    done('core/m1', 'M', 4),
+    done('core/m2', 'M', 4),
+    done('core/m3', 'M', 4),
+    done('core/l1', 'L', 8),
+    done('core/l2', 'L', 8),
+    done('core/l3', 'L', 8),
+    done('slow/s1', 'S', 8),
+    done('slow/s2', 'S', 8),
+    done('slow/s3', 'S', 8),
+  ];
+}
+
+// ── History mining ───────────────────────────────────────────────────
+
+console.log('\n  History mining tests\n');
+
+test('1. summarizeHistory sums in-progress time across retries', () => {
+  const summary = summarizeHistory({
+    status: 'completed',
+    history: [
+      at(3, 'failed', 'in_progress'),
+      at(0, 'pending', 'in_progress'),
+      at(1, 'in_progress', 'failed'),
+      at(5, 'in_progress', 'completed'),
+    ],
+  });
+  assert(summary.attempts === 2, `Expected 2 attempts, got ${summary.attempts}`);
+  assert(summary.retries === 1, `Expected 1 retry, got ${summary.retries}`);
+  assert(summary.failures === 1, `Expected 1 failure, got ${summary.failures}`);
+  assert(summary.completed, 'Expected completed');
+  assert(summary.spentMs === 3 * HOUR, `Expected 3h, got ${summary.spentMs / HOUR}h`);
+});
+
+test('2. open attempts run until now and tasks without history are empty', () => {
+  const open = summarizeHistory(
+    { status: 'in_progress', history: [at(0, 'pending', 'in_progress')] },
+    { now: START + 6 * HOUR }
+  );
+  assert(open.spentMs === 6 * HOUR, 'Expected 6h spent so far');
+  assert(!open.completed, 'Expected not completed');
+
+  const empty = summarizeHistory({ status: 'pending' });
+  assert(empty.attempts === 0 && empty.spentMs === 0, 'Expected empty summary');
+});
+
+test('3. calibrate builds global and per-project buckets', () => {
+  const calibration = calibrate(corpus());
+  assert(calibration.global.S.samples === 8, 'Expected 8 S samples');
+  assert(calibration.global.S.medianHours === 2, 'Expected S median 2h');
+  assert(calibration.global.M.medianHours === 4, 'Expected M median 4h');
+  assert(calibration.global.XL.medianHours === null, 'Expected no XL samples');
+  assert(calibration.projects.core.S.medianHours === 2, 'Expected core S 2h');
+  assert(calibration.projects.slow.S.medianHours === 8, 'Expected slow S 8h');
+});
+
+// ── Multipliers ──────────────────────────────────────────────────────
+
+console.log('\n  Multiplier tests\n');
+
+test('4. calibrated multipliers scale with measured effort', () => {
+  const calibration = calibrate(corpus());
+  const { multipliers, measured } = calibratedMultipliers(
+    calibration,
+    COMPLEXITY_MULTIPLIERS,
+    'core'
+  );
+  // unit = mean(2 * 1.0, 4 * 0.75, 8 * 0.5) = 3
+  assertClose(multipliers.S, 1, 1e-9, 'S clamps to 1');
+  assertClose(multipliers.M, 0.75, 1e-9, 'M');
+  assertClose(multipliers.L, 0.375, 1e-9, 'L');
+  assert(multipliers.XL === COMPLEXITY_MULTIPLIERS.XL, 'Expected XL unchanged');
+  assert(measured.S.scope === 'project', 'Expected project scope for S');
+  assert(!('XL' in measured), 'Expected XL not measured');
+});
+
+test('5. too few samples keep the base multipliers', () => {
+  const calibration = calibrate(corpus().slice(0, 6));
+  const { multipliers, measured } = calibratedMultipliers(
+    calibration,
+    COMPLEXITY_MULTIPLIERS
+  );
+  assert(
+    JSON.stringify(multipliers) === JSON.stringify(COMPLEXITY_MULTIPLIERS),
+    'Expected base multipliers'
+  );
+  assert(Object.keys(measured).length === 0, 'Expected nothing measured');
+});
+
+// ── Suggestions ──────────────────────────────────────────────────────
+
+console.log('\n  Suggestion tests\n');
+
+test('6. project drift suggests the matching global bucket', () => {
+  const tasks = [
+    ...corpus(),
+    { id: 'slow/next', status: 'pending', complexity: 'S', _projectName: 'slow' },
+    { id: 'core/next', status: 'pending', complexity: 'S', _projectName: 'core' },
+  ];
+  const suggestions = suggestComplexity(tasks, calibrate(tasks));
+  assert(suggestions.length === 1, `Expected 1 suggestion, got ${suggestions.length}`);
+  assert(suggestions[0].taskId === 'slow/next', 'Expected the slow project task');
+  assert(suggestions[0].suggested === 'L', `Expected L, got ${suggestions[0].suggested}`);
+  assert(suggestions[0].reason.startsWith('project drift'), 'Expected drift reason');
+});
+
+test('7. overrunning tasks are bumped at least one level', () => {
+  const running = {
+    id: 'core/stuck',
+    status: 'in_progress',
+    complexity: 'M',
+    _projectName: 'core',
+    history: [at(0, 'pending', 'in_progress')],
+  };
+  const tasks = [...corpus(), running];
+  const now = START + 7 * HOUR;
+  const suggestions = suggestComplexity(tasks, calibrate(tasks, { now }), { now });
+  const stuck = suggestions.find((s) => s.taskId === 'core/stuck');
+  assert(stuck, 'Expected a suggestion for the stuck task');
+  assert(stuck.suggested === 'L', `Expected L, got ${stuck.suggested}`);
+  assert(stuck.reason.startsWith('overrun'), 'Expected overrun reason');
+});
+
+// ── Scorer integration ───────────────────────────────────────────────
+
+console.log('\n  Scorer integration tests\n');
+
+test('8. explainScore uses calibrated multipliers for effort', () => {
+  const calibration = calibrate(corpus());
+  const task = {
+    id: 'core/new',
+    status: 'pending',
+    complexity: 'L',
+    labels: ['bugfix'],
+    _projectName: 'core',
+  };
+  const project = { name: 'core', status: 'buildable' };
+  const plain = explainScore(task, project, [task]);
+  const calibrated = explainScore(task, project, [task], { calibration });
+  assert(plain.factors.effort.measured === null, 'Expected no measurement by default');
+  assertClose(calibrated.factors.effort.multiplier, 0.375, 1e-9, 'multiplier');
+  assert(calibrated.factors.effort.measured.hours === 8, 'Expected 8h measured');
+  assertClose(
+    calibrated.factors.effort.value,
+    plain.factors.impact.value * 0.375,
+    1e-9,
+    'effort value'
+  );
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Critical Path Module Tests (lib/critical-path.js)
+ *
+ * Tests for earliest start, slack, per-milestone critical paths, cycle
+ * handling and cross-project blockers.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let analyzeCriticalPath, computeCriticality, DEFAULT_EFFORT_ESTIMATES;
+try {
+  ({
+    analyzeCriticalPath,
+    computeCriticality,
+    DEFAULT_EFFORT_ESTIMATES,
+  } = require('../lib/critical-path'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/critical-path.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+const MILESTONES = {
+  core: { name: 'Core v1' },
+  app: { name: 'App Beta', target_date: '2026-12-01' },
+};
+
+/**
+ * Build a scanned task with its project's milestone block attached.
+ */
+function task(id, complexity, blockedBy, overrides) {
+  const project = id.split('/')[0];
+  return Object.assign(
+    {
+      id,
+      title: id,
+      status: 'pending',
+      complexity,
+      blocked_by: blockedBy || [],
+      unlocks: [],
+      _projectName: project,
+      _milestone: MILESTONES[project] || null,
+    },
+    overrides
+  );
+}
+
+// ── Scheduling ───────────────────────────────────────────────────────
+
+console.log('\n  Scheduling tests\n');
+
+test('1. DEFAULT_EFFORT_ESTIMATES grows with complexity', () => {
+  const e = DEFAULT_EFFORT_ESTIMATES;
+  assert(e.S < e.M && e.M < e.L && e.L < e.XL, 'Expected S < M < L < XL');
+});
+
+test('2. earliest start follows the longest blocker chain', () => {
+  // a(S=1) -> c(M=2); b(L=4) -> c
+  const result = analyzeCriticalPath([
+    task('core/a', 'S'),
+    task('core/b', 'L'),
+    task('core/c', 'M', ['core/a', 'core/b']),
+  ]);
+  const c = result.tasks['core/c'];
+  assert(c.earliestStart === 4, `Expected ES 4, got ${c.earliestStart}`);
+  assert(c.earliestFinish === 6, `Expected EF 6, got ${c.earliestFinish}`);
+  assert(result.horizon === 6, `Expected horizon 6, got ${result.horizon}`);
+});
+
+test('3. slack is zero on the critical chain and positive off it', () => {
+  const result = analyzeCriticalPath([
+    task('core/a', 'S'),
+    task('core/b', 'L'),
+    task('core/c', 'M', ['core/a', 'core/b']),
+  ]);
+  assert(result.tasks['core/b'].slack === 0, 'Expected b on critical path');
+  assert(result.tasks['core/b'].critical === true, 'Expected b critical');
+  assert(
+    result.tasks['core/a'].slack === 3,
+    `Expected a slack 3, got ${result.tasks['core/a'].slack}`
+  );
+  assert(result.tasks['core/a'].critical === false, 'Expected a not critical');
+});
+
+test('4. effort estimates are configurable', () => {
+  const result = analyzeCriticalPath(
+    [task('core/a', 'XL'), task('core/b', 'S', ['core/a'])],
+    { effort: { XL: 20 } }
+  );
+  assert(
+    result.tasks['core/b'].earliestStart === 20,
+    `Expected ES 20, got ${result.tasks['core/b'].earliestStart}`
+  );
+  assert(result.effort.S === DEFAULT_EFFORT_ESTIMATES.S, 'Expected defaults kept');
+});
+
+test('5. completed blockers take no time', () => {
+  const result = analyzeCriticalPath([
+    task('core/a', 'XL', [], { status: 'completed' }),
+    task('core/b', 'M', ['core/a']),
+  ]);
+  assert(result.tasks['core/b'].earliestStart === 0, 'Expected ES 0');
+});
+
+test('6. edges declared only through unlocks are scheduled', () => {
+  const result = analyzeCriticalPath([
+    task('core/a', 'M', [], { unlocks: ['core/b'] }),
+    task('core/b', 'S'),
+  ]);
+  assert(result.tasks['core/b'].earliestStart === 2, 'Expected ES 2');
+});
+
+// ── Milestones ───────────────────────────────────────────────────────
+
+console.log('\n  Milestone tests\n');
+
+test('7. reports the critical path to each milestone', () => {
+  const result = analyzeCriticalPath([
+    task('core/a', 'S'),
+    task('core/b', 'L'),
+    task('core/c', 'M', ['core/a', 'core/b']),
+  ]);
+  assert(result.milestones.length === 1, 'Expected one milestone');
+  const m = result.milestones[0];
+  assert(m.name === 'Core v1' && m.project === 'core', 'Unexpected milestone');
+  assert(m.finish === 6, `Expected finish 6, got ${m.finish}`);
+  assert(
+    m.criticalPath.join(',') === 'core/b,core/c',
+    `Unexpected path: ${m.criticalPath.join(',')}`
+  );
+  assert(m.taskCount === 3, 'Expected 3 member tasks');
+});
+
+test('8. cross-project blockers extend the milestone path', () => {
+  const result = analyzeCriticalPath([
+    task('core/a', 'L'),
+    task('core/b', 'S'),
+    task('app/x', 'M', ['core/a']),
+  ]);
+  const app = result.milestones.find((m) => m.project === 'app');
+  assert(app.finish === 6, `Expected app finish 6, got ${app.finish}`);
+  assert(
+    app.criticalPath.join(',') === 'core/a,app/x',
+    `Unexpected path: ${app.criticalPath.join(',')}`
+  );
+  assert(app.targetDate === '2026-12-01', 'Expected target date');
+
+  // core/a must finish before app/x starts, even though its own
+  // milestone would allow more time
+  assert(result.tasks['core/a'].slack === 0, 'Expected core/a critical');
+  assert(
+    result.tasks['core/b'].slack === 3,
+    `Expected core/b slack 3, got ${result.tasks['core/b'].slack}`
+  );
+});
+
+test('9. unknown blockers are listed as external and assumed complete', () => {
+  const result = analyzeCriticalPath([
+    task('app/x', 'M', ['elsewhere/task']),
+  ]);
+  const x = result.tasks['app/x'];
+  assert(x.earliestStart === 0, 'Expected ES 0');
+  assert(
+    x.externalBlockers.join(',') === 'elsewhere/task',
+    'Expected external blocker recorded'
+  );
+});
+
+test('10. tasks naming another milestone are not members', () => {
+  const result = analyzeCriticalPath([
+    task('core/a', 'S'),
+    task('core/later', 'XL', [], { milestone: 'Core v2' }),
+  ]);
+  assert(result.milestones[0].taskCount === 1, 'Expected one member');
+  assert(result.milestones[0].finish === 1, 'Expected finish 1');
+});
+
+// ── Cycles and scoring ───────────────────────────────────────────────
+
+console.log('\n  Cycle and criticality tests\n');
+
+test('11. cycle members and their dependents are unschedulable', () => {
+  const result = analyzeCriticalPath([
+    task('core/a', 'S', ['core/b']),
+    task('core/b', 'S', ['core/a']),
+    task('core/c', 'S', ['core/b']),
+    task('core/d', 'M'),
+  ]);
+  assert(
+    result.unschedulable.join(',') === 'core/a,core/b,core/c',
+    `Unexpected unschedulable: ${result.unschedulable.join(',')}`
+  );
+  assert(result.tasks['core/d'].earliestFinish === 2, 'Expected d scheduled');
+  assert(result.milestones[0].unschedulable === 3, 'Expected 3 unschedulable members');
+});
+
+test('12. computeCriticality scales slack against the horizon', () => {
+  const result = analyzeCriticalPath([
+    task('core/a', 'S'),
+    task('core/b', 'L'),
+    task('core/c', 'M', ['core/a', 'core/b']),
+  ]);
+  assert(computeCriticality('core/b', result) === 100, 'Expected 100 for no slack');
+  assert(
+    computeCriticality('core/a', result) === 50,
+    `Expected 50, got ${computeCriticality('core/a', result)}`
+  );
+  assert(computeCriticality('core/missing', result) === 0, 'Expected 0 for unknown');
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
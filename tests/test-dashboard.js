@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Module Tests (lib/dashboard.js)
+ *
+ * Tests for loading dashboard data, the key reducer, key parsing, screen
+ * rendering, status changes from the task detail view and restoring the
+ * terminal.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let loadDashboardData, createDashboardState, handleKey, parseKeys;
+let renderDashboard, visibleQueue, runDashboard, updateTaskStatus, ScanCache;
+try {
+  ({
+    loadDashboardData,
+    createDashboardState,
+    handleKey,
+    parseKeys,
+    renderDashboard,
+    visibleQueue,
+    runDashboard,
+  } = require('../lib/dashboard'));
+  ({ updateTaskStatus } = require('../lib/status-updater'));
+  ({ ScanCache } = require('../lib/scan-cache'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/dashboard.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+/**
+ * Temporary registry with two projects:
+ * - alpha: two pending tasks, one in progress, one completed
+ * - beta: one pending bugfix, one blocked task
+ */
+function createTestEnv() {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-dashboard-test-'));
+  const registry = {
+    version: 1,
+    projects_root: tmpdir,
+    projects: [
+      { name: 'alpha', path: 'alpha', status: 'buildable', language: 'javascript' },
+      { name: 'beta', path: 'beta', status: 'buildable', language: 'javascript' },
+    ],
+  };
+  const registryPath = path.join(tmpdir, 'projects.json');
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2));
+
+  const files = {
+    alpha: [
+      { id: 'alpha/setup', title: 'Set up CI', status: 'pending', complexity: 'S' },
+      { id: 'alpha/docs', title: 'Write docs', status: 'pending', complexity: 'M' },
+      {
+        id: 'alpha/api',
+        title: 'Build the API',
+        status: 'in_progress',
+        complexity: 'L',
+        history: [
+          { timestamp: '2026-03-10T09:00:00Z', from_status: 'pending', to_status: 'in_progress' },
+        ],
+      },
+      {
+        id: 'alpha/init',
+        title: 'Initialise repo',
+        status: 'completed',
+        complexity: 'S',
+        history: [
+          { timestamp: '2026-03-09T10:00:00Z', from_status: 'pending', to_status: 'in_progress' },
+          {
+            timestamp: '2026-03-09T11:00:00Z',
+            from_status: 'in_progress',
+            to_status: 'completed',
+            agent_summary: 'done',
+          },
+        ],
+      },
+    ],
+    beta: [
+      { id: 'beta/crash', title: 'Fix crash on start', status: 'pending', complexity: 'S', labels: ['bugfix'] },
+      {
+        id: 'beta/search',
+        title: 'Add search',
+        status: 'blocked',
+        complexity: 'M',
+        blocked_by: ['beta/crash'],
+      },
+    ],
+  };
+  for (const [project, tasks] of Object.entries(files)) {
+    const taskDir = path.join(tmpdir, project, '.claude', 'tasks');
+    fs.mkdirSync(taskDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(taskDir, 'tasks.json'),
+      JSON.stringify({ version: 1, project, tasks }, null, 2)
+    );
+  }
+
+  return {
+    tmpdir,
+    registryPath,
+    cleanup() {
+      fs.rmSync(tmpdir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Press a sequence of keys, collecting the actions.
+ */
+function press(state, keys, data) {
+  const actions = [];
+  let current = state;
+  for (const key of keys) {
+    const result = handleKey(current, key, data);
+    current = result.state;
+    if (result.action) {
+      actions.push(result.action);
+    }
+  }
+  return { state: current, actions };
+}
+
+// ── Data ─────────────────────────────────────────────────────────────
+
+console.log('\n  Data tests\n');
+
+test('1. loadDashboardData fills every pane', () => {
+  const env = createTestEnv();
+  try {
+    const data = loadDashboardData({ registryPath: env.registryPath, now: NOW });
+    assert(
+      data.queue.map((t) => t.id).sort().join(',') ===
+        'alpha/docs,alpha/setup,beta/crash,beta/search',
+      `Unexpected queue: ${data.queue.map((t) => t.id)}`
+    );
+    assert(data.queue[0].id === 'beta/crash', 'Expected the bugfix ranked first');
+    assert(data.inProgress.length === 1, 'Expected one task in progress');
+    assert(data.inProgress[0].since === '2026-03-10T09:00:00Z', 'Expected start time');
+    assert(data.milestones.length === 2, 'Expected one milestone row per project');
+    assert(data.milestones[0].percentage === 25, 'Expected alpha 25% done');
+    assert(data.history.length === 3, `Expected 3 history entries, got ${data.history.length}`);
+    assert(data.history[0].taskId === 'alpha/api', 'Expected newest history first');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Keys ─────────────────────────────────────────────────────────────
+
+console.log('\n  Key handling tests\n');
+
+test('2. parseKeys maps escape sequences and characters', () => {
+  const keys = parseKeys('j\u001b[A\t\u001b[Z\r\u001b\u007f\u0003x');
+  assert(
+    keys.join(',') === 'j,up,tab,shift-tab,enter,escape,backspace,ctrl-c,x',
+    `Unexpected keys: ${keys.join(',')}`
+  );
+});
+
+test('3. filter and sort narrow and reorder the queue', () => {
+  const env = createTestEnv();
+  try {
+    const data = loadDashboardData({ registryPath: env.registryPath, now: NOW });
+    const { state } = press(createDashboardState(), ['/', 'a', 'l', 'p', 'enter'], data);
+    assert(state.filter === 'alp', `Expected filter "alp", got "${state.filter}"`);
+    assert(
+      visibleQueue(data, state).every((t) => t._projectName === 'alpha'),
+      'Expected only alpha tasks'
+    );
+
+    const cancelled = press(state, ['/', 'x', 'escape'], data).state;
+    assert(cancelled.filter === 'alp', 'Escape should keep the previous filter');
+
+    const sorted = press(createDashboardState(), ['s', 's'], data).state;
+    assert(sorted.sort === 'complexity', `Expected complexity sort, got ${sorted.sort}`);
+    const sizes = visibleQueue(data, sorted).map((t) => t.complexity);
+    assert(sizes.join(',') === 'S,S,M,M', `Unexpected order: ${sizes}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('4. navigation opens details and status keys emit actions', () => {
+  const env = createTestEnv();
+  try {
+    const data = loadDashboardData({ registryPath: env.registryPath, now: NOW });
+    const { state, actions } = press(createDashboardState(), ['j', 'enter', 'i', 'p'], data);
+    const second = visibleQueue(data, createDashboardState())[1];
+    assert(state.view === 'detail', 'Expected the detail view');
+    assert(state.detailTaskId === second.id, 'Expected the second queue task');
+    assert(actions.length === 1, `Expected one action, got ${actions.length}`);
+    assert(
+      actions[0].type === 'set-status' && actions[0].status === 'in_progress',
+      'Expected an in_progress status change'
+    );
+    assert(state.message === 'Already pending', 'Expected no-op notice for the same status');
+
+    const back = press(state, ['escape'], data).state;
+    assert(back.view === 'panes', 'Escape should return to the panes');
+
+    const tabbed = press(createDashboardState(), ['tab', 'enter'], data).state;
+    assert(tabbed.focus === 'inProgress' && tabbed.detailTaskId === 'alpha/api', 'Expected in-progress detail');
+
+    const milestone = press(createDashboardState(), ['tab', 'tab', 'j', 'enter'], data).state;
+    assert(milestone.focus === 'queue' && milestone.filter === 'beta', 'Expected queue filtered to beta');
+
+    assert(press(createDashboardState(), ['q'], data).actions[0].type === 'quit', 'Expected quit');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Rendering ────────────────────────────────────────────────────────
+
+console.log('\n  Rendering tests\n');
+
+test('5. renderDashboard fits the screen and shows every pane', () => {
+  const env = createTestEnv();
+  try {
+    const data = loadDashboardData({ registryPath: env.registryPath, now: NOW });
+    const screen = renderDashboard(data, createDashboardState(), { width: 90, height: 40, now: NOW });
+    const lines = screen.split('\n');
+    assert(lines.length === 40, `Expected 40 lines, got ${lines.length}`);
+    for (const title of ['Queue (4)', 'In Progress (1)', 'Milestones (2)', 'History (3)']) {
+      assert(screen.includes(title), `Expected pane "${title}"`);
+    }
+    assert(screen.includes('alpha: Build the API  (3h)'), 'Expected in-progress duration');
+    assert(screen.includes('\u203a1'), 'Expected the first queue row selected');
+    assert(!screen.includes('\u001b['), 'Expected no colors by default');
+
+    const colored = renderDashboard(data, createDashboardState(), { width: 90, height: 40, now: NOW, color: true });
+    assert(colored.includes('\u001b[33mpending'), 'Expected pending colored yellow');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('6. detail view shows the task and its history', () => {
+  const env = createTestEnv();
+  try {
+    const data = loadDashboardData({ registryPath: env.registryPath, now: NOW });
+    const state = { ...createDashboardState(), view: 'detail', detailTaskId: 'alpha/init' };
+    const screen = renderDashboard(data, state, { width: 90, height: 30, now: NOW });
+    assert(screen.includes('Initialise repo'), 'Expected the title');
+    assert(screen.includes('in_progress \u2192 completed  done'), 'Expected history with summary');
+    assert(screen.includes('p pending'), 'Expected status keys in the footer');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Status changes ───────────────────────────────────────────────────
+
+console.log('\n  Status change tests\n');
+
+test('7. set-status actions apply through status-updater', () => {
+  const env = createTestEnv();
+  try {
+    let data = loadDashboardData({ registryPath: env.registryPath, now: NOW });
+    const { actions } = press(createDashboardState(), ['enter', 'c'], data);
+    const action = actions[0];
+    updateTaskStatus(action.taskId, action.status, {
+      projectsRoot: data.registry.projects_root,
+    });
+    data = loadDashboardData({ registryPath: env.registryPath, now: NOW });
+    assert(!data.queue.some((t) => t.id === action.taskId), 'Expected the task to leave the queue');
+    assert(
+      data.history.slice(0, 2).some((h) => h.taskId === action.taskId),
+      'Expected the change in history'
+    );
+    assert(
+      data.tasks.find((t) => t.id === 'beta/search').status === 'pending',
+      'Expected the dependent unblocked'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+console.log('\n  Refresh tests\n');
+
+test('8. loadDashboardData scans each task file once per refresh', () => {
+  const env = createTestEnv();
+  try {
+    const cache = new ScanCache({ persist: false });
+    const data = loadDashboardData({ registryPath: env.registryPath, cache, now: NOW });
+    const { hits, misses } = cache.getCacheStats();
+    assert(hits === 0 && misses === 2, `Expected 2 lookups, got ${hits} hits and ${misses} misses`);
+    assert(data.milestones[0].percentage === 25, 'Expected milestones from the same scan');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Terminal ─────────────────────────────────────────────────────────
+
+console.log('\n  Terminal tests\n');
+
+test('9. runDashboard restores the terminal on process exit', () => {
+  const env = createTestEnv();
+  const { PassThrough } = require('stream');
+  const input = new PassThrough();
+  input.isTTY = true;
+  const rawModes = [];
+  input.setRawMode = (mode) => rawModes.push(mode);
+  let written = '';
+  const output = { columns: 100, rows: 40, write: (s) => (written += s), on() {}, removeListener() {} };
+  const exitListeners = process.listenerCount('exit');
+  try {
+    runDashboard({ registryPath: env.registryPath, input, output, refreshMs: 60000 });
+    assert(process.listenerCount('exit') === exitListeners + 1, 'Expected an exit handler');
+    process.emit('exit', 0);
+    assert(rawModes.join(',') === 'true,false', `Unexpected raw modes: ${rawModes}`);
+    assert(written.endsWith('\u001b[?25h\u001b[?1049l'), 'Expected the screen restored');
+
+    input.emit('data', 'q');
+    assert(rawModes.length === 2, 'Expected the terminal restored only once');
+    assert(process.listenerCount('exit') === exitListeners, 'Expected the exit handler removed');
+    assert(process.listenerCount('SIGTERM') === 0, 'Expected the SIGTERM handler removed');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
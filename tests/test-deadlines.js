@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Deadline Module Tests (lib/deadlines.js)
+ *
+ * Tests for milestone deadline pressure, overdue detection and the
+ * per-task urgency factor.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(
+      `${message || 'assertClose failed'}: expected ${expected}, got ${actual}`
+    );
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let analyzeDeadlines, computeUrgency, deadlineTime, urgencyFor;
+try {
+  ({
+    analyzeDeadlines,
+    computeUrgency,
+    deadlineTime,
+    urgencyFor,
+  } = require('../lib/deadlines'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/deadlines.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+// Noon UTC, so a milestone due 2026-03-10 has 9.5 days left
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+const MILESTONES = {
+  app: { name: 'App Beta', target_date: '2026-03-10' },
+  core: { name: 'Core v1', target_date: '2026-02-20' },
+  docs: { name: 'Docs' },
+};
+
+/**
+ * Build a scanned task with its project's milestone block attached.
+ */
+function task(id, complexity, overrides) {
+  const project = id.split('/')[0];
+  return Object.assign(
+    {
+      id,
+      title: id,
+      status: 'pending',
+      complexity,
+      _projectName: project,
+      _milestone: MILESTONES[project] || null,
+    },
+    overrides
+  );
+}
+
+// ── Deadline analysis ────────────────────────────────────────────────
+
+console.log('\n  Deadline analysis tests\n');
+
+test('1. date-only targets are due at the end of the day', () => {
+  assert(
+    deadlineTime('2026-03-10') === Date.parse('2026-03-11T00:00:00Z'),
+    'Expected end of day'
+  );
+  assert(
+    deadlineTime('2026-03-10T09:00:00Z') === Date.parse('2026-03-10T09:00:00Z'),
+    'Expected timestamps used as-is'
+  );
+  assert(deadlineTime('soon') === null, 'Expected unparseable dates rejected');
+  assert(deadlineTime(undefined) === null, 'Expected missing dates rejected');
+});
+
+test('2. remaining effort sums incomplete tasks in the milestone', () => {
+  const { milestones } = analyzeDeadlines(
+    [
+      task('app/a', 'M'),
+      task('app/b', 'L', { status: 'in_progress' }),
+      task('app/c', 'XL', { status: 'completed' }),
+    ],
+    { now: NOW }
+  );
+  assert(milestones.length === 1, `Expected 1 milestone, got ${milestones.length}`);
+  const [app] = milestones;
+  assert(app.remainingEffort === 6, `Expected 6d, got ${app.remainingEffort}`);
+  assert(app.remainingTasks === 2, `Expected 2 tasks, got ${app.remainingTasks}`);
+  assertClose(app.daysLeft, 9.5, 1e-9, 'daysLeft');
+  assertClose(app.urgency, (100 * 6) / 9.5, 1e-9, 'urgency');
+  assert(!app.overdue && !app.atRisk, 'Expected on track');
+});
+
+test('3. more work than days left is at risk and urgency caps at 100', () => {
+  const tasks = [task('app/a', 'XL'), task('app/b', 'L')];
+  const [app] = analyzeDeadlines(tasks, { now: NOW }).milestones;
+  assert(app.atRisk, 'Expected at risk');
+  assert(app.urgency === 100, `Expected 100, got ${app.urgency}`);
+});
+
+test('4. passed target dates with work remaining are overdue', () => {
+  const { milestones } = analyzeDeadlines(
+    [task('core/a', 'S'), task('app/a', 'S')],
+    { now: NOW }
+  );
+  assert(milestones[0].name === 'Core v1', 'Expected overdue milestone first');
+  assert(milestones[0].overdue, 'Expected overdue');
+  assert(!milestones[0].atRisk, 'Expected overdue rather than at risk');
+  assert(milestones[0].urgency === 100, 'Expected urgency 100');
+
+  const done = analyzeDeadlines([task('core/a', 'S', { status: 'completed' })], {
+    now: NOW,
+  }).milestones[0];
+  assert(!done.overdue && done.urgency === 0, 'Expected finished milestones not overdue');
+});
+
+test('5. milestones without a target date are left out', () => {
+  const { milestones } = analyzeDeadlines([task('docs/a', 'S')], { now: NOW });
+  assert(milestones.length === 0, 'Expected no dated milestones');
+});
+
+test('6. effort overrides change remaining work', () => {
+  const [app] = analyzeDeadlines([task('app/a', 'M')], {
+    now: NOW,
+    effort: { M: 5 },
+  }).milestones;
+  assert(app.remainingEffort === 5, `Expected 5d, got ${app.remainingEffort}`);
+});
+
+// ── Urgency factor ───────────────────────────────────────────────────
+
+console.log('\n  Urgency factor tests\n');
+
+test('7. urgencyFor scales work against days left', () => {
+  assert(urgencyFor(0, 3) === 0, 'Expected no urgency without work');
+  assert(urgencyFor(4, 8) === 50, 'Expected 50');
+  assert(urgencyFor(1, -2) === 100, 'Expected 100 once passed');
+});
+
+test('8. computeUrgency gives incomplete milestone tasks their milestone urgency', () => {
+  const pending = task('app/a', 'M');
+  const done = task('app/b', 'S', { status: 'completed' });
+  const other = task('docs/a', 'S');
+  const elsewhere = task('app/c', 'S', { milestone: 'Later' });
+  const analysis = analyzeDeadlines([pending, done, other, elsewhere], { now: NOW });
+  assertClose(computeUrgency(pending, analysis), (100 * 2) / 9.5, 1e-9, 'pending');
+  assert(computeUrgency(done, analysis) === 0, 'Expected completed tasks 0');
+  assert(computeUrgency(other, analysis) === 0, 'Expected undated milestone 0');
+  assert(computeUrgency(elsewhere, analysis) === 0, 'Expected other milestone 0');
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+
+/**
+ * Dependency Graph Module Tests (lib/dependency-graph.js)
+ *
+ * Tests for cycle detection, dangling and asymmetric edge reporting,
+ * repair of tasks.json files, and the scanner's checkDependencies option.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let analyzeDependencies, repairDependencyGraph, scanTasks;
+try {
+  ({
+    analyzeDependencies,
+    repairDependencyGraph,
+  } = require('../lib/dependency-graph'));
+  scanTasks = require('../lib/scanner').scanTasks;
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/dependency-graph.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Build a minimal task.
+ */
+function task(id, blockedBy, unlocks) {
+  return {
+    id,
+    title: id,
+    status: 'pending',
+    blocked_by: blockedBy || [],
+    unlocks: unlocks || [],
+  };
+}
+
+/**
+ * Creates a temp directory with a registry and one tasks.json per project.
+ * Returns { registry, tasksPath(name), cleanup }.
+ *
+ * @param {Object} projectTasks - Map of project name -> task array.
+ */
+function createTestEnv(projectTasks) {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-depgraph-test-'));
+  const projects = [];
+
+  for (const [name, tasks] of Object.entries(projectTasks)) {
+    const taskDir = path.join(tmpdir, name, '.claude', 'tasks');
+    fs.mkdirSync(taskDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(taskDir, 'tasks.json'),
+      JSON.stringify({ version: 1, project: name, tasks }, null, 2)
+    );
+    projects.push({ name, path: name, status: 'buildable' });
+  }
+
+  return {
+    registry: { version: 1, projects_root: tmpdir, projects },
+    tasksPath(name) {
+      return path.join(tmpdir, name, '.claude', 'tasks', 'tasks.json');
+    },
+    cleanup() {
+      fs.rmSync(tmpdir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Run fn with stderr suppressed (graph errors are logged as warnings).
+ */
+function quiet(fn) {
+  const originalWrite = process.stderr.write.bind(process.stderr);
+  process.stderr.write = () => true;
+  try {
+    return fn();
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+}
+
+// ── analyzeDependencies ──────────────────────────────────────────────
+
+console.log('\n  analyzeDependencies tests\n');
+
+test('1. consistent graph reports no issues', () => {
+  const result = analyzeDependencies([
+    task('p/a', [], ['p/b']),
+    task('p/b', ['p/a'], ['p/c']),
+    task('p/c', ['p/b']),
+  ]);
+  assert(result.issues.length === 0, `Expected no issues, got ${result.issues.length}`);
+  assert(result.cycles.length === 0, 'Expected no cycles');
+});
+
+test('2. detects a cycle declared through blocked_by', () => {
+  const result = analyzeDependencies([
+    task('p/a', ['p/c'], ['p/b']),
+    task('p/b', ['p/a'], ['p/c']),
+    task('p/c', ['p/b'], ['p/a']),
+    task('p/d', []),
+  ]);
+  assert(result.cycles.length === 1, `Expected 1 cycle, got ${result.cycles.length}`);
+  assert(
+    result.cycles[0].join(',') === 'p/a,p/b,p/c',
+    `Unexpected cycle members: ${result.cycles[0].join(',')}`
+  );
+  const issue = result.issues.find((i) => i.kind === 'cycle');
+  assert(issue && issue.type === 'dependency_error', 'Expected cycle error');
+});
+
+test('3. detects a self-blocking task and a cycle declared only via unlocks', () => {
+  const result = analyzeDependencies([
+    task('p/self', ['p/self'], ['p/self']),
+    task('p/x', [], ['p/y']),
+    task('p/y', [], ['p/x']),
+  ]);
+  assert(result.cycles.length === 2, `Expected 2 cycles, got ${result.cycles.length}`);
+});
+
+test('4. reports dangling blockers as errors and dangling unlocks as warnings', () => {
+  const result = analyzeDependencies([
+    task('p/a', ['p/ghost'], ['p/phantom']),
+  ]);
+  const blocker = result.issues.find((i) => i.kind === 'dangling_blocker');
+  const unlock = result.issues.find((i) => i.kind === 'dangling_unlock');
+  assert(blocker && blocker.type === 'dependency_error', 'Expected dangling blocker error');
+  assert(unlock && unlock.type === 'dependency_warning', 'Expected dangling unlock warning');
+  assert(blocker.message.includes("'p/ghost'"), 'Expected blocker ID in message');
+});
+
+test('5. flags cross-project dangling blockers', () => {
+  const result = analyzeDependencies([task('p/a', ['other/b'])]);
+  assert(result.dangling.length === 1, 'Expected 1 dangling edge');
+  assert(result.dangling[0].crossProject === true, 'Expected crossProject flag');
+  assert(
+    result.issues[0].message.includes("project 'other'"),
+    `Expected project in message: ${result.issues[0].message}`
+  );
+});
+
+test('6. cross-project edges resolve when both projects are present', () => {
+  const result = analyzeDependencies([
+    task('p/a', ['q/b']),
+    task('q/b', [], ['p/a']),
+  ]);
+  assert(result.issues.length === 0, 'Expected cross-project edge to resolve');
+});
+
+test('7. reports each one-sided edge once, on the task missing it', () => {
+  const result = analyzeDependencies([
+    task('p/a', [], ['p/b']),
+    task('p/b', []),
+    task('p/c', ['p/b']),
+  ]);
+  assert(
+    result.asymmetric.length === 2,
+    `Expected 2 asymmetric edges, got ${result.asymmetric.length}`
+  );
+  const keys = result.asymmetric
+    .map((e) => `${e.missingOn}.${e.missingField}+=${e.taskId}`)
+    .sort();
+  assert(
+    keys.join(' ') === 'p/b.blocked_by+=p/a p/b.unlocks+=p/c',
+    `Unexpected asymmetric edges: ${keys.join(' ')}`
+  );
+  assert(
+    result.issues.every((i) => i.taskId === 'p/b'),
+    'Expected issues attributed to the task missing the edge'
+  );
+});
+
+// ── repairDependencyGraph ────────────────────────────────────────────
+
+console.log('\n  repairDependencyGraph tests\n');
+
+test('8. repair adds missing reverse edges across project files', () => {
+  const env = createTestEnv({
+    core: [task('core/a', [], ['app/b'])],
+    app: [task('app/b', []), task('app/c', ['core/a'])],
+  });
+  try {
+    const { tasks } = scanTasks({ registry: env.registry });
+    const result = quiet(() => repairDependencyGraph(tasks));
+
+    assert(result.repaired.length === 2, `Expected 2 repairs, got ${result.repaired.length}`);
+    assert(result.filesWritten.length === 2, 'Expected both files written');
+
+    const core = JSON.parse(fs.readFileSync(env.tasksPath('core'), 'utf8'));
+    const app = JSON.parse(fs.readFileSync(env.tasksPath('app'), 'utf8'));
+    assert(
+      core.tasks[0].unlocks.includes('app/c'),
+      'Expected core/a.unlocks to gain app/c'
+    );
+    assert(
+      app.tasks[0].blocked_by.includes('core/a'),
+      'Expected app/b.blocked_by to gain core/a'
+    );
+
+    const rescanned = scanTasks({ registry: env.registry }).tasks;
+    assert(
+      analyzeDependencies(rescanned).issues.length === 0,
+      'Expected a clean graph after repair'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('9. dry run reports repairs without writing', () => {
+  const env = createTestEnv({
+    core: [task('core/a', [], ['core/b']), task('core/b', [])],
+  });
+  try {
+    const before = fs.readFileSync(env.tasksPath('core'), 'utf8');
+    const { tasks } = scanTasks({ registry: env.registry });
+    const result = quiet(() => repairDependencyGraph(tasks, { dryRun: true }));
+
+    assert(result.repaired.length === 1, 'Expected 1 planned repair');
+    assert(result.filesWritten.length === 0, 'Expected no files written');
+    assert(
+      fs.readFileSync(env.tasksPath('core'), 'utf8') === before,
+      'Expected file unchanged'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('10. repair skips tasks without a source file', () => {
+  const result = quiet(() =>
+    repairDependencyGraph([task('p/a', [], ['p/b']), task('p/b', [])])
+  );
+  assert(result.repaired.length === 0, 'Expected no repairs');
+  assert(result.skipped.length === 1, 'Expected 1 skipped edge');
+});
+
+// ── scanTasks integration ────────────────────────────────────────────
+
+console.log('\n  scanTasks checkDependencies tests\n');
+
+test('11. scanner records dependency issues only when asked', () => {
+  const env = createTestEnv({
+    core: [task('core/a', ['core/missing'], ['core/b']), task('core/b', [])],
+  });
+  try {
+    const plain = scanTasks({ registry: env.registry });
+    assert(
+      !plain.errors.some((e) => e.type === 'dependency_error'),
+      'Expected no dependency errors without checkDependencies'
+    );
+
+    const checked = quiet(() =>
+      scanTasks({ registry: env.registry, checkDependencies: true })
+    );
+    const error = checked.errors.find((e) => e.type === 'dependency_error');
+    assert(error && error.kind === 'dangling_blocker', 'Expected dangling blocker error');
+    assert(error.path === env.tasksPath('core'), `Unexpected error path: ${error.path}`);
+    assert(
+      checked.warnings.some((w) => w.kind === 'asymmetric_edge'),
+      'Expected asymmetric edge warning'
+    );
+    assert(checked.tasks.length === 2, 'Expected tasks still returned');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('12. strict scan throws on a dependency cycle', () => {
+  const env = createTestEnv({
+    core: [task('core/a', ['core/b'], ['core/b']), task('core/b', ['core/a'], ['core/a'])],
+  });
+  try {
+    let thrown = null;
+    try {
+      quiet(() =>
+        scanTasks({ registry: env.registry, strict: true, checkDependencies: true })
+      );
+    } catch (err) {
+      thrown = err;
+    }
+    assert(thrown, 'Expected strict scan to throw');
+    assert(thrown.code === 'SCANNER_STRICT_ERROR', `Unexpected code: ${thrown.code}`);
+    assert(
+      thrown.errors.some((e) => e.kind === 'cycle'),
+      'Expected cycle in thrown errors'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
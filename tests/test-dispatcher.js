@@ -1173,6 +1173,161 @@ test('42. estimateTokens rounds up correctly', () => {
   assert(count === 2, `Expected 2 tokens for 5 chars, got ${count}`);
 });
 
+test('43. buildWorkerPrompt enforces the budget with the configured counter', () => {
+  const env = createTestProject({
+    claudeMd: '# Test\n',
+    relevantFiles: {
+      'src/a.js': 'const a = 1;\n'.repeat(4000),
+    },
+  });
+  try {
+    // Two tokens per character: the file no longer fits whole
+    const counter = { name: 'double', count: (text) => (text ? text.length * 2 : 0) };
+    const task = makeTask({ relevant_files: ['src/a.js'] });
+    const result = buildWorkerPrompt(task, makeProject({}), {
+      projectsRoot: env.tmpdir,
+      tokenCounter: counter,
+    });
+    assert(result.meta.tokenCounter === 'double', 'Expected the counter name in meta');
+    assert(result.meta.tokenEstimate === counter.count(result.prompt), 'Expected the counter used');
+    assert(result.meta.tokenEstimate <= TOKEN_BUDGET, `Over budget: ${result.meta.tokenEstimate}`);
+    assert(result.prompt.includes('### src/a.js (excerpt of 4000 lines)'), 'Expected the file excerpted');
+    assert(result.meta.heuristicTokens === estimateTokens(result.prompt), 'Expected the heuristic in meta');
+
+    const plain = buildWorkerPrompt(task, makeProject({}), { projectsRoot: env.tmpdir });
+    assert(plain.meta.tokenCounter === 'bpe', 'Expected bpe by default');
+    assert(!plain.prompt.includes('(excerpt of'), 'Expected the file whole by default');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('44. buildWorkerPrompt excerpts the regions of a large file the task is about', () => {
+  const fillers = [];
+  for (let i = 0; i < 40; i++) {
+    fillers.push(`function helper${i}() {\n` + '  return [1, 2, 3].map((n) => n * 2);\n'.repeat(30) + '}\n');
+  }
+  const target =
+    'function parseInvoiceTotals(invoice) {\n  return invoice.lines.reduce((sum, l) => sum + l.amount, 0);\n}\n';
+  const before = fillers.slice(0, 30).join('\n') + '\n';
+  const content = before + target + '\n' + fillers.slice(30).join('\n');
+  const firstLine = before.split('\n').length;
+  const env = createTestProject({
+    claudeMd: '# Test\n',
+    relevantFiles: { 'src/big.js': content },
+  });
+  try {
+    const task = makeTask({
+      title: 'Fix rounding in parseInvoiceTotals',
+      description: 'Invoice totals are off by a cent.',
+      relevant_files: ['src/big.js'],
+    });
+    // Six times the heuristic: the file takes more than the budget
+    const counter = { name: 'scaled', count: (text) => estimateTokens(text) * 6 };
+    const result = buildWorkerPrompt(task, makeProject({}), {
+      projectsRoot: env.tmpdir,
+      tokenCounter: counter,
+    });
+    assert(result.meta.filesExcerpted === 1, `Expected 1 excerpted file, got ${result.meta.filesExcerpted}`);
+    assert(
+      result.prompt.includes(`Lines ${firstLine}-${firstLine + 2} (parseInvoiceTotals):`),
+      'Expected the relevant function under its line numbers'
+    );
+    assert(result.prompt.includes('Omitted:\n- lines '), 'Expected an outline of omitted lines');
+    assert(result.prompt.includes(`- lines ${firstLine + 4}-1323 (helper30, `), 'Expected the omitted symbols listed');
+    assert(!result.prompt.includes('function helper39()'), 'Expected the tail of the file left out');
+    assert(result.meta.tokenEstimate <= TOKEN_BUDGET, `Over budget: ${result.meta.tokenEstimate}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('45. buildWorkerPrompt infers relevant files only when asked', () => {
+  const env = createTestProject({
+    claudeMd: '# Test\n',
+    relevantFiles: {
+      'src/invoice.js': 'function parseInvoiceTotals(invoice) {\n  return invoice.total;\n}\n',
+      'src/other.js': 'module.exports = {};\n',
+    },
+  });
+  try {
+    const task = makeTask({ title: 'Fix rounding in `parseInvoiceTotals`', relevant_files: [] });
+    const result = buildWorkerPrompt(task, makeProject({}), { projectsRoot: env.tmpdir, inferFiles: true });
+    const inferred = result.meta.inferredFiles.map((f) => f.path);
+    assert(inferred.join(',') === 'src/invoice.js', `Unexpected inferred files: ${inferred}`);
+    assert(result.prompt.includes('these were inferred from it'), 'Expected the inferred note');
+    assert(result.prompt.includes('### src/invoice.js'), 'Expected the inferred file included');
+    assert(result.meta.filesIncluded === 1, 'Expected the file counted');
+
+    const off = buildWorkerPrompt(task, makeProject({}), { projectsRoot: env.tmpdir });
+    assert(off.meta.inferredFiles.length === 0 && !off.prompt.includes('## Relevant Files'), 'Expected inference off by default');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('46. buildWorkerPrompt renders the template the task and project select', () => {
+  const env = createTestProject({
+    claudeMd: '# Test\n',
+    relevantFiles: {
+      '.claude/prompts/worker-python.md':
+        '---\nlabels: [python]\n---\nPython task: {{task.title}}\n- Run {{testCommand}}\n',
+    },
+  });
+  try {
+    const docs = buildWorkerPrompt(makeTask({ labels: ['docs'] }), makeProject({}), { projectsRoot: env.tmpdir });
+    assert(docs.meta.template.name === 'worker-docs', `Unexpected template: ${docs.meta.template.name}`);
+    assert(!docs.prompt.includes('Follow TDD'), 'Expected no TDD constraint for docs');
+    assert(docs.prompt.includes('## Your Assignment'), 'Expected the assignment section');
+
+    const python = buildWorkerPrompt(
+      makeTask({ labels: ['python'] }),
+      makeProject({ test_command: 'uv run pytest' }),
+      { projectsRoot: env.tmpdir }
+    );
+    assert(python.meta.template.source === 'project', 'Expected the project template');
+    assert(python.prompt.startsWith('Python task: ') && python.prompt.includes('- Run uv run pytest'), 'Expected the project template rendered');
+    assert(python.meta.templateError === null, 'Expected no template error');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('47. buildWorkerPrompt injects docs from the configured roots and reports them', () => {
+  const env = createTestProject({
+    claudeMd: '# Test\n',
+    relevantFiles: {
+      'docs/generated/summaries/widgets.json': JSON.stringify({
+        title: 'Widget Guide',
+        description: 'Building widgets',
+        keywords: ['widget'],
+        summary: 'Widgets are built from parts.',
+      }),
+      'docs/widgets/assembly.md': '# Assembly\n\nAssemble each widget from its parts.\n',
+    },
+  });
+  try {
+    const task = makeTask({ title: 'Assemble the widget', description: 'Build a widget from parts.' });
+    const result = buildWorkerPrompt(task, makeProject({ docs_roots: ['docs'] }), {
+      projectsRoot: env.tmpdir,
+      registry: { docs_roots: ['missing-docs'] },
+    });
+    const docs = result.meta.docs;
+    assert(docs.roots.map((r) => `${r.source}:${r.exists}`).join(',') === 'project:true,registry:false', `Unexpected roots: ${JSON.stringify(docs.roots)}`);
+    assert(docs.budget > 500, `Expected the doc budget to scale, got ${docs.budget}`);
+    assert(docs.docsIncluded === 1 && docs.sectionsIncluded === 1, 'Expected the summary and its section');
+    assert(docs.included.map((i) => i.kind).join(',') === 'summary,section', 'Expected included docs reported');
+    assert(result.prompt.includes('## Relevant Documentation\n\n### Widget Guide\nWidgets are built from parts.'), 'Expected the summary in the prompt');
+    assert(result.prompt.includes('#### Assembly (widgets/assembly.md)'), 'Expected the section in the prompt');
+    assert(result.prompt.indexOf('## Relevant Documentation') < result.prompt.indexOf('## Constraints'), 'Expected docs before constraints');
+
+    const summariesOnly = buildWorkerPrompt(task, makeProject({ docs_roots: ['docs'] }), { projectsRoot: env.tmpdir, docContent: 'summaries' });
+    assert(summariesOnly.meta.docs.sectionsIncluded === 0 && !summariesOnly.prompt.includes('#### Assembly'), 'Expected summaries only');
+  } finally {
+    env.cleanup();
+  }
+});
+
 // ── Summary ─────────────────────────────────────────────────────────
 
 console.log('\n' + '='.repeat(50));
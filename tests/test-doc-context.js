@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Doc Context Module Tests (lib/doc-context.js)
+ *
+ * Tests for resolving docs roots from the registry and project, merging
+ * docs across roots, and filling the doc budget with summaries and full
+ * sections while reporting what was included or skipped, including
+ * docs whose sources cannot be read.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let loadDocContext, resolveDocsRoots;
+try {
+  ({ loadDocContext, resolveDocsRoots } = require('../lib/doc-context'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/doc-context.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Create docs roots under a temp directory. `roots` maps a root name to
+ * its docs: `{ name: { summary: {...}, files: { relPath: content } } }`.
+ */
+function createDocsEnv(roots) {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-doc-context-test-'));
+  const paths = {};
+  for (const [rootName, docs] of Object.entries(roots)) {
+    const root = path.join(tmpdir, rootName);
+    paths[rootName] = root;
+    const summariesDir = path.join(root, 'generated', 'summaries');
+    fs.mkdirSync(summariesDir, { recursive: true });
+    for (const [docName, doc] of Object.entries(docs)) {
+      fs.writeFileSync(path.join(summariesDir, `${docName}.json`), JSON.stringify(doc.summary));
+      for (const [relPath, content] of Object.entries(doc.files || {})) {
+        const fullPath = path.join(root, relPath);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, content);
+      }
+    }
+  }
+  return {
+    tmpdir,
+    paths,
+    cleanup() {
+      fs.rmSync(tmpdir, { recursive: true, force: true });
+    },
+  };
+}
+
+const UV = {
+  summary: {
+    title: 'uv Package Manager',
+    description: 'Fast Python package installer',
+    keywords: ['python', 'package', 'lockfile'],
+    summary: 'uv installs Python packages.',
+  },
+  files: {
+    'uv/guides/locking.md':
+      '# Lockfiles\n\nuv lock writes uv.lock; commit the lockfile.\n\n## Caching\n\nThe cache lives in ~/.cache/uv.\n',
+  },
+};
+
+const RUFF = {
+  summary: {
+    title: 'ruff Linter',
+    description: 'Fast Python linter',
+    keywords: ['python', 'linter'],
+    summary: 'ruff lints Python.',
+  },
+};
+
+const TASK = {
+  id: 'jade-index/pin-deps',
+  title: 'Pin dependencies with a lockfile',
+  description: 'Use a python lockfile so installs are reproducible.',
+};
+
+// ── Docs roots ───────────────────────────────────────────────────────
+
+console.log('\n  Docs roots tests\n');
+
+test('1. project roots come before registry roots, with the default as fallback', () => {
+  const projectPath = path.join(os.tmpdir(), 'projects', 'jade-index');
+  const registry = { projects_root: path.join(os.tmpdir(), 'projects'), docs_roots: ['shared-docs', '~/docs'] };
+  const roots = resolveDocsRoots({ docs_roots: ['docs', '../shared-docs'] }, projectPath, { registry });
+  assert(
+    roots.map((r) => `${r.source}:${r.path}`).join('|') ===
+      [
+        `project:${path.join(projectPath, 'docs')}`,
+        `project:${path.join(os.tmpdir(), 'projects', 'shared-docs')}`,
+        `registry:${path.join(os.homedir(), 'docs')}`,
+      ].join('|'),
+    `Unexpected roots: ${JSON.stringify(roots)}`
+  );
+
+  const fallback = resolveDocsRoots({}, projectPath);
+  assert(
+    fallback.length === 1 && fallback[0].source === 'default' &&
+      fallback[0].path === path.join(os.tmpdir(), 'projects', 'jadecli-codespaces', 'docs'),
+    'Expected the sibling jadecli-codespaces/docs'
+  );
+  assert(resolveDocsRoots({ docs_roots: ['docs'] }, projectPath, { docsRoots: [] }).length === 0, 'Expected docsRoots to replace the configuration');
+});
+
+// ── Context ──────────────────────────────────────────────────────────
+
+console.log('\n  Context tests\n');
+
+test('2. docs merge across roots; earlier roots shadow later ones', () => {
+  const env = createDocsEnv({
+    project: { uv: UV },
+    shared: { uv: { summary: { ...UV.summary, summary: 'Shared uv.' } }, ruff: RUFF },
+  });
+  try {
+    const result = loadDocContext(TASK, [env.paths.project, path.join(env.tmpdir, 'missing'), env.paths.shared], 5000, { content: 'summaries' });
+    assert(result.docsIncluded === 2, `Expected 2 docs, got ${result.docsIncluded}`);
+    assert(result.context.includes('uv installs Python packages.') && !result.context.includes('Shared uv.'), 'Expected the project uv summary');
+    assert(result.context.includes('ruff lints Python.'), 'Expected the shared ruff summary');
+    assert(result.roots[1].exists === false, 'Expected the missing root reported');
+    const shadowed = result.skipped.find((s) => s.reason === 'shadowed');
+    assert(shadowed && shadowed.doc === 'uv' && shadowed.root === env.paths.shared && shadowed.by === env.paths.project, 'Expected the shared uv shadowed');
+    assert(result.included.every((i) => i.kind === 'summary'), 'Expected summaries only');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('3. sections matching the task follow the summaries', () => {
+  const env = createDocsEnv({ docs: { uv: UV } });
+  try {
+    const result = loadDocContext(TASK, env.paths.docs, 5000);
+    assert(result.sectionsIncluded === 1, `Expected 1 section, got ${result.sectionsIncluded}`);
+    assert(
+      result.context.includes('### uv Package Manager\nuv installs Python packages.\n\n#### Lockfiles (uv/guides/locking.md)\n\nuv lock writes uv.lock'),
+      `Unexpected context: ${result.context}`
+    );
+    assert(!result.context.includes('Caching'), 'Expected the unrelated section left out');
+    const section = result.included.find((i) => i.kind === 'section');
+    assert(section.section === 'Lockfiles' && section.file === 'uv/guides/locking.md', 'Expected the section reported');
+
+    const sectionsOnly = loadDocContext(TASK, env.paths.docs, 5000, { content: 'sections' });
+    assert(!sectionsOnly.context.includes('uv installs Python packages.') && sectionsOnly.context.includes('#### Lockfiles'), 'Expected sections without the summary');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('4. the budget and doc limit decide what is skipped, and why', () => {
+  const env = createDocsEnv({ docs: { uv: UV, ruff: RUFF } });
+  try {
+    const tight = loadDocContext(TASK, env.paths.docs, 20);
+    assert(tight.tokens <= 20, `Expected at most 20 tokens, got ${tight.tokens}`);
+    assert(tight.skipped.some((s) => s.reason === 'over-budget'), 'Expected over-budget skips');
+    assert(tight.included.length + tight.skipped.length >= 3, 'Expected every doc and section accounted for');
+
+    const none = loadDocContext(TASK, env.paths.docs, 0);
+    assert(none.context === '' && none.skipped.filter((s) => s.reason === 'over-budget').length === 2, 'Expected both docs over budget');
+
+    const limited = loadDocContext(TASK, env.paths.docs, 5000, { maxDocs: 1 });
+    assert(limited.docsIncluded === 1 && limited.skipped.some((s) => s.reason === 'limit'), 'Expected the second doc skipped by the limit');
+
+    let code = null;
+    try {
+      loadDocContext(TASK, env.paths.docs, 5000, { content: 'everything' });
+    } catch (err) {
+      code = err.code;
+    }
+    assert(code === 'INVALID_DOC_CONTENT', 'Expected INVALID_DOC_CONTENT');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('5. a docs directory that cannot be listed skips its sections', () => {
+  const env = createDocsEnv({ docs: { uv: UV } });
+  const readdirSync = fs.readdirSync;
+  const guides = path.join(env.paths.docs, 'uv', 'guides');
+  fs.readdirSync = (dir, ...rest) => {
+    if (dir === guides) {
+      const err = new Error(`EACCES: permission denied, scandir '${dir}'`);
+      err.code = 'EACCES';
+      throw err;
+    }
+    return readdirSync(dir, ...rest);
+  };
+  try {
+    const result = loadDocContext(TASK, env.paths.docs, 5000);
+    assert(result.docsIncluded === 1 && result.sectionsIncluded === 0, 'Expected the summary without sections');
+    const skipped = result.skipped.find((s) => s.reason === 'unreadable');
+    assert(skipped && skipped.doc === 'uv' && /EACCES/.test(skipped.error), `Unexpected skipped: ${JSON.stringify(result.skipped)}`);
+  } finally {
+    fs.readdirSync = readdirSync;
+    env.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -366,6 +366,36 @@ test('Returns summary with complete metadata', () => {
     }
 });
 
+// Test 16: Loads full sections from a doc's Markdown sources
+test('Loads sections from doc sources', () => {
+    delete require.cache[require.resolve('../lib/doc-loader')];
+    const DocLoader = require('../lib/doc-loader');
+    const env = createTestDocsEnv();
+    try {
+        fs.writeFileSync(
+            path.join(env.docsRoot, 'ruff', 'guides', 'rules.md'),
+            '# Rules\n\nSelect rules.\n\n```toml\n# not a heading\n```\n\n## Ignoring\n\nUse noqa.\n\n## Empty\n'
+        );
+        const loader = new DocLoader(env.docsRoot);
+
+        const uv = loader.loadSections(loader.loadSummary('uv'));
+        assertEqual(uv.length, 1, 'Should find one uv section');
+        assertEqual(uv[0].heading, 'Getting Started with uv', 'Should use the heading');
+        assertEqual(uv[0].file, path.join('uv', 'guides', 'getting-started.md'), 'Should report the file');
+        assertEqual(uv[0].text, 'Install with `pip install uv`', 'Should hold the body');
+
+        const ruff = loader.loadSections('ruff');
+        assertEqual(ruff.map(s => s.heading).join(','), 'Rules,Ignoring', 'Should split at headings outside code and drop empty sections');
+        assertIncludes(ruff[0].text, '# not a heading', 'Should keep fenced code');
+
+        const sourced = loader.loadSections({ _name: 'uv', source: 'ruff/guides/rules.md' });
+        assertEqual(sourced.length, 2, 'Should read the summary source instead');
+        assertEqual(loader.loadSections('missing').length, 0, 'Should find nothing for a doc without sources');
+    } finally {
+        env.cleanup();
+    }
+});
+
 // ── Summary ──────────────────────────────────────────────────────────
 
 console.log(`\n${passed} passed, ${failed} failed\n`);
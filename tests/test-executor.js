@@ -113,7 +113,7 @@ function createTestProject(options) {
  * { command, args, options } objects for each invocation, and the
  * child emitter that can be controlled by the test.
  */
-function createMockSpawn(exitCode) {
+function createMockSpawn(exitCode, stdout) {
   const calls = [];
   const children = [];
 
@@ -146,7 +146,7 @@ function createMockSpawn(exitCode) {
       if (exitCode === 0) {
         child.stdout.emit(
           'data',
-          Buffer.from('Worker output: task completed successfully\n')
+          Buffer.from(stdout || 'Worker output: task completed successfully\n')
         );
       } else {
         child.stderr.emit(
@@ -169,12 +169,14 @@ let executeWorker;
 let buildTierConfig;
 let getOllamaBaseUrl;
 let DEFAULT_OLLAMA_BASE_URL;
+let logWorkerUsage;
 try {
   const executor = require('../lib/executor');
   executeWorker = executor.executeWorker;
   buildTierConfig = executor.buildTierConfig;
   getOllamaBaseUrl = executor.getOllamaBaseUrl;
   DEFAULT_OLLAMA_BASE_URL = executor.DEFAULT_OLLAMA_BASE_URL;
+  logWorkerUsage = executor.logWorkerUsage;
 } catch (err) {
   console.log('\nFATAL: Could not load lib/executor.js');
   console.log(`  ${err.message}\n`);
@@ -1173,6 +1175,80 @@ queueAsync(
   }
 );
 
+queueAsync(
+  '41. runs with --output-format json and logs the reported usage',
+  async () => {
+    const env = createTestProject();
+    const output = {
+      type: 'result',
+      is_error: false,
+      result: 'Implemented the task. Mentions "input_tokens": 1 in passing.',
+      num_turns: 1,
+      usage: {
+        input_tokens: 1200,
+        cache_read_input_tokens: 300,
+        cache_creation_input_tokens: 0,
+        output_tokens: 80,
+      },
+    };
+    const logs = [];
+    const originalWrite = process.stdout.write.bind(process.stdout);
+    process.stdout.write = (chunk) => {
+      logs.push(String(chunk));
+      return true;
+    };
+    try {
+      const { mockSpawn, calls } = createMockSpawn(0, JSON.stringify(output));
+      const result = await executeWorker('test-project/test-task', {
+        projectsRoot: env.tmpdir,
+        _spawnFn: mockSpawn,
+      });
+      process.stdout.write = originalWrite;
+
+      const args = calls[0].args;
+      const at = args.indexOf('--output-format');
+      assert(at !== -1 && args[at + 1] === 'json', `Expected --output-format json in ${args}`);
+      assert(result.stdout === output.result, `Unexpected stdout: ${result.stdout}`);
+      assert(result.output.usage.input_tokens === 1200, 'Expected the parsed output');
+      const calibration = logs
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        })
+        .find((entry) => entry && entry.message === 'Token count vs actual');
+      assert(calibration, 'Expected the calibration logged');
+      assert(calibration.actual === 1500, `Expected 1500 actual tokens, got ${calibration.actual}`);
+    } finally {
+      process.stdout.write = originalWrite;
+      env.cleanup();
+    }
+  }
+);
+
+queueAsync(
+  '42. multi-turn usage is logged as cumulative, not as actual',
+  async () => {
+    const meta = { tokenCounter: 'heuristic', tokenEstimate: 1000, heuristicTokens: 1000 };
+    const originalWrite = process.stdout.write.bind(process.stdout);
+    process.stdout.write = () => true;
+    let fields;
+    try {
+      fields = logWorkerUsage('test-project/test-task', meta, {
+        num_turns: 12,
+        usage: { input_tokens: 900, cache_read_input_tokens: 40000 },
+      });
+    } finally {
+      process.stdout.write = originalWrite;
+    }
+    assert(fields.sessionInputTokens === 40900 && fields.turns === 12, 'Expected the cumulative usage and turns');
+    assert(!('actual' in fields) && !('error' in fields), 'Expected no actual count or error ratio');
+    assert(logWorkerUsage('test-project/test-task', meta, null) === null, 'Expected null without usage');
+  }
+);
+
 // ═════════════════════════════════════════════════════════════════════
 // Run async tests
 // ═════════════════════════════════════════════════════════════════════
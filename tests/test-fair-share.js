@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Fair-Share Module Tests (lib/fair-share.js)
+ *
+ * Tests for guaranteed per-project shares of the top slots, in_progress
+ * caps, round-robin interleaving and the scoreTasks() option.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let applyFairShare, scoreTasks;
+try {
+  ({ applyFairShare } = require('../lib/fair-share'));
+  ({ scoreTasks } = require('../lib/scorer'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/fair-share.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * A ranked task with a fixed score.
+ */
+function ranked(id, score, overrides) {
+  const project = id.split('/')[0];
+  return Object.assign(
+    {
+      id,
+      status: 'pending',
+      _score: score,
+      _projectName: project,
+      _project: { name: project },
+    },
+    overrides
+  );
+}
+
+/**
+ * "big" has six high-scoring tasks; "mid" and "small" have two each.
+ */
+function corpus() {
+  return [
+    ranked('big/a', 90),
+    ranked('big/b', 88),
+    ranked('big/c', 86),
+    ranked('big/d', 84),
+    ranked('big/e', 82),
+    ranked('big/f', 80),
+    ranked('mid/a', 60),
+    ranked('mid/b', 55),
+    ranked('small/a', 40),
+    ranked('small/b', 35),
+  ];
+}
+
+function ids(tasks) {
+  return tasks.map((t) => t.id).join(',');
+}
+
+// ── Fair share ───────────────────────────────────────────────────────
+
+console.log('\n  Fair share tests\n');
+
+test('1. every project gets its minimum share of the top slots', () => {
+  const result = applyFairShare(corpus(), { top: 4, minShare: 1 });
+  assert(
+    ids(result.slice(0, 4)) === 'big/a,big/b,mid/a,small/a',
+    `Unexpected top 4: ${ids(result.slice(0, 4))}`
+  );
+  assert(result.length === 10, 'Expected every task kept');
+  assert(
+    ids(result.slice(4)) === 'big/c,big/d,big/e,big/f,mid/b,small/b',
+    `Expected the rest in score order: ${ids(result.slice(4))}`
+  );
+});
+
+test('2. larger minimum shares and score order within each project', () => {
+  const result = applyFairShare(corpus(), { top: 6, minShare: 2 });
+  const top = result.slice(0, 6);
+  assert(
+    ids(top) === 'big/a,big/b,mid/a,mid/b,small/a,small/b',
+    `Unexpected top 6: ${ids(top)}`
+  );
+  for (const project of ['big', 'mid', 'small']) {
+    const scores = result.filter((t) => t._projectName === project).map((t) => t._score);
+    assert(
+      scores.every((score, i) => i === 0 || scores[i - 1] >= score),
+      `Expected ${project} in score order`
+    );
+  }
+});
+
+test('3. more projects than slots favours the best top task', () => {
+  const result = applyFairShare(corpus(), { top: 2, minShare: 1 });
+  assert(ids(result.slice(0, 2)) === 'big/a,mid/a', `Unexpected: ${ids(result.slice(0, 2))}`);
+});
+
+// ── In-progress caps ─────────────────────────────────────────────────
+
+console.log('\n  In-progress cap tests\n');
+
+test('4. capped projects only fill up to their in_progress limit', () => {
+  const tasks = corpus();
+  const running = ranked('big/running', 0, { status: 'in_progress' });
+  const result = applyFairShare(tasks, {
+    top: 4,
+    maxInProgress: { big: 2 },
+    allTasks: [...tasks, running],
+  });
+  const bigPending = result
+    .slice(0, 4)
+    .filter((t) => t._projectName === 'big');
+  assert(bigPending.length === 1, `Expected 1 big task in the top 4, got ${bigPending.length}`);
+  const capped = result.filter((t) => t._capped);
+  assert(capped.length === 5, `Expected 5 held back, got ${capped.length}`);
+  assert(ids(result.slice(-5)) === ids(capped), 'Expected held-back tasks last');
+});
+
+test('5. registry max_in_progress applies and per-project options win', () => {
+  const tasks = corpus().map((t) =>
+    t._projectName === 'mid' ? { ...t, _project: { name: 'mid', max_in_progress: 0 } } : t
+  );
+  const result = applyFairShare(tasks, { top: 4 });
+  assert(
+    result.filter((t) => t._capped).map((t) => t.id).join(',') === 'mid/a,mid/b',
+    'Expected mid held back by its registry cap'
+  );
+
+  const overridden = applyFairShare(tasks, { top: 4, maxInProgress: { mid: 5 } });
+  assert(!overridden.some((t) => t._capped), 'Expected the option to lift the cap');
+});
+
+// ── Round robin ──────────────────────────────────────────────────────
+
+console.log('\n  Round-robin tests\n');
+
+test('6. round-robin interleaves projects in the top slots', () => {
+  const result = applyFairShare(corpus(), { top: 6, mode: 'round-robin' });
+  assert(
+    ids(result.slice(0, 6)) === 'big/a,mid/a,small/a,big/b,mid/b,small/b',
+    `Unexpected: ${ids(result.slice(0, 6))}`
+  );
+});
+
+// ── scoreTasks integration ───────────────────────────────────────────
+
+console.log('\n  scoreTasks integration tests\n');
+
+test('7. scoreTasks({ fairShare }) reorders the ranking', () => {
+  const task = (id, status, labels) => ({
+    id,
+    title: id,
+    status,
+    complexity: 'S',
+    labels,
+    _projectName: id.split('/')[0],
+    _project: { name: id.split('/')[0], status: 'buildable' },
+  });
+  const tasks = [
+    task('hot/a', 'pending', ['bugfix']),
+    task('hot/b', 'pending', ['bugfix']),
+    task('hot/c', 'pending', ['bugfix']),
+    task('cold/a', 'pending', []),
+    task('cold/b', 'in_progress', []),
+  ];
+  const plain = scoreTasks(tasks.map((t) => ({ ...t })));
+  assert(plain[3].id.startsWith('cold/'), 'Expected cold tasks last by score');
+
+  const shared = scoreTasks(tasks.map((t) => ({ ...t })), {
+    fairShare: { top: 3, maxInProgress: 1 },
+  });
+  const top = shared.slice(0, 3).map((t) => t.id).sort().join(',');
+  assert(top === 'cold/b,hot/a,hot/b', `Unexpected top 3: ${top}`);
+  assert(
+    shared.find((t) => t.id === 'cold/a')._capped,
+    'Expected cold/a held back by the cap'
+  );
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * File Excerpter Module Tests (lib/file-excerpter.js)
+ *
+ * Tests for task term extraction, region splitting, relevance scoring
+ * and fitting excerpts with line headers and an omitted outline into a
+ * token budget.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let excerptFile, extractTaskTerms, splitRegions, scoreRegion, heuristicCounter;
+try {
+  ({
+    excerptFile,
+    extractTaskTerms,
+    splitRegions,
+    scoreRegion,
+  } = require('../lib/file-excerpter'));
+  ({ heuristicCounter } = require('../lib/token-counter'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/file-excerpter.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * A function of `lines` body lines that mentions nothing in particular.
+ */
+function filler(name, lines) {
+  return (
+    `function ${name}() {\n` +
+    '  const values = [1, 2, 3];\n'.repeat(lines) +
+    '  return values;\n}\n'
+  );
+}
+
+const SOURCE = [
+  "'use strict';\n",
+  filler('setupLogging', 20),
+  '/**\n * Apply the discount to an order total.\n */\nfunction applyDiscount(order, code) {\n  return order.total * (1 - code.rate);\n}\n',
+  filler('formatAddress', 20),
+  "test('applies a discount code to the order total', () => {\n  assert(applyDiscount({ total: 10 }, { rate: 0.5 }) === 5);\n});\n",
+  filler('closeConnections', 20),
+].join('\n');
+
+const TASK = {
+  title: 'Discount codes are applied twice',
+  description: 'The order total drops too far when `applyDiscount` runs.',
+  feature: { acceptance_criteria: ['A discount code is applied once per order'] },
+};
+
+// ── Terms and regions ────────────────────────────────────────────────
+
+console.log('\n  Term and region tests\n');
+
+test('1. extractTaskTerms stems words, drops stopwords and keeps identifiers', () => {
+  const { terms, identifiers } = extractTaskTerms(TASK);
+  assert(terms.has('discount') && terms.has('code') && terms.has('order'), 'Expected stemmed task words');
+  assert(!terms.has('the') && !terms.has('when'), 'Expected stopwords dropped');
+  assert(identifiers.has('applyDiscount'), 'Expected the backquoted identifier');
+  assert(extractTaskTerms({}).terms.size === 0, 'Expected no terms for an empty task');
+});
+
+test('2. splitRegions starts regions at top-level blocks and chunks long ones', () => {
+  const regions = splitRegions(SOURCE);
+  const discount = regions.find((r) => r.symbols.includes('applyDiscount'));
+  assert(discount, 'Expected a region defining applyDiscount');
+  assert(discount.text.startsWith('/**'), 'Expected the doc comment kept with its function');
+  assert(discount.text.split('\n').length === discount.end - discount.start + 1, 'Expected inclusive line numbers');
+  assert(regions.some((r) => r.tests.includes('applies a discount code to the order total')), 'Expected the test name');
+
+  const long = splitRegions(filler('huge', 150));
+  assert(long.length === 4, `Expected 4 chunks, got ${long.length}`);
+  assert(long[1].symbols.length === 0 && long[1].parent === 'huge', 'Expected chunks to name their parent');
+  assert(long[3].end === 153, `Expected the last line to be 153, got ${long[3].end}`);
+});
+
+// ── Scoring ──────────────────────────────────────────────────────────
+
+console.log('\n  Scoring tests\n');
+
+test('3. scoreRegion ranks named symbols, matching tests and keywords above filler', () => {
+  const taskTerms = extractTaskTerms(TASK);
+  const scores = new Map(splitRegions(SOURCE).map((r) => [r.symbols[0] || r.tests[0] || r.text, scoreRegion(r, taskTerms)]));
+  const definition = scores.get('applyDiscount');
+  const testRegion = scores.get('applies a discount code to the order total');
+  assert(definition > testRegion, `Expected the definition first (${definition} vs ${testRegion})`);
+  assert(testRegion > scores.get('formatAddress'), 'Expected the matching test above filler');
+  assert(scores.get('setupLogging') === 0, 'Expected no score for unrelated filler');
+});
+
+// ── Excerpting ───────────────────────────────────────────────────────
+
+console.log('\n  Excerpt tests\n');
+
+test('4. excerptFile keeps the relevant regions with line headers and an outline', () => {
+  const result = excerptFile('src/orders.js', SOURCE, TASK, 200, heuristicCounter);
+  assert(result, 'Expected an excerpt');
+  assert(result.tokens <= 200 && heuristicCounter.count(result.section) === result.tokens, 'Expected the budget kept');
+  assert(result.section.startsWith('### src/orders.js (excerpt of'), 'Expected the section header');
+  assert(/Lines 27-32 \(applyDiscount\):/.test(result.section), 'Expected the definition with its line numbers');
+  assert(result.section.includes('function applyDiscount(order, code)'), 'Expected the definition body');
+  assert(!result.section.includes('function formatAddress()'), 'Expected unrelated filler left out');
+  assert(/Omitted:\n- lines 3-25 \(setupLogging\)/.test(result.section), 'Expected the omitted outline');
+  assert(result.regionsIncluded < result.regions, 'Expected some regions left out');
+});
+
+test('5. excerptFile keeps the head of the file when the task says nothing about it', () => {
+  const result = excerptFile('src/orders.js', SOURCE, { title: 'Unrelated' }, 200, heuristicCounter);
+  assert(result.section.includes("Lines 1-25 (setupLogging):\n\n```\n'use strict';\n\nfunction"), 'Expected the head of the file');
+  assert(!result.section.includes('closeConnections()'), 'Expected the tail left out');
+});
+
+test('6. excerptFile truncates the best region when nothing fits whole, or gives up', () => {
+  const oneLine = 'x'.repeat(4000);
+  const result = excerptFile('min.js', oneLine, TASK, 100, heuristicCounter);
+  assert(result && result.tokens <= 100, 'Expected a truncated excerpt within budget');
+  assert(result.section.includes('[region truncated to fit token budget]'), 'Expected the truncation note');
+  assert(excerptFile('min.js', oneLine, TASK, 5, heuristicCounter) === null, 'Expected null without room');
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
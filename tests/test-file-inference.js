@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * File Inference Module Tests (lib/file-inference.js)
+ *
+ * Tests for proposing relevant_files from paths and identifiers in the
+ * task, git history of similar completed tasks and test/source pairs,
+ * and for filling them in across the registry.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let inferRelevantFiles, fillRelevantFiles, listProjectFiles, readTasksFile, readJournal;
+try {
+  ({
+    inferRelevantFiles,
+    fillRelevantFiles,
+    listProjectFiles,
+  } = require('../lib/file-inference'));
+  ({ readTasksFile } = require('../lib/task-store'));
+  ({ readJournal } = require('../lib/task-journal'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/file-inference.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+const SOURCES = {
+  'lib/invoice.js': 'function parseInvoiceTotals(invoice) {\n  return invoice.total;\n}\nmodule.exports = { parseInvoiceTotals };\n',
+  'lib/report.js': "const { parseInvoiceTotals } = require('./invoice');\nfunction monthlyReport() {}\n",
+  'lib/shipping.js': 'function shippingRates() {\n  return [];\n}\n',
+  'tests/test-invoice.js': "require('../lib/invoice');\n",
+  'tests/test-shipping.js': "require('../lib/shipping');\n",
+  'node_modules/dep/invoice.js': 'function parseInvoiceTotals() {}\n',
+};
+
+/**
+ * Temporary projects root with one project "app" holding SOURCES and a
+ * tasks.json with the given tasks.
+ */
+function createTestProject(tasks) {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-inference-test-'));
+  const projectPath = path.join(tmpdir, 'app');
+  for (const [rel, content] of Object.entries(SOURCES)) {
+    fs.mkdirSync(path.dirname(path.join(projectPath, rel)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, rel), content);
+  }
+  const tasksPath = path.join(projectPath, '.claude', 'tasks', 'tasks.json');
+  fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+  fs.writeFileSync(tasksPath, JSON.stringify({ version: 1, project: 'app', tasks }, null, 2) + '\n');
+  return {
+    tmpdir,
+    projectPath,
+    tasksPath,
+    registry: {
+      version: 1,
+      projects_root: tmpdir,
+      projects: [{ name: 'app', path: 'app', status: 'buildable', language: 'javascript' }],
+    },
+    git(...args) {
+      return execFileSync(
+        'git',
+        ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+        { cwd: projectPath, encoding: 'utf8', stdio: 'pipe' }
+      );
+    },
+    cleanup() {
+      fs.rmSync(tmpdir, { recursive: true, force: true });
+    },
+  };
+}
+
+function pathsOf(proposals) {
+  return proposals.map((p) => p.path);
+}
+
+// ── Task text ────────────────────────────────────────────────────────
+
+console.log('\n  Task text tests\n');
+
+test('1. mentioned paths and definitions rank first, with their tests', () => {
+  const env = createTestProject([]);
+  try {
+    const proposals = inferRelevantFiles(
+      {
+        id: 'app/fix',
+        title: 'Fix rounding in `parseInvoiceTotals`',
+        description: 'See lib/shipping.js for the old approach.',
+      },
+      env.projectPath,
+      { git: false, tasks: [] }
+    );
+    const paths = pathsOf(proposals);
+    assert(paths[0] === 'lib/shipping.js' && proposals[0].confidence >= 0.95, `Expected the path first: ${paths}`);
+    const invoice = proposals.find((p) => p.path === 'lib/invoice.js');
+    assert(invoice && invoice.reasons.includes('defines parseInvoiceTotals'), 'Expected the definition');
+    const test = proposals.find((p) => p.path === 'tests/test-invoice.js');
+    assert(test && test.reasons.includes('test for lib/invoice.js'), 'Expected the test counterpart');
+    assert(test.confidence < invoice.confidence, 'Expected the test below its source');
+    const report = proposals.find((p) => p.path === 'lib/report.js');
+    assert(report && report.confidence < 0.5, 'Expected a use to count for little');
+    assert(!paths.some((p) => p.startsWith('node_modules/')), 'Expected node_modules skipped');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('2. limit and minConfidence bound the proposals; unknown text proposes nothing', () => {
+  const env = createTestProject([]);
+  try {
+    const task = { id: 'app/fix', title: 'Fix `parseInvoiceTotals` in invoice.js' };
+    const one = inferRelevantFiles(task, env.projectPath, { git: false, tasks: [], limit: 1 });
+    assert(one.length === 1 && one[0].path === 'lib/invoice.js', `Unexpected proposals: ${pathsOf(one)}`);
+    const strict = inferRelevantFiles(task, env.projectPath, { git: false, tasks: [], minConfidence: 0.9 });
+    assert(strict.every((p) => p.confidence >= 0.9), 'Expected the threshold applied');
+    const none = inferRelevantFiles({ id: 'app/x', title: 'Update the changelog wording' }, env.projectPath, { git: false, tasks: [] });
+    assert(none.length === 0, `Expected no proposals, got ${pathsOf(none)}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Git history ──────────────────────────────────────────────────────
+
+console.log('\n  Git history tests\n');
+
+test('3. files committed for similar completed tasks are proposed', () => {
+  const done = { id: 'app/shipping-rates', title: 'Shipping rates for express orders', status: 'completed' };
+  const env = createTestProject([done]);
+  try {
+    env.git('init', '-q');
+    env.git('add', '-A');
+    env.git('commit', '-q', '-m', 'Initial import');
+    fs.appendFileSync(path.join(env.projectPath, 'lib/shipping.js'), '// express\n');
+    env.git('commit', '-q', '-am', '[app/shipping-rates] Add express rates');
+
+    assert(listProjectFiles(env.projectPath).includes('lib/shipping.js'), 'Expected git ls-files used');
+    const proposals = inferRelevantFiles(
+      { id: 'app/overnight', title: 'Shipping rates for overnight orders', status: 'pending' },
+      env.projectPath
+    );
+    const shipping = proposals.find((p) => p.path === 'lib/shipping.js');
+    assert(shipping, `Expected lib/shipping.js, got ${pathsOf(proposals)}`);
+    assert(shipping.reasons.includes('changed for similar task app/shipping-rates'), `Unexpected reasons: ${shipping.reasons}`);
+    assert(pathsOf(proposals).includes('tests/test-shipping.js'), 'Expected its test');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Filling ──────────────────────────────────────────────────────────
+
+console.log('\n  Fill tests\n');
+
+test('4. fillRelevantFiles reports in dry-run and fills confident files as one batch', () => {
+  const env = createTestProject([
+    { id: 'app/fix', title: 'Fix `parseInvoiceTotals`', status: 'pending' },
+    { id: 'app/listed', title: 'Fix `parseInvoiceTotals` too', status: 'pending', relevant_files: ['lib/report.js'] },
+    { id: 'app/done', title: 'Fix `parseInvoiceTotals` again', status: 'completed' },
+  ]);
+  const previous = process.env.JADE_JOURNAL_DIR;
+  process.env.JADE_JOURNAL_DIR = path.join(env.tmpdir, 'journal');
+  try {
+    const preview = fillRelevantFiles({ registry: env.registry, dryRun: true, git: false });
+    assert(preview.length === 1 && preview[0].taskId === 'app/fix', 'Expected only the open task without files');
+    assert(preview[0].filled.includes('lib/invoice.js'), 'Expected the definition to be filled');
+    assert(!preview[0].filled.includes('lib/report.js'), 'Expected weak proposals left out');
+    assert(!readTasksFile(env.tasksPath).tasks[0].relevant_files, 'Expected nothing written on dry-run');
+
+    fillRelevantFiles({ registry: env.registry, git: false });
+    const tasks = readTasksFile(env.tasksPath).tasks;
+    assert(tasks[0].relevant_files.join(',') === preview[0].filled.join(','), 'Expected the files written');
+    assert(tasks[1].relevant_files.join(',') === 'lib/report.js', 'Expected listed files untouched');
+    const entries = readJournal();
+    assert(entries.length === 1 && entries[0].source === 'infer-relevant-files' && entries[0].batch, 'Expected one journaled batch');
+  } finally {
+    if (previous === undefined) {
+      delete process.env.JADE_JOURNAL_DIR;
+    } else {
+      process.env.JADE_JOURNAL_DIR = previous;
+    }
+    env.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
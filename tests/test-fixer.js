@@ -259,6 +259,28 @@ test('generateFixPrompt: includes extended thinking for complex bugs', () => {
         'Should indicate extended thinking for complex bugs');
 });
 
+test('generateFixPrompt: keeps the prompt within the token budget', () => {
+    const { generateFixPrompt } = require('../lib/fixer');
+    const { bpeCounter } = require('../lib/token-counter');
+
+    const failures = [];
+    for (let i = 0; i < 20; i++) {
+        failures.push({ file: `test-${i}.js`, test: `case ${i}`, error: `Error ${i}: `.padEnd(4000, 'x') });
+    }
+    const prompt = generateFixPrompt({
+        failures,
+        analysis: { summary: 'Many failures', likelyFiles: [], confidence: 0.9 },
+        projectPath: '/test/project',
+        tokenBudget: 3000,
+        tokenCounter: 'bpe'
+    });
+
+    assert(bpeCounter.count(prompt) <= 3000, `Prompt over budget: ${bpeCounter.count(prompt)}`);
+    assert(prompt.includes('### Failure 1'), 'Should keep the first failure');
+    assert(prompt.includes('more failures omitted'), 'Should note omitted failures');
+    assert(prompt.includes('## Approach'), 'Should keep the instructions');
+});
+
 // ── Fix Verification Tests ───────────────────────────────────────────
 
 test('verifyFix: returns success when tests pass', () => {
@@ -4,7 +4,7 @@
  * Milestone Tracker Module Tests (lib/milestone-tracker.js)
  *
  * Tests for getMilestoneProgress(), getAllMilestonesProgress(),
- * and renderMilestoneTable().
+ * renderMilestoneTable(), and the critical path and deadline tables.
  *
  * Uses the same custom test framework as test-executor.js, test-dispatcher.js, etc.
  *
@@ -176,11 +176,17 @@ function createStandardEnv() {
 // ── Import milestone-tracker ────────────────────────────────────────
 
 let getMilestoneProgress, getAllMilestonesProgress, renderMilestoneTable;
+let getCriticalPathSummary, renderCriticalPathTable;
+let getDeadlineSummary, renderDeadlineTable;
 try {
   const milestoneTracker = require('../lib/milestone-tracker');
   getMilestoneProgress = milestoneTracker.getMilestoneProgress;
   getAllMilestonesProgress = milestoneTracker.getAllMilestonesProgress;
   renderMilestoneTable = milestoneTracker.renderMilestoneTable;
+  getCriticalPathSummary = milestoneTracker.getCriticalPathSummary;
+  renderCriticalPathTable = milestoneTracker.renderCriticalPathTable;
+  getDeadlineSummary = milestoneTracker.getDeadlineSummary;
+  renderDeadlineTable = milestoneTracker.renderDeadlineTable;
 } catch (err) {
   console.log('\nFATAL: Could not load lib/milestone-tracker.js');
   console.log(`  ${err.message}\n`);
@@ -600,6 +606,163 @@ test('19. renderMilestoneTable handles 0% completion', () => {
   assert(output.includes('empty-project'), 'Should include project name');
 });
 
+// ═════════════════════════════════════════════════════════════════════
+// 5. CRITICAL PATH
+// ═════════════════════════════════════════════════════════════════════
+
+console.log('\n  Critical Path\n');
+
+test('20. getCriticalPathSummary follows cross-project blockers', () => {
+  const env = createTestEnv({
+    projects: [
+      { name: 'core', path: 'core', status: 'buildable' },
+      { name: 'app', path: 'app', status: 'buildable' },
+    ],
+    taskFiles: {
+      core: {
+        version: 1,
+        milestone: { name: 'Core v1' },
+        tasks: [
+          { id: 'core/api', title: 'API', status: 'pending', complexity: 'L' },
+        ],
+      },
+      app: {
+        version: 1,
+        milestone: { name: 'App Beta', target_date: '2026-12-01' },
+        tasks: [
+          {
+            id: 'app/ui',
+            title: 'UI',
+            status: 'pending',
+            complexity: 'M',
+            blocked_by: ['core/api'],
+          },
+        ],
+      },
+    },
+  });
+  try {
+    const summary = getCriticalPathSummary({ registryPath: env.registryPath });
+    const app = summary.find((m) => m.project === 'app');
+    assert(app, 'Expected app milestone');
+    assert(app.finish === 6, `Expected finish 6, got ${app.finish}`);
+    assert(
+      app.criticalPath.join(',') === 'core/api,app/ui',
+      `Unexpected path: ${app.criticalPath.join(',')}`
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('21. renderCriticalPathTable shows milestone, remaining work and path', () => {
+  const output = renderCriticalPathTable([
+    {
+      project: 'app',
+      name: 'App Beta',
+      targetDate: null,
+      finish: 6,
+      criticalPath: ['core/api', 'app/ui'],
+      taskCount: 1,
+      unschedulable: 0,
+    },
+  ]);
+  assert(output.includes('\u250c'), 'Should include box drawing');
+  assert(output.includes('App Beta'), 'Should include milestone name');
+  assert(output.includes('6d'), 'Should include remaining effort');
+  assert(
+    output.includes('core/api \u2192 ui'),
+    'Should strip own-project prefix but keep cross-project IDs'
+  );
+});
+
+test('22. renderCriticalPathTable handles no milestones', () => {
+  const output = renderCriticalPathTable([]);
+  assert(output.includes('(no milestones)'), 'Should show empty state');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+// 6. DEADLINES
+// ═════════════════════════════════════════════════════════════════════
+
+console.log('\n  Deadlines\n');
+
+test('23. getDeadlineSummary flags overdue milestones', () => {
+  const env = createTestEnv({
+    projects: [
+      { name: 'core', path: 'core', status: 'buildable' },
+      { name: 'app', path: 'app', status: 'buildable' },
+    ],
+    taskFiles: {
+      core: {
+        version: 1,
+        milestone: { name: 'Core v1', target_date: '2026-02-20' },
+        tasks: [
+          { id: 'core/api', title: 'API', status: 'pending', complexity: 'L' },
+        ],
+      },
+      app: {
+        version: 1,
+        milestone: { name: 'App Beta', target_date: '2026-12-01' },
+        tasks: [
+          { id: 'app/ui', title: 'UI', status: 'pending', complexity: 'M' },
+        ],
+      },
+    },
+  });
+  try {
+    const summary = getDeadlineSummary({
+      registryPath: env.registryPath,
+      now: Date.parse('2026-03-01T00:00:00Z'),
+    });
+    assert(summary.length === 2, `Expected 2 milestones, got ${summary.length}`);
+    assert(summary[0].project === 'core', 'Expected the overdue milestone first');
+    assert(summary[0].overdue, 'Expected core overdue');
+    assert(summary[0].remainingEffort === 4, 'Expected 4d of work');
+    assert(!summary[1].overdue, 'Expected app on track');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('24. renderDeadlineTable shows target, days left and status', () => {
+  const output = renderDeadlineTable([
+    {
+      project: 'core',
+      name: 'Core v1',
+      targetDate: '2026-02-20',
+      daysLeft: -8.2,
+      remainingEffort: 4,
+      remainingTasks: 1,
+      urgency: 100,
+      overdue: true,
+      atRisk: false,
+    },
+    {
+      project: 'app',
+      name: 'App Beta',
+      targetDate: '2026-03-04',
+      daysLeft: 2.5,
+      remainingEffort: 4,
+      remainingTasks: 2,
+      urgency: 100,
+      overdue: false,
+      atRisk: true,
+    },
+  ]);
+  assert(output.includes('\u250c'), 'Should include box drawing');
+  assert(output.includes('2026-02-20'), 'Should include target date');
+  assert(output.includes('-9d'), 'Should show days overdue');
+  assert(output.includes('OVERDUE'), 'Should flag overdue milestones');
+  assert(output.includes('3d'), 'Should round days left up');
+  assert(output.includes('at risk'), 'Should flag at-risk milestones');
+});
+
+test('25. renderDeadlineTable handles no deadlines', () => {
+  const output = renderDeadlineTable([]);
+  assert(output.includes('(no deadlines)'), 'Should show empty state');
+});
+
 // ── Summary ─────────────────────────────────────────────────────────
 
 console.log('\n' + '='.repeat(50));
@@ -3,7 +3,8 @@
 /**
  * Presenter Module Tests (lib/presenter.js)
  *
- * Tests for presentTasks() -- renders ranked task tables with box-drawing chars.
+ * Tests for presentTasks() -- renders ranked task tables with box-drawing chars --
+ * and explainTasks() -- renders score breakdowns as text or JSON.
  * Uses the same custom test framework as test-plugin.js, test-scanner.js, test-scorer.js.
  *
  * TDD red phase: all 10 tests written before implementation.
@@ -68,10 +69,12 @@ function makeRankedTask(overrides) {
 
 // ── Import presenter ─────────────────────────────────────────────────
 
-let presentTasks;
+let presentTasks, explainTasks, scoreTasks;
 try {
   const presenter = require('../lib/presenter');
   presentTasks = presenter.presentTasks;
+  explainTasks = presenter.explainTasks;
+  scoreTasks = require('../lib/scorer').scoreTasks;
 } catch (err) {
   console.log('\nFATAL: Could not load lib/presenter.js');
   console.log(`  ${err.message}\n`);
@@ -320,6 +323,271 @@ test('10. Returns the formatted string', () => {
   );
 });
 
+// ── explainTasks ─────────────────────────────────────────────────────
+
+console.log('\n  explainTasks tests\n');
+
+/**
+ * Score two tasks (one overridden) with explanations attached.
+ */
+function explainedTasks() {
+  return scoreTasks(
+    [
+      {
+        id: 'jade-cli/fix-build',
+        title: 'Fix build',
+        status: 'pending',
+        complexity: 'M',
+        labels: ['bugfix'],
+        feature: { acceptance_criteria: ['builds'] },
+        _projectName: 'jade-cli',
+        _project: { name: 'jade-cli', status: 'buildable' },
+      },
+      {
+        id: 'jade-cli/pinned',
+        title: 'Pinned',
+        status: 'pending',
+        priority_override: 99,
+        _projectName: 'jade-cli',
+        _project: { name: 'jade-cli', status: 'buildable' },
+      },
+    ],
+    { explain: true }
+  );
+}
+
+// 11. Collapsed by default, expanded by rank or ID
+test('11. explainTasks collapses tasks unless expanded', () => {
+  const tasks = explainedTasks();
+  const collapsed = explainTasks(tasks, { output: createMockStream() });
+  assert(collapsed.includes('\u25b8 1. jade-cli/pinned'), 'Expected collapsed first task');
+  assert(!collapsed.includes('\u25be'), 'Expected nothing expanded');
+  assert(collapsed.includes('override'), 'Expected override flagged in summary');
+
+  const expanded = explainTasks(tasks, {
+    expand: ['jade-cli/fix-build'],
+    output: createMockStream(),
+  });
+  assert(expanded.includes('\u25be 2. jade-cli/fix-build'), 'Expected task expanded by ID');
+  assert(expanded.includes('bugfix +10'), 'Expected label bonus detail');
+  assert(expanded.includes('\u00d7 0.75 (M)'), 'Expected effort multiplier');
+  assert(expanded.includes('\u25b8 1. jade-cli/pinned'), 'Expected other task collapsed');
+});
+
+// 12. Override note in expanded view
+test('12. expanded view notes priority_override', () => {
+  const result = explainTasks(explainedTasks(), {
+    expand: [1],
+    output: createMockStream(),
+  });
+  assert(
+    result.includes('note: priority_override 99 replaces the computed score'),
+    'Expected override note'
+  );
+});
+
+// 13. JSON output
+test('13. format json writes the explanations', () => {
+  const mockStream = createMockStream();
+  explainTasks(explainedTasks(), { format: 'json', count: 1, output: mockStream });
+  const parsed = JSON.parse(mockStream.getOutput());
+  assert(parsed.length === 1, `Expected 1 explanation, got ${parsed.length}`);
+  assert(parsed[0].taskId === 'jade-cli/pinned', 'Expected the top task');
+  assert(parsed[0].override.value === 99, 'Expected override in JSON');
+  assert(typeof parsed[0].factors.impact.contribution === 'number', 'Expected factors');
+});
+
+// 14. Computes explanations when absent; presentTasks appends them
+test('14. presentTasks explain option appends the breakdown', () => {
+  const tasks = explainedTasks().map((t) => {
+    const copy = { ...t };
+    delete copy._explanation;
+    return copy;
+  });
+  const result = presentTasks(tasks, {
+    explain: { expand: true },
+    output: createMockStream(),
+  });
+  assert(result.includes('\u2502'), 'Expected the table');
+  assert(result.includes('Score breakdown (profile: default)'), 'Expected breakdown');
+  assert(result.includes('\u25be 2. jade-cli/fix-build'), 'Expected expanded tasks');
+});
+
+// ── Output Formats ──────────────────────────────────────────────────
+
+console.log('\n  Output format tests\n');
+
+/**
+ * Three ranked tasks in two projects and two milestones.
+ */
+function formatTasks() {
+  return [
+    makeRankedTask({
+      id: 'fix-build',
+      title: 'Fix build, "again" | now',
+      status: 'pending',
+      milestone: 'MVP',
+      labels: ['bugfix', 'ci'],
+      _score: 80,
+    }),
+    makeRankedTask({
+      id: 'add-search',
+      _projectName: 'jade-index',
+      title: 'Add search',
+      status: 'pending',
+      labels: [],
+      blocked_by: ['fix-build'],
+      _score: 65,
+      complexity: 'M',
+    }),
+    makeRankedTask({
+      id: 'docs',
+      title: 'Write docs',
+      status: 'in_progress',
+      milestone: 'MVP',
+      _score: 50,
+    }),
+  ];
+}
+
+// 15. JSON keeps raw values for the selected columns
+test('15. format json writes records with the selected columns', () => {
+  const result = presentTasks(formatTasks(), {
+    format: 'json',
+    columns: ['id', 'labels', 'score', 'blocked_by'],
+    output: createMockStream(),
+  });
+  const parsed = JSON.parse(result);
+  assert(parsed.length === 3, 'Expected 3 records');
+  assert(
+    JSON.stringify(parsed[1]) ===
+      '{"id":"add-search","labels":[],"score":65,"blocked_by":["fix-build"]}',
+    `Unexpected record: ${JSON.stringify(parsed[1])}`
+  );
+});
+
+// 16. NDJSON writes one record per line with every column by default
+test('16. format ndjson writes one record per line', () => {
+  const result = presentTasks(formatTasks(), {
+    format: 'ndjson',
+    output: createMockStream(),
+  });
+  const lines = result.trim().split('\n');
+  assert(lines.length === 3, `Expected 3 lines, got ${lines.length}`);
+  const first = JSON.parse(lines[0]);
+  assert(first.rank === 1 && first.project === 'jade-cli', 'Expected rank and project');
+  assert(first.milestone === 'MVP', 'Expected milestone');
+  assert(JSON.parse(lines[1]).milestone === null, 'Expected null milestone');
+});
+
+// 17. CSV quotes fields and joins lists with ";"
+test('17. format csv quotes fields and joins lists', () => {
+  const result = presentTasks(formatTasks(), {
+    format: 'csv',
+    columns: ['id', 'title', 'labels', 'score'],
+    output: createMockStream(),
+  });
+  const lines = result.trim().split('\n');
+  assert(lines[0] === 'id,title,labels,score', `Unexpected header: ${lines[0]}`);
+  assert(
+    lines[1] === 'fix-build,"Fix build, ""again"" | now",bugfix;ci,80.0',
+    `Unexpected row: ${lines[1]}`
+  );
+});
+
+// 18. Markdown escapes pipes and right-aligns numbers
+test('18. format markdown writes a pipe table', () => {
+  const result = presentTasks(formatTasks(), {
+    format: 'markdown',
+    output: createMockStream(),
+  });
+  const lines = result.split('\n');
+  assert(lines[0] === '| # | Project | Task | Score | Size |', `Unexpected header: ${lines[0]}`);
+  assert(lines[1] === '|---:|---|---|---:|---|', `Unexpected separator: ${lines[1]}`);
+  assert(lines[2].includes('Fix build, "again" \\| now'), 'Expected escaped pipe');
+});
+
+// 19. Grouping keeps the global ranks
+test('19. groupBy project and milestone', () => {
+  const table = presentTasks(formatTasks(), {
+    groupBy: 'project',
+    output: createMockStream(),
+  });
+  const cliAt = table.indexOf('  jade-cli (2)');
+  const indexAt = table.indexOf('  jade-index (1)');
+  assert(cliAt !== -1 && indexAt > cliAt, 'Expected project headings in rank order');
+  assert(/\u2502\s+3\s+\u2502/.test(table.slice(cliAt, indexAt)), 'Expected rank 3 under jade-cli');
+
+  const grouped = JSON.parse(
+    presentTasks(formatTasks(), {
+      format: 'json',
+      groupBy: 'milestone',
+      columns: ['id'],
+      output: createMockStream(),
+    })
+  );
+  assert(
+    JSON.stringify(grouped) ===
+      '[{"group":"MVP","tasks":[{"id":"fix-build"},{"id":"docs"}]},' +
+        '{"group":"(no milestone)","tasks":[{"id":"add-search"}]}]',
+    `Unexpected groups: ${JSON.stringify(grouped)}`
+  );
+});
+
+// 20. Unknown options are rejected
+test('20. rejects unknown formats, columns and groups', () => {
+  for (const options of [
+    { format: 'xml' },
+    { columns: ['id', 'owner'] },
+    { groupBy: 'label' },
+  ]) {
+    let error = null;
+    try {
+      presentTasks(formatTasks(), { ...options, output: createMockStream() });
+    } catch (err) {
+      error = err;
+    }
+    assert(
+      error && error.code === 'PRESENTER_OPTION_INVALID',
+      `Expected PRESENTER_OPTION_INVALID for ${JSON.stringify(options)}`
+    );
+  }
+});
+
+// ── Terminal Output ─────────────────────────────────────────────────
+
+console.log('\n  Terminal output tests\n');
+
+// 21. TTY output fits the terminal, wraps and colors by status
+test('21. table fits TTY width, wraps cells and colors by status', () => {
+  const stream = createMockStream();
+  stream.isTTY = true;
+  stream.columns = 60;
+  const tasks = [
+    makeRankedTask({
+      title: 'Fix the build configuration for Node 22 on ARM runners',
+      status: 'in_progress',
+    }),
+  ];
+  const fitted = presentTasks(tasks, { output: stream, color: false });
+  const rows = fitted.split('\n').filter((line) => line.startsWith('\u2502'));
+  assert(
+    rows.every((line) => line.length === 60),
+    `Expected 60-column rows, got ${rows.map((line) => line.length)}`
+  );
+  assert(!fitted.includes('\u001b['), 'Expected no colors when disabled');
+
+  const wrapped = presentTasks(tasks, { output: stream, wrap: true, color: true });
+  assert(!wrapped.includes('\u2026'), 'Expected wrapping instead of truncation');
+  assert(
+    wrapped.includes('\u001b[1;36mFix the build'),
+    'Expected the title colored bold cyan for in_progress'
+  );
+
+  const piped = presentTasks(tasks, { output: createMockStream() });
+  assert(piped.includes('\u2502 Fix the build configuration for Node 22\u2026 \u2502'), 'Expected fixed widths when not a TTY');
+});
+
 // ── Summary ─────────────────────────────────────────────────────────
 
 console.log('\n' + '='.repeat(50));
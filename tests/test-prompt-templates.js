@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Templates Module Tests (lib/prompt-templates.js)
+ *
+ * Tests for rendering worker prompt templates (variables, conditionals,
+ * loops and partials), selecting a template by label or complexity, and
+ * project overrides in .claude/prompts/.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let renderTemplate, renderWorkerPrompt, loadTemplates, selectTemplate, parseFrontmatter;
+try {
+  ({
+    renderTemplate,
+    renderWorkerPrompt,
+    loadTemplates,
+    selectTemplate,
+    parseFrontmatter,
+  } = require('../lib/prompt-templates'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/prompt-templates.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Create a project directory with the given .claude/prompts files.
+ */
+function createProject(files) {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-prompts-test-'));
+  for (const [relPath, content] of Object.entries(files)) {
+    const fullPath = path.join(tmpdir, '.claude', 'prompts', relPath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  }
+  return {
+    dir: tmpdir,
+    cleanup() {
+      fs.rmSync(tmpdir, { recursive: true, force: true });
+    },
+  };
+}
+
+const TASK = {
+  id: 'write-guide',
+  title: 'Write the setup guide',
+  description: 'Document installation.',
+  complexity: 'S',
+  labels: ['feature'],
+  feature: { acceptance_criteria: ['Covers npm', 'Covers uv'] },
+};
+
+const PROJECT = {
+  name: 'jade-docs',
+  path: 'jade-docs',
+  test_command: 'uv run pytest',
+};
+
+// ── Rendering ────────────────────────────────────────────────────────
+
+console.log('\n  Rendering tests\n');
+
+test('1. variables, conditionals and loops render without stray blank lines', () => {
+  const body = [
+    '# {{task.title}}',
+    '{{! not rendered }}',
+    '{{#if task.description}}',
+    '{{task.description}}',
+    '{{else}}',
+    'No description.',
+    '{{/if}}',
+    '{{#unless missing}}',
+    'Labels: {{task.labels}}',
+    '{{/unless}}',
+    '{{#each task.criteria}}',
+    '{{@index}}. {{this}}',
+    '{{/each}}',
+    '{{#if task.complexity == "XL"}}big{{else}}small{{/if}} {{#if kind != "docs"}}code{{/if}}',
+    '',
+  ].join('\n');
+  const out = renderTemplate(body, {
+    task: {
+      title: 'Fix it',
+      description: 'Details.',
+      complexity: 'S',
+      labels: ['bug', 'urgent'],
+      criteria: ['a', 'b'],
+    },
+    kind: 'docs',
+  });
+  assert(
+    out === '# Fix it\nDetails.\nLabels: bug, urgent\n0. a\n1. b\nsmall \n',
+    `Unexpected output: ${JSON.stringify(out)}`
+  );
+  assert(
+    renderTemplate('{{#if x}}\nyes\n{{else}}\nno\n{{/if}}\n', {}) === 'no\n',
+    'Expected the else branch for a missing variable'
+  );
+});
+
+test('2. partials render in context; unknown partials and unbalanced blocks throw', () => {
+  const partials = new Map([
+    ['greeting', { body: 'Hello {{name}}{{> punctuation}}\n' }],
+    ['punctuation', { body: '!' }],
+  ]);
+  assert(
+    renderTemplate('{{> greeting}}\n', { name: 'Ada' }, { partials }) === 'Hello Ada!\n',
+    'Expected nested partials'
+  );
+
+  const codeOf = (fn) => {
+    try {
+      fn();
+    } catch (err) {
+      return err.code;
+    }
+    return null;
+  };
+  assert(codeOf(() => renderTemplate('{{> nope}}', {})) === 'TEMPLATE_PARTIAL_NOT_FOUND', 'Expected TEMPLATE_PARTIAL_NOT_FOUND');
+  assert(codeOf(() => renderTemplate('{{#if a}}open', {})) === 'TEMPLATE_SYNTAX', 'Expected unclosed block to throw');
+  assert(codeOf(() => renderTemplate('{{#if a}}x{{/each}}', {})) === 'TEMPLATE_SYNTAX', 'Expected mismatched close to throw');
+  assert(codeOf(() => renderTemplate('{{#with a}}x{{/with}}', {})) === 'TEMPLATE_SYNTAX', 'Expected unknown block to throw');
+  const loop = new Map([['self', { body: '{{> self}}' }]]);
+  assert(codeOf(() => renderTemplate('{{> self}}', {}, { partials: loop })) === 'TEMPLATE_SYNTAX', 'Expected recursive partials to stop');
+});
+
+// ── Selection ────────────────────────────────────────────────────────
+
+console.log('\n  Selection tests\n');
+
+test('3. plugin templates are selected by label and complexity', () => {
+  const loaded = loadTemplates(null);
+  assert(selectTemplate(TASK, loaded).name === 'worker', 'Expected worker by default');
+  assert(selectTemplate({ ...TASK, labels: ['docs'] }, loaded).name === 'worker-docs', 'Expected worker-docs for docs label');
+  assert(selectTemplate({ ...TASK, complexity: 'XL' }, loaded).name === 'worker-large', 'Expected worker-large for XL');
+  assert(selectTemplate(TASK, loaded, { template: 'worker-docs' }).name === 'worker-docs', 'Expected the named template');
+  const meta = parseFrontmatter('---\nlabels: [docs, "guides"]\ndescription: Docs\n---\nBody').meta;
+  assert(meta.labels.join(',') === 'docs,guides' && meta.description === 'Docs', 'Expected parsed frontmatter');
+
+  const docs = renderWorkerPrompt({ ...TASK, labels: ['docs'] }, PROJECT, null).prompt;
+  assert(!docs.includes('Follow TDD'), 'Expected no TDD constraint for docs tasks');
+  assert(!docs.includes('test-driven-development'), 'Expected no TDD skill for docs tasks');
+  const code = renderWorkerPrompt(TASK, PROJECT, null).prompt;
+  assert(code.includes('Follow TDD') && code.includes('- Run uv run pytest before reporting completion'), 'Expected TDD and the test command');
+  assert(code.includes('- Covers npm\n- Covers uv'), 'Expected acceptance criteria');
+});
+
+// ── Project overrides ────────────────────────────────────────────────
+
+console.log('\n  Project override tests\n');
+
+test('4. a project worker.md and partials override the plugin and own selection', () => {
+  const project = createProject({
+    'worker.md': 'Project {{project.name}}: {{task.title}}\n{{> constraints}}',
+    'partials/constraints.md': '- Use {{testCommand}}\n',
+    'worker-hotfix.md': '---\nlabels: [hotfix]\n---\nHOTFIX {{task.id}}\n',
+  });
+  try {
+    const result = renderWorkerPrompt({ ...TASK, labels: ['docs'] }, PROJECT, project.dir);
+    assert(result.template.source === 'project' && result.template.name === 'worker', 'Expected the project worker.md, not worker-docs');
+    assert(result.prompt === 'Project jade-docs: Write the setup guide\n- Use uv run pytest\n', `Unexpected prompt: ${JSON.stringify(result.prompt)}`);
+    const hotfix = renderWorkerPrompt({ ...TASK, labels: ['hotfix'] }, PROJECT, project.dir);
+    assert(hotfix.prompt === 'HOTFIX write-guide\n', 'Expected the project hotfix template');
+  } finally {
+    project.cleanup();
+  }
+});
+
+test('5. project templates extend plugin selection and win ties', () => {
+  const project = createProject({
+    'worker-docs.md': '---\nlabels: [docs]\n---\nProject docs\n',
+    'worker-guide.md': '---\nlabels: [guide]\ncomplexity: [S]\n---\nGuide\n',
+  });
+  try {
+    const loaded = loadTemplates(project.dir);
+    assert(selectTemplate({ ...TASK, labels: ['docs'] }, loaded).source === 'project', 'Expected the project worker-docs');
+    assert(selectTemplate({ ...TASK, labels: ['docs', 'guide'] }, loaded).name === 'worker-guide', 'Expected the template matching more selectors');
+    assert(selectTemplate({ ...TASK, complexity: 'L' }, loaded).name === 'worker-large', 'Expected plugin templates still selectable');
+  } finally {
+    project.cleanup();
+  }
+});
+
+test('6. a broken project template falls back to the built-in template', () => {
+  const project = createProject({ 'worker.md': '{{#if task.title}}unclosed\n' });
+  try {
+    const result = renderWorkerPrompt(TASK, PROJECT, project.dir);
+    assert(result.template.source === 'plugin', 'Expected the plugin template');
+    assert(/Unclosed/.test(result.error), 'Expected the render error reported');
+    assert(result.prompt.includes('## Your Assignment'), 'Expected the default prompt');
+  } finally {
+    project.cleanup();
+  }
+});
+
+test('7. a broken project partial falls back to the built-in template', () => {
+  const project = createProject({ 'partials/constraints.md': '{{#each task.labels}}unclosed\n' });
+  try {
+    const result = renderWorkerPrompt({ ...TASK, complexity: 'XL' }, PROJECT, project.dir);
+    assert(
+      result.template.source === 'plugin' && result.template.name === 'worker',
+      `Expected the built-in worker, got ${JSON.stringify(result.template)}`
+    );
+    assert(/Unclosed/.test(result.error), 'Expected the render error reported');
+    assert(result.prompt.includes('Follow TDD'), 'Expected the plugin constraints partial');
+  } finally {
+    project.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+
+/**
+ * Registry Manager Module Tests (lib/registry-manager.js)
+ *
+ * Tests for project discovery, inference and registry entry management.
+ * Every test runs against a temporary projects root and registry file.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let registryManager, scanTasks;
+try {
+  registryManager = require('../lib/registry-manager');
+  scanTasks = require('../lib/scanner').scanTasks;
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/registry-manager.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+const {
+  discoverProjects,
+  addProject,
+  removeProject,
+  updateProject,
+  inferProjectSettings,
+  readRegistry,
+  writeRegistry,
+} = registryManager;
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Creates a temp projects root and a registry path inside it.
+ * Returns { root, registryPath, makeRepo(relPath, files), readJson(), cleanup }.
+ */
+function createTestEnv() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-registry-test-'));
+  const registryPath = path.join(root, '.jade', 'projects.json');
+
+  return {
+    root,
+    registryPath,
+    /**
+     * Create a project directory. `files` maps relative paths to contents;
+     * `git` and `tasks` default to true.
+     */
+    makeRepo(relPath, files, opts) {
+      const o = Object.assign({ git: true, tasks: true }, opts);
+      const dir = path.join(root, relPath);
+      fs.mkdirSync(dir, { recursive: true });
+      if (o.git) {
+        fs.mkdirSync(path.join(dir, '.git'));
+        fs.writeFileSync(
+          path.join(dir, '.git', 'config'),
+          `[remote "origin"]\n\turl = git@github.com:jadecli/${path.basename(dir)}.git\n`
+        );
+      }
+      if (o.tasks) {
+        const tasksDir = path.join(dir, '.claude', 'tasks');
+        fs.mkdirSync(tasksDir, { recursive: true });
+        fs.writeFileSync(
+          path.join(tasksDir, 'tasks.json'),
+          JSON.stringify({ version: 1, tasks: [] })
+        );
+      }
+      for (const [file, content] of Object.entries(files || {})) {
+        fs.writeFileSync(path.join(dir, file), content);
+      }
+      return dir;
+    },
+    readJson() {
+      return JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    },
+    cleanup() {
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Run fn with stdout suppressed (info logs).
+ */
+function quiet(fn) {
+  const originalWrite = process.stdout.write.bind(process.stdout);
+  process.stdout.write = () => true;
+  try {
+    return fn();
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+}
+
+/**
+ * Run fn and return the error it throws.
+ */
+function catchError(fn) {
+  try {
+    quiet(fn);
+  } catch (err) {
+    return err;
+  }
+  throw new Error('Expected an error to be thrown');
+}
+
+// ── Inference ────────────────────────────────────────────────────────
+
+console.log('\n  inferProjectSettings tests\n');
+
+test('1. infers typescript with npm scripts and GitHub repo', () => {
+  const env = createTestEnv();
+  try {
+    const dir = env.makeRepo('jade-cli', {
+      'package.json': JSON.stringify({
+        scripts: { test: 'vitest', build: 'tsc' },
+        devDependencies: { typescript: '^5.0.0' },
+      }),
+    });
+    const settings = inferProjectSettings(dir);
+    assert(settings.language === 'typescript', `Got ${settings.language}`);
+    assert(settings.test_command === 'npm test', `Got ${settings.test_command}`);
+    assert(settings.build_command === 'npm run build', `Got ${settings.build_command}`);
+    assert(settings.repo === 'jadecli/jade-cli', `Got ${settings.repo}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('2. infers python with uv and leaves unknown projects empty', () => {
+  const env = createTestEnv();
+  try {
+    const py = env.makeRepo('jade-index', { 'pyproject.toml': '', 'uv.lock': '' });
+    const pySettings = inferProjectSettings(py);
+    assert(pySettings.language === 'python', `Got ${pySettings.language}`);
+    assert(pySettings.test_command === 'uv run pytest', `Got ${pySettings.test_command}`);
+
+    const bare = env.makeRepo('notes', {}, { git: false });
+    const bareSettings = inferProjectSettings(bare);
+    assert(bareSettings.language === null, 'Expected no language');
+    assert(bareSettings.repo === null, 'Expected no repo');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Discovery ────────────────────────────────────────────────────────
+
+console.log('\n  discoverProjects tests\n');
+
+test('3. discovers git repos with tasks files and writes the registry', () => {
+  const env = createTestEnv();
+  try {
+    env.makeRepo('jade-cli', { 'package.json': '{"scripts":{"test":"x"}}' });
+    env.makeRepo('group/jade-index', { 'pyproject.toml': '' });
+    env.makeRepo('no-git', {}, { git: false });
+    env.makeRepo('no-tasks', {}, { tasks: false });
+
+    const result = quiet(() =>
+      discoverProjects({ registryPath: env.registryPath, projectsRoot: env.root })
+    );
+    const names = result.added.map((p) => p.name).sort();
+    assert(
+      names.join(',') === 'jade-cli,jade-index',
+      `Unexpected discoveries: ${names.join(',')}`
+    );
+
+    const saved = env.readJson();
+    assert(saved.projects_root === env.root, 'Expected projects_root saved');
+    const index = saved.projects.find((p) => p.name === 'jade-index');
+    assert(index.path === path.join('group', 'jade-index'), `Got path ${index.path}`);
+    assert(index.status === 'scaffolding', 'Expected default status');
+    assert(index.language === 'python', 'Expected inferred language');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('4. discover leaves existing entries untouched', () => {
+  const env = createTestEnv();
+  try {
+    env.makeRepo('jade-cli', {});
+    writeRegistry(
+      {
+        version: 1,
+        projects_root: env.root,
+        projects: [{ name: 'jade-cli', path: 'jade-cli', status: 'buildable' }],
+      },
+      { registryPath: env.registryPath }
+    );
+
+    const result = quiet(() => discoverProjects({ registryPath: env.registryPath }));
+    assert(result.added.length === 0, 'Expected nothing added');
+    assert(result.existing.join(',') === 'jade-cli', 'Expected existing match');
+    assert(
+      env.readJson().projects[0].status === 'buildable',
+      'Expected status preserved'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('5. discover dry run does not write', () => {
+  const env = createTestEnv();
+  try {
+    env.makeRepo('jade-cli', {});
+    const result = quiet(() =>
+      discoverProjects({
+        registryPath: env.registryPath,
+        projectsRoot: env.root,
+        dryRun: true,
+      })
+    );
+    assert(result.added.length === 1, 'Expected one discovery');
+    assert(!fs.existsSync(env.registryPath), 'Expected no registry file');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('6. discovered registry is readable by scanTasks', () => {
+  const env = createTestEnv();
+  try {
+    const dir = env.makeRepo('jade-cli', {});
+    fs.writeFileSync(
+      path.join(dir, '.claude', 'tasks', 'tasks.json'),
+      JSON.stringify({
+        version: 1,
+        tasks: [{ id: 'jade-cli/a', title: 'A', status: 'pending' }],
+      })
+    );
+    quiet(() =>
+      discoverProjects({ registryPath: env.registryPath, projectsRoot: env.root })
+    );
+    const result = scanTasks({ registryPath: env.registryPath });
+    assert(result.errors.length === 0, 'Expected a valid registry');
+    assert(result.tasks.length === 1, 'Expected the project task');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Entry management ─────────────────────────────────────────────────
+
+console.log('\n  add / remove / update tests\n');
+
+test('7. addProject infers settings and rejects duplicates', () => {
+  const env = createTestEnv();
+  try {
+    env.makeRepo('jade-go', { 'go.mod': 'module x' });
+    const options = { registryPath: env.registryPath, projectsRoot: env.root };
+    const entry = quiet(() => addProject('jade-go', { status: 'buildable' }, options));
+    assert(entry.language === 'go', `Got ${entry.language}`);
+    assert(entry.status === 'buildable', 'Expected explicit status to win');
+    assert(env.readJson().projects.length === 1, 'Expected entry written');
+
+    const err = catchError(() => addProject('jade-go', {}, options));
+    assert(err.code === 'REGISTRY_DUPLICATE', `Got ${err.code}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('8. removeProject removes an entry and reports unknown names', () => {
+  const env = createTestEnv();
+  try {
+    const options = { registryPath: env.registryPath, projectsRoot: env.root };
+    quiet(() => addProject('a', {}, options));
+    quiet(() => addProject('b', {}, options));
+
+    const removed = quiet(() => removeProject('a', options));
+    assert(removed.name === 'a', 'Expected removed entry returned');
+    assert(
+      env.readJson().projects.map((p) => p.name).join(',') === 'b',
+      'Expected only b left'
+    );
+
+    const err = catchError(() => removeProject('missing', options));
+    assert(err.code === 'REGISTRY_NOT_FOUND', `Got ${err.code}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('9. updateProject changes allowed fields and clears with null', () => {
+  const env = createTestEnv();
+  try {
+    const options = { registryPath: env.registryPath, projectsRoot: env.root };
+    quiet(() => addProject('a', { test_command: 'make test' }, options));
+
+    const updated = quiet(() =>
+      updateProject('a', { status: 'buildable', test_command: null }, options)
+    );
+    assert(updated.status === 'buildable', 'Expected status updated');
+    assert(updated.test_command === null, 'Expected test_command cleared');
+    assert(env.readJson().projects[0].status === 'buildable', 'Expected write');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('10. updateProject rejects unknown fields and invalid values', () => {
+  const env = createTestEnv();
+  try {
+    const options = { registryPath: env.registryPath, projectsRoot: env.root };
+    quiet(() => addProject('a', {}, options));
+    const before = fs.readFileSync(env.registryPath, 'utf8');
+
+    const fieldErr = catchError(() => updateProject('a', { path: 'elsewhere' }, options));
+    assert(fieldErr.code === 'REGISTRY_INVALID_FIELD', `Got ${fieldErr.code}`);
+
+    const valueErr = catchError(() => updateProject('a', { status: 'shipping' }, options));
+    assert(valueErr.code === 'REGISTRY_INVALID', `Got ${valueErr.code}`);
+    assert(
+      fs.readFileSync(env.registryPath, 'utf8') === before,
+      'Expected registry unchanged after rejected update'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('11. updateProject with reinfer picks up new project files', () => {
+  const env = createTestEnv();
+  try {
+    const options = { registryPath: env.registryPath, projectsRoot: env.root };
+    const dir = env.makeRepo('svc', {});
+    quiet(() => addProject('svc', {}, options));
+    fs.writeFileSync(path.join(dir, 'Cargo.toml'), '');
+
+    const updated = quiet(() => updateProject('svc', {}, { ...options, reinfer: true }));
+    assert(updated.language === 'rust', `Got ${updated.language}`);
+    assert(updated.repo === 'jadecli/svc', 'Expected repo kept');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('12. writes leave no temp files behind', () => {
+  const env = createTestEnv();
+  try {
+    const options = { registryPath: env.registryPath, projectsRoot: env.root };
+    quiet(() => addProject('a', {}, options));
+    const files = fs.readdirSync(path.dirname(env.registryPath));
+    assert(files.join(',') === 'projects.json', `Unexpected files: ${files.join(',')}`);
+    assert(readRegistry(options).projects.length === 1, 'Expected readable registry');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -13,6 +13,7 @@
 
 const { execSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const testsDir = __dirname;
@@ -32,6 +33,14 @@ console.log(`\nDiscovered ${testFiles.length} test suite(s):\n`);
 
 const results = [];
 
+// Keep task writes and scan caches made by the suites out of the real ~/.jade
+const journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-test-journal-'));
+const env = {
+  ...process.env,
+  JADE_JOURNAL_DIR: journalDir,
+  JADE_SCAN_CACHE: path.join(journalDir, 'scan-cache.json'),
+};
+
 for (const file of testFiles) {
   const filePath = path.join(testsDir, file);
   const label = file.replace(/\.js$/, '');
@@ -43,6 +52,7 @@ for (const file of testFiles) {
       encoding: 'utf8',
       stdio: ['pipe', 'pipe', 'pipe'],
       timeout: 30000,
+      env,
     });
     console.log('PASS');
     results.push({ file, label, passed: true, output });
@@ -57,6 +67,8 @@ for (const file of testFiles) {
   }
 }
 
+fs.rmSync(journalDir, { recursive: true, force: true });
+
 // Print summary
 const passedSuites = results.filter((r) => r.passed);
 const failedSuites = results.filter((r) => !r.passed);
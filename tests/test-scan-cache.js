@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+
+/**
+ * Scan Cache Module Tests (lib/scan-cache.js)
+ *
+ * Tests for the ScanCache class and its integration with scanTasks().
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let ScanCache, scanTasks;
+try {
+  ScanCache = require('../lib/scan-cache').ScanCache;
+  scanTasks = require('../lib/scanner').scanTasks;
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/scan-cache.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Creates a temp directory with a registry and one project per fixture.
+ * Returns { tmpdir, registry, cachePath, tasksPath(name), cleanup }.
+ */
+function createTestEnv(taskFiles) {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-scan-cache-'));
+  const projects = [];
+
+  for (const [name, fixture] of Object.entries(taskFiles)) {
+    const taskDir = path.join(tmpdir, name, '.claude', 'tasks');
+    fs.mkdirSync(taskDir, { recursive: true });
+    const content = fixture.endsWith('.json')
+      ? fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8')
+      : fixture;
+    fs.writeFileSync(path.join(taskDir, 'tasks.json'), content);
+    projects.push({ name, path: name, status: 'buildable' });
+  }
+
+  return {
+    tmpdir,
+    registry: { version: 1, projects_root: tmpdir, projects },
+    cachePath: path.join(tmpdir, '.jade', 'scan-cache.json'),
+    tasksPath(name) {
+      return path.join(tmpdir, name, '.claude', 'tasks', 'tasks.json');
+    },
+    cleanup() {
+      fs.rmSync(tmpdir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Rewrite a tasks file and push its mtime forward so the change is
+ * visible even on filesystems with coarse timestamps.
+ */
+function rewrite(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  const future = new Date(Date.now() + 5000);
+  fs.utimesSync(filePath, future, future);
+}
+
+// ── ScanCache unit tests ─────────────────────────────────────────────
+
+console.log('\n  ScanCache tests\n');
+
+test('1. get() misses on unknown file and hits after set()', () => {
+  const env = createTestEnv({ 'jade-cli': 'jade-cli-tasks.json' });
+  try {
+    const cache = new ScanCache({ cachePath: env.cachePath });
+    const filePath = env.tasksPath('jade-cli');
+    const stat = fs.statSync(filePath);
+
+    assert(cache.get(filePath, stat) === null, 'Expected initial miss');
+    cache.set(filePath, stat, { data: { tasks: [{ id: 'a' }] } });
+    const hit = cache.get(filePath, stat);
+    assert(hit && hit.data.tasks[0].id === 'a', 'Expected cached data');
+
+    const stats = cache.getCacheStats();
+    assert(stats.hits === 1, `Expected 1 hit, got ${stats.hits}`);
+    assert(stats.misses === 1, `Expected 1 miss, got ${stats.misses}`);
+    assert(stats.cached === 1, `Expected 1 entry, got ${stats.cached}`);
+    assert(
+      stats.hitRate === '0.50',
+      `Expected hitRate 0.50, got ${stats.hitRate}`
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('2. get() misses when mtime or size changes', () => {
+  const cache = new ScanCache({ persist: false });
+  cache.set('/x/tasks.json', { mtimeMs: 1, size: 10 }, { data: {} });
+  assert(
+    cache.get('/x/tasks.json', { mtimeMs: 2, size: 10 }) === null,
+    'Expected miss on mtime change'
+  );
+  assert(
+    cache.get('/x/tasks.json', { mtimeMs: 1, size: 11 }) === null,
+    'Expected miss on size change'
+  );
+  assert(
+    cache.get('/x/tasks.json', { mtimeMs: 1, size: 10 }) !== null,
+    'Expected hit on unchanged stat'
+  );
+});
+
+test('3. get() returns copies that do not leak mutations into the cache', () => {
+  const cache = new ScanCache({ persist: false });
+  const stat = { mtimeMs: 1, size: 1 };
+  cache.set('/x', stat, { data: { tasks: [{ id: 'a' }] } });
+  const first = cache.get('/x', stat);
+  first.data.tasks[0]._project = { name: 'mutated' };
+  const second = cache.get('/x', stat);
+  assert(
+    second.data.tasks[0]._project === undefined,
+    'Expected cached data to be unaffected by caller mutation'
+  );
+});
+
+test('4. parse errors are cached alongside data', () => {
+  const cache = new ScanCache({ persist: false });
+  const stat = { mtimeMs: 1, size: 1 };
+  cache.set('/bad', stat, { parseError: 'Unexpected token' });
+  const hit = cache.get('/bad', stat);
+  assert(hit.parseError === 'Unexpected token', 'Expected cached parse error');
+  assert(hit.data === undefined, 'Expected no data for parse error entry');
+});
+
+test('5. save() persists entries that a new instance can load', () => {
+  const env = createTestEnv({});
+  try {
+    const stat = { mtimeMs: 42, size: 7 };
+    const first = new ScanCache({ cachePath: env.cachePath });
+    first.set('/p/tasks.json', stat, { data: { version: 1, tasks: [] } });
+    first.save();
+    assert(fs.existsSync(env.cachePath), 'Expected cache file to be written');
+
+    const second = new ScanCache({ cachePath: env.cachePath });
+    const hit = second.get('/p/tasks.json', stat);
+    assert(hit && hit.data.version === 1, 'Expected persisted entry');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('6. load() ignores corrupt or foreign-version cache files', () => {
+  const env = createTestEnv({});
+  try {
+    fs.mkdirSync(path.dirname(env.cachePath), { recursive: true });
+    fs.writeFileSync(env.cachePath, '{ not json');
+    const corrupt = new ScanCache({ cachePath: env.cachePath });
+    assert(
+      corrupt.get('/x', { mtimeMs: 1, size: 1 }) === null,
+      'Expected corrupt cache to load as empty'
+    );
+
+    fs.writeFileSync(
+      env.cachePath,
+      JSON.stringify({
+        version: 999,
+        entries: { '/x': { mtimeMs: 1, size: 1, data: {} } },
+      })
+    );
+    const foreign = new ScanCache({ cachePath: env.cachePath });
+    assert(
+      foreign.get('/x', { mtimeMs: 1, size: 1 }) === null,
+      'Expected foreign-version entries to be discarded'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('7. invalidate() drops one entry or all entries', () => {
+  const cache = new ScanCache({ persist: false });
+  const stat = { mtimeMs: 1, size: 1 };
+  cache.set('/a', stat, { data: {} });
+  cache.set('/b', stat, { data: {} });
+  cache.set('/c', stat, { data: {} });
+
+  assert(cache.invalidate('/a') === 1, 'Expected one entry removed');
+  assert(cache.invalidate('/missing') === 0, 'Expected nothing removed');
+  assert(cache.get('/a', stat) === null, 'Expected /a to be gone');
+  assert(cache.invalidate() === 2, 'Expected remaining two entries removed');
+  assert(
+    cache.getCacheStats().invalidations === 3,
+    'Expected invalidations counted'
+  );
+});
+
+test('8. clearCache() removes the cache file', () => {
+  const env = createTestEnv({});
+  try {
+    const cache = new ScanCache({ cachePath: env.cachePath });
+    cache.set('/a', { mtimeMs: 1, size: 1 }, { data: {} });
+    cache.save();
+    cache.clearCache();
+    assert(!fs.existsSync(env.cachePath), 'Expected cache file removed');
+    assert(cache.getCacheStats().cached === 0, 'Expected empty cache');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── scanTasks integration ────────────────────────────────────────────
+
+console.log('\n  scanTasks cache integration tests\n');
+
+test('9. cached scan returns the same result shape as an uncached scan', () => {
+  const env = createTestEnv({
+    'jade-cli': 'jade-cli-tasks.json',
+    broken: '{ "tasks": [',
+  });
+  try {
+    const cache = new ScanCache({ cachePath: env.cachePath });
+    const plain = scanTasks({ registry: env.registry });
+    const cold = scanTasks({ registry: env.registry, cache });
+    const warm = scanTasks({ registry: env.registry, cache });
+
+    for (const result of [cold, warm]) {
+      assert(
+        result.tasks.length === plain.tasks.length,
+        `Expected ${plain.tasks.length} tasks, got ${result.tasks.length}`
+      );
+      assert(
+        result.errors.length === plain.errors.length,
+        'Expected same number of errors'
+      );
+      assert(
+        result.errors[0].type === 'parse_error',
+        'Expected parse_error preserved'
+      );
+      assert(
+        result.tasks[0]._projectName === 'jade-cli',
+        'Expected scanner metadata attached'
+      );
+    }
+
+    const stats = cache.getCacheStats();
+    assert(stats.misses === 2, `Expected 2 misses, got ${stats.misses}`);
+    assert(stats.hits === 2, `Expected 2 hits, got ${stats.hits}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('10. changed tasks.json is re-parsed on the next scan', () => {
+  const env = createTestEnv({ 'jade-cli': 'jade-cli-tasks.json' });
+  try {
+    const cache = new ScanCache({ cachePath: env.cachePath });
+    scanTasks({ registry: env.registry, cache });
+
+    const filePath = env.tasksPath('jade-cli');
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    data.tasks[0].status = 'completed';
+    rewrite(filePath, data);
+
+    const result = scanTasks({ registry: env.registry, cache });
+    assert(
+      result.tasks[0].status === 'completed',
+      `Expected updated status, got ${result.tasks[0].status}`
+    );
+    assert(cache.getCacheStats().misses === 2, 'Expected second miss');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('11. scan persists the cache so a new process starts warm', () => {
+  const env = createTestEnv({ 'jade-cli': 'jade-cli-tasks.json' });
+  try {
+    scanTasks({
+      registry: env.registry,
+      cache: new ScanCache({ cachePath: env.cachePath }),
+    });
+
+    const fresh = new ScanCache({ cachePath: env.cachePath });
+    scanTasks({ registry: env.registry, cache: fresh });
+    const stats = fresh.getCacheStats();
+    assert(stats.hits === 1, `Expected warm hit, got ${stats.hits}`);
+    assert(stats.misses === 0, `Expected no misses, got ${stats.misses}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('12. deleted tasks.json is dropped from the cache', () => {
+  const env = createTestEnv({ 'jade-cli': 'jade-cli-tasks.json' });
+  try {
+    const cache = new ScanCache({ cachePath: env.cachePath });
+    scanTasks({ registry: env.registry, cache });
+    fs.unlinkSync(env.tasksPath('jade-cli'));
+
+    const result = scanTasks({ registry: env.registry, cache });
+    assert(result.tasks.length === 0, 'Expected no tasks after delete');
+    assert(cache.getCacheStats().cached === 0, 'Expected entry removed');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -994,6 +994,286 @@ test('26. OPTIONAL_TASK_FIELDS has correct defaults', () => {
   );
 });
 
+// ── Typed Schema and Migration tests ────────────────────────────────
+
+console.log('\n  Typed Schema and Migration tests\n');
+
+/**
+ * Run scanTasks with stderr suppressed (validation errors are logged as warnings).
+ */
+function quietScan(options) {
+  const originalWrite = process.stderr.write.bind(process.stderr);
+  process.stderr.write = () => true;
+  try {
+    return scanTasks(options);
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+}
+
+test('27. validateTask rejects wrong types and unknown enum values', () => {
+  const task = {
+    id: 'test/task',
+    title: 'Test',
+    status: 'done',
+    complexity: 'huge',
+    blocked_by: 'other/task',
+  };
+  const result = validateTask(task, '/test/path');
+
+  assert(!result.valid, 'Expected invalid result');
+  assert(
+    result.errors.length === 3,
+    `Expected 3 errors, got ${result.errors.length}`
+  );
+  const paths = result.details.map((d) => d.path);
+  assert(paths.includes('status'), 'Expected status error');
+  assert(paths.includes('complexity'), 'Expected complexity error');
+  assert(paths.includes('blocked_by'), 'Expected blocked_by error');
+});
+
+test('28. scanTasks reports nested error paths like tasks[1].feature.acceptance_criteria', () => {
+  const env = createTestEnv({
+    projects: [{ name: 'test-project', path: 'test-project' }],
+    rawTaskFiles: {
+      'test-project': JSON.stringify({
+        version: 1,
+        tasks: [
+          { id: 'test/ok', title: 'Ok', status: 'pending' },
+          {
+            id: 'test/bad',
+            title: 'Bad',
+            status: 'pending',
+            feature: { acceptance_criteria: 'just a string' },
+          },
+        ],
+      }),
+    },
+  });
+  try {
+    const result = quietScan({ registryPath: env.registryPath });
+    assert(result.tasks.length === 1, 'Expected the bad task to be skipped');
+    assert(result.errors.length === 1, 'Expected 1 error');
+    assert(
+      result.errors[0].field === 'tasks[1].feature.acceptance_criteria',
+      `Unexpected error field: ${result.errors[0].field}`
+    );
+    assert(
+      result.errors[0].message.includes('expected array, got string'),
+      `Unexpected message: ${result.errors[0].message}`
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('29. scanTasks migrates Schema B files in memory and warns', () => {
+  const env = createTestEnv({
+    projects: [{ name: 'jade-docker', path: 'jade-docker' }],
+    rawTaskFiles: {
+      'jade-docker': JSON.stringify({
+        version: '1.0.0',
+        project: 'jade-docker',
+        milestone: 'Infra',
+        tasks: [
+          {
+            id: 'jade-docker/redis',
+            title: 'Add Redis',
+            description: '- cache warms on boot',
+            status: 'pending',
+            priority: 'high',
+            dependencies: [],
+            blocks: [],
+          },
+        ],
+      }),
+    },
+  });
+  try {
+    const result = quietScan({ registryPath: env.registryPath });
+    assert(result.tasks.length === 1, 'Expected migrated task');
+    assert(
+      result.tasks[0].complexity === 'L',
+      'Expected complexity from priority'
+    );
+    assert(
+      result.tasks[0]._milestone.name === 'Infra',
+      'Expected milestone block from migration'
+    );
+    assert(
+      result.warnings.some((w) => w.type === 'migration_warning'),
+      'Expected migration warning'
+    );
+    assert(result.errors.length === 0, 'Expected no errors');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('30. scanTasks rejects files with an unsupported version', () => {
+  const env = createTestEnv({
+    projects: [{ name: 'future', path: 'future' }],
+    rawTaskFiles: {
+      future: JSON.stringify({ version: 99, tasks: [] }),
+    },
+  });
+  try {
+    const result = quietScan({ registryPath: env.registryPath });
+    assert(result.errors.length === 1, 'Expected 1 error');
+    assert(
+      result.errors[0].type === 'version_error',
+      `Expected version_error, got ${result.errors[0].type}`
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('31. scanTasks reports registry errors and skips invalid project entries', () => {
+  const env = createTestEnv({
+    projects: [
+      { name: 'jade-cli', path: 'jade-cli', status: 'shipping' },
+      { name: 'jade-index', path: 'jade-index', status: 'buildable' },
+    ],
+    taskFiles: {
+      'jade-cli': 'jade-cli-tasks.json',
+      'jade-index': 'jade-index-tasks.json',
+    },
+  });
+  try {
+    const result = quietScan({ registryPath: env.registryPath });
+    const registryErrors = result.errors.filter(
+      (e) => e.type === 'registry_error'
+    );
+    assert(registryErrors.length === 1, 'Expected 1 registry error');
+    assert(
+      registryErrors[0].field === 'projects[0].status',
+      `Unexpected field: ${registryErrors[0].field}`
+    );
+    assert(result.tasks.length > 0, 'Expected tasks from the valid project');
+    assert(
+      result.tasks.every((t) => t._projectName === 'jade-index'),
+      'Expected tasks only from the valid project'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Multi-file Task Sources ─────────────────────────────────────────
+
+console.log('\n  Multi-file Task Sources tests\n');
+
+/**
+ * Write a tasks file with a milestone block into a project's tasks dir.
+ */
+function writeTaskFile(env, projectPath, fileName, milestone, taskIds) {
+  const taskDir = path.join(env.tmpdir, projectPath, '.claude', 'tasks');
+  fs.mkdirSync(taskDir, { recursive: true });
+  const filePath = path.join(taskDir, fileName);
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({
+      version: 1,
+      project: projectPath,
+      milestone: { name: milestone },
+      tasks: taskIds.map((id) => ({ id, title: id, status: 'pending' })),
+    })
+  );
+  return filePath;
+}
+
+test('32. scanTasks reads every .claude/tasks/*.json with its own milestone', () => {
+  const env = createTestEnv({
+    projects: [{ name: 'app', path: 'app', status: 'buildable' }],
+  });
+  try {
+    const main = writeTaskFile(env, 'app', 'tasks.json', 'v1', ['app/a']);
+    const v2 = writeTaskFile(env, 'app', 'v2.json', 'v2', ['app/b', 'app/c']);
+    const result = quietScan({ registryPath: env.registryPath });
+    assert(result.errors.length === 0, `Unexpected errors: ${JSON.stringify(result.errors)}`);
+    assert(
+      result.tasks.map((t) => t.id).join(',') === 'app/a,app/b,app/c',
+      'Expected tasks.json first, then v2.json'
+    );
+    const b = result.tasks.find((t) => t.id === 'app/b');
+    assert(b._milestone.name === 'v2', 'Expected milestone from v2.json');
+    assert(b._sourcePath === v2, 'Expected _sourcePath of v2.json');
+    assert(result.tasks[0]._sourcePath === main, 'Expected _sourcePath of tasks.json');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('33. scanTasks honours registry task_files patterns', () => {
+  const env = createTestEnv({
+    projects: [
+      {
+        name: 'app',
+        path: 'app',
+        status: 'buildable',
+        task_files: ['.claude/tasks/milestone-*.json'],
+      },
+    ],
+  });
+  try {
+    writeTaskFile(env, 'app', 'tasks.json', 'ignored', ['app/ignored']);
+    writeTaskFile(env, 'app', 'milestone-1.json', 'm1', ['app/a']);
+    const result = quietScan({ registryPath: env.registryPath });
+    assert(result.tasks.length === 1, `Expected 1 task, got ${result.tasks.length}`);
+    assert(result.tasks[0].id === 'app/a', 'Expected only the matching file');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('34. scanTasks reports task IDs duplicated across files', () => {
+  const env = createTestEnv({
+    projects: [{ name: 'app', path: 'app', status: 'buildable' }],
+  });
+  try {
+    writeTaskFile(env, 'app', 'tasks.json', 'v1', ['app/a']);
+    writeTaskFile(env, 'app', 'v2.json', 'v2', ['app/a', 'app/b']);
+    const result = quietScan({ registryPath: env.registryPath });
+    const dupes = result.errors.filter((e) => e.type === 'duplicate_task');
+    assert(dupes.length === 1 && dupes[0].taskId === 'app/a', 'Expected one duplicate');
+    assert(result.tasks.length === 2, 'Expected the first definition kept');
+    assert(
+      result.tasks[0]._milestone.name === 'v1',
+      'Expected the tasks.json definition to win'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+console.log('\n  Task States tests\n');
+
+test('35. an invalid task-states.json warns and falls back outside strict mode', () => {
+  const env = createTestEnv({
+    projects: [{ name: 'app', path: 'app', status: 'buildable' }],
+  });
+  try {
+    writeTaskFile(env, 'app', 'tasks.json', 'v1', ['app/a']);
+    const statesPath = path.join(env.tmpdir, 'task-states.json');
+    fs.writeFileSync(statesPath, '{ not json');
+    const result = quietScan({ registryPath: env.registryPath, statesPath });
+    assert(result.tasks.length === 1, 'Expected the scan to succeed');
+    const warning = result.warnings.find((w) => w.type === 'task_states_warning');
+    assert(warning && warning.message.includes(statesPath), 'Expected a task states warning');
+
+    let code = null;
+    try {
+      quietScan({ registryPath: env.registryPath, statesPath, strict: true });
+    } catch (err) {
+      code = err.code;
+    }
+    assert(code === 'TASK_STATES_INVALID', `Expected TASK_STATES_INVALID in strict mode, got ${code}`);
+  } finally {
+    env.cleanup();
+  }
+});
+
 // ── Summary ─────────────────────────────────────────────────────────
 
 console.log('\n' + '='.repeat(50));
@@ -44,11 +44,14 @@ function assertClose(actual, expected, tolerance, message) {
 
 // ── Import scorer ────────────────────────────────────────────────────
 
-let scoreTask, scoreTasks, MATURITY_SCORES, COMPLEXITY_MULTIPLIERS, WEIGHTS;
+let scoreTask, scoreTasks, explainScore, DEFAULT_PROFILE;
+let MATURITY_SCORES, COMPLEXITY_MULTIPLIERS, WEIGHTS;
 try {
   const scorer = require('../lib/scorer');
   scoreTask = scorer.scoreTask;
   scoreTasks = scorer.scoreTasks;
+  explainScore = scorer.explainScore;
+  DEFAULT_PROFILE = scorer.DEFAULT_PROFILE;
   MATURITY_SCORES = scorer.MATURITY_SCORES;
   COMPLEXITY_MULTIPLIERS = scorer.COMPLEXITY_MULTIPLIERS;
   WEIGHTS = scorer.WEIGHTS;
@@ -960,6 +963,324 @@ test('49. score is always between 0 and 100', () => {
   assert(minScore >= 0, `Score ${minScore} below 0`);
 });
 
+// ═══════════════════════════════════════════════════════════════════════
+// 11. CRITICAL PATH FACTOR
+// ═══════════════════════════════════════════════════════════════════════
+
+console.log('\n  Critical Path Factor\n');
+
+test('50. criticalPath option blends criticality into the score', () => {
+  const blocker = makeTask({ id: 'p/blocker', complexity: 'L' });
+  const side = makeTask({ id: 'p/side', complexity: 'S' });
+  const tail = makeTask({
+    id: 'p/tail',
+    complexity: 'M',
+    blocked_by: ['p/blocker', 'p/side'],
+  });
+  const all = [blocker, side, tail];
+  const project = makeProject();
+  const { analyzeCriticalPath } = require('../lib/critical-path');
+  const analysis = analyzeCriticalPath(all);
+
+  const base = scoreTask(blocker, project, all);
+  const weighted = scoreTask(blocker, project, all, { criticalPath: analysis });
+  // blocker has no slack -> criticality 100
+  assertClose(weighted, base * 0.85 + 100 * 0.15, 0.01, 'critical task');
+
+  const sideBase = scoreTask(side, project, all);
+  const sideWeighted = scoreTask(side, project, all, {
+    criticalPath: analysis,
+    criticalPathWeight: 0.5,
+  });
+  // side: slack 3 of horizon 6 -> criticality 50
+  assertClose(sideWeighted, sideBase * 0.5 + 50 * 0.5, 0.01, 'slack task');
+});
+
+test('51. scoreTasks with criticalPath: true ranks critical work higher', () => {
+  const blocker = makeTask({ id: 'p/blocker', complexity: 'L' });
+  const side = makeTask({ id: 'p/side', complexity: 'L' });
+  const tail = makeTask({
+    id: 'p/tail',
+    complexity: 'M',
+    blocked_by: ['p/blocker'],
+  });
+  const plain = scoreTasks([blocker, side, tail]);
+  assertClose(
+    plain.find((t) => t.id === 'p/blocker')._score,
+    plain.find((t) => t.id === 'p/side')._score,
+    0.01,
+    'equal without critical path'
+  );
+
+  const ranked = scoreTasks([blocker, side, tail], { criticalPath: true });
+  assert(
+    ranked[0].id === 'p/blocker',
+    `Expected p/blocker first, got ${ranked[0].id}`
+  );
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 12. SCORE EXPLANATION
+// ═══════════════════════════════════════════════════════════════════════
+
+console.log('\n  explainScore()\n');
+
+/**
+ * Sum the weighted contributions of an explanation.
+ */
+function sumContributions(explanation) {
+  let total = Object.values(explanation.factors).reduce(
+    (sum, factor) => sum + factor.contribution,
+    0
+  );
+  for (const extra of [explanation.criticality, explanation.urgency]) {
+    if (extra) {
+      total += extra.contribution;
+    }
+  }
+  return total;
+}
+
+test('52. explainScore contributions sum to the scoreTask score', () => {
+  const task = makeTask({
+    id: 'p/a',
+    complexity: 'M',
+    labels: ['bugfix'],
+    unlocks: ['p/b'],
+    feature: { acceptance_criteria: ['works'] },
+  });
+  const other = makeTask({ id: 'p/b', blocked_by: ['p/a'] });
+  const project = makeProject({ status: 'buildable' });
+  const explanation = explainScore(task, project, [task, other]);
+
+  assertClose(explanation.score, scoreTask(task, project, [task, other]), 1e-9, 'score');
+  assertClose(sumContributions(explanation), explanation.score, 1e-9, 'sum');
+  assert(explanation.profile === 'default', 'Expected default profile');
+  assert(explanation.factors.effort.complexity === 'M', 'Expected complexity M');
+  assert(explanation.factors.effort.multiplier === COMPLEXITY_MULTIPLIERS.M, 'Expected M multiplier');
+});
+
+test('53. impact components itemise criteria, unlocks and label bonuses', () => {
+  const task = makeTask({
+    id: 'p/a',
+    labels: ['bugfix', 'docs'],
+    unlocks: ['p/b', 'p/c'],
+    feature: { acceptance_criteria: ['x'], description: 'd'.repeat(60) },
+  });
+  const { components } = explainScore(task, makeProject(), [task]).factors.impact;
+
+  assert(components.criteria === 20, `criteria ${components.criteria}`);
+  assert(components.description === 10, `description ${components.description}`);
+  assert(components.unlocks === 30, `unlocks ${components.unlocks}`);
+  assert(components.labelBonuses.bugfix === 10, 'Expected bugfix bonus');
+  assert(
+    components.labels === Object.values(components.labelBonuses).reduce((a, b) => a + b, 0),
+    'Expected labels to total the label bonuses'
+  );
+});
+
+test('54. priority_override is reported with a note', () => {
+  const task = makeTask({ priority_override: 95 });
+  const explanation = explainScore(task, makeProject(), [task]);
+
+  assert(explanation.score === 95, `Expected 95, got ${explanation.score}`);
+  assert(explanation.override.value === 95, 'Expected override value');
+  assert(
+    explanation.override.note.includes(explanation.computedScore.toFixed(1)),
+    `Expected computed score in note: ${explanation.override.note}`
+  );
+  assertClose(sumContributions(explanation), explanation.computedScore, 1e-9, 'computed');
+});
+
+test('55. criticality is explained when criticalPath is given', () => {
+  const blocker = makeTask({ id: 'p/blocker', complexity: 'L' });
+  const tail = makeTask({ id: 'p/tail', blocked_by: ['p/blocker'] });
+  const all = [blocker, tail];
+  const { analyzeCriticalPath } = require('../lib/critical-path');
+  const explanation = explainScore(blocker, makeProject(), all, {
+    criticalPath: analyzeCriticalPath(all),
+  });
+
+  assert(explanation.criticality.value === 100, 'Expected criticality 100');
+  assertClose(explanation.criticality.contribution, 15, 1e-9, 'criticality');
+  assertClose(sumContributions(explanation), explanation.score, 1e-9, 'sum');
+  assert(explainScore(blocker, makeProject(), all).criticality === null, 'Expected null without analysis');
+});
+
+test('56. scoreTasks({ explain: true }) attaches _explanation', () => {
+  const ranked = scoreTasks([makeTask({ id: 'p/a' }), makeTask({ id: 'p/b' })], {
+    explain: true,
+  });
+  assert(ranked.every((t) => t._explanation && t._explanation.score === t._score), 'Expected explanations');
+  assert(scoreTasks([makeTask()])[0]._explanation === undefined, 'Expected none by default');
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 13. TRANSITIVE UNLOCK WEIGHTING
+// ═══════════════════════════════════════════════════════════════════════
+
+console.log('\n  Transitive Unlock Weighting\n');
+
+/**
+ * Build a profile with the given unlock weighting on top of the default.
+ */
+function unlockProfile(unlockWeighting) {
+  return {
+    ...DEFAULT_PROFILE,
+    unlockWeighting: { ...DEFAULT_PROFILE.unlockWeighting, ...unlockWeighting },
+  };
+}
+
+/**
+ * Build a chain root -> c1 -> c2 -> ... -> c<length>.
+ */
+function makeChain(length) {
+  const tasks = [makeTask({ id: 'p/root', unlocks: ['p/c1'] })];
+  for (let i = 1; i <= length; i++) {
+    tasks.push(
+      makeTask({
+        id: `p/c${i}`,
+        blocked_by: [i === 1 ? 'p/root' : `p/c${i - 1}`],
+        unlocks: i < length ? [`p/c${i + 1}`] : [],
+      })
+    );
+  }
+  return tasks;
+}
+
+test('57. default weighting counts direct unlocks only', () => {
+  const chain = makeChain(10);
+  const { components } = explainScore(chain[0], makeProject(), chain).factors.impact;
+  assert(components.unlocks === 15, `Expected 15, got ${components.unlocks}`);
+  assert(components.unlockReach.length === 1, 'Expected one direct unlock');
+});
+
+test('58. transitive weighting decays with depth and ranks chains above leaves', () => {
+  const chain = makeChain(10);
+  const profile = unlockProfile({ transitive: true, cap: 100, decay: 0.5 });
+  const { components } = explainScore(chain[0], makeProject(), chain, {
+    profile,
+  }).factors.impact;
+  assert(components.unlockReach.length === 10, 'Expected ten downstream tasks');
+  assert(components.unlockReach[2].depth === 3, 'Expected depth recorded');
+  assertClose(components.unlockReach[2].points, 15 * 0.25, 1e-9, 'depth 3');
+  assertClose(components.unlocks, 15 * (2 - Math.pow(0.5, 9)), 1e-9, 'chain total');
+
+  const hub = makeTask({ id: 'q/hub', unlocks: ['q/a', 'q/b'] });
+  const leaves = ['q/a', 'q/b'].map((id) => makeTask({ id, blocked_by: ['q/hub'] }));
+  const flat = [hub, ...leaves];
+  const hubImpact = explainScore(hub, makeProject(), flat, { profile }).factors.impact;
+  const directOnly = explainScore(hub, makeProject(), flat).factors.impact;
+  assert(hubImpact.components.unlocks === directOnly.components.unlocks, 'Expected leaves unchanged');
+});
+
+test('59. cap limits the unlock bonus', () => {
+  const chain = makeChain(10);
+  const { components } = explainScore(chain[0], makeProject(), chain, {
+    profile: unlockProfile({ transitive: true, cap: 20, decay: 1 }),
+  }).factors.impact;
+  assert(components.unlocks === 20, `Expected cap 20, got ${components.unlocks}`);
+});
+
+test('60. cycles terminate and count each task once', () => {
+  const a = makeTask({ id: 'p/a', unlocks: ['p/b'], blocked_by: ['p/c'] });
+  const b = makeTask({ id: 'p/b', unlocks: ['p/c'], blocked_by: ['p/a'] });
+  const c = makeTask({ id: 'p/c', unlocks: ['p/a'], blocked_by: ['p/b'] });
+  const { components } = explainScore(a, makeProject(), [a, b, c], {
+    profile: unlockProfile({ transitive: true, decay: 1, cap: 100 }),
+  }).factors.impact;
+  assert(
+    components.unlockReach.map((r) => r.id).join(',') === 'p/b,p/c',
+    `Unexpected reach ${components.unlockReach.map((r) => r.id)}`
+  );
+  assert(components.unlocks === 30, `Expected 30, got ${components.unlocks}`);
+});
+
+test('61. complexity and milestone weighting scale downstream tasks; completed tasks are skipped', () => {
+  const milestone = { name: 'v1' };
+  const root = makeTask({ id: 'p/root', unlocks: ['p/big', 'p/ms', 'p/done'] });
+  const big = makeTask({ id: 'p/big', complexity: 'L', blocked_by: ['p/root'] });
+  const ms = makeTask({
+    id: 'p/ms',
+    blocked_by: ['p/root'],
+    milestone: 'v1',
+    _milestone: milestone,
+  });
+  const done = makeTask({ id: 'p/done', status: 'completed', blocked_by: ['p/root'] });
+  const { components } = explainScore(root, makeProject(), [root, big, ms, done], {
+    profile: unlockProfile({
+      transitive: true,
+      cap: 100,
+      complexity_weighted: true,
+      milestone_weight: 2,
+    }),
+  }).factors.impact;
+  const points = Object.fromEntries(components.unlockReach.map((r) => [r.id, r.points]));
+  assert(points['p/big'] === 60, `Expected L weighted x4, got ${points['p/big']}`);
+  assert(points['p/ms'] === 30, `Expected milestone weighted x2, got ${points['p/ms']}`);
+  assert(!('p/done' in points), 'Expected completed task skipped');
+});
+
+test('62. scoreTasks builds the graph once for transitive profiles', () => {
+  const chain = makeChain(4);
+  const ranked = scoreTasks(chain, {
+    profile: unlockProfile({ transitive: true, cap: 100 }),
+    explain: true,
+  });
+  const root = ranked.find((t) => t.id === 'p/root');
+  assert(
+    root._explanation.factors.impact.components.unlockReach.length === 4,
+    'Expected transitive reach through scoreTasks'
+  );
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 14. DEADLINE URGENCY
+// ═══════════════════════════════════════════════════════════════════════
+
+console.log('\n  Deadline Urgency\n');
+
+test('63. deadlines option blends urgency into the score', () => {
+  const { analyzeDeadlines } = require('../lib/deadlines');
+  const milestone = { name: 'Beta', target_date: '2026-03-10' };
+  const due = makeTask({ id: 'p/due', complexity: 'M', _milestone: milestone });
+  const free = makeTask({ id: 'p/free', _milestone: null });
+  const all = [due, free];
+  const deadlines = analyzeDeadlines(all, {
+    now: Date.parse('2026-03-07T00:00:00Z'),
+  });
+  const project = makeProject();
+
+  // 2 days of work, 4 days left -> urgency 50
+  const explanation = explainScore(due, project, all, { deadlines });
+  assert(explanation.urgency.value === 50, `Expected 50, got ${explanation.urgency.value}`);
+  assert(explanation.urgency.milestone === 'Beta', 'Expected milestone named');
+  const base = scoreTask(due, project, all);
+  assertClose(explanation.score, base * 0.85 + 50 * 0.15, 1e-9, 'blended');
+  assertClose(sumContributions(explanation), explanation.score, 1e-9, 'sum');
+
+  const freeScore = scoreTask(free, project, all, { deadlines });
+  assertClose(freeScore, scoreTask(free, project, all) * 0.85, 1e-9, 'no milestone');
+});
+
+test('64. criticality and urgency weights share the base scale', () => {
+  const { analyzeCriticalPath } = require('../lib/critical-path');
+  const { analyzeDeadlines } = require('../lib/deadlines');
+  const milestone = { name: 'Beta', target_date: '2026-03-01' };
+  const late = makeTask({ id: 'p/late', _milestone: milestone });
+  const all = [late];
+  const explanation = explainScore(late, makeProject(), all, {
+    criticalPath: analyzeCriticalPath(all),
+    deadlines: analyzeDeadlines(all, { now: Date.parse('2026-03-05T00:00:00Z') }),
+    deadlineWeight: 0.25,
+  });
+  assert(explanation.urgency.overdue, 'Expected overdue');
+  assert(explanation.urgency.value === 100, 'Expected urgency 100');
+  const base = scoreTask(late, makeProject(), all);
+  assertClose(explanation.score, base * 0.6 + 100 * 0.15 + 100 * 0.25, 1e-9, 'blended');
+  assertClose(sumContributions(explanation), explanation.score, 1e-9, 'sum');
+});
+
 // ── Summary ─────────────────────────────────────────────────────────
 
 console.log('\n' + '='.repeat(50));
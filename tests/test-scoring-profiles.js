@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * Scoring Profiles Module Tests (lib/scoring-profiles.js)
+ *
+ * Tests for built-in and file-defined profiles, project overrides,
+ * validation, and profile selection through scoreTasks().
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertThrowsCode(fn, code) {
+  try {
+    fn();
+  } catch (err) {
+    assert(err.code === code, `Expected ${code}, got ${err.code}: ${err.message}`);
+    return err;
+  }
+  throw new Error(`Expected ${code} to be thrown`);
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let profiles, scoreTasks;
+try {
+  profiles = require('../lib/scoring-profiles');
+  scoreTasks = require('../lib/scorer').scoreTasks;
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/scoring-profiles.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+const {
+  loadScoringConfig,
+  listProfiles,
+  resolveProfile,
+  validateProfile,
+  validateScoringConfig,
+  BUILTIN_PROFILES,
+  WEIGHTS,
+} = profiles;
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Write a scoring config to a temp dir. Returns { scoringPath, cleanup }.
+ */
+function writeConfig(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-scoring-test-'));
+  const scoringPath = path.join(dir, 'scoring.json');
+  fs.writeFileSync(
+    scoringPath,
+    typeof config === 'string' ? config : JSON.stringify(config)
+  );
+  return {
+    scoringPath,
+    cleanup() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Run fn with logger output on stderr suppressed.
+ */
+function quiet(fn) {
+  const originalWrite = process.stderr.write;
+  const lines = [];
+  process.stderr.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    return { result: fn(), lines };
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+}
+
+function task(id, project, overrides) {
+  return Object.assign(
+    {
+      id: `${project}/${id}`,
+      title: id,
+      status: 'pending',
+      complexity: 'S',
+      labels: [],
+      _projectName: project,
+      _project: { name: project, status: 'buildable' },
+    },
+    overrides
+  );
+}
+
+// ── Built-in profiles ────────────────────────────────────────────────
+
+console.log('\n  Built-in profile tests\n');
+
+test('1. the default profile reproduces the scorer constants', () => {
+  const profile = resolveProfile('default', { config: {} });
+  assert(profile.name === 'default', 'Expected name default');
+  assert(profile.weights.impact === WEIGHTS.impact, 'Expected default weights');
+  assert(profile.criticalPathWeight === 0.15, 'Expected default criticality weight');
+  assert(resolveProfile(undefined, { config: {} }).name === 'default', 'Expected default when unnamed');
+});
+
+test('2. every built-in profile validates', () => {
+  for (const name of Object.keys(BUILTIN_PROFILES)) {
+    const profile = resolveProfile(name, { config: {} });
+    const { errors } = validateProfile(profile);
+    assert(errors.length === 0, `${name}: ${JSON.stringify(errors)}`);
+  }
+  assert(
+    ['bug-bash', 'ship-milestone', 'quick-wins'].every((n) => n in BUILTIN_PROFILES),
+    'Expected the three team profiles'
+  );
+});
+
+test('3. unknown profile names throw SCORING_PROFILE_NOT_FOUND', () => {
+  const err = assertThrowsCode(
+    () => resolveProfile('nope', { config: {} }),
+    'SCORING_PROFILE_NOT_FOUND'
+  );
+  assert(err.message.includes('quick-wins'), 'Expected available profiles listed');
+});
+
+// ── Config file ──────────────────────────────────────────────────────
+
+console.log('\n  Config file tests\n');
+
+test('4. a missing config file yields only the built-ins', () => {
+  const config = loadScoringConfig(path.join(os.tmpdir(), 'no-such-scoring.json'));
+  assert(Object.keys(config).length === 0, 'Expected empty config');
+  assert(listProfiles(config).length === Object.keys(BUILTIN_PROFILES).length, 'Expected built-ins');
+});
+
+test('5. malformed config files throw SCORING_CONFIG_INVALID', () => {
+  const env = writeConfig('{ "profiles": ');
+  try {
+    assertThrowsCode(() => loadScoringConfig(env.scoringPath), 'SCORING_CONFIG_INVALID');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('6. file profiles are partial overrides of default', () => {
+  const env = writeConfig({
+    profiles: { 'docs-sprint': { label_bonuses: { docs: 30 } } },
+  });
+  try {
+    const profile = resolveProfile('docs-sprint', { scoringPath: env.scoringPath });
+    assert(profile.labelBonuses.docs === 30, 'Expected docs bonus overridden');
+    assert(profile.labelBonuses.bugfix === 10, 'Expected other bonuses kept');
+    assert(profile.weights.impact === WEIGHTS.impact, 'Expected default weights');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('7. project overrides apply on top of the selected profile', () => {
+  const config = {
+    projects: { app: { weights: { maturity: 0.1, impact: 0.4 } } },
+  };
+  const plain = resolveProfile('bug-bash', { config });
+  const app = resolveProfile('bug-bash', { config, project: 'app' });
+  assert(plain.weights.maturity === 0.15, 'Expected bug-bash weight without project');
+  assert(app.weights.maturity === 0.1 && app.weights.impact === 0.4, 'Expected project weights');
+  assert(app.labelBonuses.bugfix === 40, 'Expected bug-bash bonuses kept');
+});
+
+// ── Validation ───────────────────────────────────────────────────────
+
+console.log('\n  Validation tests\n');
+
+test('8. weights must sum to 1.0', () => {
+  const config = { profiles: { lopsided: { weights: { impact: 0.9 } } } };
+  const err = assertThrowsCode(
+    () => resolveProfile('lopsided', { config }),
+    'SCORING_PROFILE_INVALID'
+  );
+  assert(err.details[0].path === 'weights', `Unexpected path ${err.details[0].path}`);
+  assert(err.message.includes('sum to 1.6'), `Unexpected message: ${err.message}`);
+});
+
+test('9. unknown factors and out-of-range values are errors', () => {
+  const { errors } = validateScoringConfig({
+    profiles: {
+      odd: {
+        weights: { speed: 0 },
+        complexity_multipliers: { M: -1 },
+        critical_path_weight: 2,
+      },
+    },
+  });
+  const paths = errors.map((e) => e.path).sort();
+  assert(
+    paths.join(',') ===
+      'profiles.odd.complexity_multipliers.M,profiles.odd.critical_path_weight,profiles.odd.weights.speed',
+    `Unexpected errors: ${paths.join(',')}`
+  );
+});
+
+test('10. bonuses for labels no task uses are reported as warnings', () => {
+  const config = {
+    profiles: { typo: { label_bonuses: { bugfx: 20, security: 10 } } },
+  };
+  const { errors, warnings } = validateScoringConfig(config, {
+    tasks: [task('a', 'app', { labels: ['security'] })],
+  });
+  assert(errors.length === 0, 'Expected no errors');
+  assert(warnings.length === 1, `Expected 1 warning, got ${warnings.length}`);
+  assert(warnings[0].label === 'bugfx', 'Expected the typo reported');
+  assert(warnings[0].path === 'profiles.typo.label_bonuses.bugfx', 'Expected path');
+});
+
+test('11. unlock_weighting settings are validated', () => {
+  const { errors } = validateScoringConfig({
+    profiles: {
+      odd: { unlock_weighting: { decay: 1.5, transitive: 'yes', depth: 3 } },
+    },
+  });
+  const paths = errors.map((e) => e.path).sort();
+  assert(
+    paths.join(',') ===
+      'profiles.odd.unlock_weighting.decay,profiles.odd.unlock_weighting.depth,profiles.odd.unlock_weighting.transitive',
+    `Unexpected errors: ${paths.join(',')}`
+  );
+  const profile = resolveProfile('ship-milestone', { config: {} });
+  assert(profile.unlockWeighting.transitive === true, 'Expected ship-milestone to be transitive');
+  assert(profile.unlockWeighting.points === 15, 'Expected default points kept');
+});
+
+test('12. criticality and deadline weights may not exceed 1.0 together', () => {
+  const err = assertThrowsCode(
+    () =>
+      resolveProfile('rushed', {
+        config: {
+          profiles: { rushed: { critical_path_weight: 0.6, deadline_weight: 0.5 } },
+        },
+      }),
+    'SCORING_PROFILE_INVALID'
+  );
+  assert(err.details[0].path === 'deadline_weight', `Unexpected path ${err.details[0].path}`);
+  assert(
+    resolveProfile('ship-milestone', { config: {} }).deadlineWeight === 0.25,
+    'Expected ship-milestone deadline weight'
+  );
+});
+
+// ── scoreTasks integration ───────────────────────────────────────────
+
+console.log('\n  scoreTasks profile tests\n');
+
+test('13. scoreTasks({ profile }) changes the ranking', () => {
+  const tasks = [
+    task('tests', 'app', { labels: ['test'], complexity: 'S' }),
+    task('bug', 'app', { labels: ['bugfix'], complexity: 'L' }),
+  ];
+  const byDefault = scoreTasks(tasks.map((t) => ({ ...t })));
+  const byBugBash = scoreTasks(tasks.map((t) => ({ ...t })), {
+    profile: 'bug-bash',
+    scoringConfig: {},
+  });
+  assert(byDefault[0].id === 'app/tests', 'Expected the small test task first by default');
+  assert(byBugBash[0].id === 'app/bug', 'Expected the bug first in bug-bash');
+});
+
+test('14. scoreTasks applies project overrides and warns about unknown labels', () => {
+  const env = writeConfig({
+    profiles: { custom: { label_bonuses: { bugfx: 20 } } },
+    projects: { core: { maturity_scores: { buildable: 0 } } },
+  });
+  try {
+    const tasks = [task('a', 'app'), task('b', 'core')];
+    const { result, lines } = quiet(() =>
+      scoreTasks(tasks, { profile: 'custom', scoringPath: env.scoringPath })
+    );
+    const app = result.find((t) => t.id === 'app/a');
+    const core = result.find((t) => t.id === 'core/b');
+    assert(
+      Math.abs(app._score - core._score - 100 * WEIGHTS.maturity) < 1e-9,
+      'Expected the core override to remove the maturity contribution'
+    );
+    assert(
+      lines.some((l) => l.includes('bugfx')),
+      'Expected a warning naming the unknown label'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('15. scoreTasks applies project overrides without a named profile', () => {
+  const env = writeConfig({
+    projects: { core: { maturity_scores: { buildable: 0 } } },
+  });
+  try {
+    const tasks = [task('a', 'app'), task('b', 'core')];
+    const result = scoreTasks(tasks, { scoringPath: env.scoringPath });
+    const app = result.find((t) => t.id === 'app/a');
+    const core = result.find((t) => t.id === 'core/b');
+    assert(
+      Math.abs(app._score - core._score - 100 * WEIGHTS.maturity) < 1e-9,
+      'Expected the core override to apply under the default profile'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('16. scoreTasks falls back to built-in weights for an invalid config', () => {
+  const env = writeConfig('{ not json');
+  try {
+    const tasks = [task('a', 'app')];
+    const { result, lines } = quiet(() =>
+      scoreTasks(tasks, { scoringPath: env.scoringPath })
+    );
+    const expected = scoreTasks([task('a', 'app')], { scoringConfig: {} });
+    assert(
+      result[0]._score === expected[0]._score,
+      'Expected the built-in default score'
+    );
+    assert(
+      lines.some((l) => l.includes('Invalid scoring config')),
+      'Expected a warning about the invalid config'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -560,6 +560,287 @@ queueAsync(
   }
 );
 
+// ═════════════════════════════════════════════════════════════════════
+// 6. Multi-file task sources
+// ═════════════════════════════════════════════════════════════════════
+
+console.log('\n  Multi-file task sources\n');
+
+/**
+ * Add a per-milestone task file next to the project's tasks.json.
+ */
+function addMilestoneFile(env, fileName, taskId) {
+  const filePath = path.join(path.dirname(env.tasksJsonPath), fileName);
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify(
+      {
+        version: 1,
+        project: 'test-project',
+        milestone: { name: fileName },
+        tasks: [{ id: taskId, title: taskId, status: 'pending' }],
+      },
+      null,
+      2
+    )
+  );
+  return filePath;
+}
+
+queueAsync('18. updateTaskStatus writes back to the file the task came from', async () => {
+  const env = createTestProject();
+  try {
+    const v2Path = addMilestoneFile(env, 'v2.json', 'test-project/v2-task');
+    const mainBefore = fs.readFileSync(env.tasksJsonPath, 'utf8');
+
+    updateTaskStatus('test-project/v2-task', 'completed', {
+      projectsRoot: env.tmpdir,
+    });
+
+    const v2 = JSON.parse(fs.readFileSync(v2Path, 'utf8'));
+    assert(v2.tasks[0].status === 'completed', 'Expected v2.json updated');
+    assert(v2.milestone.name === 'v2.json', 'Expected milestone block kept');
+    assert(
+      fs.readFileSync(env.tasksJsonPath, 'utf8') === mainBefore,
+      'Expected tasks.json untouched'
+    );
+    assert(
+      getTaskStatus('test-project/v2-task', { projectsRoot: env.tmpdir }) ===
+        'completed',
+      'Expected getTaskStatus to read v2.json'
+    );
+  } finally {
+    env.cleanup();
+  }
+});
+
+queueAsync('19. taskFiles restricts which files are searched', async () => {
+  const env = createTestProject();
+  try {
+    addMilestoneFile(env, 'v2.json', 'test-project/v2-task');
+    let threw = false;
+    try {
+      getTaskStatus('test-project/v2-task', {
+        projectsRoot: env.tmpdir,
+        taskFiles: ['.claude/tasks/tasks.json'],
+      });
+    } catch (err) {
+      threw = true;
+      assert(err.message.includes('not found'), `Unexpected error: ${err.message}`);
+    }
+    assert(threw, 'Expected v2.json to be outside taskFiles');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════
+// 7. State machine and dependents
+// ═════════════════════════════════════════════════════════════════════
+
+console.log('\n  State machine and dependents\n');
+
+/**
+ * A project where "build" is blocked by "setup" and "ship" by "build".
+ */
+function createChainProject() {
+  const task = (name, status, blockedBy) => ({
+    id: `test-project/${name}`,
+    title: name,
+    status,
+    blocked_by: blockedBy ? [`test-project/${blockedBy}`] : [],
+  });
+  return createTestProject({
+    tasksData: {
+      version: 1,
+      project: 'test-project',
+      tasks: [
+        task('setup', 'pending'),
+        task('build', 'blocked', 'setup'),
+        task('ship', 'blocked', 'build'),
+      ],
+    },
+  });
+}
+
+function readStatuses(env) {
+  const data = JSON.parse(fs.readFileSync(env.tasksJsonPath, 'utf8'));
+  return Object.fromEntries(data.tasks.map((t) => [t.id.split('/')[1], t.status]));
+}
+
+queueAsync('20. invalid statuses and transitions are refused unless forced', async () => {
+  const env = createChainProject();
+  try {
+    const codeOf = (fn) => {
+      try {
+        fn();
+      } catch (err) {
+        return err.code;
+      }
+      return null;
+    };
+    const opts = { projectsRoot: env.tmpdir };
+    assert(
+      codeOf(() => updateTaskStatus('test-project/setup', 'done', opts)) === 'TASK_STATUS_INVALID',
+      'Expected an unknown status refused'
+    );
+    updateTaskStatus('test-project/setup', 'completed', opts);
+    assert(
+      codeOf(() => updateTaskStatus('test-project/setup', 'pending', opts)) ===
+        'TASK_TRANSITION_INVALID',
+      'Expected completed -> pending refused'
+    );
+
+    const result = updateTaskStatus('test-project/setup', 'pending', { ...opts, force: true });
+    assert(result.from === 'completed' && result.to === 'pending', 'Expected a forced reopen');
+    const data = JSON.parse(fs.readFileSync(env.tasksJsonPath, 'utf8'));
+    const last = data.tasks[0].history.slice(-1)[0];
+    assert(last.forced === true, 'Expected the forced flag in history');
+  } finally {
+    env.cleanup();
+  }
+});
+
+queueAsync('21. starting a task with open blockers needs force', async () => {
+  const env = createChainProject();
+  try {
+    let error = null;
+    try {
+      updateTaskStatus('test-project/build', 'in_progress', { projectsRoot: env.tmpdir });
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.code === 'TASK_TRANSITION_BLOCKED', 'Expected the guard to refuse');
+    assert(error.blockers.join(',') === 'test-project/setup', 'Expected the open blocker listed');
+    assert(readStatuses(env).build === 'blocked', 'Expected no change on refusal');
+
+    updateTaskStatus('test-project/build', 'in_progress', {
+      projectsRoot: env.tmpdir,
+      force: true,
+    });
+    assert(readStatuses(env).build === 'in_progress', 'Expected force to start it');
+  } finally {
+    env.cleanup();
+  }
+});
+
+queueAsync('22. history records the actor and source', async () => {
+  const env = createChainProject();
+  try {
+    updateTaskStatus('test-project/setup', 'in_progress', {
+      projectsRoot: env.tmpdir,
+      actor: 'alex',
+      source: 'dashboard',
+    });
+    updateTaskStatus('test-project/setup', 'failed', { projectsRoot: env.tmpdir });
+    const data = JSON.parse(fs.readFileSync(env.tasksJsonPath, 'utf8'));
+    const [first, second] = data.tasks[0].history;
+    assert(first.actor === 'alex' && first.source === 'dashboard', 'Expected the given actor and source');
+    assert(typeof second.actor === 'string' && second.actor.length > 0, 'Expected a default actor');
+    assert(second.source === 'api', `Expected the default source, got ${second.source}`);
+    assert(data.tasks[0].started_at && data.tasks[0].failed_at, 'Expected status timestamps');
+  } finally {
+    env.cleanup();
+  }
+});
+
+queueAsync('23. dependents are blocked and unblocked as blockers change', async () => {
+  const env = createChainProject();
+  try {
+    const opts = { projectsRoot: env.tmpdir, actor: 'alex' };
+    const done = updateTaskStatus('test-project/setup', 'completed', opts);
+    assert(
+      JSON.stringify(done.dependents) ===
+        JSON.stringify([{ taskId: 'test-project/build', from: 'blocked', to: 'pending' }]),
+      `Unexpected dependents: ${JSON.stringify(done.dependents)}`
+    );
+    let statuses = readStatuses(env);
+    assert(statuses.build === 'pending', 'Expected build unblocked');
+    assert(statuses.ship === 'blocked', 'Expected ship still waiting for build');
+
+    updateTaskStatus('test-project/setup', 'in_progress', { ...opts, force: true });
+    statuses = readStatuses(env);
+    assert(statuses.build === 'blocked', 'Expected build blocked again after the reopen');
+
+    const data = JSON.parse(fs.readFileSync(env.tasksJsonPath, 'utf8'));
+    const entry = data.tasks[1].history.slice(-1)[0];
+    assert(entry.source === 'dependency' && entry.actor === 'alex', 'Expected a dependency entry');
+  } finally {
+    env.cleanup();
+  }
+});
+
+queueAsync('24. custom states from a states file', async () => {
+  const env = createChainProject();
+  try {
+    const statesPath = path.join(env.tmpdir, 'task-states.json');
+    fs.writeFileSync(
+      statesPath,
+      JSON.stringify({
+        states: {
+          in_review: { transitions: ['completed', 'in_progress'] },
+          in_progress: { transitions: ['in_review'] },
+        },
+      })
+    );
+    const opts = { projectsRoot: env.tmpdir, statesPath };
+    updateTaskStatus('test-project/setup', 'in_progress', opts);
+    updateTaskStatus('test-project/setup', 'in_review', opts);
+    updateTaskStatus('test-project/setup', 'completed', opts);
+    assert(readStatuses(env).setup === 'completed', 'Expected the custom path to work');
+  } finally {
+    env.cleanup();
+  }
+});
+
+queueAsync('25. dependents in other registry projects are updated', async () => {
+  const env = createChainProject();
+  try {
+    const otherDir = path.join(env.tmpdir, 'other', '.claude', 'tasks');
+    fs.mkdirSync(otherDir, { recursive: true });
+    const otherPath = path.join(otherDir, 'tasks.json');
+    fs.writeFileSync(
+      otherPath,
+      JSON.stringify({
+        version: 1,
+        project: 'other',
+        tasks: [
+          { id: 'other/docs', title: 'docs', status: 'blocked', blocked_by: ['test-project/setup'] },
+        ],
+      })
+    );
+    const registry = {
+      projects_root: env.tmpdir,
+      projects: [
+        { name: 'test-project', path: 'test-project' },
+        { name: 'other', path: 'other' },
+      ],
+    };
+    const otherStatus = () => JSON.parse(fs.readFileSync(otherPath, 'utf8')).tasks[0].status;
+
+    const done = updateTaskStatus('test-project/setup', 'completed', {
+      projectsRoot: env.tmpdir,
+      registry,
+    });
+    assert(
+      done.dependents.map((d) => d.taskId).join(',') === 'test-project/build,other/docs',
+      `Unexpected dependents: ${JSON.stringify(done.dependents)}`
+    );
+    assert(otherStatus() === 'pending', 'Expected other/docs unblocked');
+
+    const registryPath = path.join(env.tmpdir, 'projects.json');
+    fs.writeFileSync(registryPath, JSON.stringify(registry));
+    updateTaskStatus('test-project/setup', 'in_progress', {
+      projectsRoot: env.tmpdir,
+      registryPath,
+      force: true,
+    });
+    assert(otherStatus() === 'blocked', 'Expected other/docs blocked again');
+  } finally {
+    env.cleanup();
+  }
+});
+
 // ═════════════════════════════════════════════════════════════════════
 // Run async tests
 // ═════════════════════════════════════════════════════════════════════
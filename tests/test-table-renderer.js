@@ -36,9 +36,16 @@ function assert(condition, message) {
 // ── Import table-renderer ────────────────────────────────────────────
 
 let BOX, truncate, padRight, padLeft, horizontalRule, dataRow;
+let displayWidth, wrap, colorize, supportsColor, terminalWidth, fitColumns;
 try {
     const renderer = require('../lib/table-renderer');
     BOX = renderer.BOX;
+    displayWidth = renderer.displayWidth;
+    wrap = renderer.wrap;
+    colorize = renderer.colorize;
+    supportsColor = renderer.supportsColor;
+    terminalWidth = renderer.terminalWidth;
+    fitColumns = renderer.fitColumns;
     truncate = renderer.truncate;
     padRight = renderer.padRight;
     padLeft = renderer.padLeft;
@@ -393,6 +400,95 @@ test('33. Table rendering matches expected format', () => {
     assert(tableLines[4].startsWith('└'), 'Fifth line should be bottom border');
 });
 
+console.log('\n  Display width tests\n');
+
+// 34. displayWidth() counts wide characters and emoji as two columns
+test('34. displayWidth() measures wide characters, emoji and ANSI codes', () => {
+    const cases = [
+        ['hello', 5],
+        ['日本語', 6],
+        ['ok ✅', 5],
+        ['\u{1f468}\u200d\u{1f469}\u200d\u{1f467}', 2], // ZWJ family
+        ['\u{1f1ef}\u{1f1f5}', 2],                          // flag
+        ['e\u0301', 1],                                     // combining accent
+        ['\u263a\ufe0f', 2],                                // emoji variation selector
+        ['\u001b[31mred\u001b[0m', 3]
+    ];
+    for (const [text, expected] of cases) {
+        const actual = displayWidth(text);
+        assert(actual === expected, `Expected ${expected} for ${JSON.stringify(text)}, got ${actual}`);
+    }
+});
+
+// 35. truncate() and padRight() keep wide text aligned
+test('35. truncate() and padding work in display columns', () => {
+    const text = '日本語テキスト';
+    const cut = truncate(text, 6);
+    assert(cut === '日本…', `Expected 2 characters and an ellipsis, got "${cut}"`);
+    assert(displayWidth(padRight(text, 6)) === 6, 'padRight should fill exactly 6 columns');
+    assert(displayWidth(padLeft('✅', 4)) === 4, 'padLeft should fill exactly 4 columns');
+    const row = dataRow(['日本', 'x'], [8, 5], ['left', 'left']);
+    assert(displayWidth(row) === 8 + 5 + 3, `Row should be 16 columns, got ${displayWidth(row)}`);
+});
+
+console.log('\n  Wrapping tests\n');
+
+// 36. wrap() breaks at spaces and splits long words
+test('36. wrap() breaks lines at spaces and splits long words', () => {
+    const lines = wrap('the quick brown fox jumps', 10);
+    assert(JSON.stringify(lines) === '["the quick","brown fox","jumps"]', `Got ${JSON.stringify(lines)}`);
+    const split = wrap('supercalifragilistic', 8);
+    assert(JSON.stringify(split) === '["supercal","ifragili","stic"]', `Got ${JSON.stringify(split)}`);
+    assert(JSON.stringify(wrap('', 5)) === '[""]', 'Empty string should be one empty line');
+});
+
+// 37. dataRow() with wrap spreads a cell over several lines
+test('37. dataRow() wraps long cells over several lines', () => {
+    const row = dataRow(['1', 'Fix the build on ARM'], [4, 12], ['right', 'left'], { wrap: true });
+    const lines = row.split('\n');
+    assert(lines.length === 3, `Expected 3 lines, got ${lines.length}`);
+    assert(lines[0] === '│  1 │ Fix the    │', `Unexpected first line: ${lines[0]}`);
+    assert(lines[1] === '│    │ build on   │', `Unexpected second line: ${lines[1]}`);
+    assert(lines[2] === '│    │ ARM        │', `Unexpected third line: ${lines[2]}`);
+});
+
+console.log('\n  Color tests\n');
+
+// 38. colorize() applies styles and dataRow() colors only the content
+test('38. colorize() and dataRow() colors', () => {
+    assert(colorize('x', 'bold cyan') === '\u001b[1;36mx\u001b[0m', 'Expected bold cyan codes');
+    assert(colorize('x', 'unknown') === 'x', 'Unknown styles should be ignored');
+    const row = dataRow(['a', 'b'], [5, 5], ['left', 'left'], { colors: ['green', null] });
+    assert(row === '│ \u001b[32ma  \u001b[0m │ b   │', `Unexpected row: ${JSON.stringify(row)}`);
+});
+
+// 39. supportsColor() honours NO_COLOR and TTY detection
+test('39. supportsColor() requires a TTY and no NO_COLOR', () => {
+    assert(supportsColor({ isTTY: true }, {}) === true, 'TTY should support color');
+    assert(supportsColor({ isTTY: false }, {}) === false, 'Pipes should not');
+    assert(supportsColor({ isTTY: true }, { NO_COLOR: '1' }) === false, 'NO_COLOR should disable');
+    assert(supportsColor({ isTTY: true }, { NO_COLOR: '' }) === true, 'Empty NO_COLOR should be ignored');
+});
+
+console.log('\n  Column sizing tests\n');
+
+// 40. terminalWidth() only reports TTY widths
+test('40. terminalWidth() returns columns for TTYs only', () => {
+    assert(terminalWidth({ isTTY: true, columns: 120 }) === 120, 'Expected 120');
+    assert(terminalWidth({ isTTY: false, columns: 120 }) === null, 'Expected null for pipes');
+    assert(terminalWidth({ write() {} }) === null, 'Expected null without columns');
+});
+
+// 41. fitColumns() shrinks and grows flexible columns only
+test('41. fitColumns() shrinks and grows flexible columns', () => {
+    const narrow = fitColumns([4, 18, 42, 7, 6], { width: 60, flexible: [1, 2] });
+    assert(JSON.stringify(narrow) === '[4,18,19,7,6]', `Got ${JSON.stringify(narrow)}`);
+    const tiny = fitColumns([4, 18, 42], { width: 10, flexible: [1, 2] });
+    assert(JSON.stringify(tiny) === '[4,6,6]', `Expected minimum widths, got ${JSON.stringify(tiny)}`);
+    const wide = fitColumns([4, 10, 10], { width: 100, flexible: [1, 2], wanted: [4, 30, 12] });
+    assert(JSON.stringify(wide) === '[4,30,12]', `Expected wanted widths, got ${JSON.stringify(wide)}`);
+});
+
 // ── Summary ──────────────────────────────────────────────────────────
 
 console.log('\n' + '='.repeat(50));
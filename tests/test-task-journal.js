@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+
+/**
+ * Task Journal Module Tests (lib/task-journal.js)
+ *
+ * Tests for field-level diffs, journaling of task store writes, batches
+ * across projects, undo/redo with conflict detection and the log.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let diffTasks, readJournal, journalLog, undo, redo, withJournalBatch;
+let updateTask, updateTasksFile, writeTasksFile, readTasksFile, updateTaskStatus;
+try {
+  ({
+    diffTasks,
+    readJournal,
+    journalLog,
+    undo,
+    redo,
+    withJournalBatch,
+  } = require('../lib/task-journal'));
+  ({
+    updateTask,
+    updateTasksFile,
+    writeTasksFile,
+    readTasksFile,
+  } = require('../lib/task-store'));
+  ({ updateTaskStatus } = require('../lib/status-updater'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/task-journal.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Temporary projects root with one tasks.json per project and its own
+ * journal directory (also set as JADE_JOURNAL_DIR so status-updater
+ * writes land there).
+ */
+function createTestEnv(projects) {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-journal-test-'));
+  const journalDir = path.join(tmpdir, 'journal');
+  const paths = {};
+  for (const [project, tasks] of Object.entries(projects)) {
+    const taskDir = path.join(tmpdir, project, '.claude', 'tasks');
+    fs.mkdirSync(taskDir, { recursive: true });
+    paths[project] = path.join(taskDir, 'tasks.json');
+    fs.writeFileSync(
+      paths[project],
+      JSON.stringify({ version: 1, project, tasks }, null, 2) + '\n'
+    );
+  }
+  const previous = process.env.JADE_JOURNAL_DIR;
+  process.env.JADE_JOURNAL_DIR = journalDir;
+  return {
+    tmpdir,
+    journalDir,
+    paths,
+    statusOf(project, id) {
+      return readTasksFile(paths[project]).tasks.find((t) => t.id === id).status;
+    },
+    cleanup() {
+      if (previous === undefined) {
+        delete process.env.JADE_JOURNAL_DIR;
+      } else {
+        process.env.JADE_JOURNAL_DIR = previous;
+      }
+      fs.rmSync(tmpdir, { recursive: true, force: true });
+    },
+  };
+}
+
+function task(project, name, overrides) {
+  return Object.assign(
+    { id: `${project}/${name}`, title: name, status: 'pending' },
+    overrides
+  );
+}
+
+function codeOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.code;
+  }
+  return null;
+}
+
+// ── Diffing ──────────────────────────────────────────────────────────
+
+console.log('\n  Diff tests\n');
+
+test('1. diffTasks records changed fields, added and removed tasks', () => {
+  const before = [
+    { id: 'p/a', status: 'pending', labels: ['x'] },
+    { id: 'p/b', status: 'pending' },
+  ];
+  const after = [
+    { id: 'p/a', status: 'completed', labels: ['x'], completed_at: 'now' },
+    { id: 'p/c', status: 'pending' },
+  ];
+  const changes = diffTasks(before, after);
+  assert(changes.length === 3, `Expected 3 changes, got ${changes.length}`);
+
+  const [changed, added, removed] = changes;
+  assert(changed.fields.join(',') === 'status,completed_at', `Unexpected fields: ${changed.fields}`);
+  assert(changed.before.status === 'pending' && !('completed_at' in changed.before), 'Expected before values');
+  assert(changed.after.completed_at === 'now', 'Expected after values');
+  assert(added.taskId === 'p/c' && added.before === null, 'Expected p/c added');
+  assert(removed.taskId === 'p/b' && removed.after === null && removed.index === 1, 'Expected p/b removed');
+  assert(diffTasks(before, JSON.parse(JSON.stringify(before))).length === 0, 'Expected no changes');
+});
+
+// ── Recording ────────────────────────────────────────────────────────
+
+console.log('\n  Recording tests\n');
+
+test('2. task store writes are journaled with their source', () => {
+  const env = createTestEnv({ app: [task('app', 'a'), task('app', 'b')] });
+  try {
+    updateTask(
+      'app/a',
+      (t) => {
+        t.status = 'in_progress';
+      },
+      { tasksJsonPath: env.paths.app, source: 'executor' }
+    );
+    updateTasksFile(env.paths.app, () => {}, { source: 'noop' });
+    updateTasksFile(
+      env.paths.app,
+      (data) => {
+        data.tasks[1].title = 'B';
+      },
+      { journal: false }
+    );
+    const data = readTasksFile(env.paths.app);
+    data.tasks.push(task('app', 'c'));
+    writeTasksFile(env.paths.app, data);
+
+    const entries = readJournal();
+    assert(entries.length === 2, `Expected 2 entries, got ${entries.length}`);
+    assert(entries[0].source === 'executor', 'Expected the caller source');
+    assert(entries[0].file === env.paths.app, 'Expected the task file path');
+    assert(entries[0].changes[0].after.status === 'in_progress', 'Expected the after value');
+    assert(entries[1].source === 'manual', 'Expected the default source');
+    assert(entries[1].changes[0].taskId === 'app/c', 'Expected the added task');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Undo / redo ──────────────────────────────────────────────────────
+
+console.log('\n  Undo / redo tests\n');
+
+test('3. a status change and its dependents are undone and redone together', () => {
+  const env = createTestEnv({
+    app: [
+      task('app', 'setup', { status: 'in_progress' }),
+      task('app', 'build', { status: 'blocked', blocked_by: ['app/setup'] }),
+    ],
+  });
+  try {
+    updateTaskStatus('app/setup', 'completed', {
+      projectsRoot: env.tmpdir,
+      source: 'executor',
+    });
+    assert(env.statusOf('app', 'app/build') === 'pending', 'Expected build unblocked');
+
+    const result = undo();
+    assert(result.entries.length === 2, `Expected both entries undone, got ${result.entries.length}`);
+    assert(env.statusOf('app', 'app/setup') === 'in_progress', 'Expected setup reverted');
+    assert(env.statusOf('app', 'app/build') === 'blocked', 'Expected build reverted');
+    const setup = readTasksFile(env.paths.app).tasks[0];
+    assert(!('completed_at' in setup) && !setup.history, 'Expected added fields removed');
+
+    const log = journalLog();
+    assert(log[0].kind === 'undo' && log[0].target === result.target, 'Expected the undo logged');
+    assert(log.slice(1).every((e) => e.undone), 'Expected the changes marked undone');
+
+    redo();
+    assert(env.statusOf('app', 'app/setup') === 'completed', 'Expected setup redone');
+    assert(env.statusOf('app', 'app/build') === 'pending', 'Expected build redone');
+    assert(codeOf(() => redo()) === 'JOURNAL_EMPTY', 'Expected nothing left to redo');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('4. undo refuses tasks changed since unless forced; dry-run writes nothing', () => {
+  const env = createTestEnv({ app: [task('app', 'a')] });
+  try {
+    const setStatus = (status, source) =>
+      updateTask(
+        'app/a',
+        (t) => {
+          t.status = status;
+        },
+        { tasksJsonPath: env.paths.app, source }
+      );
+    setStatus('in_progress', 'dashboard');
+    const first = readJournal()[0];
+    setStatus('failed', 'executor');
+
+    let error = null;
+    try {
+      undo({ id: first.id });
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.code === 'JOURNAL_CONFLICT', 'Expected a conflict');
+    assert(error.conflicts[0].taskId === 'app/a', 'Expected the conflicting task');
+
+    const preview = undo({ id: first.id, force: true, dryRun: true });
+    assert(preview.dryRun && env.statusOf('app', 'app/a') === 'failed', 'Expected no write on dry-run');
+
+    undo({ id: first.id, force: true });
+    assert(env.statusOf('app', 'app/a') === 'pending', 'Expected the forced undo');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('5. batches span projects and new changes clear the redo stack', () => {
+  const env = createTestEnv({
+    alpha: [task('alpha', 'a')],
+    beta: [task('beta', 'b')],
+  });
+  try {
+    withJournalBatch({ source: 'github-sync' }, () => {
+      updateTask('alpha/a', (t) => { t.status = 'completed'; }, { tasksJsonPath: env.paths.alpha });
+      updateTask('beta/b', (t) => { t.status = 'failed'; }, { tasksJsonPath: env.paths.beta });
+    });
+    const entries = readJournal();
+    assert(entries.every((e) => e.source === 'github-sync' && e.batch === entries[0].batch), 'Expected one batch');
+    assert(journalLog({ project: 'beta' }).length === 1, 'Expected the project filter');
+
+    undo();
+    assert(env.statusOf('alpha', 'alpha/a') === 'pending', 'Expected alpha reverted');
+    assert(env.statusOf('beta', 'beta/b') === 'pending', 'Expected beta reverted');
+
+    updateTask('alpha/a', (t) => { t.title = 'renamed'; }, { tasksJsonPath: env.paths.alpha });
+    assert(codeOf(() => redo()) === 'JOURNAL_EMPTY', 'Expected the redo stack cleared');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('6. added tasks are removed on undo and malformed lines are skipped', () => {
+  const env = createTestEnv({ app: [task('app', 'a')] });
+  try {
+    const data = readTasksFile(env.paths.app);
+    data.tasks.push(task('app', 'new'));
+    writeTasksFile(env.paths.app, data, { source: 'consolidate-task-discoveries' });
+    const file = fs.readdirSync(env.journalDir)[0];
+    fs.appendFileSync(path.join(env.journalDir, file), '{"truncated\n');
+
+    undo();
+    const ids = readTasksFile(env.paths.app).tasks.map((t) => t.id);
+    assert(ids.join(',') === 'app/a', `Unexpected tasks: ${ids}`);
+    redo();
+    assert(readTasksFile(env.paths.app).tasks.length === 2, 'Expected the task back');
+    assert(codeOf(() => undo({ id: 'missing' })) === 'JOURNAL_EMPTY', 'Expected unknown IDs refused');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('7. a batch that changes one task twice is undone and redone', () => {
+  const env = createTestEnv({
+    app: [
+      task('app', 'setup'),
+      task('app', 'build', { status: 'blocked', blocked_by: ['app/setup'] }),
+    ],
+  });
+  try {
+    withJournalBatch({ source: 'executor' }, () => {
+      updateTaskStatus('app/setup', 'in_progress', { projectsRoot: env.tmpdir });
+      updateTaskStatus('app/setup', 'completed', { projectsRoot: env.tmpdir });
+    });
+    assert(env.statusOf('app', 'app/build') === 'pending', 'Expected build unblocked');
+
+    const result = undo();
+    assert(result.conflicts.length === 0, `Unexpected conflicts: ${JSON.stringify(result.conflicts)}`);
+    assert(env.statusOf('app', 'app/setup') === 'pending', 'Expected setup back to pending');
+    assert(env.statusOf('app', 'app/build') === 'blocked', 'Expected build blocked again');
+    assert(!readTasksFile(env.paths.app).tasks[0].history, 'Expected the history removed');
+
+    redo();
+    assert(env.statusOf('app', 'app/setup') === 'completed', 'Expected setup redone');
+    assert(env.statusOf('app', 'app/build') === 'pending', 'Expected build redone');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('8. a write between the conflict check and the revert is a conflict', () => {
+  const env = createTestEnv({
+    alpha: [task('alpha', 'a')],
+    beta: [task('beta', 'b')],
+  });
+  const taskStore = require('../lib/task-store');
+  const originalRead = taskStore.readTasksFile;
+  try {
+    withJournalBatch({ source: 'github-sync' }, () => {
+      updateTask('alpha/a', (t) => { t.status = 'completed'; }, { tasksJsonPath: env.paths.alpha });
+      updateTask('beta/b', (t) => { t.status = 'failed'; }, { tasksJsonPath: env.paths.beta });
+    });
+
+    // Another process writes alpha once the unlocked check has read it
+    taskStore.readTasksFile = (filePath) => {
+      const data = originalRead(filePath);
+      if (filePath === env.paths.alpha) {
+        taskStore.readTasksFile = originalRead;
+        const changed = JSON.parse(JSON.stringify(data));
+        changed.tasks[0].status = 'in_progress';
+        fs.writeFileSync(filePath, JSON.stringify(changed, null, 2) + '\n');
+      }
+      return data;
+    };
+
+    let error = null;
+    try {
+      undo();
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.code === 'JOURNAL_CONFLICT', 'Expected a conflict');
+    assert(error.conflicts[0].taskId === 'alpha/a', 'Expected the conflicting task');
+    assert(env.statusOf('alpha', 'alpha/a') === 'in_progress', 'Expected the concurrent write kept');
+    assert(env.statusOf('beta', 'beta/b') === 'pending', 'Expected beta reverted');
+
+    const last = readJournal().pop();
+    assert(last.kind === 'undo', 'Expected the partial undo journaled');
+    assert(
+      last.changes.length === 1 && last.changes[0].taskId === 'beta/b',
+      `Unexpected changes: ${JSON.stringify(last.changes)}`
+    );
+  } finally {
+    taskStore.readTasksFile = originalRead;
+    env.cleanup();
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
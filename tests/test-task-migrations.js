@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Task Migrations Module Tests (lib/task-migrations.js)
+ *
+ * Tests for detectSchemaVersion(), migrateTasksData(), registerMigration()
+ * and the built-in legacy format converters.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import task-migrations ───────────────────────────────────────────
+
+let migrations, validateSchema, TASKS_FILE_SCHEMA;
+try {
+  migrations = require('../lib/task-migrations');
+  ({ validateSchema, TASKS_FILE_SCHEMA } = require('../lib/task-schema'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/task-migrations.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+const {
+  migrateTasksData,
+  detectSchemaVersion,
+  registerMigration,
+  generateTaskId,
+} = migrations;
+
+// ── Fixtures ─────────────────────────────────────────────────────────
+
+const CLAUDE_SETTINGS_DATA = {
+  _schema: 'jade-claude-settings/tasks-v0',
+  metadata: {
+    project: 'jade-claude-settings',
+    milestone: 'Phase 1',
+    target_date: '2026-03-01',
+  },
+  tasks: [
+    { id: 'T1', title: 'Set up hooks', status: 'completed' },
+    { id: 'T2', title: 'Add agents', status: 'pending', blocked_by: ['T1'] },
+  ],
+};
+
+const SCHEMA_B_DATA = {
+  version: '1.0.0',
+  project: 'jade-docker',
+  milestone: 'Infra',
+  tasks: [
+    {
+      id: 'jade-docker/pg',
+      title: 'Add Postgres',
+      description: 'Postgres should start healthy',
+      status: 'pending',
+      priority: 'critical',
+      dependencies: [],
+      blocks: ['jade-docker/pgvector'],
+      created: '2026-01-10',
+    },
+  ],
+};
+
+// ── detectSchemaVersion ──────────────────────────────────────────────
+
+console.log('\n  detectSchemaVersion tests\n');
+
+test('1. detects named legacy formats and numeric versions', () => {
+  assert(
+    detectSchemaVersion(CLAUDE_SETTINGS_DATA) === 'jade-claude-settings',
+    'Expected jade-claude-settings'
+  );
+  assert(detectSchemaVersion(SCHEMA_B_DATA) === 'schema-b', 'Expected schema-b');
+  assert(detectSchemaVersion({ version: 1, tasks: [] }) === 1, 'Expected 1');
+  assert(detectSchemaVersion({ tasks: [] }) === 1, 'Expected unversioned = 1');
+  assert(detectSchemaVersion({ version: 'x', tasks: [] }) === null, 'Expected null');
+});
+
+// ── migrateTasksData ─────────────────────────────────────────────────
+
+console.log('\n  migrateTasksData tests\n');
+
+test('2. current-version data passes through untouched', () => {
+  const data = { version: 1, tasks: [] };
+  const result = migrateTasksData(data);
+  assert(result.data === data, 'Expected same object');
+  assert(result.applied.length === 0, 'Expected no migrations applied');
+});
+
+test('3. jade-claude-settings migrates to a schema-valid v1 file', () => {
+  const result = migrateTasksData(CLAUDE_SETTINGS_DATA);
+  assert(result.fromVersion === 'jade-claude-settings', 'Expected fromVersion');
+  assert(result.toVersion === 1, 'Expected toVersion 1');
+  assert(result.applied.length === 1, 'Expected one step');
+
+  const t1 = generateTaskId('jade-claude-settings', 'Set up hooks');
+  const t2 = result.data.tasks[1];
+  assert(t2.blocked_by[0] === t1, 'Expected T1 rewritten to generated ID');
+  assert(result.data.tasks[0].unlocks[0] === t2.id, 'Expected reverse unlock');
+  assert(result.data.milestone.name === 'Phase 1', 'Expected milestone name');
+
+  const errors = validateSchema(result.data, TASKS_FILE_SCHEMA);
+  assert(errors.length === 0, JSON.stringify(errors));
+});
+
+test('4. Schema B migrates priority, dependencies and blocks', () => {
+  const result = migrateTasksData(SCHEMA_B_DATA);
+  const task = result.data.tasks[0];
+  assert(task.complexity === 'XL', `Expected XL, got ${task.complexity}`);
+  assert(task.unlocks[0] === 'jade-docker/pgvector', 'Expected unlocks');
+  assert(task.created_at === '2026-01-10T00:00:00Z', 'Expected created_at');
+  assert(
+    task.feature.acceptance_criteria[0] === 'Postgres should start healthy',
+    'Expected criteria from description'
+  );
+  assert(SCHEMA_B_DATA.tasks[0].unlocks === undefined, 'Input not mutated');
+});
+
+test('5. newer and unrecognized versions throw TASK_SCHEMA_UNSUPPORTED', () => {
+  for (const data of [{ version: 7, tasks: [] }, { version: 'x', tasks: [] }]) {
+    let code = null;
+    try {
+      migrateTasksData(data);
+    } catch (err) {
+      code = err.code;
+    }
+    assert(code === 'TASK_SCHEMA_UNSUPPORTED', `Got ${code}`);
+  }
+});
+
+test('6. registered migrations chain through intermediate versions', () => {
+  registerMigration({
+    from: 'test-v-minus-1',
+    to: 'test-v-0',
+    description: 'test step A',
+    detect: (data) => data._test === 'chain',
+    migrate: (data) => ({ ...data, stepA: true }),
+  });
+  registerMigration({
+    from: 'test-v-0',
+    to: 1,
+    description: 'test step B',
+    migrate: (data) => ({ version: 1, tasks: data.tasks, stepA: data.stepA }),
+  });
+
+  const result = migrateTasksData({ _test: 'chain', tasks: [] });
+  assert(result.applied.length === 2, 'Expected two steps');
+  assert(result.data.stepA === true, 'Expected step A output carried');
+  assert(result.data.version === 1, 'Expected v1');
+});
+
+test('7. registerMigration rejects duplicate sources', () => {
+  let threw = false;
+  try {
+    registerMigration({ from: 'schema-b', to: 1, migrate: (d) => d });
+  } catch (_err) {
+    threw = true;
+  }
+  assert(threw, 'Expected duplicate registration to throw');
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
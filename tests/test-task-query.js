@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Task Query Module Tests (lib/task-query.js)
+ *
+ * Tests for parsing queries, evaluating each field and operator, and the
+ * query options of scoreTasks(), presentTasks() and syncTasksToIssues().
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let parseQuery, matchesQuery, filterTasks;
+let scoreTasks, presentTasks, syncTasksToIssues;
+try {
+  ({ parseQuery, matchesQuery, filterTasks } = require('../lib/task-query'));
+  ({ scoreTasks } = require('../lib/scorer'));
+  ({ presentTasks } = require('../lib/presenter'));
+  ({ syncTasksToIssues } = require('../lib/github-sync'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/task-query.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function task(id, overrides) {
+  const project = id.split('/')[0];
+  return Object.assign(
+    {
+      id,
+      title: id,
+      status: 'pending',
+      complexity: 'M',
+      labels: [],
+      _projectName: project,
+      _project: { name: project, status: 'buildable' },
+    },
+    overrides
+  );
+}
+
+/**
+ * Two projects with a blocked chain in jade-cli and a milestone with
+ * spaces in jade-index.
+ */
+function corpus() {
+  return [
+    task('jade-cli/setup', { status: 'completed', complexity: 'S' }),
+    task('jade-cli/crash', {
+      title: 'Fix crash on start',
+      labels: ['bugfix'],
+      complexity: 'S',
+      milestone: 'Core Commands',
+      blocked_by: ['jade-cli/setup'],
+    }),
+    task('jade-cli/search', {
+      title: 'Add search',
+      complexity: 'L',
+      milestone: 'Core Commands',
+      blocked_by: ['jade-cli/crash'],
+    }),
+    task('jade-index/cache', {
+      title: 'Add Redis cache',
+      status: 'in_progress',
+      labels: ['feature', 'perf'],
+      complexity: 'XL',
+      assignee: 'alex',
+    }),
+    task('jade-index/docs', {
+      title: 'Write docs',
+      labels: ['docs'],
+      complexity: 'S',
+      _milestone: { name: 'Core Commands' },
+    }),
+  ];
+}
+
+function ids(tasks) {
+  return tasks.map((t) => t.id).join(',');
+}
+
+// ── Parsing ──────────────────────────────────────────────────────────
+
+console.log('\n  Parsing tests\n');
+
+test('1. parseQuery reads fields, operators, quotes and negation', () => {
+  const query = parseQuery(
+    'status:pending,in_progress -label:docs complexity:<=M milestone:"Core Commands" crash'
+  );
+  assert(query.terms.length === 5, `Expected 5 terms, got ${query.terms.length}`);
+  const [status, label, complexity, milestone, text] = query.terms;
+  assert(status.values.join(',') === 'pending,in_progress', 'Expected two statuses');
+  assert(label.negate && label.field === 'label', 'Expected a negated label term');
+  assert(complexity.op === '<=' && complexity.values[0] === 1, 'Expected <= M as level 1');
+  assert(milestone.values[0] === 'Core Commands', 'Expected the quoted milestone');
+  assert(text.field === null && text.values[0] === 'crash', 'Expected free text');
+  assert(parseQuery('').terms.length === 0, 'Expected no terms for an empty query');
+  assert(parseQuery('size:l').terms[0].field === 'complexity', 'Expected the size alias');
+});
+
+test('2. invalid queries throw TASK_QUERY_INVALID', () => {
+  for (const source of [
+    'owner:me',
+    'complexity:<=XXL',
+    'blocked:maybe',
+    'score:>high',
+    'milestone:"Core',
+    'status:',
+    'complexity:<S,M',
+  ]) {
+    let error = null;
+    try {
+      parseQuery(source);
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.code === 'TASK_QUERY_INVALID', `Expected "${source}" to be rejected`);
+  }
+});
+
+// ── Evaluation ───────────────────────────────────────────────────────
+
+console.log('\n  Evaluation tests\n');
+
+test('3. the example query selects across projects', () => {
+  const tasks = corpus();
+  const result = filterTasks(
+    tasks,
+    'status:pending label:bugfix project:jade-cli complexity:<=M blocked:false milestone:"Core Commands"'
+  );
+  assert(ids(result) === 'jade-cli/crash', `Unexpected: ${ids(result)}`);
+});
+
+test('4. blocked resolves blockers against all tasks', () => {
+  const tasks = corpus();
+  assert(
+    ids(filterTasks(tasks, 'blocked:true')) === 'jade-cli/search',
+    'Expected only search blocked by an open task'
+  );
+  const subset = tasks.filter((t) => t.id !== 'jade-cli/setup');
+  assert(
+    ids(filterTasks(subset, 'blocked:yes')) === 'jade-cli/crash,jade-cli/search',
+    'Expected a missing blocker to count as open'
+  );
+  assert(
+    ids(filterTasks(subset, 'blocked:yes', { allTasks: tasks })) === 'jade-cli/search',
+    'Expected allTasks to resolve the completed blocker'
+  );
+  assert(
+    matchesQuery(task('x/y', { status: 'blocked' }), 'blocked:true'),
+    'Expected status blocked to count'
+  );
+});
+
+test('5. globs, case, milestone fallback, assignee and free text', () => {
+  const tasks = corpus();
+  assert(
+    ids(filterTasks(tasks, 'project:JADE-INDEX')) === 'jade-index/cache,jade-index/docs',
+    'Expected case-insensitive project match'
+  );
+  assert(
+    ids(filterTasks(tasks, 'id:*/c*')) === 'jade-cli/crash,jade-index/cache',
+    'Expected glob match on id'
+  );
+  assert(
+    filterTasks(tasks, 'milestone:"core commands"').length === 3,
+    'Expected the file milestone to count'
+  );
+  assert(
+    ids(filterTasks(tasks, 'assignee:@me', { me: 'alex' })) === 'jade-index/cache',
+    'Expected @me to resolve to options.me'
+  );
+  assert(ids(filterTasks(tasks, '"redis cache"')) === 'jade-index/cache', 'Expected text match');
+  assert(
+    ids(filterTasks(tasks, '-label:docs -label:bugfix status:pending')) === 'jade-cli/search',
+    'Expected negated labels excluded'
+  );
+});
+
+test('6. complexity and score comparisons', () => {
+  const tasks = corpus();
+  assert(ids(filterTasks(tasks, 'complexity:>M')) === 'jade-cli/search,jade-index/cache', 'Expected > M');
+  assert(filterTasks(tasks, 'complexity:S,XL').length === 4, 'Expected S or XL');
+  const scored = tasks.map((t, i) => ({ ...t, _score: i * 10 }));
+  assert(
+    ids(filterTasks(scored, 'score:>=30')) === 'jade-index/cache,jade-index/docs',
+    'Expected score >= 30'
+  );
+  assert(filterTasks(tasks, 'score:>0').length === 0, 'Expected unscored tasks not to match');
+});
+
+// ── Integration ──────────────────────────────────────────────────────
+
+console.log('\n  Integration tests\n');
+
+test('7. scoreTasks and presentTasks accept a query', () => {
+  const ranked = scoreTasks(corpus(), { query: 'project:jade-cli' });
+  assert(
+    ids(ranked.slice().sort((a, b) => a.id.localeCompare(b.id))) === 'jade-cli/crash,jade-cli/search',
+    'Expected completed tasks still hidden'
+  );
+  const completed = scoreTasks(corpus(), { query: 'status:completed' });
+  assert(ids(completed) === 'jade-cli/setup', 'Expected a status query to include completed tasks');
+
+  const tasks = corpus();
+  const out = presentTasks(scoreTasks(tasks), {
+    query: 'blocked:false',
+    allTasks: tasks,
+    format: 'json',
+    columns: ['rank', 'id'],
+    output: { write() {} },
+  });
+  const rows = JSON.parse(out);
+  assert(!rows.some((r) => r.id === 'jade-cli/search'), 'Expected blocked task filtered out');
+  assert(rows.map((r) => r.rank).join(',') === '1,2,3', 'Expected ranks among matches');
+});
+
+test('8. syncTasksToIssues only syncs matching tasks', () => {
+  const originalWrite = process.stderr.write.bind(process.stderr);
+  process.stderr.write = () => true;
+  try {
+    const result = syncTasksToIssues(corpus(), { dryRun: true, query: 'label:bugfix,docs' });
+    assert(result.created === 2, `Expected 2 issues, got ${result.created}`);
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+});
+
+test('9. presentTasks requires allTasks for blocked queries', () => {
+  const tasks = corpus();
+  let error = null;
+  try {
+    presentTasks(scoreTasks(tasks), { query: '-blocked:true', output: { write() {} } });
+  } catch (err) {
+    error = err;
+  }
+  assert(
+    error && error.code === 'PRESENTER_OPTION_INVALID',
+    'Expected PRESENTER_OPTION_INVALID without allTasks'
+  );
+  const out = presentTasks(scoreTasks(tasks), {
+    query: 'blocked:false',
+    allTasks: tasks,
+    format: 'json',
+    columns: ['id'],
+    output: { write() {} },
+  });
+  assert(
+    JSON.parse(out).some((r) => r.id === 'jade-cli/crash'),
+    'Expected a task whose blocker is completed to count as unblocked'
+  );
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
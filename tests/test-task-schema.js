@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Task Schema Module Tests (lib/task-schema.js)
+ *
+ * Tests for validateSchema(), validateRegistry(), validateTasksFileHeader()
+ * and the exported schemas.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import task-schema ───────────────────────────────────────────────
+
+let schema;
+try {
+  schema = require('../lib/task-schema');
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/task-schema.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+const {
+  validateSchema,
+  validateRegistry,
+  validateTasksFileHeader,
+  TASKS_FILE_SCHEMA,
+  TASK_SCHEMA,
+} = schema;
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+// ── validateSchema ───────────────────────────────────────────────────
+
+console.log('\n  validateSchema tests\n');
+
+test('1. every task fixture validates cleanly', () => {
+  for (const name of [
+    'jade-cli-tasks.json',
+    'jade-index-tasks.json',
+    'jade-ide-tasks.json',
+    'empty-tasks.json',
+  ]) {
+    const errors = validateSchema(loadFixture(name), TASKS_FILE_SCHEMA);
+    assert(
+      errors.length === 0,
+      `${name}: ${errors.map((e) => `${e.path} ${e.message}`).join('; ')}`
+    );
+  }
+});
+
+test('2. type errors report the full path and stop descending', () => {
+  const errors = validateSchema(
+    { tasks: [{ id: 'a', title: 'A', status: 'pending', feature: 'x' }] },
+    TASKS_FILE_SCHEMA
+  );
+  assert(errors.length === 1, `Expected 1 error, got ${errors.length}`);
+  assert(errors[0].path === 'tasks[0].feature', `Got ${errors[0].path}`);
+  assert(errors[0].keyword === 'type', 'Expected type keyword');
+  assert(
+    errors[0].message === 'expected object, got string',
+    `Got ${errors[0].message}`
+  );
+});
+
+test('3. enum errors list the allowed values', () => {
+  const errors = validateSchema(
+    { id: 'a', title: 'A', status: 'done' },
+    TASK_SCHEMA
+  );
+  assert(errors.length === 1, `Expected 1 error, got ${errors.length}`);
+  assert(errors[0].keyword === 'enum', 'Expected enum keyword');
+  assert(errors[0].message.includes('"in_progress"'), 'Expected allowed values');
+  assert(errors[0].message.includes('got "done"'), 'Expected actual value');
+});
+
+test('4. array items are validated with indexed paths', () => {
+  const errors = validateSchema(
+    { id: 'a', title: 'A', status: 'pending', labels: ['ok', 7] },
+    TASK_SCHEMA,
+    'tasks[2]'
+  );
+  assert(errors.length === 1, `Expected 1 error, got ${errors.length}`);
+  assert(errors[0].path === 'tasks[2].labels[1]', `Got ${errors[0].path}`);
+});
+
+test('5. required fields set to null are reported once', () => {
+  const errors = validateSchema(
+    { id: null, title: 'A', status: 'pending' },
+    TASK_SCHEMA
+  );
+  assert(errors.length === 1, `Expected 1 error, got ${errors.length}`);
+  assert(errors[0].keyword === 'required', 'Expected required keyword');
+  assert(errors[0].message === "Missing required field 'id'", errors[0].message);
+});
+
+test('6. integers satisfy number and nullable types accept null', () => {
+  const errors = validateSchema(
+    {
+      id: 'a',
+      title: 'A',
+      status: 'pending',
+      priority_override: 90,
+      github_issue: null,
+    },
+    TASK_SCHEMA
+  );
+  assert(errors.length === 0, `Unexpected errors: ${JSON.stringify(errors)}`);
+});
+
+// ── validateTasksFileHeader ──────────────────────────────────────────
+
+console.log('\n  validateTasksFileHeader tests\n');
+
+test('7. header validation ignores task contents', () => {
+  const errors = validateTasksFileHeader({
+    version: 1,
+    tasks: [{ status: 'bogus' }],
+  });
+  assert(errors.length === 0, 'Expected task entries to be skipped');
+});
+
+test('8. header validation checks version and milestone', () => {
+  const errors = validateTasksFileHeader({
+    version: 2,
+    milestone: { target_date: '2026-03-01' },
+    tasks: [],
+  });
+  const paths = errors.map((e) => e.path).sort();
+  assert(
+    JSON.stringify(paths) === JSON.stringify(['milestone.name', 'version']),
+    `Got ${JSON.stringify(paths)}`
+  );
+});
+
+// ── validateRegistry ─────────────────────────────────────────────────
+
+console.log('\n  validateRegistry tests\n');
+
+test('9. projects.json fixture is a valid registry', () => {
+  const errors = validateRegistry(loadFixture('projects.json'));
+  assert(errors.length === 0, JSON.stringify(errors));
+});
+
+test('10. registry errors point at the offending project entry', () => {
+  const errors = validateRegistry({
+    projects: [
+      { name: 'a', path: 'a', status: 'buildable' },
+      { name: 'b', status: 'unknown', test_command: 5 },
+    ],
+  });
+  const paths = errors.map((e) => e.path).sort();
+  assert(
+    JSON.stringify(paths) ===
+      JSON.stringify([
+        'projects[1].path',
+        'projects[1].status',
+        'projects[1].test_command',
+      ]),
+    `Got ${JSON.stringify(paths)}`
+  );
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
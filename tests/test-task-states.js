@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Task States Module Tests (lib/task-states.js)
+ *
+ * Tests for the built-in state machine, custom states, transition checks
+ * and guards, dependent status changes and custom statuses in scanTasks().
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let buildStateMachine, loadStateMachine, listStatuses, checkTransition;
+let dependentStatus, scanTasks;
+try {
+  ({
+    buildStateMachine,
+    loadStateMachine,
+    listStatuses,
+    checkTransition,
+    dependentStatus,
+  } = require('../lib/task-states'));
+  ({ scanTasks } = require('../lib/scanner'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/task-states.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function codeOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.code;
+  }
+  return null;
+}
+
+const REVIEW_CONFIG = {
+  states: {
+    in_review: { transitions: ['completed', 'in_progress'], requiresUnblocked: true },
+    in_progress: { transitions: ['in_review'] },
+  },
+};
+
+// ── Building ─────────────────────────────────────────────────────────
+
+console.log('\n  Building tests\n');
+
+test('1. built-in machine lists the schema statuses', () => {
+  const machine = buildStateMachine();
+  assert(
+    listStatuses(machine).join(',') === 'pending,in_progress,completed,failed,blocked',
+    `Unexpected statuses: ${listStatuses(machine)}`
+  );
+  assert(machine.states.completed.transitions.length === 0, 'Expected completed to be final');
+});
+
+test('2. custom states are added and extend built-in transitions', () => {
+  const machine = buildStateMachine(REVIEW_CONFIG);
+  assert(listStatuses(machine).slice(-1)[0] === 'in_review', 'Expected in_review last');
+  assert(
+    machine.states.in_progress.transitions.includes('in_review') &&
+      machine.states.in_progress.transitions.includes('completed'),
+    'Expected in_progress to keep its defaults'
+  );
+  assert(machine.states.in_review.requiresUnblocked === true, 'Expected the flag kept');
+  assert(buildStateMachine().states.in_progress.transitions.length === 4, 'Expected defaults untouched');
+});
+
+test('3. invalid configs throw TASK_STATES_INVALID', () => {
+  for (const config of [
+    { states: [] },
+    { states: { qa: 'yes' } },
+    { states: { qa: { transitions: 'completed' } } },
+    { states: { qa: { transitions: ['nowhere'] } } },
+  ]) {
+    assert(
+      codeOf(() => buildStateMachine(config)) === 'TASK_STATES_INVALID',
+      `Expected ${JSON.stringify(config)} rejected`
+    );
+  }
+
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-states-test-'));
+  try {
+    const statesPath = path.join(tmpdir, 'task-states.json');
+    assert(
+      listStatuses(loadStateMachine(statesPath)).length === 5,
+      'Expected defaults when the file is missing'
+    );
+    fs.writeFileSync(statesPath, '{ nope');
+    assert(codeOf(() => loadStateMachine(statesPath)) === 'TASK_STATES_INVALID', 'Expected bad JSON rejected');
+  } finally {
+    fs.rmSync(tmpdir, { recursive: true, force: true });
+  }
+});
+
+// ── Transitions ──────────────────────────────────────────────────────
+
+console.log('\n  Transition tests\n');
+
+test('4. checkTransition enforces the table and the blocker guard', () => {
+  const machine = buildStateMachine(REVIEW_CONFIG);
+  const statuses = { 'p/a': 'completed', 'p/b': 'in_progress' };
+  const statusOf = (id) => statuses[id] || null;
+  const task = { id: 'p/t', status: 'pending', blocked_by: ['p/a'] };
+
+  checkTransition(machine, task, 'in_progress', { statusOf });
+  checkTransition(machine, task, 'pending');
+  assert(codeOf(() => checkTransition(machine, task, 'in_review')) === 'TASK_TRANSITION_INVALID', 'Expected pending -> in_review refused');
+  assert(codeOf(() => checkTransition(machine, task, 'shipped')) === 'TASK_STATUS_INVALID', 'Expected unknown status refused');
+
+  const waiting = { ...task, blocked_by: ['p/a', 'p/b', 'p/missing'] };
+  let error = null;
+  try {
+    checkTransition(machine, waiting, 'in_progress', { statusOf });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.code === 'TASK_TRANSITION_BLOCKED', 'Expected the guard to refuse');
+  assert(error.blockers.join(',') === 'p/b,p/missing', `Unexpected blockers: ${error.blockers}`);
+  checkTransition(machine, waiting, 'in_progress', { statusOf, force: true });
+
+  const reviewing = { ...waiting, status: 'in_progress' };
+  assert(
+    codeOf(() => checkTransition(machine, reviewing, 'in_review', { statusOf })) === 'TASK_TRANSITION_BLOCKED',
+    'Expected the custom state guard'
+  );
+});
+
+test('5. dependentStatus blocks and unblocks only managed states', () => {
+  const machine = buildStateMachine();
+  const statuses = { 'p/a': 'completed', 'p/b': 'pending' };
+  const statusOf = (id) => statuses[id] || null;
+
+  const waiting = { id: 'p/w', status: 'pending', blocked_by: ['p/a', 'p/b'] };
+  assert(dependentStatus(machine, waiting, statusOf) === 'blocked', 'Expected pending -> blocked');
+  const blocked = { ...waiting, status: 'blocked', blocked_by: ['p/a'] };
+  assert(dependentStatus(machine, blocked, statusOf) === 'pending', 'Expected blocked -> pending');
+  assert(dependentStatus(machine, { ...waiting, status: 'in_progress' }, statusOf) === null, 'Expected in_progress left alone');
+  assert(dependentStatus(machine, { ...blocked, status: 'pending' }, statusOf) === null, 'Expected no change when consistent');
+});
+
+// ── Scanner ──────────────────────────────────────────────────────────
+
+console.log('\n  Scanner tests\n');
+
+test('6. scanTasks accepts custom statuses only when declared', () => {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-states-test-'));
+  try {
+    const taskDir = path.join(tmpdir, 'app', '.claude', 'tasks');
+    fs.mkdirSync(taskDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(taskDir, 'tasks.json'),
+      JSON.stringify({
+        version: 1,
+        tasks: [
+          { id: 'app/a', title: 'A', status: 'in_review' },
+          { id: 'app/b', title: 'B', status: 'pending' },
+        ],
+      })
+    );
+    const registry = {
+      version: 1,
+      projects_root: tmpdir,
+      projects: [{ name: 'app', path: 'app', status: 'buildable', language: 'javascript' }],
+    };
+    const statesPath = path.join(tmpdir, 'task-states.json');
+
+    const plain = scanTasks({ registry, statesPath });
+    assert(plain.tasks.length === 1 && plain.errors.length === 1, 'Expected in_review rejected by default');
+
+    fs.writeFileSync(statesPath, JSON.stringify(REVIEW_CONFIG));
+    const custom = scanTasks({ registry, statesPath });
+    assert(custom.tasks.length === 2 && custom.errors.length === 0, 'Expected in_review accepted');
+  } finally {
+    fs.rmSync(tmpdir, { recursive: true, force: true });
+  }
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * Task Store Module Tests (lib/task-store.js)
+ *
+ * Tests for locked read-modify-write, atomic writes, lock contention and
+ * stale lock recovery, and concurrent status updates from several
+ * processes.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let updateTask, updateTasksFile, withTasksFileLock, readTasksFile;
+try {
+  ({
+    updateTask,
+    updateTasksFile,
+    withTasksFileLock,
+    readTasksFile,
+  } = require('../lib/task-store'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/task-store.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Temporary projects root with app/.claude/tasks/tasks.json.
+ */
+function createTestEnv(tasks) {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-task-store-test-'));
+  const taskDir = path.join(tmpdir, 'app', '.claude', 'tasks');
+  fs.mkdirSync(taskDir, { recursive: true });
+  const tasksPath = path.join(taskDir, 'tasks.json');
+  fs.writeFileSync(
+    tasksPath,
+    JSON.stringify({ version: 1, project: 'app', tasks }, null, 2) + '\n'
+  );
+  return {
+    tmpdir,
+    taskDir,
+    tasksPath,
+    cleanup() {
+      fs.rmSync(tmpdir, { recursive: true, force: true });
+    },
+  };
+}
+
+function task(name, overrides) {
+  return Object.assign({ id: `app/${name}`, title: name, status: 'pending' }, overrides);
+}
+
+function expectCode(fn, code) {
+  let error = null;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  assert(error, `Expected an error with code ${code}`);
+  assert(error.code === code, `Expected ${code}, got ${error.code}: ${error.message}`);
+}
+
+// ── Updates ──────────────────────────────────────────────────────────
+
+console.log('\n  Update tests\n');
+
+test('1. updateTask changes one task and leaves no lock or temp file', () => {
+  const env = createTestEnv([task('a'), task('b')]);
+  try {
+    const result = updateTask(
+      'app/b',
+      (t) => {
+        t.status = 'in_progress';
+      },
+      { projectsRoot: env.tmpdir }
+    );
+    assert(result.tasksJsonPath === env.tasksPath, 'Expected the task file path');
+    assert(result.task.status === 'in_progress', 'Expected the updated task back');
+    const data = readTasksFile(env.tasksPath);
+    assert(data.tasks[1].status === 'in_progress', 'Expected the change on disk');
+    assert(data.tasks[0].status === 'pending', 'Expected other tasks untouched');
+    assert(
+      fs.readdirSync(env.taskDir).join(',') === 'tasks.json',
+      `Unexpected files: ${fs.readdirSync(env.taskDir)}`
+    );
+    assert(fs.readFileSync(env.tasksPath, 'utf8').endsWith('}\n'), 'Expected a trailing newline');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('2. returning false skips the write and errors leave the file intact', () => {
+  const env = createTestEnv([task('a')]);
+  try {
+    const before = fs.statSync(env.tasksPath).mtimeMs;
+    const original = fs.readFileSync(env.tasksPath, 'utf8');
+    const result = updateTasksFile(env.tasksPath, () => false);
+    assert(result === false, 'Expected the mutate result back');
+    assert(fs.statSync(env.tasksPath).mtimeMs === before, 'Expected no write');
+
+    let thrown = null;
+    try {
+      updateTasksFile(env.tasksPath, (data) => {
+        data.tasks = [];
+        throw new Error('boom');
+      });
+    } catch (err) {
+      thrown = err;
+    }
+    assert(thrown && thrown.message === 'boom', 'Expected the error rethrown');
+    assert(fs.readFileSync(env.tasksPath, 'utf8') === original, 'Expected the file unchanged');
+    assert(!fs.existsSync(env.tasksPath + '.lock'), 'Expected the lock released');
+
+    let missing = null;
+    try {
+      updateTask('app/missing', () => {}, { tasksJsonPath: env.tasksPath });
+    } catch (err) {
+      missing = err;
+    }
+    assert(missing && /Task not found/.test(missing.message), 'Expected a missing task to throw');
+  } finally {
+    env.cleanup();
+  }
+});
+
+// ── Locking ──────────────────────────────────────────────────────────
+
+console.log('\n  Locking tests\n');
+
+test('3. a held lock times out with TASK_STORE_LOCKED', () => {
+  const env = createTestEnv([task('a')]);
+  try {
+    fs.writeFileSync(
+      env.tasksPath + '.lock',
+      JSON.stringify({ pid: process.ppid, host: os.hostname() })
+    );
+    const started = Date.now();
+    expectCode(
+      () => updateTasksFile(env.tasksPath, () => {}, { timeoutMs: 100, retryDelayMs: 5 }),
+      'TASK_STORE_LOCKED'
+    );
+    assert(Date.now() - started >= 100, 'Expected it to wait for the timeout');
+    assert(fs.existsSync(env.tasksPath + '.lock'), 'Expected the live lock kept');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('4. stale locks from dead or old owners are taken over', () => {
+  const env = createTestEnv([task('a')]);
+  try {
+    const lockPath = env.tasksPath + '.lock';
+    // PIDs above the kernel's pid_max cannot be running
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 30, host: os.hostname() }));
+    updateTasksFile(env.tasksPath, (data) => {
+      data.tasks[0].status = 'completed';
+    }, { timeoutMs: 100 });
+    assert(readTasksFile(env.tasksPath).tasks[0].status === 'completed', 'Expected the update');
+
+    fs.writeFileSync(lockPath, 'garbage');
+    const old = (Date.now() - 60000) / 1000;
+    fs.utimesSync(lockPath, old, old);
+    updateTasksFile(env.tasksPath, () => {}, { timeoutMs: 100 });
+    assert(!fs.existsSync(lockPath), 'Expected the old lock replaced and released');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('5. locks are re-entrant within a process', () => {
+  const env = createTestEnv([task('a')]);
+  try {
+    withTasksFileLock(env.tasksPath, () => {
+      updateTask(
+        'app/a',
+        (t) => {
+          t.status = 'in_progress';
+        },
+        { tasksJsonPath: env.tasksPath, timeoutMs: 100 }
+      );
+      assert(fs.existsSync(env.tasksPath + '.lock'), 'Expected the outer lock kept');
+    });
+    assert(!fs.existsSync(env.tasksPath + '.lock'), 'Expected the lock released');
+    assert(readTasksFile(env.tasksPath).tasks[0].status === 'in_progress', 'Expected the update');
+  } finally {
+    env.cleanup();
+  }
+});
+
+test('6. a lock replaced after the stale check is left in place', () => {
+  const env = createTestEnv([task('a')]);
+  const renameSync = fs.renameSync;
+  try {
+    const lockPath = env.tasksPath + '.lock';
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 30, host: os.hostname() }));
+    const fresh = JSON.stringify({ pid: process.ppid, host: os.hostname() });
+    // Another process takes over the stale lock just before it is removed
+    fs.renameSync = (from, to) => {
+      if (from === lockPath && !fs.readFileSync(lockPath, 'utf8').includes(`${process.ppid}`)) {
+        fs.unlinkSync(lockPath);
+        fs.writeFileSync(lockPath, fresh);
+      }
+      return renameSync(from, to);
+    };
+    expectCode(
+      () => updateTasksFile(env.tasksPath, () => {}, { timeoutMs: 100, retryDelayMs: 5 }),
+      'TASK_STORE_LOCKED'
+    );
+    assert(fs.readFileSync(lockPath, 'utf8') === fresh, 'Expected the fresh lock kept');
+    assert(
+      fs.readdirSync(env.taskDir).sort().join(',') === 'tasks.json,tasks.json.lock',
+      `Unexpected files: ${fs.readdirSync(env.taskDir)}`
+    );
+  } finally {
+    fs.renameSync = renameSync;
+    env.cleanup();
+  }
+});
+
+// ── Concurrency ──────────────────────────────────────────────────────
+
+/**
+ * Run a status-updater loop in a child process.
+ */
+function runWorker(projectsRoot, taskId, rounds) {
+  const script = `
+    const { updateTaskStatus } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'status-updater'))});
+    for (let i = 0; i < ${rounds}; i++) {
+      updateTaskStatus(${JSON.stringify(taskId)}, i % 2 ? 'pending' : 'in_progress', {
+        projectsRoot: ${JSON.stringify(projectsRoot)},
+        summary: 'round ' + i,
+      });
+    }
+  `;
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code) =>
+      code === 0 ? resolve() : reject(new Error(`Worker exited ${code}: ${stderr}`))
+    );
+  });
+}
+
+async function runAsyncTests() {
+  console.log('\n  Concurrency tests\n');
+
+  await testAsync('7. concurrent workers never lose an update', async () => {
+    const names = ['a', 'b', 'c', 'd'];
+    const rounds = 15;
+    const env = createTestEnv(names.map((name) => task(name)));
+    try {
+      await Promise.all(names.map((name) => runWorker(env.tmpdir, `app/${name}`, rounds)));
+      const data = readTasksFile(env.tasksPath);
+      for (const t of data.tasks) {
+        const count = (t.history || []).length;
+        assert(count === rounds, `Expected ${rounds} history entries for ${t.id}, got ${count}`);
+      }
+      assert(
+        fs.readdirSync(env.taskDir).join(',') === 'tasks.json',
+        `Unexpected files: ${fs.readdirSync(env.taskDir)}`
+      );
+    } finally {
+      env.cleanup();
+    }
+  });
+}
+
+runAsyncTests().then(() => {
+  // ── Summary ─────────────────────────────────────────────────────────
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    console.log('  Some tests failed\n');
+    process.exit(1);
+  } else {
+    console.log('  All tests passed\n');
+    process.exit(0);
+  }
+});
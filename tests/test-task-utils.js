@@ -18,7 +18,9 @@ const os = require('os');
 const {
   parseTaskId,
   getTasksJsonPath,
+  resolveTaskFiles,
   findTask,
+  DEFAULT_TASK_FILES,
 } = require('../lib/task-utils');
 
 let passed = 0;
@@ -512,6 +514,103 @@ test('findTask: preserves all task fields', () => {
   }
 });
 
+// ── Multi-file Task Sources ──────────────────────────────────────────
+
+console.log('\n=== resolveTaskFiles() and multi-file findTask() ===\n');
+
+/**
+ * Write each { fileName: contents } into the project's .claude/tasks dir.
+ * Non-string contents are written as a tasks file holding those tasks.
+ */
+function writeTaskFiles(testProj, files) {
+  const taskDir = path.join(testProj.projectPath, '.claude', 'tasks');
+  fs.mkdirSync(taskDir, { recursive: true });
+  for (const [fileName, contents] of Object.entries(files)) {
+    const text =
+      typeof contents === 'string'
+        ? contents
+        : JSON.stringify({ version: 1, tasks: contents }, null, 2);
+    fs.writeFileSync(path.join(taskDir, fileName), text);
+  }
+  return taskDir;
+}
+
+test('resolveTaskFiles: lists tasks.json first, then other files by name', () => {
+  const testProj = createTestProject();
+  try {
+    const taskDir = writeTaskFiles(testProj, {
+      'b.json': [],
+      'tasks.json': [],
+      'a.json': [],
+      'notes.md': 'not a task file',
+    });
+    const files = resolveTaskFiles(testProj.projectPath);
+    assertEquals(
+      files.map((f) => path.basename(f)).join(','),
+      'tasks.json,a.json,b.json'
+    );
+    assertEquals(files[0], path.join(taskDir, 'tasks.json'));
+  } finally {
+    testProj.cleanup();
+  }
+});
+
+test('resolveTaskFiles: honours literal paths and skips missing files', () => {
+  const testProj = createTestProject();
+  try {
+    writeTaskFiles(testProj, { 'tasks.json': [], 'v2.json': [] });
+    const files = resolveTaskFiles(testProj.projectPath, [
+      '.claude/tasks/v2.json',
+      '.claude/tasks/missing.json',
+      '.claude/tasks/*.json',
+    ]);
+    assertEquals(
+      files.map((f) => path.basename(f)).join(','),
+      'v2.json,tasks.json'
+    );
+    assertEquals(resolveTaskFiles(path.join(testProj.tmpdir, 'nope')).length, 0);
+    assertEquals(DEFAULT_TASK_FILES[0], '.claude/tasks/*.json');
+  } finally {
+    testProj.cleanup();
+  }
+});
+
+test('findTask: finds a task in a per-milestone file', () => {
+  const testProj = createTestProject();
+  try {
+    const taskDir = writeTaskFiles(testProj, {
+      'tasks.json': [{ id: 'test-project/a', title: 'A', status: 'pending' }],
+      'v2.json': [
+        { id: 'test-project/b', title: 'B', status: 'pending' },
+        { id: 'test-project/c', title: 'C', status: 'pending' },
+      ],
+    });
+    const result = findTask('test-project/c', testProj.tmpdir);
+    assertEquals(result.tasksJsonPath, path.join(taskDir, 'v2.json'));
+    assertEquals(result.taskIndex, 1);
+    assertEquals(result.data.tasks.length, 2);
+  } finally {
+    testProj.cleanup();
+  }
+});
+
+test('findTask: a malformed sibling file only fails missing tasks', () => {
+  const testProj = createTestProject();
+  try {
+    writeTaskFiles(testProj, {
+      'tasks.json': [{ id: 'test-project/a', title: 'A', status: 'pending' }],
+      'broken.json': '{ "tasks": [',
+    });
+    assertEquals(findTask('test-project/a', testProj.tmpdir).task.title, 'A');
+    assertThrows(
+      () => findTask('test-project/missing', testProj.tmpdir),
+      'broken.json'
+    );
+  } finally {
+    testProj.cleanup();
+  }
+});
+
 // ── Summary ──────────────────────────────────────────────────────────
 
 console.log('\n=== Summary ===\n');
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+
+/**
+ * Task Watcher Module Tests (lib/task-watcher.js)
+ *
+ * Tests for snapshot diffing, typed change events, recovery from
+ * malformed writes and debounced filesystem notifications.
+ * Uses the same custom test framework as test-executor.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import modules ───────────────────────────────────────────────────
+
+let TaskWatcher, diffTasks, WATCH_EVENTS;
+try {
+  ({ TaskWatcher, diffTasks, WATCH_EVENTS } = require('../lib/task-watcher'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/task-watcher.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Creates a temp projects root with one project and an in-memory registry.
+ * Returns { registry, tasksPath, write(tasks), writeRaw(text), cleanup }.
+ */
+function createTestEnv(tasks) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'jade-watcher-test-'));
+  const tasksDir = path.join(root, 'app', '.claude', 'tasks');
+  fs.mkdirSync(tasksDir, { recursive: true });
+  const tasksPath = path.join(tasksDir, 'tasks.json');
+
+  const env = {
+    registry: {
+      projects_root: root,
+      projects: [{ name: 'app', path: 'app', status: 'near-buildable' }],
+    },
+    tasksPath,
+    write(list) {
+      fs.writeFileSync(
+        tasksPath,
+        JSON.stringify({ version: 1, project: 'app', tasks: list }, null, 2)
+      );
+    },
+    writeRaw(text) {
+      fs.writeFileSync(tasksPath, text);
+    },
+    cleanup() {
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+  if (tasks) {
+    env.write(tasks);
+  }
+  return env;
+}
+
+function task(id, overrides) {
+  return Object.assign(
+    { id: `app/${id}`, title: id, status: 'pending', complexity: 'S' },
+    overrides
+  );
+}
+
+/**
+ * Suppress logger output (info goes to stdout, warnings to stderr).
+ */
+function silenceLogs() {
+  const out = process.stdout.write;
+  const err = process.stderr.write;
+  process.stdout.write = (chunk, ...rest) =>
+    String(chunk).startsWith('{') ? true : out.call(process.stdout, chunk, ...rest);
+  process.stderr.write = () => true;
+  return () => {
+    process.stdout.write = out;
+    process.stderr.write = err;
+  };
+}
+
+/**
+ * Start a polling watcher without retries so tests drive refresh() directly.
+ */
+function startWatcher(env, options) {
+  const watcher = new TaskWatcher(
+    Object.assign({ registry: env.registry, maxRetries: 0, forcePolling: true }, options)
+  );
+  return watcher.start();
+}
+
+function waitFor(emitter, event, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Timed out waiting for ${event}`)),
+      timeoutMs
+    );
+    emitter.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+const restoreLogs = silenceLogs();
+
+// ── Diffing ──────────────────────────────────────────────────────────
+
+console.log('\n  Diff tests\n');
+
+test('1. diffTasks reports added and removed tasks', () => {
+  const before = new Map([['app/a', task('a')]]);
+  const after = new Map([['app/b', task('b')]]);
+  const events = diffTasks(before, after, { project: 'app', path: '/x' });
+  assert(events.length === 2, `Expected 2 events, got ${events.length}`);
+  assert(events[0].type === WATCH_EVENTS.removed, 'Expected removal first');
+  assert(events[0].before.id === 'app/a' && events[0].after === null, 'Bad removal diff');
+  assert(events[1].type === WATCH_EVENTS.added, 'Expected addition');
+  assert(events[1].before === null && events[1].after.id === 'app/b', 'Bad addition diff');
+  assert(events[1].project === 'app' && events[1].path === '/x', 'Expected context');
+});
+
+test('2. diffTasks separates status changes from field changes', () => {
+  const before = new Map([['app/a', task('a')]]);
+  const after = new Map([
+    ['app/a', task('a', { status: 'in_progress', labels: ['bugfix'] })],
+  ]);
+  const events = diffTasks(before, after, { project: 'app', path: '/x' });
+  assert(events.length === 2, `Expected 2 events, got ${events.length}`);
+  const status = events.find((e) => e.type === WATCH_EVENTS.statusChanged);
+  assert(status.from === 'pending' && status.to === 'in_progress', 'Bad status diff');
+  const fields = events.find((e) => e.type === WATCH_EVENTS.fieldChanged);
+  assert(fields.changes.length === 1, 'Expected one field change');
+  assert(fields.changes[0].field === 'labels', 'Expected labels change');
+  assert(fields.changes[0].before === undefined, 'Expected undefined before');
+});
+
+test('3. diffTasks ignores unchanged tasks', () => {
+  const before = new Map([['app/a', task('a', { labels: ['x'] })]]);
+  const after = new Map([['app/a', task('a', { labels: ['x'] })]]);
+  assert(diffTasks(before, after, {}).length === 0, 'Expected no events');
+});
+
+// ── Refresh ──────────────────────────────────────────────────────────
+
+console.log('\n  Refresh tests\n');
+
+test('4. start() takes a baseline without emitting events', () => {
+  const env = createTestEnv([task('a')]);
+  const watcher = new TaskWatcher({ registry: env.registry, forcePolling: true });
+  let count = 0;
+  watcher.on('change', () => count++);
+  try {
+    watcher.start();
+    assert(count === 0, 'Expected no events for existing tasks');
+    assert(watcher.refresh(env.tasksPath).length === 0, 'Expected no diff');
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+test('5. refresh() emits typed events and a change event for each', () => {
+  const env = createTestEnv([task('a'), task('b')]);
+  const watcher = startWatcher(env);
+  const typed = [];
+  const all = [];
+  watcher.on(WATCH_EVENTS.statusChanged, (e) => typed.push(e));
+  watcher.on(WATCH_EVENTS.removed, (e) => typed.push(e));
+  watcher.on('change', (e) => all.push(e));
+  try {
+    env.write([task('a', { status: 'completed' })]);
+    const events = watcher.refresh(env.tasksPath);
+    assert(events.length === 2, `Expected 2 events, got ${events.length}`);
+    assert(typed.length === 2 && all.length === 2, 'Expected events emitted');
+    assert(all.some((e) => e.taskId === 'app/b' && e.type === 'task:removed'), 'Expected removal');
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+test('6. malformed writes keep the last good snapshot', () => {
+  const env = createTestEnv([task('a')]);
+  const watcher = startWatcher(env);
+  const errors = [];
+  let recovered = 0;
+  watcher.on('file:error', (e) => errors.push(e));
+  watcher.on('file:recovered', () => recovered++);
+  try {
+    env.writeRaw('{"version": 1, "tasks": [');
+    assert(watcher.refresh(env.tasksPath).length === 0, 'Expected no events');
+    assert(errors.length === 1 && errors[0].project === 'app', 'Expected file:error');
+
+    // Once the write completes, only the net change is reported
+    env.write([task('a', { status: 'in_progress' })]);
+    const events = watcher.refresh(env.tasksPath);
+    assert(recovered === 1, 'Expected file:recovered');
+    assert(events.length === 1, `Expected 1 event, got ${events.length}`);
+    assert(events[0].from === 'pending', 'Expected diff against last good snapshot');
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+test('7. deleting the tasks file removes every task', () => {
+  const env = createTestEnv([task('a'), task('b')]);
+  const watcher = startWatcher(env);
+  try {
+    fs.unlinkSync(env.tasksPath);
+    const events = watcher.refresh(env.tasksPath);
+    assert(events.length === 2, `Expected 2 events, got ${events.length}`);
+    assert(events.every((e) => e.type === WATCH_EVENTS.removed), 'Expected removals');
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+test('8. legacy files are migrated before diffing', () => {
+  const env = createTestEnv();
+  env.writeRaw(
+    JSON.stringify({ tasks: [{ id: 'app/a', title: 'a', status: 'pending' }] })
+  );
+  const watcher = startWatcher(env);
+  try {
+    env.writeRaw(
+      JSON.stringify({ tasks: [{ id: 'app/a', title: 'a', status: 'completed' }] })
+    );
+    const events = watcher.refresh(env.tasksPath);
+    assert(events.length === 1 && events[0].to === 'completed', 'Expected status change');
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+test('9. refresh() ignores files that are not watched', () => {
+  const watcher = new TaskWatcher({ registry: { projects_root: '/', projects: [] } });
+  assert(watcher.refresh('/nope/tasks.json').length === 0, 'Expected no events');
+});
+
+test('10. new task files are picked up on refresh', () => {
+  const env = createTestEnv([task('a')]);
+  const watcher = startWatcher(env);
+  try {
+    const v2Path = path.join(path.dirname(env.tasksPath), 'v2.json');
+    fs.writeFileSync(v2Path, JSON.stringify({ version: 1, tasks: [task('b')] }));
+    const events = watcher.refresh('app');
+    assert(events.length === 1, `Expected 1 event, got ${events.length}`);
+    assert(events[0].type === WATCH_EVENTS.added, 'Expected task:added');
+    assert(events[0].path === v2Path, 'Expected path of the new file');
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+test('11. moving a task between files is a _sourcePath change', () => {
+  const env = createTestEnv([task('a'), task('b')]);
+  const watcher = startWatcher(env);
+  try {
+    const v2Path = path.join(path.dirname(env.tasksPath), 'v2.json');
+    fs.writeFileSync(v2Path, JSON.stringify({ version: 1, tasks: [task('b')] }));
+    env.write([task('a')]);
+    const events = watcher.refresh('app');
+    assert(events.length === 1, `Expected 1 event, got ${events.length}`);
+    assert(events[0].type === WATCH_EVENTS.fieldChanged, 'Expected task:field-changed');
+    const change = events[0].changes[0];
+    assert(change.field === '_sourcePath', `Unexpected field ${change.field}`);
+    assert(change.before === env.tasksPath && change.after === v2Path, 'Bad move diff');
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+// ── Filesystem notifications ─────────────────────────────────────────
+
+const asyncTests = [];
+
+function queueAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+queueAsync('12. bursts of writes are debounced into one refresh', async () => {
+  const env = createTestEnv([task('a')]);
+  const watcher = new TaskWatcher({ registry: env.registry, debounceMs: 50 });
+  const events = [];
+  watcher.on('change', (e) => events.push(e));
+  try {
+    watcher.start();
+    env.write([task('a', { status: 'in_progress' })]);
+    env.write([task('a', { status: 'completed' })]);
+    const event = await waitFor(watcher, 'change', 3000);
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    assert(event.to === 'completed', `Expected final status, got ${event.to}`);
+    assert(events.length === 1, `Expected 1 event, got ${events.length}`);
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+queueAsync('13. rename-based saves are detected', async () => {
+  const env = createTestEnv([task('a')]);
+  const watcher = new TaskWatcher({ registry: env.registry, debounceMs: 20 });
+  try {
+    watcher.start();
+    const tmp = env.tasksPath + '.tmp';
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify({ version: 1, tasks: [task('a'), task('b')] })
+    );
+    fs.renameSync(tmp, env.tasksPath);
+    const event = await waitFor(watcher, WATCH_EVENTS.added, 3000);
+    assert(event.taskId === 'app/b', 'Expected app/b added');
+  } finally {
+    watcher.stop();
+    env.cleanup();
+  }
+});
+
+async function runAsyncTests() {
+  console.log('\n  Watch tests\n');
+  for (const { name, fn } of asyncTests) {
+    await testAsync(name, fn);
+  }
+}
+
+runAsyncTests().then(() => {
+  restoreLogs();
+
+  // ── Summary ─────────────────────────────────────────────────────────
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    console.log('  Some tests failed\n');
+    process.exit(1);
+  } else {
+    console.log('  All tests passed\n');
+    process.exit(0);
+  }
+});
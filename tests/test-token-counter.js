@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Token Counter Module Tests (lib/token-counter.js)
+ *
+ * Tests for the built-in counters, counter selection and fallback,
+ * truncation, usage parsing and calibration logging.
+ * Uses the same custom test framework as test-scanner.js.
+ */
+
+'use strict';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \u2713 ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  \u2717 ${name}`);
+    console.log(`    Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// ── Import module ────────────────────────────────────────────────────
+
+let getTokenCounter,
+  registerTokenCounter,
+  truncateToTokens,
+  logTokenCalibration,
+  extractUsageTokens,
+  heuristicCounter,
+  bpeCounter;
+try {
+  ({
+    getTokenCounter,
+    registerTokenCounter,
+    truncateToTokens,
+    logTokenCalibration,
+    extractUsageTokens,
+    heuristicCounter,
+    bpeCounter,
+  } = require('../lib/token-counter'));
+} catch (err) {
+  console.log('\nFATAL: Could not load lib/token-counter.js');
+  console.log(`  ${err.message}\n`);
+  process.exit(1);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function withEnv(value, fn) {
+  const previous = process.env.JADE_TOKEN_COUNTER;
+  if (value === undefined) {
+    delete process.env.JADE_TOKEN_COUNTER;
+  } else {
+    process.env.JADE_TOKEN_COUNTER = value;
+  }
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.JADE_TOKEN_COUNTER;
+    } else {
+      process.env.JADE_TOKEN_COUNTER = previous;
+    }
+  }
+}
+
+// ── Counters ─────────────────────────────────────────────────────────
+
+console.log('\n  Counter tests\n');
+
+test('1. bpe counts common words as single tokens and CJK per character', () => {
+  const prose = 'The quick brown fox jumps over the lazy dog.';
+  assert(bpeCounter.count(prose) === 10, `Expected 10, got ${bpeCounter.count(prose)}`);
+  assert(heuristicCounter.count(prose) === 11, 'Expected 4 chars per token');
+
+  const cjk = '测试代码库';
+  assert(bpeCounter.count(cjk) === 5, `Expected 5, got ${bpeCounter.count(cjk)}`);
+  assert(heuristicCounter.count(cjk) === 2, 'Expected the heuristic to undercount CJK');
+
+  const code = 'const fooBar = require("./foo-bar");\n';
+  assert(bpeCounter.count(code) > heuristicCounter.count(code), 'Expected dense code to cost more');
+  assert(bpeCounter.count('') === 0 && heuristicCounter.count(null) === 0, 'Expected empty text to be free');
+});
+
+// ── Selection ────────────────────────────────────────────────────────
+
+console.log('\n  Selection tests\n');
+
+test('2. counters are chosen by option, then JADE_TOKEN_COUNTER, then bpe', () => {
+  withEnv(undefined, () => {
+    assert(getTokenCounter().name === 'bpe', 'Expected bpe by default');
+    assert(getTokenCounter({ tokenCounter: 'heuristic' }).name === 'heuristic', 'Expected the option');
+  });
+  withEnv('heuristic', () => {
+    assert(getTokenCounter().name === 'heuristic', 'Expected the environment variable');
+    assert(getTokenCounter({ tokenCounter: 'bpe' }).name === 'bpe', 'Expected the option to win');
+  });
+  withEnv('no-such-counter', () => {
+    assert(getTokenCounter().name === 'heuristic', 'Expected unknown names to fall back');
+  });
+});
+
+test('3. registered and inline counters are used; errors fall back to the heuristic', () => {
+  registerTokenCounter('words', (text) => text.split(/\s+/).filter(Boolean).length);
+  assert(getTokenCounter({ tokenCounter: 'words' }).count('a b c') === 3, 'Expected the registered counter');
+
+  const inline = getTokenCounter({ tokenCounter: { name: 'fixed', count: () => 7 } });
+  assert(inline.name === 'fixed' && inline.count('x') === 7, 'Expected the inline counter');
+
+  const broken = getTokenCounter({
+    tokenCounter: () => {
+      throw new Error('tokenizer unavailable');
+    },
+  });
+  assert(broken.count('abcdefgh') === 2, 'Expected the heuristic on error');
+
+  let error = null;
+  try {
+    registerTokenCounter('bad', {});
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.code === 'TOKEN_COUNTER_INVALID', 'Expected invalid counters refused');
+});
+
+// ── Truncation and usage ─────────────────────────────────────────────
+
+console.log('\n  Helper tests\n');
+
+test('4. truncateToTokens keeps the longest prefix within the limit', () => {
+  const text = 'alpha beta gamma delta epsilon';
+  assert(truncateToTokens(text, 100, bpeCounter) === text, 'Expected short text unchanged');
+  assert(truncateToTokens(text, 2, bpeCounter) === 'alpha beta', 'Expected two words');
+  assert(truncateToTokens(text, 0, bpeCounter) === '', 'Expected nothing for a zero limit');
+  assert(truncateToTokens('x'.repeat(100), 5, heuristicCounter).length === 20, 'Expected 20 characters');
+});
+
+test('5. extractUsageTokens sums input and cache tokens from worker output', () => {
+  const output = JSON.stringify({
+    result: 'done',
+    usage: { input_tokens: 120, cache_read_input_tokens: 3000, cache_creation_input_tokens: 80, output_tokens: 40 },
+  });
+  assert(extractUsageTokens(output) === 3200, `Expected 3200, got ${extractUsageTokens(output)}`);
+  assert(extractUsageTokens('plain text output') === null, 'Expected null without usage');
+  assert(extractUsageTokens('') === null, 'Expected null for empty output');
+});
+
+test('6. logTokenCalibration reports the relative error against actual', () => {
+  const fields = logTokenCalibration('task-1', {
+    counter: 'bpe',
+    tokens: 1100,
+    heuristic: 800,
+    actual: 1000,
+  });
+  assert(fields.error === 0.1, `Expected 0.1, got ${fields.error}`);
+  assert(fields.heuristicError === -0.2, `Expected -0.2, got ${fields.heuristicError}`);
+
+  const estimate = logTokenCalibration('task-2', { counter: 'bpe', tokens: 500 });
+  assert(!('error' in estimate), 'Expected no error without an actual count');
+});
+
+// ── Summary ─────────────────────────────────────────────────────────
+
+console.log('\n' + '='.repeat(50));
+console.log(`\n  Test Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  console.log('  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('  All tests passed\n');
+  process.exit(0);
+}